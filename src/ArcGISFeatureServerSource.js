@@ -0,0 +1,157 @@
+var defined = require('./cesium/Core/defined');
+var defaultValue = require('./cesium/Core/defaultValue');
+var Resource = require('./cesium/Core/Resource');
+var FeatureServiceSource = require('./FeatureServiceSource');
+var EsriJSON = require('./EsriJSON');
+var Crs = require('./Crs');
+
+function checkError(json, url) {
+    if (!json) {
+        throw new Error("请求" + url + "失败");
+    }
+    if (json.error) {
+        var details = Array.isArray(json.error.details) ? json.error.details.join('；') : '';
+        throw new Error("ArcGIS服务返回错误：" + (json.error.message || json.error.code) + (details ? "（" + details + "）" : ''));
+    }
+    return json;
+}
+
+/**
+ * 将图层的范围转换为经纬度，转换失败时返回undefined
+ * @private
+ */
+function extentToBounds(extent) {
+    if (!extent || !isFinite(extent.xmin)) {
+        return undefined;
+    }
+    try {
+        var transform = Crs.createTransform(EsriJSON.getCrs(extent.spatialReference));
+        var min = [extent.xmin, extent.ymin], max = [extent.xmax, extent.ymax];
+        if (transform) {
+            min = transform(min);
+            max = transform(max);
+        }
+        return [min[0], min[1], max[0], max[1]];
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * ArcGIS FeatureServer（或MapServer）图层数据源，每个切片以切片范围为几何条件发送query请求（f=json），
+ * 返回的Esri JSON要素转换为geojson，结果中exceededTransferLimit为true时以resultOffset分页读取后续要素。
+ * 加载时读取图层信息：字段别名（见fieldAliases，拾取结果的描述中使用别名）、每次请求的最大要素数（maxRecordCount）、图层范围和是否支持分页
+ * @param {Object}options 除以下参数外，parameters、headers、minimumLevel、maximumLevel、pageSize、maximumFeatures、bounds、cacheSize参数见FeatureServiceSource
+ * @param {String}options.url 图层地址，如'https://.../arcgis/rest/services/Buildings/FeatureServer/0'
+ * @param {String}[options.where='1=1'] 属性筛选条件
+ * @param {String|Array.<String>}[options.outFields='*'] 返回的字段
+ * @constructor
+ * @private
+ */
+function ArcGISFeatureServerSource(options) {
+    this._initialize(options);
+    this._url = this._url.replace(/\/(query)?\/*$/, '');
+    this._where = defaultValue(options.where, '1=1');
+    this._outFields = Array.isArray(options.outFields) ? options.outFields.join(',') : defaultValue(options.outFields, '*');
+    this._supportsPagination = true;
+    this._pageSizeSpecified = defined(options.pageSize);
+    /**
+     * 字段别名，字段名到别名的映射，readyPromise完成后可用
+     * @type {Object}
+     */
+    this.fieldAliases = undefined;
+    /**
+     * 图层信息（图层地址?f=json的结果）
+     * @type {Object}
+     */
+    this.layerInfo = undefined;
+
+    var that = this;
+    this.readyPromise = Promise.resolve(Resource.fetchJson({
+        url: FeatureServiceSource.appendQuery(this._url, { f: 'json' }),
+        headers: this._headers
+    })).then(function (json) {
+        var info = checkError(json, that._url);
+        that.layerInfo = info;
+        that.fieldAliases = EsriJSON.getFieldAliases(info);
+        if (info.maxRecordCount && (!that._pageSizeSpecified || that.pageSize > info.maxRecordCount)) {
+            that.pageSize = info.maxRecordCount;
+        }
+        //10.3之前的服务不支持resultOffset和resultRecordCount
+        var capabilities = info.advancedQueryCapabilities;
+        that._supportsPagination = capabilities ? capabilities.supportsPagination !== false : !!info.supportsPagination;
+        if (!that.bounds) {
+            that.bounds = extentToBounds(info.extent);
+        }
+        return that;
+    });
+}
+
+ArcGISFeatureServerSource.prototype = Object.create(FeatureServiceSource.prototype);
+ArcGISFeatureServerSource.prototype.constructor = ArcGISFeatureServerSource;
+
+ArcGISFeatureServerSource.prototype._getItemsUrl = function (bbox) {
+    var params = {
+        where: this._where,
+        geometry: bbox.join(','),
+        geometryType: 'esriGeometryEnvelope',
+        inSR: 4326,
+        spatialRel: 'esriSpatialRelIntersects',
+        outFields: this._outFields,
+        returnGeometry: true,
+        outSR: 4326,
+        f: 'json'
+    };
+    if (this._supportsPagination) {
+        params.resultOffset = 0;
+        params.resultRecordCount = this.pageSize;
+    }
+    return FeatureServiceSource.appendQuery(this._url + '/query', Object.assign(params, this._parameters));
+}
+
+/**
+ * 读取一页要素，Esri JSON要素集转换为geojson要素集合，保留exceededTransferLimit
+ * @private
+ */
+ArcGISFeatureServerSource.prototype._fetchPage = function (url) {
+    var that = this;
+    return Promise.resolve(Resource.fetchJson({
+        url: url,
+        headers: this._headers
+    })).then(function (json) {
+        var featureSet = checkError(json, url);
+        if (!Array.isArray(featureSet.features)) {
+            throw new Error("ArcGIS服务返回的不是要素集：" + url);
+        }
+        if (!that.fieldAliases) {
+            that.fieldAliases = EsriJSON.getFieldAliases(featureSet);
+        }
+        var geoJSON = EsriJSON.toGeoJSON(featureSet);
+        geoJSON.exceededTransferLimit = !!featureSet.exceededTransferLimit;
+        return geoJSON;
+    });
+}
+
+/**
+ * exceededTransferLimit为true时，下一页的resultOffset为已读取的要素数
+ * @private
+ */
+ArcGISFeatureServerSource.prototype._getNextUrl = function (json, url, count) {
+    if (!json.exceededTransferLimit) {
+        return undefined;
+    }
+    if (!this._supportsPagination) {
+        console.warn("ArcGIS服务不支持分页查询，只读取了前" + count + "个要素，可以提高minimumLevel以减小每次查询的范围");
+        return undefined;
+    }
+    return url.replace(/([?&]resultOffset=)\d+/, '$1' + count);
+}
+
+ArcGISFeatureServerSource.prototype.requestTileData = function (x, y, level, rectangle) {
+    var that = this;
+    return this.readyPromise.then(function () {
+        return FeatureServiceSource.prototype.requestTileData.call(that, x, y, level, rectangle);
+    });
+}
+
+module.exports = ArcGISFeatureServerSource;
@@ -0,0 +1,229 @@
+var Resource = require('./cesium/Core/Resource');
+var defaultValue = require('./cesium/Core/defaultValue');
+var defined = require('./cesium/Core/defined');
+var readAsArrayBuffer = require('./utils/readAsArrayBuffer');
+var decodeText = require('./utils/decodeText');
+var GeometryRecords = require('./GeometryRecords');
+
+//未指定列名时按以下名称（不区分大小写）查找坐标列和WKT列
+var LONGITUDE_NAMES = ['lon', 'lng', 'long', 'longitude', 'x', '经度'];
+var LATITUDE_NAMES = ['lat', 'latitude', 'y', '纬度'];
+var WKT_NAMES = ['wkt', 'geom', 'geometry', 'the_geom', 'shape'];
+
+var NUMBER_REGEX = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * 按首行中各分隔符出现的次数猜测分隔符
+ * @private
+ */
+function detectDelimiter(text) {
+    var firstLine = text.substr(0, text.search(/\r?\n|$/));
+    var candidates = [',', '\t', ';', '|'];
+    var best = ',', bestCount = 0;
+    for (var i = 0; i < candidates.length; i++) {
+        var count = firstLine.split(candidates[i]).length - 1;
+        if (count > bestCount) {
+            best = candidates[i];
+            bestCount = count;
+        }
+    }
+    return best;
+}
+
+/**
+ * 数值类型推断，以0开头的整数（如站号、行政区划代码“001”）保留为文本
+ * @private
+ */
+function inferValue(value) {
+    if (!NUMBER_REGEX.test(value) || /^[-+]?0\d/.test(value)) {
+        return value;
+    }
+    return parseFloat(value);
+}
+
+function findColumn(columns, column, names) {
+    if (typeof column == 'number') {
+        return column;
+    }
+    if (defined(column)) {
+        return columns.indexOf(column);
+    }
+    var lowerColumns = columns.map(function (name) {
+        return String(name).trim().toLowerCase();
+    });
+    for (var i = 0; i < names.length; i++) {
+        var index = lowerColumns.indexOf(names[i]);
+        if (index > -1) {
+            return index;
+        }
+    }
+    return -1;
+}
+
+/**
+ * CSV、TSV等分隔符文本解析，每行转换为一个要素：按经纬度列生成点，或者解析WKT列的几何
+ * @memberof Cesium
+ * @namespace CSV
+ */
+var CSV = {
+    /**
+     * 判断是否为CSV或TSV文件
+     * @param {String}fileName 文件名或url
+     * @return {Boolean}
+     */
+    isCsv: function (fileName) {
+        return /\.(csv|tsv)$/i.test(fileName.replace(/[?#].*$/, ''));
+    },
+    /**
+     * 解析分隔符文本为二维数组，支持双引号包围的字段（字段中可以包含分隔符、换行和转义的双引号""）
+     * @param {String}text
+     * @param {String}[delimiter] 分隔符，不指定时根据首行自动判断
+     * @return {Array.<Array.<String>>}
+     */
+    parseRows: function (text, delimiter) {
+        delimiter = delimiter || detectDelimiter(text);
+        var rows = [], row = [], field = '';
+        var inQuotes = false;
+        var i = 0, length = text.length;
+        while (i < length) {
+            var ch = text[i];
+            if (inQuotes) {
+                if (ch === '"') {
+                    if (text[i + 1] === '"') {
+                        field += '"';
+                        i++;
+                    } else {
+                        inQuotes = false;
+                    }
+                } else {
+                    field += ch;
+                }
+            } else if (ch === '"' && field === '') {
+                inQuotes = true;
+            } else if (ch === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += ch;
+            }
+            i++;
+        }
+        if (field !== '' || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+        //去掉空行
+        return rows.filter(function (row) {
+            return row.length > 1 || row[0] !== '';
+        });
+    },
+    /**
+     * 将分隔符文本转换为geojson要素集合，缺少坐标或者坐标无效的行将被忽略
+     * @param {String}text
+     * @param {Object}[options]
+     * @param {String}[options.delimiter] 分隔符，不指定时根据首行自动判断
+     * @param {Boolean}[options.header=true] 首行是否为列名，没有列名时列名为field1、field2……，坐标列需要用序号（从0开始）指定
+     * @param {String|Number}[options.longitudeColumn] 经度列的列名或者序号，默认查找lon、lng、longitude、x、经度等列
+     * @param {String|Number}[options.latitudeColumn] 纬度列的列名或者序号，默认查找lat、latitude、y、纬度等列
+     * @param {String|Number}[options.wktColumn] WKT（或十六进制WKB）几何列的列名或者序号，默认查找wkt、geom、geometry等列，找不到经纬度列时使用
+     * @param {Boolean}[options.inferTypes=true] 是否将数值文本转换为数值
+     * @return {turf.FeatureCollection}
+     */
+    toGeoJSON: function (text, options) {
+        options = defaultValue(options, {});
+        var header = defaultValue(options.header, true);
+        var inferTypes = defaultValue(options.inferTypes, true);
+        var rows = CSV.parseRows(text, options.delimiter);
+        var columns;
+        if (header) {
+            columns = (rows.shift() || []).map(function (name) {
+                return name.trim();
+            });
+        } else {
+            columns = [];
+            for (var c = 0; c < (rows[0] || []).length; c++) {
+                columns.push('field' + (c + 1));
+            }
+        }
+
+        var lonIndex = findColumn(columns, options.longitudeColumn, LONGITUDE_NAMES);
+        var latIndex = findColumn(columns, options.latitudeColumn, LATITUDE_NAMES);
+        var wktIndex = -1;
+        if (defined(options.wktColumn) || lonIndex < 0 || latIndex < 0) {
+            wktIndex = findColumn(columns, options.wktColumn, WKT_NAMES);
+            if (wktIndex < 0) {
+                throw new Error("CSV中找不到经纬度列或WKT列，请通过longitudeColumn、latitudeColumn或wktColumn指定");
+            }
+        }
+
+        var features = [];
+        var skipped = 0;
+        rows.forEach(function (row) {
+            var properties = {};
+            for (var i = 0; i < columns.length; i++) {
+                if (i === wktIndex) continue;
+                var value = defaultValue(row[i], '');
+                properties[columns[i]] = inferTypes ? inferValue(value.trim()) : value;
+            }
+            var rowFeatures;
+            if (wktIndex > -1) {
+                try {
+                    rowFeatures = GeometryRecords.createFeatures(GeometryRecords.parseGeometry(row[wktIndex] || ''), properties);
+                } catch (e) {
+                    rowFeatures = [];
+                }
+            } else {
+                var lon = parseFloat(row[lonIndex]), lat = parseFloat(row[latIndex]);
+                rowFeatures = isNaN(lon) || isNaN(lat) ? [] : [{
+                    type: 'Feature',
+                    properties: properties,
+                    geometry: {
+                        type: 'Point',
+                        coordinates: [lon, lat]
+                    }
+                }];
+            }
+            if (rowFeatures.length) {
+                Array.prototype.push.apply(features, rowFeatures);
+            } else {
+                skipped++;
+            }
+        });
+        if (skipped) {
+            console.warn("CSV中有" + skipped + "行缺少有效的坐标或几何，已忽略");
+        }
+        return {
+            type: 'FeatureCollection',
+            features: features
+        };
+    },
+    /**
+     * 加载CSV或TSV文件，TSV文件默认以制表符分隔
+     * @param {String|File|Blob}source 文件url或本地文件
+     * @param {Object}[options] 参见CSV.toGeoJSON
+     * @param {String}[options.encoding='utf-8'] 文本编码，如'gbk'
+     * @return {Promise.<turf.FeatureCollection>}
+     */
+    load: function (source, options) {
+        options = defaultValue(options, {});
+        var fileName = typeof source == 'string' ? source : source.name;
+        if (!defined(options.delimiter) && fileName && /\.tsv$/i.test(fileName.replace(/[?#].*$/, ''))) {
+            options = Object.assign({}, options, { delimiter: '\t' });
+        }
+        var promise = typeof source == 'string' ? Promise.resolve(Resource.fetchArrayBuffer(source))
+            : readAsArrayBuffer(source);
+        return promise.then(function (buffer) {
+            return CSV.toGeoJSON(decodeText(buffer, options.encoding), options);
+        });
+    }
+};
+
+module.exports = CSV;
@@ -0,0 +1,179 @@
+var mapCoordinates = require('./utils/mapCoordinates');
+var mapFeatureCoordinates = require('./utils/mapFeatureCoordinates');
+
+var PI = Math.PI;
+var X_PI = PI * 3000.0 / 180.0;
+//克拉索夫斯基椭球长半轴和偏心率平方
+var A = 6378245.0;
+var EE = 0.00669342162296594323;
+
+function outOfChina(lon, lat) {
+    return lon < 72.004 || lon > 137.8347 || lat < 0.8293 || lat > 55.8271;
+}
+
+function transformLat(x, y) {
+    var ret = -100.0 + 2.0 * x + 3.0 * y + 0.2 * y * y + 0.1 * x * y + 0.2 * Math.sqrt(Math.abs(x));
+    ret += (20.0 * Math.sin(6.0 * x * PI) + 20.0 * Math.sin(2.0 * x * PI)) * 2.0 / 3.0;
+    ret += (20.0 * Math.sin(y * PI) + 40.0 * Math.sin(y / 3.0 * PI)) * 2.0 / 3.0;
+    ret += (160.0 * Math.sin(y / 12.0 * PI) + 320.0 * Math.sin(y * PI / 30.0)) * 2.0 / 3.0;
+    return ret;
+}
+
+function transformLon(x, y) {
+    var ret = 300.0 + x + 2.0 * y + 0.1 * x * x + 0.1 * x * y + 0.1 * Math.sqrt(Math.abs(x));
+    ret += (20.0 * Math.sin(6.0 * x * PI) + 20.0 * Math.sin(2.0 * x * PI)) * 2.0 / 3.0;
+    ret += (20.0 * Math.sin(x * PI) + 40.0 * Math.sin(x / 3.0 * PI)) * 2.0 / 3.0;
+    ret += (150.0 * Math.sin(x / 12.0 * PI) + 300.0 * Math.sin(x / 30.0 * PI)) * 2.0 / 3.0;
+    return ret;
+}
+
+/**
+ * WGS84坐标加密为GCJ02时的偏移量
+ * @private
+ */
+function gcj02Offset(lon, lat) {
+    var dLat = transformLat(lon - 105.0, lat - 35.0);
+    var dLon = transformLon(lon - 105.0, lat - 35.0);
+    var radLat = lat / 180.0 * PI;
+    var magic = Math.sin(radLat);
+    magic = 1 - EE * magic * magic;
+    var sqrtMagic = Math.sqrt(magic);
+    dLat = (dLat * 180.0) / ((A * (1 - EE)) / (magic * sqrtMagic) * PI);
+    dLon = (dLon * 180.0) / (A / sqrtMagic * Math.cos(radLat) * PI);
+    return [dLon, dLat];
+}
+
+function withZ(lonLat, coordinate) {
+    return coordinate.length > 2 ? lonLat.concat(coordinate.slice(2)) : lonLat;
+}
+
+//坐标系名称，不区分大小写，允许写作GCJ-02、BD-09
+var NAMES = {
+    WGS84: 'WGS84',
+    GCJ02: 'GCJ02',
+    BD09: 'BD09'
+};
+
+/**
+ * 国内互联网地图坐标系转换：GCJ02（国测局坐标，高德、腾讯等地图使用）、BD09（百度地图使用）与WGS84之间的相互转换，
+ * 中国范围以外的坐标不偏移。GCJ02、BD09转WGS84通过迭代求解，误差在厘米级
+ * @memberof Cesium
+ * @namespace CoordinateSystem
+ */
+var CoordinateSystem = {
+    WGS84: 'WGS84',
+    GCJ02: 'GCJ02',
+    BD09: 'BD09',
+    /**
+     * 规范化坐标系名称，不指定时为'WGS84'，不支持的坐标系抛出异常
+     * @param {String}[name] 'WGS84'、'GCJ02'（或'GCJ-02'）、'BD09'（或'BD-09'）
+     * @return {String}
+     */
+    normalize: function (name) {
+        if (!name) return NAMES.WGS84;
+        var normalized = NAMES[String(name).toUpperCase().replace(/[-_\s]/g, '')];
+        if (!normalized) {
+            throw new Error("不支持的坐标系：" + name + "，可选值为WGS84、GCJ02、BD09");
+        }
+        return normalized;
+    },
+    /**
+     * @param {Array.<Number>}coordinate [经度,纬度]
+     * @return {Array.<Number>}
+     */
+    wgs84ToGcj02: function (coordinate) {
+        var lon = coordinate[0], lat = coordinate[1];
+        if (outOfChina(lon, lat)) return coordinate.slice();
+        var offset = gcj02Offset(lon, lat);
+        return withZ([lon + offset[0], lat + offset[1]], coordinate);
+    },
+    /**
+     * @param {Array.<Number>}coordinate [经度,纬度]
+     * @return {Array.<Number>}
+     */
+    gcj02ToWgs84: function (coordinate) {
+        var lon = coordinate[0], lat = coordinate[1];
+        if (outOfChina(lon, lat)) return coordinate.slice();
+        var offset = gcj02Offset(lon, lat);
+        var wgsLon = lon - offset[0], wgsLat = lat - offset[1];
+        //以一次反算的结果为初值迭代，使正算结果逼近原坐标
+        for (var i = 0; i < 10; i++) {
+            offset = gcj02Offset(wgsLon, wgsLat);
+            var dLon = wgsLon + offset[0] - lon, dLat = wgsLat + offset[1] - lat;
+            wgsLon -= dLon;
+            wgsLat -= dLat;
+            if (Math.abs(dLon) < 1e-9 && Math.abs(dLat) < 1e-9) break;
+        }
+        return withZ([wgsLon, wgsLat], coordinate);
+    },
+    /**
+     * @param {Array.<Number>}coordinate [经度,纬度]
+     * @return {Array.<Number>}
+     */
+    gcj02ToBd09: function (coordinate) {
+        var x = coordinate[0], y = coordinate[1];
+        var z = Math.sqrt(x * x + y * y) + 0.00002 * Math.sin(y * X_PI);
+        var theta = Math.atan2(y, x) + 0.000003 * Math.cos(x * X_PI);
+        return withZ([z * Math.cos(theta) + 0.0065, z * Math.sin(theta) + 0.006], coordinate);
+    },
+    /**
+     * @param {Array.<Number>}coordinate [经度,纬度]
+     * @return {Array.<Number>}
+     */
+    bd09ToGcj02: function (coordinate) {
+        var x = coordinate[0] - 0.0065, y = coordinate[1] - 0.006;
+        var z = Math.sqrt(x * x + y * y) - 0.00002 * Math.sin(y * X_PI);
+        var theta = Math.atan2(y, x) - 0.000003 * Math.cos(x * X_PI);
+        return withZ([z * Math.cos(theta), z * Math.sin(theta)], coordinate);
+    },
+    /**
+     * @param {Array.<Number>}coordinate [经度,纬度]
+     * @return {Array.<Number>}
+     */
+    wgs84ToBd09: function (coordinate) {
+        return CoordinateSystem.gcj02ToBd09(CoordinateSystem.wgs84ToGcj02(coordinate));
+    },
+    /**
+     * @param {Array.<Number>}coordinate [经度,纬度]
+     * @return {Array.<Number>}
+     */
+    bd09ToWgs84: function (coordinate) {
+        return CoordinateSystem.gcj02ToWgs84(CoordinateSystem.bd09ToGcj02(coordinate));
+    },
+    /**
+     * 获取两个坐标系之间的坐标转换函数，坐标系相同时返回undefined
+     * @param {String}from
+     * @param {String}to
+     * @return {Function|undefined}
+     */
+    getTransform: function (from, to) {
+        from = CoordinateSystem.normalize(from);
+        to = CoordinateSystem.normalize(to);
+        if (from == to) return undefined;
+        //如gcj02ToWgs84
+        return CoordinateSystem[from.toLowerCase() + 'To' + to.charAt(0) + to.substr(1).toLowerCase()];
+    },
+    /**
+     * 转换几何的坐标，返回新的几何
+     * @param {Object}geometry geojson几何
+     * @param {String}from 原坐标系
+     * @param {String}to 目标坐标系
+     * @return {Object}
+     */
+    transformGeometry: function (geometry, from, to) {
+        var transform = CoordinateSystem.getTransform(from, to);
+        return transform ? mapCoordinates(geometry, transform) : geometry;
+    },
+    /**
+     * 转换要素集合或要素的坐标，返回新的要素集合（不含crs和bbox成员）
+     * @param {turf.FeatureCollection|turf.Feature}geoJSON
+     * @param {String}from 原坐标系
+     * @param {String}to 目标坐标系
+     * @return {turf.FeatureCollection}
+     */
+    transformGeoJSON: function (geoJSON, from, to) {
+        return mapFeatureCoordinates(geoJSON, CoordinateSystem.getTransform(from, to));
+    }
+};
+
+module.exports = CoordinateSystem;
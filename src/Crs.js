@@ -0,0 +1,243 @@
+var defined = require('./cesium/Core/defined');
+var Srid = require('./utils/Srid');
+var mapCoordinates = require('./utils/mapCoordinates');
+var mapFeatureCoordinates = require('./utils/mapFeatureCoordinates');
+
+var GRS80_TMERC = '+proj=tmerc +lat_0=0 +k=1 +y_0=0 +ellps=GRS80 +units=m +no_defs';
+
+/**
+ * 生成常用投影坐标系的proj4定义（proj4默认只包含4326、4269和3857），
+ * 包括CGCS2000高斯-克吕格投影（EPSG:4491~4554）和WGS84 UTM投影（EPSG:32601~32660、32701~32760）
+ * @private
+ */
+function getBuiltinDefinition(code) {
+    var zone;
+    //CGCS2000 / Gauss-Kruger zone 13~23，6度带，横坐标带带号
+    if (code >= 4491 && code <= 4501) {
+        zone = code - 4478;
+        return GRS80_TMERC + ' +lon_0=' + (zone * 6 - 3) + ' +x_0=' + (zone * 1000000 + 500000);
+    }
+    //CGCS2000 / Gauss-Kruger CM 75E~135E，6度带
+    if (code >= 4502 && code <= 4512) {
+        return GRS80_TMERC + ' +lon_0=' + (75 + (code - 4502) * 6) + ' +x_0=500000';
+    }
+    //CGCS2000 / 3-degree Gauss-Kruger zone 25~45，3度带，横坐标带带号
+    if (code >= 4513 && code <= 4533) {
+        zone = code - 4488;
+        return GRS80_TMERC + ' +lon_0=' + zone * 3 + ' +x_0=' + (zone * 1000000 + 500000);
+    }
+    //CGCS2000 / 3-degree Gauss-Kruger CM 75E~135E，3度带
+    if (code >= 4534 && code <= 4554) {
+        return GRS80_TMERC + ' +lon_0=' + (75 + (code - 4534) * 3) + ' +x_0=500000';
+    }
+    //WGS 84 / UTM zone 1N~60N、1S~60S
+    if (code >= 32601 && code <= 32660) {
+        return '+proj=utm +zone=' + (code - 32600) + ' +datum=WGS84 +units=m +no_defs';
+    }
+    if (code >= 32701 && code <= 32760) {
+        return '+proj=utm +zone=' + (code - 32700) + ' +south +datum=WGS84 +units=m +no_defs';
+    }
+    return undefined;
+}
+
+var projections = {};
+
+/**
+ * 获取坐标系的正反转换函数，经纬度坐标系返回undefined
+ * @return {{forward:Function,inverse:Function}|undefined} forward为经纬度转坐标系，inverse为坐标系转经纬度
+ * @private
+ */
+function getProjection(crs) {
+    if (Crs.isGeographic(crs)) {
+        return undefined;
+    }
+    var parsed = Crs.parse(crs);
+    if (defined(parsed.code) && Srid.isWebMercator(parsed.code)) {
+        return { forward: Srid.lonLatToMercator, inverse: Srid.mercatorToLonLat };
+    }
+    var key = defined(parsed.code) ? 'EPSG:' + parsed.code : parsed.definition;
+    if (projections[key]) {
+        return projections[key];
+    }
+
+    var lib = Crs.proj4 || (typeof proj4 == 'function' ? proj4 : undefined);
+    if (typeof lib != 'function') {
+        throw new Error("转换坐标系" + key.substr(0, 64) + "需要proj4，请引用proj4或者设置Cesium.VectorTileImageryProvider.Crs.proj4");
+    }
+    if (defined(parsed.code) && !lib.defs(key)) {
+        var definition = getBuiltinDefinition(parsed.code);
+        if (!definition) {
+            throw new Error("未知的坐标系" + key + "，请先通过proj4.defs('" + key + "', '...')注册");
+        }
+        lib.defs(key, definition);
+    }
+    var converter;
+    try {
+        converter = lib(key);
+    } catch (e) {
+        throw new Error("无法解析坐标系" + key.substr(0, 64) + "：" + (e.message || e));
+    }
+    function convert(method) {
+        return function (coordinate) {
+            var result = converter[method]([coordinate[0], coordinate[1]]);
+            return coordinate.length > 2 ? result.concat(coordinate.slice(2)) : result;
+        };
+    }
+    projections[key] = { forward: convert('forward'), inverse: convert('inverse') };
+    return projections[key];
+}
+
+//沿范围的边界采样的点数（每条边），投影后的边界可能是曲线，只转换四个角点会漏掉部分范围
+var BBOX_SAMPLES = 16;
+
+function transformBBox(bbox, transform) {
+    var result = [Infinity, Infinity, -Infinity, -Infinity];
+    function add(x, y) {
+        var coordinate;
+        try {
+            coordinate = transform([x, y]);
+        } catch (e) {
+            return;
+        }
+        if (!isFinite(coordinate[0]) || !isFinite(coordinate[1])) return;
+        result[0] = Math.min(result[0], coordinate[0]);
+        result[1] = Math.min(result[1], coordinate[1]);
+        result[2] = Math.max(result[2], coordinate[0]);
+        result[3] = Math.max(result[3], coordinate[1]);
+    }
+    for (var i = 0; i <= BBOX_SAMPLES; i++) {
+        var x = bbox[0] + (bbox[2] - bbox[0]) * i / BBOX_SAMPLES;
+        var y = bbox[1] + (bbox[3] - bbox[1]) * i / BBOX_SAMPLES;
+        add(x, bbox[1]);
+        add(x, bbox[3]);
+        add(bbox[0], y);
+        add(bbox[2], y);
+    }
+    return result[0] <= result[2] ? result : undefined;
+}
+
+/**
+ * 坐标系解析与坐标转换：支持EPSG代码、OGC URN、proj字符串和WKT（如shapefile的.prj），
+ * 经纬度坐标系不转换，Web墨卡托直接计算，其他投影坐标系使用proj4转换为经纬度。
+ * proj4依次从Crs.proj4（即VectorTileImageryProvider.Crs.proj4，完整版已设置）和全局的proj4获取，
+ * 除CGCS2000高斯-克吕格投影和WGS84 UTM投影外，其他EPSG代码需要先通过proj4.defs注册
+ * @memberof Cesium
+ * @namespace Crs
+ */
+var Crs = {
+    /**
+     * proj4库，不设置时使用全局的proj4
+     * @type {Function}
+     */
+    proj4: undefined,
+    /**
+     * 解析坐标系
+     * @param {Number|String}crs EPSG代码（如4547、'EPSG:4547'、'urn:ogc:def:crs:EPSG::4547'）、proj字符串或WKT
+     * @return {{code:Number|undefined,definition:String|undefined}}
+     */
+    parse: function (crs) {
+        if (typeof crs == 'number') {
+            return { code: crs };
+        }
+        var text = String(crs).trim();
+        if (/^(urn:ogc:def:crs:OGC:[\d.]*:?CRS84|OGC:CRS84|CRS:84|CRS84)$/i.test(text)) {
+            return { code: 4326 };
+        }
+        var match = /^(?:EPSG:+|urn:ogc:def:crs:EPSG:[\d.]*:|https?:\/\/www\.opengis\.net\/def\/crs\/EPSG\/\d+\/)?(\d+)$/i.exec(text);
+        if (match) {
+            return { code: parseInt(match[1]) };
+        }
+        return { definition: text };
+    },
+    /**
+     * 读取geojson中旧版的crs成员（如{type:'name',properties:{name:'EPSG:4547'}}）
+     * @param {Object}geoJSON
+     * @return {String|Number|undefined}
+     */
+    fromGeoJSON: function (geoJSON) {
+        var crs = geoJSON && geoJSON.crs;
+        if (!crs || !crs.properties) {
+            return undefined;
+        }
+        if (crs.type == 'name') {
+            return crs.properties.name;
+        }
+        if (crs.type == 'EPSG') {
+            return crs.properties.code;
+        }
+        return undefined;
+    },
+    /**
+     * 判断是否为经纬度坐标系（不区分大地基准，CGCS2000等按WGS84处理）
+     * @param {Number|String}crs
+     * @return {Boolean}
+     */
+    isGeographic: function (crs) {
+        if (!defined(crs)) return true;
+        var parsed = Crs.parse(crs);
+        if (defined(parsed.code)) {
+            return Srid.isGeographic(parsed.code);
+        }
+        return /^(GEOGCS|GEOGCRS|GEOGRAPHICCRS)\[/i.test(parsed.definition)
+            || /\+proj=(longlat|latlong|lonlat|latlon)\b/.test(parsed.definition);
+    },
+    /**
+     * 创建转换为经纬度的坐标转换函数，经纬度坐标系返回undefined
+     * @param {Number|String}crs
+     * @return {Function|undefined} function(coordinate){return lonLat}
+     */
+    createTransform: function (crs) {
+        var projection = getProjection(crs);
+        return projection ? projection.inverse : undefined;
+    },
+    /**
+     * 创建将经纬度转换为指定坐标系的坐标转换函数（createTransform的逆转换），经纬度坐标系返回undefined
+     * @param {Number|String}crs
+     * @return {Function|undefined} function(lonLat){return coordinate}
+     */
+    createInverseTransform: function (crs) {
+        var projection = getProjection(crs);
+        return projection ? projection.forward : undefined;
+    },
+    /**
+     * 将经纬度范围转换为指定坐标系中的范围（沿边界采样后取外包矩形，无法转换的点被忽略），如切片范围转换为数据文件空间索引的查询范围
+     * @param {Array.<Number>}bbox 经纬度范围[west, south, east, north]
+     * @param {Number|String}crs
+     * @return {Array.<Number>|undefined} 经纬度坐标系时返回原范围，所有点都无法转换时返回undefined
+     */
+    bboxFromLonLat: function (bbox, crs) {
+        var transform = Crs.createInverseTransform(crs);
+        return transform ? transformBBox(bbox, transform) : bbox;
+    },
+    /**
+     * 将坐标系中的范围转换为经纬度范围（沿边界采样后取外包矩形）
+     * @param {Array.<Number>}bbox [minX, minY, maxX, maxY]
+     * @param {Number|String}crs
+     * @return {Array.<Number>|undefined} 所有点都无法转换时返回undefined
+     */
+    bboxToLonLat: function (bbox, crs) {
+        var transform = Crs.createTransform(crs);
+        return transform ? transformBBox(bbox, transform) : bbox;
+    },
+    /**
+     * 将几何坐标转换为经纬度
+     * @param {Object}geometry geojson几何
+     * @param {Number|String}[crs] 几何的坐标系，不指定则不转换
+     * @return {Object}
+     */
+    toLonLat: function (geometry, crs) {
+        var transform = Crs.createTransform(crs);
+        return transform ? mapCoordinates(geometry, transform) : geometry;
+    },
+    /**
+     * 将要素集合或要素的坐标转换为经纬度，返回新的要素集合（不含crs和bbox成员）
+     * @param {turf.FeatureCollection|turf.Feature}geoJSON
+     * @param {Number|String}crs 数据的坐标系
+     * @return {turf.FeatureCollection}
+     */
+    transformGeoJSON: function (geoJSON, crs) {
+        return mapFeatureCoordinates(geoJSON, Crs.createTransform(crs));
+    }
+};
+
+module.exports = Crs;
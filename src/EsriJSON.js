@@ -0,0 +1,256 @@
+var defined = require('./cesium/Core/defined');
+var defaultValue = require('./cesium/Core/defaultValue');
+var Crs = require('./Crs');
+
+function isNumber(value) {
+    return typeof value == 'number' && !isNaN(value);
+}
+
+//环的有向面积，逆时针为正。Esri的外环为顺时针，内环为逆时针
+function ringArea(ring) {
+    var area = 0;
+    for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        area += ring[j][0] * ring[i][1] - ring[i][0] * ring[j][1];
+    }
+    return area / 2;
+}
+
+function ringContains(ring, point) {
+    var x = point[0], y = point[1], inside = false;
+    for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        var xi = ring[i][0], yi = ring[i][1], xj = ring[j][0], yj = ring[j][1];
+        if ((yi > y) != (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+function closeRing(ring) {
+    var first = ring[0], last = ring[ring.length - 1];
+    if (first[0] !== last[0] || first[1] !== last[1]) {
+        ring.push(first.slice());
+    }
+    return ring;
+}
+
+/**
+ * 将Esri的环数组按方向组合为面：顺时针的环为外环，逆时针的环为内环，内环归入包含它的外环。
+ * 结果按geojson的约定反转为外环逆时针、内环顺时针
+ * @private
+ */
+function ringsToPolygons(rings) {
+    var polygons = [];
+    var holes = [];
+    rings.forEach(function (ring) {
+        if (ring.length < 3) return;
+        ring = closeRing(ring);
+        if (ringArea(ring) < 0) {
+            polygons.push([ring.reverse()]);
+        } else {
+            holes.push(ring);
+        }
+    });
+    holes.forEach(function (hole) {
+        for (var i = 0; i < polygons.length; i++) {
+            if (ringContains(polygons[i][0], hole[0])) {
+                polygons[i].push(hole.reverse());
+                return;
+            }
+        }
+        //找不到所属外环时（如环方向不规范的数据）当作外环
+        polygons.push([hole]);
+    });
+    return polygons;
+}
+
+/**
+ * Esri JSON（ArcGIS REST API的要素集和几何）解析：点（x、y）、多点（points）、线（paths）、面（rings）和范围（xmin、ymin、xmax、ymax）
+ * 转换为geojson几何，坐标按spatialReference（wkid、latestWkid或wkt）转换为经纬度，参见Crs。不支持曲线几何
+ * @memberof Cesium
+ * @namespace EsriJSON
+ */
+var EsriJSON = {
+    /**
+     * 判断是否为Esri JSON几何
+     * @param {*}value
+     * @return {Boolean}
+     */
+    isGeometry: function (value) {
+        return !!value && typeof value == 'object' && !defined(value.type) && (
+            (isNumber(value.x) && isNumber(value.y)) || Array.isArray(value.points)
+            || Array.isArray(value.paths) || Array.isArray(value.rings) || isNumber(value.xmin));
+    },
+    /**
+     * 判断是否为Esri JSON要素集（如FeatureServer查询的结果）
+     * @param {*}source
+     * @return {Boolean}
+     */
+    isFeatureSet: function (source) {
+        if (!source || typeof source != 'object' || defined(source.type) || !Array.isArray(source.features)) {
+            return false;
+        }
+        var feature = source.features[0];
+        if (!feature) {
+            return defined(source.geometryType) || defined(source.spatialReference) || Array.isArray(source.fields);
+        }
+        return defined(feature.attributes) || EsriJSON.isGeometry(feature.geometry);
+    },
+    /**
+     * 获取几何的坐标系，wkid为102100等Esri代码时使用latestWkid
+     * @param {Object}[spatialReference]
+     * @return {Number|String|undefined}
+     */
+    getCrs: function (spatialReference) {
+        if (!spatialReference) {
+            return undefined;
+        }
+        return defaultValue(defaultValue(spatialReference.latestWkid, spatialReference.wkid), spatialReference.wkt);
+    },
+    /**
+     * 将Esri JSON几何转换为geojson几何，不转换坐标，空几何返回undefined
+     * @param {Object}geometry
+     * @return {Object|undefined}
+     */
+    toGeometry: function (geometry) {
+        //只有M值时坐标为[x, y, m]，去掉M值
+        var dimension = geometry.hasM && !geometry.hasZ ? 2 : 3;
+        function coordinate(point) {
+            return point.slice(0, dimension);
+        }
+        if (geometry.curveRings || geometry.curvePaths) {
+            throw new Error("不支持Esri曲线几何（curveRings、curvePaths），请在服务端将其加密为折线");
+        }
+        if (defined(geometry.x)) {
+            if (!isNumber(geometry.x) || !isNumber(geometry.y)) {
+                return undefined;
+            }
+            return {
+                type: 'Point',
+                coordinates: isNumber(geometry.z) ? [geometry.x, geometry.y, geometry.z] : [geometry.x, geometry.y]
+            };
+        }
+        if (geometry.points) {
+            return geometry.points.length ? {
+                type: 'MultiPoint',
+                coordinates: geometry.points.map(coordinate)
+            } : undefined;
+        }
+        if (geometry.paths) {
+            var paths = geometry.paths.filter(function (path) {
+                return path.length > 1;
+            }).map(function (path) {
+                return path.map(coordinate);
+            });
+            if (!paths.length) {
+                return undefined;
+            }
+            return paths.length == 1 ? {
+                type: 'LineString',
+                coordinates: paths[0]
+            } : {
+                type: 'MultiLineString',
+                coordinates: paths
+            };
+        }
+        if (geometry.rings) {
+            var polygons = ringsToPolygons(geometry.rings.map(function (ring) {
+                return ring.map(coordinate);
+            }));
+            if (!polygons.length) {
+                return undefined;
+            }
+            return polygons.length == 1 ? {
+                type: 'Polygon',
+                coordinates: polygons[0]
+            } : {
+                type: 'MultiPolygon',
+                coordinates: polygons
+            };
+        }
+        if (isNumber(geometry.xmin)) {
+            return {
+                type: 'Polygon',
+                coordinates: [[
+                    [geometry.xmin, geometry.ymin],
+                    [geometry.xmax, geometry.ymin],
+                    [geometry.xmax, geometry.ymax],
+                    [geometry.xmin, geometry.ymax],
+                    [geometry.xmin, geometry.ymin]
+                ]]
+            };
+        }
+        return undefined;
+    },
+    /**
+     * 解析Esri JSON几何，坐标转换为经纬度
+     * @param {Object}geometry
+     * @param {Object|Number|String}[crs] 几何没有spatialReference时使用的坐标系（如要素集的spatialReference）
+     * @return {Object|undefined} geojson几何
+     */
+    parseGeometry: function (geometry, crs) {
+        var result = EsriJSON.toGeometry(geometry);
+        if (!result) {
+            return undefined;
+        }
+        crs = geometry.spatialReference ? EsriJSON.getCrs(geometry.spatialReference) : crs;
+        if (crs && typeof crs == 'object') {
+            crs = EsriJSON.getCrs(crs);
+        }
+        return Crs.toLonLat(result, crs);
+    },
+    /**
+     * 获取要素集的字段别名，即字段名到别名的映射（来自fieldAliases或fields中的alias）
+     * @param {Object}featureSet
+     * @return {Object|undefined}
+     */
+    getFieldAliases: function (featureSet) {
+        var aliases;
+        if (featureSet.fieldAliases) {
+            aliases = Object.assign({}, featureSet.fieldAliases);
+        }
+        if (Array.isArray(featureSet.fields)) {
+            featureSet.fields.forEach(function (field) {
+                if (field && field.name && field.alias) {
+                    aliases = aliases || {};
+                    aliases[field.name] = field.alias;
+                }
+            });
+        }
+        return aliases;
+    },
+    /**
+     * 将Esri JSON要素集转换为geojson要素集合，属性为要素的attributes，没有几何的要素将被忽略
+     * @param {Object}featureSet
+     * @param {Object}[options]
+     * @param {Number|String}[options.sourceCrs] 坐标系，不指定时使用要素集的spatialReference
+     * @return {turf.FeatureCollection}
+     */
+    toGeoJSON: function (featureSet, options) {
+        options = defaultValue(options, {});
+        var crs = defaultValue(options.sourceCrs, EsriJSON.getCrs(featureSet.spatialReference));
+        var features = [];
+        var skipped = 0;
+        featureSet.features.forEach(function (feature) {
+            var geometry = feature.geometry ? EsriJSON.parseGeometry(feature.geometry, crs) : undefined;
+            if (!geometry) {
+                skipped++;
+                return;
+            }
+            features.push({
+                type: 'Feature',
+                properties: Object.assign({}, feature.attributes),
+                geometry: geometry
+            });
+        });
+        if (skipped) {
+            console.warn("有" + skipped + "个要素缺少有效的几何，已忽略");
+        }
+        return {
+            type: 'FeatureCollection',
+            features: features
+        };
+    }
+};
+
+module.exports = EsriJSON;
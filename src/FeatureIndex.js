@@ -0,0 +1,72 @@
+var RBush = require('rbush');
+var turf = require('./turf-light');
+
+/**
+ * 要素空间索引（R树），以要素外包矩形建立索引，用于快速检索与切片范围相交的要素。
+ * 检索结果保持要素加入索引时的先后顺序，避免改变要素的绘制顺序。
+ * @param {turf.FeatureCollection|Array.<turf.Feature>}[features]
+ * @constructor
+ * @private
+ */
+function FeatureIndex(features) {
+    this._tree = new RBush();
+    this._count = 0;
+    if (features) {
+        this.load(features);
+    }
+}
+
+/**
+ * 批量加入要素
+ * @param {turf.FeatureCollection|Array.<turf.Feature>}features
+ */
+FeatureIndex.prototype.load = function (features) {
+    if (!Array.isArray(features)) {
+        features = features.features;
+    }
+    var items = [];
+    for (var i = 0; i < features.length; i++) {
+        var feature = features[i];
+        if (!feature || !feature.geometry) continue;
+        var bbox = turf.bbox(feature);
+        if (!isFinite(bbox[0])) continue;
+        items.push({
+            minX: bbox[0],
+            minY: bbox[1],
+            maxX: bbox[2],
+            maxY: bbox[3],
+            order: this._count++,
+            feature: feature
+        });
+    }
+    this._tree.load(items);
+}
+
+/**
+ * 检索外包矩形与bbox相交的要素
+ * @param {Array.<Number>}bbox [west, south, east, north]，单位为度
+ * @return {Array.<turf.Feature>}
+ */
+FeatureIndex.prototype.search = function (bbox) {
+    var items = this._tree.search({
+        minX: bbox[0],
+        minY: bbox[1],
+        maxX: bbox[2],
+        maxY: bbox[3]
+    });
+    items.sort(function (a, b) {
+        return a.order - b.order;
+    });
+    var features = new Array(items.length);
+    for (var i = 0; i < items.length; i++) {
+        features[i] = items[i].feature;
+    }
+    return features;
+}
+
+FeatureIndex.prototype.clear = function () {
+    this._tree.clear();
+    this._count = 0;
+}
+
+module.exports = FeatureIndex;
@@ -0,0 +1,249 @@
+var defined = require('./cesium/Core/defined');
+var defaultValue = require('./cesium/Core/defaultValue');
+var CesiumMath = require('./cesium/Core/Math');
+var Resource = require('./cesium/Core/Resource');
+var objectToQuery = require('./cesium/Core/objectToQuery');
+var TileCache = require('./TileCache');
+var Crs = require('./Crs');
+
+//一次请求覆盖的块数超过该值时改用上一级的块
+var MAXIMUM_BLOCK_COUNT = 16;
+
+/**
+ * 在url后追加查询参数
+ * @param {String}url
+ * @param {Object}params
+ * @return {String}
+ * @private
+ */
+function appendQuery(url, params) {
+    var query = objectToQuery(params);
+    if (!query) {
+        return url;
+    }
+    return url + (url.indexOf('?') < 0 ? '?' : /[?&]$/.test(url) ? '' : '&') + query;
+}
+
+/**
+ * 将分页链接解析为绝对地址
+ * @param {String}href
+ * @param {String}base 当前页的地址
+ * @return {String}
+ * @private
+ */
+function resolveUrl(href, base) {
+    if (/^[a-z][a-z\d+.-]*:/i.test(href) || typeof URL != 'function') {
+        return href;
+    }
+    var documentUrl = typeof location != 'undefined' ? location.href : undefined;
+    return new URL(href, new URL(base, documentUrl)).href;
+}
+
+/**
+ * 计算经纬度块的范围，第z级的块大小为180/2^z度（与经纬度切片方案的切片一致）
+ * @param {Number}x
+ * @param {Number}y
+ * @param {Number}z
+ * @return {Array.<Number>} [west, south, east, north]，单位为度
+ * @private
+ */
+function getBlockBBox(x, y, z) {
+    var size = 180 / Math.pow(2, z);
+    return [x * size - 180, 90 - (y + 1) * size, (x + 1) * size - 180, 90 - y * size];
+}
+
+function intersects(a, b) {
+    return !(a[2] < b[0] || a[0] > b[2] || a[3] < b[1] || a[1] > b[3]);
+}
+
+/**
+ * 要素服务数据源的基类（WFS、OGC API - Features），按经纬度块发送带范围参数的要素查询，
+ * 分页的结果依次请求下一页后合并，每块的查询结果缓存，相同的块不重复请求。
+ * 级别不超过maximumLevel时每个切片查询自身的范围，超过时查询maximumLevel级别的块（多个切片共用一次查询）。
+ * 子类需要实现_getItemsUrl(bbox)，可以重写_getNextUrl(json, url, count)
+ * @param {Object}options
+ * @param {String}options.url 服务地址
+ * @param {Object}[options.parameters] 附加的查询参数，如属性筛选条件
+ * @param {Object}[options.headers] 请求头
+ * @param {Number}[options.minimumLevel=0] 数据的最小级别，低于该级别时不请求数据，数据量较大时应适当提高
+ * @param {Number}[options.maximumLevel=16] 按切片范围查询的最大级别，超过该级别时使用该级别的块查询
+ * @param {Number}[options.pageSize=1000] 每页的要素数
+ * @param {Number}[options.maximumFeatures=20000] 每块最多读取的要素数，达到后不再请求下一页
+ * @param {Array.<Number>}[options.bounds] 数据范围[west, south, east, north]，范围外不请求数据
+ * @param {Number}[options.cacheSize=256] 缓存的块数
+ * @constructor
+ * @private
+ */
+function FeatureServiceSource(options) {
+    this._initialize(options);
+}
+
+FeatureServiceSource.prototype._initialize = function (options) {
+    if (!defined(options.url)) {
+        throw new Error("要素服务数据源需要指定url");
+    }
+    this._url = options.url;
+    this._parameters = options.parameters;
+    this._headers = options.headers;
+    this.minimumLevel = defaultValue(options.minimumLevel, 0);
+    this.maximumLevel = defaultValue(options.maximumLevel, 16);
+    this.pageSize = defaultValue(options.pageSize, 1000);
+    this.maximumFeatures = defaultValue(options.maximumFeatures, 20000);
+    this.bounds = options.bounds;
+    this._blocks = new TileCache({ maximumCount: defaultValue(options.cacheSize, 256) });
+    this._loading = {};
+}
+
+FeatureServiceSource.appendQuery = appendQuery;
+
+/**
+ * 第一页的查询地址
+ * @param {Array.<Number>}bbox [west, south, east, north]，单位为度
+ * @return {String}
+ * @private
+ */
+FeatureServiceSource.prototype._getItemsUrl = function (bbox) {
+    throw new Error("未实现_getItemsUrl");
+}
+
+/**
+ * 下一页的地址，取响应中rel为next的链接，没有下一页时返回undefined
+ * @param {Object}json 当前页的响应
+ * @param {String}url 当前页的地址
+ * @param {Number}count 已读取的要素数
+ * @return {String|undefined}
+ * @private
+ */
+FeatureServiceSource.prototype._getNextUrl = function (json, url, count) {
+    var links = Array.isArray(json.links) ? json.links : [];
+    for (var i = 0; i < links.length; i++) {
+        if (links[i] && links[i].rel == 'next' && links[i].href) {
+            return resolveUrl(links[i].href, url);
+        }
+    }
+    return undefined;
+}
+
+/**
+ * 读取一页要素，声明了投影坐标系（crs成员）的结果转换为经纬度
+ * @param {String}url
+ * @return {Promise.<Object>}
+ * @private
+ */
+FeatureServiceSource.prototype._fetchPage = function (url) {
+    return Promise.resolve(Resource.fetchJson({
+        url: url,
+        headers: this._headers
+    })).then(function (json) {
+        if (!json || !Array.isArray(json.features)) {
+            var message = json && (json.description || json.message || json.title);
+            throw new Error("要素服务返回的不是geojson要素集合：" + (message || url));
+        }
+        var crs = Crs.fromGeoJSON(json);
+        if (defined(crs) && !Crs.isGeographic(crs)) {
+            json.features = Crs.transformGeoJSON(json, crs).features;
+        }
+        return json;
+    });
+}
+
+/**
+ * 查询范围内的要素，依次请求各页
+ * @param {Array.<Number>}bbox [west, south, east, north]，单位为度
+ * @return {Promise.<Array.<turf.Feature>>}
+ * @private
+ */
+FeatureServiceSource.prototype._queryFeatures = function (bbox) {
+    var that = this;
+    var features = [];
+    function request(url) {
+        return that._fetchPage(url).then(function (json) {
+            Array.prototype.push.apply(features, json.features);
+            var nextUrl = json.features.length ? that._getNextUrl(json, url, features.length) : undefined;
+            if (!nextUrl) {
+                return features;
+            }
+            if (features.length >= that.maximumFeatures) {
+                console.warn("要素服务查询的要素数超过" + that.maximumFeatures + "，其余的要素已忽略，可以提高minimumLevel或者maximumFeatures");
+                return features;
+            }
+            return request(nextUrl);
+        });
+    }
+    return request(this._getItemsUrl(bbox));
+}
+
+FeatureServiceSource.prototype._loadBlock = function (x, y, z) {
+    var key = z + "/" + x + "/" + y;
+    var cached = this._blocks.get(key);
+    if (cached) {
+        return Promise.resolve(cached);
+    }
+    if (this._loading[key]) {
+        return this._loading[key];
+    }
+    var that = this;
+    var bbox = getBlockBBox(x, y, z);
+    var promise = this._queryFeatures(bbox).then(function (features) {
+        var part = {
+            bbox: bbox,
+            features: features
+        };
+        that._blocks.set(key, part);
+        delete that._loading[key];
+        return part;
+    }, function (err) {
+        delete that._loading[key];
+        throw err;
+    });
+    this._loading[key] = promise;
+    return promise;
+}
+
+/**
+ * 获取覆盖图层切片的数据，每个块为一部分，bbox为块的范围
+ * @param {Number}x
+ * @param {Number}y
+ * @param {Number}level
+ * @param {Cesium.Rectangle}rectangle 图层切片的范围
+ * @return {Promise.<Array.<{bbox:Array.<Number>,features:Array.<turf.Feature>}>>}
+ */
+FeatureServiceSource.prototype.requestTileData = function (x, y, level, rectangle) {
+    if (level < this.minimumLevel) {
+        return Promise.resolve([]);
+    }
+    var west = CesiumMath.toDegrees(rectangle.west),
+        south = CesiumMath.toDegrees(rectangle.south),
+        east = CesiumMath.toDegrees(rectangle.east),
+        north = CesiumMath.toDegrees(rectangle.north);
+    var z = Math.min(level, this.maximumLevel);
+    var minX, maxX, minY, maxY, size;
+    //Web墨卡托切片与经纬度块不对齐，一个切片可能覆盖多个块，块数较多时使用上一级的块
+    do {
+        size = 180 / Math.pow(2, z);
+        minX = Math.max(Math.floor((west + 180) / size + 1e-9), 0);
+        maxX = Math.min(Math.ceil((east + 180) / size - 1e-9) - 1, Math.pow(2, z + 1) - 1);
+        minY = Math.max(Math.floor((90 - north) / size + 1e-9), 0);
+        maxY = Math.min(Math.ceil((90 - south) / size - 1e-9) - 1, Math.pow(2, z) - 1);
+    } while ((maxX - minX + 1) * (maxY - minY + 1) > MAXIMUM_BLOCK_COUNT && z-- > 0);
+
+    var promises = [];
+    for (var bx = minX; bx <= maxX; bx++) {
+        for (var by = minY; by <= maxY; by++) {
+            if (this.bounds && !intersects(getBlockBBox(bx, by, z), this.bounds)) {
+                continue;
+            }
+            promises.push(this._loadBlock(bx, by, z));
+        }
+    }
+    return Promise.all(promises);
+}
+
+/**
+ * 清空查询结果的缓存，服务端数据更新后调用
+ */
+FeatureServiceSource.prototype.clearCache = function () {
+    this._blocks.clear();
+}
+
+module.exports = FeatureServiceSource;
@@ -0,0 +1,617 @@
+var defined = require('./cesium/Core/defined');
+var defaultValue = require('./cesium/Core/defaultValue');
+var CesiumMath = require('./cesium/Core/Math');
+var TileCache = require('./TileCache');
+var readRange = require('./utils/readRange');
+var decodeText = require('./utils/decodeText');
+var Crs = require('./Crs');
+var mapCoordinates = require('./utils/mapCoordinates');
+
+var MAGIC_BYTES = [0x66, 0x67, 0x62, 0x03, 0x66, 0x67, 0x62];
+//首次读取的字节数，一般包含完整的文件头
+var INITIAL_READ_LENGTH = 16384;
+//索引节点：minX、minY、maxX、maxY（double）和偏移（uint64）
+var NODE_ITEM_LENGTH = 40;
+//相邻要素之间的间隔小于该值时合并为一次读取
+var MERGE_GAP = 65536;
+
+var GEOMETRY_TYPES = ['Unknown', 'Point', 'LineString', 'Polygon', 'MultiPoint', 'MultiLineString', 'MultiPolygon', 'GeometryCollection'];
+
+var ColumnType = {
+    BYTE: 0,
+    UBYTE: 1,
+    BOOL: 2,
+    SHORT: 3,
+    USHORT: 4,
+    INT: 5,
+    UINT: 6,
+    LONG: 7,
+    ULONG: 8,
+    FLOAT: 9,
+    DOUBLE: 10,
+    STRING: 11,
+    JSON: 12,
+    DATETIME: 13,
+    BINARY: 14
+};
+
+/**
+ * FlatBuffers表的只读访问，只实现FlatGeobuf用到的类型
+ * @param {DataView}view
+ * @param {Number}pos 表的起始位置
+ * @private
+ */
+function Table(view, pos) {
+    this.view = view;
+    this.pos = pos;
+    this.vtable = pos - view.getInt32(pos, true);
+    this.vtableLength = view.getUint16(this.vtable, true);
+}
+
+Table.root = function (bytes) {
+    var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return new Table(view, view.getUint32(0, true));
+}
+
+//字段在表中的偏移，字段不存在时返回0
+Table.prototype.offset = function (field) {
+    var vtableOffset = 4 + field * 2;
+    return vtableOffset < this.vtableLength ? this.view.getUint16(this.vtable + vtableOffset, true) : 0;
+}
+
+Table.prototype.uint8 = function (field, defaultValue) {
+    var offset = this.offset(field);
+    return offset ? this.view.getUint8(this.pos + offset) : defaultValue;
+}
+
+Table.prototype.uint16 = function (field, defaultValue) {
+    var offset = this.offset(field);
+    return offset ? this.view.getUint16(this.pos + offset, true) : defaultValue;
+}
+
+Table.prototype.int32 = function (field, defaultValue) {
+    var offset = this.offset(field);
+    return offset ? this.view.getInt32(this.pos + offset, true) : defaultValue;
+}
+
+Table.prototype.uint64 = function (field, defaultValue) {
+    var offset = this.offset(field);
+    return offset ? readUint64(this.view, this.pos + offset) : defaultValue;
+}
+
+Table.prototype._indirect = function (field) {
+    var offset = this.offset(field);
+    if (!offset) {
+        return 0;
+    }
+    var pos = this.pos + offset;
+    return pos + this.view.getUint32(pos, true);
+}
+
+Table.prototype.string = function (field) {
+    var pos = this._indirect(field);
+    if (!pos) {
+        return undefined;
+    }
+    var length = this.view.getUint32(pos, true);
+    return decodeText(new Uint8Array(this.view.buffer, this.view.byteOffset + pos + 4, length));
+}
+
+Table.prototype.table = function (field) {
+    var pos = this._indirect(field);
+    return pos ? new Table(this.view, pos) : undefined;
+}
+
+/**
+ * 读取向量，返回{ pos: 第一个元素的位置, length: 元素个数 }
+ * @private
+ */
+Table.prototype.vector = function (field) {
+    var pos = this._indirect(field);
+    return pos ? { pos: pos + 4, length: this.view.getUint32(pos, true) } : undefined;
+}
+
+Table.prototype.doubles = function (field) {
+    var vector = this.vector(field);
+    if (!vector) {
+        return undefined;
+    }
+    var values = new Array(vector.length);
+    for (var i = 0; i < vector.length; i++) {
+        values[i] = this.view.getFloat64(vector.pos + i * 8, true);
+    }
+    return values;
+}
+
+Table.prototype.uint32s = function (field) {
+    var vector = this.vector(field);
+    if (!vector) {
+        return undefined;
+    }
+    var values = new Array(vector.length);
+    for (var i = 0; i < vector.length; i++) {
+        values[i] = this.view.getUint32(vector.pos + i * 4, true);
+    }
+    return values;
+}
+
+Table.prototype.bytes = function (field) {
+    var vector = this.vector(field);
+    return vector ? new Uint8Array(this.view.buffer, this.view.byteOffset + vector.pos, vector.length) : undefined;
+}
+
+Table.prototype.tables = function (field) {
+    var vector = this.vector(field);
+    if (!vector) {
+        return [];
+    }
+    var tables = new Array(vector.length);
+    for (var i = 0; i < vector.length; i++) {
+        var pos = vector.pos + i * 4;
+        tables[i] = new Table(this.view, pos + this.view.getUint32(pos, true));
+    }
+    return tables;
+}
+
+function readUint64(view, offset) {
+    return view.getUint32(offset + 4, true) * 4294967296 + view.getUint32(offset, true);
+}
+
+function readInt64(view, offset) {
+    return view.getInt32(offset + 4, true) * 4294967296 + view.getUint32(offset, true);
+}
+
+function parseColumns(tables) {
+    return tables.map(function (column) {
+        return {
+            name: column.string(0),
+            type: column.uint8(1, 0)
+        };
+    });
+}
+
+function parseHeader(bytes) {
+    for (var i = 0; i < MAGIC_BYTES.length; i++) {
+        if (bytes[i] !== MAGIC_BYTES[i]) {
+            throw new Error("不是有效的FlatGeobuf文件");
+        }
+    }
+    var header = Table.root(bytes.subarray(12));
+    var crs = header.table(10);
+    return {
+        name: header.string(0),
+        envelope: header.doubles(1),
+        geometryType: header.uint8(2, 0),
+        hasZ: !!header.uint8(3, 0),
+        columns: parseColumns(header.tables(7)),
+        featuresCount: header.uint64(8, 0),
+        indexNodeSize: header.uint16(9, 16),
+        srid: crs ? crs.int32(1, 0) : undefined,
+        crsWkt: crs ? crs.string(4) : undefined,
+        title: header.string(11),
+        description: header.string(12)
+    };
+}
+
+/**
+ * 计算打包的希尔伯特R树各层节点的范围，第0层为叶子节点，节点从根节点开始依次存储
+ * @param {Number}featuresCount
+ * @param {Number}nodeSize
+ * @return {Array.<Array.<Number>>} 各层的[起始节点序号, 结束节点序号)
+ * @private
+ */
+function getLevelBounds(featuresCount, nodeSize) {
+    var n = featuresCount;
+    var levelNodeCounts = [n];
+    var nodeCount = n;
+    do {
+        n = Math.ceil(n / nodeSize);
+        nodeCount += n;
+        levelNodeCounts.push(n);
+    } while (n !== 1);
+    var levelBounds = [];
+    n = nodeCount;
+    for (var i = 0; i < levelNodeCounts.length; i++) {
+        levelBounds.push([n - levelNodeCounts[i], n]);
+        n -= levelNodeCounts[i];
+    }
+    return levelBounds;
+}
+
+function parseProperties(bytes, columns) {
+    var properties = {};
+    if (!bytes || !columns) {
+        return properties;
+    }
+    var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    var pos = 0;
+    while (pos < bytes.length) {
+        var column = columns[view.getUint16(pos, true)];
+        pos += 2;
+        if (!column) {
+            break;
+        }
+        var value, length;
+        switch (column.type) {
+            case ColumnType.BYTE:
+                value = view.getInt8(pos);
+                pos += 1;
+                break;
+            case ColumnType.UBYTE:
+                value = view.getUint8(pos);
+                pos += 1;
+                break;
+            case ColumnType.BOOL:
+                value = !!view.getUint8(pos);
+                pos += 1;
+                break;
+            case ColumnType.SHORT:
+                value = view.getInt16(pos, true);
+                pos += 2;
+                break;
+            case ColumnType.USHORT:
+                value = view.getUint16(pos, true);
+                pos += 2;
+                break;
+            case ColumnType.INT:
+                value = view.getInt32(pos, true);
+                pos += 4;
+                break;
+            case ColumnType.UINT:
+                value = view.getUint32(pos, true);
+                pos += 4;
+                break;
+            case ColumnType.LONG:
+                value = readInt64(view, pos);
+                pos += 8;
+                break;
+            case ColumnType.ULONG:
+                value = readUint64(view, pos);
+                pos += 8;
+                break;
+            case ColumnType.FLOAT:
+                value = view.getFloat32(pos, true);
+                pos += 4;
+                break;
+            case ColumnType.DOUBLE:
+                value = view.getFloat64(pos, true);
+                pos += 8;
+                break;
+            case ColumnType.BINARY:
+                length = view.getUint32(pos, true);
+                value = bytes.slice(pos + 4, pos + 4 + length);
+                pos += 4 + length;
+                break;
+            default:
+                //String、Json、DateTime
+                length = view.getUint32(pos, true);
+                value = decodeText(bytes.subarray(pos + 4, pos + 4 + length));
+                pos += 4 + length;
+                if (column.type === ColumnType.JSON) {
+                    try {
+                        value = JSON.parse(value);
+                    } catch (e) {
+                        //保留原文本
+                    }
+                }
+                break;
+        }
+        properties[column.name] = value;
+    }
+    return properties;
+}
+
+function parseCoordinates(xy, z, start, end) {
+    var coordinates = [];
+    for (var i = start; i < end; i++) {
+        coordinates.push(z ? [xy[i * 2], xy[i * 2 + 1], z[i]] : [xy[i * 2], xy[i * 2 + 1]]);
+    }
+    return coordinates;
+}
+
+//按ends将坐标拆分为多段（线或环），没有ends时为一段
+function parseRings(xy, z, ends) {
+    if (!ends || !ends.length) {
+        return [parseCoordinates(xy, z, 0, xy.length / 2)];
+    }
+    var start = 0;
+    return ends.map(function (end) {
+        var ring = parseCoordinates(xy, z, start, end);
+        start = end;
+        return ring;
+    });
+}
+
+function parseGeometry(table, geometryType) {
+    var type = geometryType || table.uint8(6, 0);
+    var typeName = GEOMETRY_TYPES[type];
+    if (!typeName || typeName == 'Unknown') {
+        throw new Error("不支持的FlatGeobuf几何类型：" + type);
+    }
+    if (typeName == 'MultiPolygon' || typeName == 'GeometryCollection') {
+        var parts = table.tables(7).map(function (part) {
+            return parseGeometry(part, typeName == 'MultiPolygon' ? 3 : 0);
+        });
+        return typeName == 'MultiPolygon' ? {
+            type: typeName,
+            coordinates: parts.map(function (part) {
+                return part.coordinates;
+            })
+        } : {
+            type: typeName,
+            geometries: parts
+        };
+    }
+    var xy = table.doubles(1) || [];
+    var z = table.doubles(2);
+    switch (typeName) {
+        case 'Point':
+            return { type: typeName, coordinates: xy.length ? parseCoordinates(xy, z, 0, 1)[0] : [] };
+        case 'MultiPoint':
+        case 'LineString':
+            return { type: typeName, coordinates: parseCoordinates(xy, z, 0, xy.length / 2) };
+        default:
+            //Polygon、MultiLineString
+            return { type: typeName, coordinates: parseRings(xy, z, table.uint32s(0)) };
+    }
+}
+
+function intersects(node, bbox) {
+    return !(node[2] < bbox[0] || node[0] > bbox[2] || node[3] < bbox[1] || node[1] > bbox[3]);
+}
+
+/**
+ * FlatGeobuf数据源。利用文件中打包的希尔伯特R树空间索引，每个切片只读取与切片范围相交的要素（HTTP Range请求或Blob.slice），
+ * 不需要加载整个文件，适合大数据量的矢量数据。索引节点和已解析的要素分别缓存。
+ * 文件需要包含空间索引（如ogr2ogr默认生成的索引）。投影坐标系的要素转换为经纬度，切片范围转换为文件坐标系后查询索引，
+ * 除Web墨卡托外需要proj4，参见Crs。
+ * @param {Object}options
+ * @param {String}[options.url] FlatGeobuf文件url，服务器需要支持Range请求
+ * @param {File|Blob}[options.file] 本地FlatGeobuf文件
+ * @param {Object}[options.headers] 请求头
+ * @param {Number}[options.minimumLevel=0] 数据的最小级别，低于该级别时不读取数据，数据量较大时应适当提高
+ * @param {Array.<Number>}[options.bounds] 数据范围[west, south, east, north]，默认从文件头读取
+ * @param {Number}[options.cacheSize=10000] 缓存的已解析要素数
+ * @param {Number}[options.nodeCacheSize=512] 缓存的索引节点块数
+ * @constructor
+ * @private
+ */
+function FlatGeobufSource(options) {
+    if (!defined(options.url) && !defined(options.file)) {
+        throw new Error("FlatGeobuf数据源需要指定url或file");
+    }
+    this._url = options.url;
+    this._file = options.file;
+    this._headers = options.headers;
+    this.minimumLevel = defaultValue(options.minimumLevel, 0);
+    this.bounds = options.bounds;
+    this._features = new TileCache({ maximumCount: defaultValue(options.cacheSize, 10000) });
+    this._nodes = new TileCache({ maximumCount: defaultValue(options.nodeCacheSize, 512) });
+    this.header = undefined;
+
+    var that = this;
+    this.readyPromise = this._readBytes(0, INITIAL_READ_LENGTH).then(function (bytes) {
+        var headerLength = 12 + new DataView(bytes.buffer, bytes.byteOffset).getUint32(8, true);
+        if (headerLength <= bytes.length) {
+            return bytes;
+        }
+        return that._readBytes(0, headerLength);
+    }).then(function (bytes) {
+        var header = parseHeader(bytes);
+        if (!header.indexNodeSize || !header.featuresCount) {
+            throw new Error("FlatGeobuf文件中没有空间索引，无法按切片读取，请使用带索引的文件（如ogr2ogr -lco SPATIAL_INDEX=YES）");
+        }
+        //投影坐标系的要素坐标转换为经纬度，未知的坐标系或缺少proj4时抛出异常，参见Crs
+        that._crs = header.srid || header.crsWkt;
+        that._transform = Crs.createTransform(that._crs);
+        that.header = header;
+        that._levelBounds = getLevelBounds(header.featuresCount, header.indexNodeSize);
+        var nodeCount = that._levelBounds[0][1];
+        that._indexOffset = 12 + new DataView(bytes.buffer, bytes.byteOffset).getUint32(8, true);
+        that._featuresOffset = that._indexOffset + nodeCount * NODE_ITEM_LENGTH;
+
+        if (!that.bounds && header.envelope && header.envelope.length >= 4) {
+            that.bounds = Crs.bboxToLonLat(header.envelope.slice(0, 4), that._crs);
+        }
+        return that;
+    });
+}
+
+/**
+ * 读取指定字节范围的数据
+ * @param {Number}offset
+ * @param {Number}length
+ * @return {Promise.<Uint8Array>}
+ * @private
+ */
+FlatGeobufSource.prototype._readBytes = function (offset, length) {
+    return readRange({ url: this._url, file: this._file, headers: this._headers }, offset, length);
+}
+
+/**
+ * 读取一块索引节点（一个父节点的全部子节点），同时多读一个节点，以便计算最后一个要素的长度
+ * @param {Number}start 起始节点序号
+ * @param {Number}levelEnd 所在层的结束节点序号
+ * @return {Promise.<Array.<Array.<Number>>>} 节点数组，每个节点为[minX, minY, maxX, maxY, offset]
+ * @private
+ */
+FlatGeobufSource.prototype._readNodes = function (start, levelEnd) {
+    var key = start;
+    var cached = this._nodes.get(key);
+    if (cached) {
+        return cached;
+    }
+    var that = this;
+    var end = Math.min(start + this.header.indexNodeSize + 1, levelEnd);
+    var promise = this._readBytes(this._indexOffset + start * NODE_ITEM_LENGTH, (end - start) * NODE_ITEM_LENGTH).then(function (bytes) {
+        var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        var nodes = [];
+        for (var pos = 0; pos + NODE_ITEM_LENGTH <= bytes.length; pos += NODE_ITEM_LENGTH) {
+            nodes.push([
+                view.getFloat64(pos, true),
+                view.getFloat64(pos + 8, true),
+                view.getFloat64(pos + 16, true),
+                view.getFloat64(pos + 24, true),
+                readUint64(view, pos + 32)
+            ]);
+        }
+        return nodes;
+    });
+    promise.catch(function () {
+        that._nodes.remove(key);
+    });
+    this._nodes.set(key, promise);
+    return promise;
+}
+
+/**
+ * 在空间索引中查找与范围相交的要素
+ * @param {Array.<Number>}bbox [minX, minY, maxX, maxY]，与文件的坐标系一致
+ * @return {Promise.<Array.<{offset:Number,length:Number|undefined}>>} 要素在要素区中的偏移和长度（文件中最后一个要素的长度未知），按偏移排序
+ * @private
+ */
+FlatGeobufSource.prototype._search = function (bbox) {
+    var that = this;
+    var nodeSize = this.header.indexNodeSize;
+    var levelBounds = this._levelBounds;
+    var results = [];
+
+    function searchNode(start, level) {
+        var levelEnd = levelBounds[level][1];
+        return that._readNodes(start, levelEnd).then(function (nodes) {
+            var count = Math.min(nodeSize, levelEnd - start);
+            var children = [];
+            for (var i = 0; i < count; i++) {
+                var node = nodes[i];
+                if (!intersects(node, bbox)) continue;
+                if (level === 0) {
+                    results.push({
+                        offset: node[4],
+                        length: i + 1 < nodes.length ? nodes[i + 1][4] - node[4] : undefined
+                    });
+                } else {
+                    children.push(searchNode(node[4], level - 1));
+                }
+            }
+            return Promise.all(children);
+        });
+    }
+
+    return searchNode(0, levelBounds.length - 1).then(function () {
+        return results.sort(function (a, b) {
+            return a.offset - b.offset;
+        });
+    });
+}
+
+FlatGeobufSource.prototype._parseFeature = function (bytes) {
+    var feature = Table.root(bytes);
+    var geometryTable = feature.table(0);
+    if (!geometryTable) {
+        return undefined;
+    }
+    var featureColumns = feature.tables(2);
+    var columns = featureColumns.length ? parseColumns(featureColumns) : this.header.columns;
+    var geometry = parseGeometry(geometryTable, this.header.geometryType);
+    if (geometry && this._transform) {
+        geometry = mapCoordinates(geometry, this._transform);
+    }
+    return {
+        type: 'Feature',
+        properties: parseProperties(feature.bytes(1), columns),
+        geometry: geometry
+    };
+}
+
+/**
+ * 读取要素，相邻的要素合并为一次读取，已解析的要素从缓存中获取
+ * @param {Array.<{offset:Number,length:Number|undefined}>}items
+ * @return {Promise.<Array.<turf.Feature>>}
+ * @private
+ */
+FlatGeobufSource.prototype._readFeatures = function (items) {
+    var that = this;
+    var features = [];
+    var groups = [], group;
+    items.forEach(function (item) {
+        var cached = that._features.get(item.offset);
+        if (cached) {
+            features.push(cached);
+            return;
+        }
+        if (!defined(item.length)) {
+            //文件中最后一个要素，先读取长度
+            groups.push({ start: item.offset, end: undefined, items: [item] });
+            return;
+        }
+        if (group && group.end !== undefined && item.offset - group.end <= MERGE_GAP) {
+            group.end = item.offset + item.length;
+            group.items.push(item);
+        } else {
+            group = { start: item.offset, end: item.offset + item.length, items: [item] };
+            groups.push(group);
+        }
+    });
+
+    return Promise.all(groups.map(function (group) {
+        var offset = that._featuresOffset + group.start;
+        var promise = defined(group.end) ? that._readBytes(offset, group.end - group.start)
+            : that._readBytes(offset, 4).then(function (bytes) {
+                var length = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(0, true);
+                return that._readBytes(offset, length + 4);
+            });
+        return promise.then(function (bytes) {
+            group.items.forEach(function (item) {
+                var pos = item.offset - group.start;
+                var length = new DataView(bytes.buffer, bytes.byteOffset + pos, 4).getUint32(0, true);
+                var feature = that._parseFeature(bytes.subarray(pos + 4, pos + 4 + length));
+                if (feature) {
+                    that._features.set(item.offset, feature);
+                    features.push(feature);
+                }
+            });
+        });
+    })).then(function () {
+        return features;
+    });
+}
+
+/**
+ * 获取与图层切片范围相交的要素
+ * @param {Number}x
+ * @param {Number}y
+ * @param {Number}level
+ * @param {Cesium.Rectangle}rectangle 图层切片的范围
+ * @return {Promise.<Array.<{features:Array.<turf.Feature>}>>}
+ */
+FlatGeobufSource.prototype.requestTileData = function (x, y, level, rectangle) {
+    if (level < this.minimumLevel) {
+        return Promise.resolve([]);
+    }
+    var that = this;
+    return this.readyPromise.then(function () {
+        var bbox = [
+            CesiumMath.toDegrees(rectangle.west),
+            CesiumMath.toDegrees(rectangle.south),
+            CesiumMath.toDegrees(rectangle.east),
+            CesiumMath.toDegrees(rectangle.north)
+        ];
+        //切片范围转换为文件坐标系中的范围后查询空间索引
+        bbox = Crs.bboxFromLonLat(bbox, that._crs);
+        return bbox ? that._search(bbox) : [];
+    }).then(function (items) {
+        return that._readFeatures(items);
+    }).then(function (features) {
+        return [{ features: features }];
+    });
+}
+
+/**
+ * 清空已解析要素和索引节点的缓存
+ */
+FlatGeobufSource.prototype.clearCache = function () {
+    this._features.clear();
+    this._nodes.clear();
+}
+
+module.exports = FlatGeobufSource;
@@ -0,0 +1,232 @@
+var Resource = require('./cesium/Core/Resource');
+var readAsArrayBuffer = require('./utils/readAsArrayBuffer');
+var decodeText = require('./utils/decodeText');
+var Xml = require('./utils/Xml');
+
+var getChildren = Xml.getChildren,
+    getChild = Xml.getChild,
+    getText = Xml.getText;
+
+//作为属性读取的元数据节点
+var PROPERTY_NAMES = ['name', 'cmt', 'desc', 'src', 'sym', 'type', 'number', 'time'];
+
+function parseNumber(text) {
+    var value = parseFloat(text);
+    return isNaN(value) ? text : value;
+}
+
+function hasElementChild(node) {
+    for (var child = node.firstChild; child; child = child.nextSibling) {
+        if (child.nodeType === 1) return true;
+    }
+    return false;
+}
+
+/**
+ * 读取extensions中的叶子节点（如gpxtpx:TrackPointExtension中的hr、cad），嵌套节点展开，节点名称去掉命名空间前缀
+ * @private
+ */
+function parseExtensions(node, result) {
+    result = result || {};
+    var extensions = getChild(node, 'extensions');
+    if (!extensions) return result;
+    (function walk(parent) {
+        for (var child = parent.firstChild; child; child = child.nextSibling) {
+            if (child.nodeType !== 1) continue;
+            if (hasElementChild(child)) {
+                walk(child);
+            } else {
+                result[child.localName || child.nodeName] = parseNumber(child.textContent.trim());
+            }
+        }
+    })(extensions);
+    return result;
+}
+
+function parseProperties(node) {
+    var properties = {};
+    for (var i = 0; i < PROPERTY_NAMES.length; i++) {
+        var value = getText(node, PROPERTY_NAMES[i]);
+        if (value !== undefined) {
+            properties[PROPERTY_NAMES[i]] = PROPERTY_NAMES[i] == 'number' ? parseNumber(value) : value;
+        }
+    }
+    var link = getChild(node, 'link');
+    if (link && link.getAttribute('href')) {
+        properties.link = link.getAttribute('href');
+    }
+    return parseExtensions(node, properties);
+}
+
+function parseCoordinate(node) {
+    var coordinate = [parseFloat(node.getAttribute('lon')), parseFloat(node.getAttribute('lat'))];
+    var ele = getText(node, 'ele');
+    if (ele !== undefined && !isNaN(parseFloat(ele))) {
+        coordinate.push(parseFloat(ele));
+    }
+    return coordinate;
+}
+
+/**
+ * 读取点序列（trkseg中的trkpt或rte中的rtept），同时收集各点的时间和扩展字段
+ * @return {{coordinates:Array,times:Array.<String>,extensions:Object}}
+ * @private
+ */
+function parsePoints(nodes) {
+    var line = { coordinates: [], times: [], extensions: {} };
+    var hasTime = false;
+    for (var i = 0; i < nodes.length; i++) {
+        var coordinate = parseCoordinate(nodes[i]);
+        if (isNaN(coordinate[0]) || isNaN(coordinate[1])) continue;
+        var index = line.coordinates.length;
+        line.coordinates.push(coordinate);
+        var time = getText(nodes[i], 'time');
+        line.times.push(time === undefined ? null : time);
+        hasTime = hasTime || time !== undefined;
+        var extensions = parseExtensions(nodes[i]);
+        for (var name in extensions) {
+            if (extensions.hasOwnProperty(name)) {
+                if (!line.extensions[name]) {
+                    line.extensions[name] = [];
+                }
+                line.extensions[name][index] = extensions[name];
+            }
+        }
+    }
+    if (!hasTime) {
+        line.times = undefined;
+    }
+    return line;
+}
+
+/**
+ * 生成线要素，多段时为MultiLineString。各点的时间保存在times属性中（与坐标一一对应，MultiLineString为二维数组），
+ * 各点的扩展字段（如心率hr）以同名数组保存。这些数组对应原始几何，切片中裁剪和简化后的几何与其不再一一对应
+ * @private
+ */
+function createLineFeature(lines, properties) {
+    lines = lines.filter(function (line) {
+        return line.coordinates.length > 1;
+    });
+    if (!lines.length) {
+        return undefined;
+    }
+    var isMulti = lines.length > 1;
+    var hasTimes = lines.some(function (line) {
+        return line.times;
+    });
+    if (hasTimes) {
+        var times = lines.map(function (line) {
+            return line.times || line.coordinates.map(function () {
+                return null;
+            });
+        });
+        properties.times = isMulti ? times : times[0];
+        if (properties.time === undefined) {
+            properties.time = times[0][0];
+        }
+    }
+    lines.forEach(function (line, lineIndex) {
+        for (var name in line.extensions) {
+            //与航迹本身的属性同名时保留航迹的属性
+            if (!line.extensions.hasOwnProperty(name) || (properties.hasOwnProperty(name) && !Array.isArray(properties[name]))) continue;
+            var values = line.extensions[name];
+            values.length = line.coordinates.length;
+            if (isMulti) {
+                properties[name] = properties[name] || lines.map(function () {
+                    return [];
+                });
+                properties[name][lineIndex] = values;
+            } else {
+                properties[name] = values;
+            }
+        }
+    });
+    return {
+        type: 'Feature',
+        properties: properties,
+        geometry: {
+            type: isMulti ? 'MultiLineString' : 'LineString',
+            coordinates: isMulti ? lines.map(function (line) {
+                return line.coordinates;
+            }) : lines[0].coordinates
+        }
+    };
+}
+
+/**
+ * GPX解析：航迹（trk）和路线（rte）转换为线要素，航点（wpt）转换为点要素，
+ * name、time、ele（坐标的第三个值）和extensions中的字段转换为属性，航迹点和路线点的时间保存在times属性中。
+ * times和逐点扩展字段的数组与原始几何的坐标一一对应，VectorTileImageryProvider拾取时返回原始要素（未裁剪和简化），数组与坐标仍然对应
+ * @memberof Cesium
+ * @namespace GPX
+ */
+var GPX = {
+    /**
+     * 将GPX文档转换为geojson要素集合
+     * @param {String|Document}gpx GPX文本或已解析的xml文档
+     * @return {turf.FeatureCollection}
+     */
+    toGeoJSON: function (gpx) {
+        var doc = typeof gpx == 'string' ? Xml.parse(gpx) : gpx;
+        var root = doc.documentElement;
+        if (!root || (root.localName || root.nodeName) !== 'gpx') {
+            throw new Error("不是有效的GPX文件");
+        }
+        var features = [];
+
+        getChildren(root, 'trk').forEach(function (trk) {
+            var properties = parseProperties(trk);
+            properties.featureType = 'track';
+            var lines = getChildren(trk, 'trkseg').map(function (trkseg) {
+                return parsePoints(getChildren(trkseg, 'trkpt'));
+            });
+            var feature = createLineFeature(lines, properties);
+            if (feature) features.push(feature);
+        });
+
+        getChildren(root, 'rte').forEach(function (rte) {
+            var properties = parseProperties(rte);
+            properties.featureType = 'route';
+            var feature = createLineFeature([parsePoints(getChildren(rte, 'rtept'))], properties);
+            if (feature) features.push(feature);
+        });
+
+        getChildren(root, 'wpt').forEach(function (wpt) {
+            var coordinate = parseCoordinate(wpt);
+            if (isNaN(coordinate[0]) || isNaN(coordinate[1])) return;
+            var properties = parseProperties(wpt);
+            properties.featureType = 'waypoint';
+            if (coordinate.length > 2) {
+                properties.ele = coordinate[2];
+            }
+            features.push({
+                type: 'Feature',
+                properties: properties,
+                geometry: {
+                    type: 'Point',
+                    coordinates: coordinate
+                }
+            });
+        });
+
+        return {
+            type: 'FeatureCollection',
+            features: features
+        };
+    },
+    /**
+     * 加载GPX文件
+     * @param {String|File|Blob}source 文件url或本地文件
+     * @return {Promise.<turf.FeatureCollection>}
+     */
+    load: function (source) {
+        var promise = typeof source == 'string' ? Promise.resolve(Resource.fetchArrayBuffer(source))
+            : readAsArrayBuffer(source);
+        return promise.then(function (buffer) {
+            return GPX.toGeoJSON(decodeText(buffer));
+        });
+    }
+};
+
+module.exports = GPX;
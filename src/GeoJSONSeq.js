@@ -0,0 +1,198 @@
+var Resource = require('./cesium/Core/Resource');
+var defaultValue = require('./cesium/Core/defaultValue');
+var readAsText = require('./utils/readAsText');
+
+//RFC 8142中每条记录前的记录分隔符
+var RECORD_SEPARATOR = /^\u001e/;
+
+/**
+ * 将一行文本解析为要素数组，空行返回空数组。一行可以是要素、要素集合或者几何
+ * @private
+ */
+function parseLine(line) {
+    line = line.replace(RECORD_SEPARATOR, '').trim();
+    if (!line) {
+        return [];
+    }
+    var json = JSON.parse(line);
+    if (json.type == 'Feature') {
+        return [json];
+    }
+    if (json.type == 'FeatureCollection') {
+        return json.features;
+    }
+    if (json.type && (json.coordinates || json.geometries)) {
+        return [{
+            type: 'Feature',
+            properties: {},
+            geometry: json
+        }];
+    }
+    throw new Error("不是geojson要素：" + line.substr(0, 32));
+}
+
+/**
+ * 创建逐块写入文本的解析器，按行解析要素，要素数达到batchSize或者距上一批超过batchInterval毫秒时回调一批要素
+ * @private
+ */
+function createParser(options) {
+    var batchSize = defaultValue(options.batchSize, 1000);
+    var batchInterval = defaultValue(options.batchInterval, 300);
+    var remaining = '';
+    var batch = [];
+    var lastFlushTime = Date.now();
+    var parser = {
+        count: 0,
+        skipped: 0
+    };
+
+    function flush() {
+        if (batch.length) {
+            var features = batch;
+            batch = [];
+            parser.count += features.length;
+            options.onFeatures(features);
+        }
+        lastFlushTime = Date.now();
+    }
+
+    function addLine(line) {
+        var features;
+        try {
+            features = parseLine(line);
+        } catch (e) {
+            parser.skipped++;
+            return;
+        }
+        for (var i = 0; i < features.length; i++) {
+            batch.push(features[i]);
+            if (batch.length >= batchSize) {
+                flush();
+            }
+        }
+    }
+
+    parser.write = function (text) {
+        var lines = (remaining + text).split(/\r?\n/);
+        //最后一行可能不完整，留到下一块
+        remaining = lines.pop();
+        for (var i = 0; i < lines.length; i++) {
+            addLine(lines[i]);
+        }
+        if (Date.now() - lastFlushTime >= batchInterval) {
+            flush();
+        }
+    };
+    parser.end = function () {
+        addLine(remaining);
+        remaining = '';
+        flush();
+        if (parser.skipped) {
+            console.warn("有" + parser.skipped + "行不是有效的geojson要素，已忽略");
+        }
+        return parser.count;
+    };
+    return parser;
+}
+
+function readStream(stream, parser, encoding) {
+    var reader = stream.getReader();
+    var decoder = new TextDecoder(encoding);
+    function read() {
+        return reader.read().then(function (result) {
+            if (result.done) {
+                parser.write(decoder.decode());
+                return parser.end();
+            }
+            parser.write(decoder.decode(result.value, { stream: true }));
+            return read();
+        });
+    }
+    return read();
+}
+
+function canStream() {
+    return typeof ReadableStream !== 'undefined' && typeof TextDecoder !== 'undefined';
+}
+
+/**
+ * 换行分隔的geojson（GeoJSONSeq、NDJSON，扩展名为.geojsonl、.geojsons或.ndjson）流式解析：
+ * 通过fetch的ReadableStream边下载边解析，每行一个要素（也可以是几何或要素集合），按批回调解析出的要素。
+ * 浏览器不支持流式读取时下载完成后一次性解析
+ * @memberof Cesium
+ * @namespace GeoJSONSeq
+ */
+var GeoJSONSeq = {
+    /**
+     * 判断是否为换行分隔的geojson文件
+     * @param {String}fileName 文件名或url
+     * @return {Boolean}
+     */
+    isGeoJSONSeq: function (fileName) {
+        return /\.(geojsonl|geojsons|ndjson)$/i.test(fileName.replace(/[?#].*$/, ''));
+    },
+    /**
+     * 解析文本，返回要素集合，无效的行将被忽略
+     * @param {String}text
+     * @return {turf.FeatureCollection}
+     */
+    parse: function (text) {
+        var features = [];
+        var parser = createParser({
+            batchSize: Infinity,
+            batchInterval: Infinity,
+            onFeatures: function (batch) {
+                features = features.concat(batch);
+            }
+        });
+        parser.write(text);
+        parser.end();
+        return {
+            type: 'FeatureCollection',
+            features: features
+        };
+    },
+    /**
+     * 流式加载
+     * @param {String|File|Blob}source 文件url或本地文件
+     * @param {Object}options
+     * @param {Function}options.onFeatures 每解析出一批要素时调用，参数为要素数组
+     * @param {Number}[options.batchSize=1000] 每批最多的要素数
+     * @param {Number}[options.batchInterval=300] 每读到一块数据时，距离上一批超过该时长（毫秒）则立即回调已解析的要素
+     * @param {String}[options.encoding='utf-8'] 字符编码
+     * @return {Promise.<Number>} 全部解析完成后resolve，结果为要素数
+     */
+    load: function (source, options) {
+        var parser = createParser(options);
+        var encoding = defaultValue(options.encoding, 'utf-8');
+        if (typeof source == 'string') {
+            if (typeof fetch == 'function' && canStream()) {
+                return fetch(source).then(function (response) {
+                    if (!response.ok) {
+                        throw new Error("请求" + source + "失败：" + response.status + " " + response.statusText);
+                    }
+                    if (!response.body) {
+                        return response.text().then(function (text) {
+                            parser.write(text);
+                            return parser.end();
+                        });
+                    }
+                    return readStream(response.body, parser, encoding);
+                });
+            }
+            return Promise.resolve(Resource.fetchText(source)).then(function (text) {
+                parser.write(text);
+                return parser.end();
+            });
+        }
+        if (typeof source.stream == 'function' && canStream()) {
+            return readStream(source.stream(), parser, encoding);
+        }
+        return readAsText(source).then(function (text) {
+            parser.write(text);
+            return parser.end();
+        });
+    }
+};
+
+module.exports = GeoJSONSeq;
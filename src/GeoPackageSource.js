@@ -0,0 +1,435 @@
+var defined = require('./cesium/Core/defined');
+var defaultValue = require('./cesium/Core/defaultValue');
+var CesiumMath = require('./cesium/Core/Math');
+var Resource = require('./cesium/Core/Resource');
+var TileCache = require('./TileCache');
+var WKB = require('./WKB');
+var Crs = require('./Crs');
+var mapCoordinates = require('./utils/mapCoordinates');
+var readAsArrayBuffer = require('./utils/readAsArrayBuffer');
+var turf = require('./turf-light');
+
+//GeoPackage几何头中包络矩形的字节数，按flags中的包络类型取值
+var ENVELOPE_LENGTHS = [0, 32, 48, 48, 64];
+//R树节点中每个二维单元的字节数：rowid（int64）和minx、maxx、miny、maxy（float32）
+var RTREE_CELL_LENGTH = 24;
+//按id查询要素时每次查询的id数，避免超出SQLite参数个数的限制
+var QUERY_BATCH_SIZE = 500;
+
+function quote(name) {
+    return '"' + String(name).replace(/"/g, '""') + '"';
+}
+
+function queryAll(db, sql, params) {
+    var stmt = db.prepare(sql);
+    var rows = [];
+    try {
+        if (params) {
+            stmt.bind(params);
+        }
+        while (stmt.step()) {
+            rows.push(stmt.getAsObject());
+        }
+    } finally {
+        stmt.free();
+    }
+    return rows;
+}
+
+function tableExists(db, name) {
+    return queryAll(db, "SELECT name FROM sqlite_master WHERE type='table' AND name=?", [name]).length > 0;
+}
+
+/**
+ * 解析GeoPackage二进制几何：GP头（魔数、版本、标志、srs_id和可选的包络矩形）加标准WKB，空几何返回null
+ * @param {Uint8Array}bytes
+ * @return {Object|null} geojson几何
+ * @private
+ */
+function parseGeometry(bytes) {
+    if (!bytes || bytes.length < 8) {
+        return null;
+    }
+    if (bytes[0] !== 0x47 || bytes[1] !== 0x50) {
+        //部分工具直接写入WKB
+        return WKB.parse(bytes);
+    }
+    var flags = bytes[3];
+    if (flags & 0x10) {
+        return null;
+    }
+    var envelopeLength = ENVELOPE_LENGTHS[(flags >> 1) & 0x07];
+    if (!defined(envelopeLength)) {
+        throw new Error("GeoPackage几何头无效");
+    }
+    return WKB.parse(bytes.subarray(8 + envelopeLength));
+}
+
+/**
+ * 读取R树中与范围相交的要素id。sql.js没有编译rtree模块，直接读取R树的节点表（<rtree表名>_node），
+ * 节点数据为大端序：深度（仅根节点，2字节）、单元数（2字节），之后是各单元
+ * @param {Object}db
+ * @param {String}nodeTable
+ * @param {Array.<Number>}bbox [minX, minY, maxX, maxY]
+ * @return {Array.<Number>}
+ * @private
+ */
+function searchRTree(db, nodeTable, bbox) {
+    var stmt = db.prepare("SELECT data FROM " + quote(nodeTable) + " WHERE nodeno = ?");
+    var ids = [];
+    function readNode(nodeno) {
+        stmt.bind([nodeno]);
+        var data = stmt.step() ? stmt.get()[0] : undefined;
+        stmt.reset();
+        return data;
+    }
+    function visit(data, depth) {
+        if (!data) return;
+        var view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        var count = view.getUint16(2);
+        for (var i = 0; i < count; i++) {
+            var pos = 4 + i * RTREE_CELL_LENGTH;
+            var minX = view.getFloat32(pos + 8), maxX = view.getFloat32(pos + 12),
+                minY = view.getFloat32(pos + 16), maxY = view.getFloat32(pos + 20);
+            if (maxX < bbox[0] || minX > bbox[2] || maxY < bbox[1] || minY > bbox[3]) continue;
+            var id = view.getInt32(pos) * 4294967296 + view.getUint32(pos + 4);
+            if (depth === 0) {
+                ids.push(id);
+            } else {
+                visit(readNode(id), depth - 1);
+            }
+        }
+    }
+    try {
+        var root = readNode(1);
+        if (root) {
+            visit(root, new DataView(root.buffer, root.byteOffset, root.byteLength).getUint16(0));
+        }
+    } finally {
+        stmt.free();
+    }
+    return ids;
+}
+
+/**
+ * GeoPackage（.gpkg）矢量数据源。使用sql.js在浏览器中读取SQLite文件，解码GeoPackage二进制几何；
+ * 要素表有R树空间索引扩展时，每个切片只查询与切片范围相交的要素，否则读取全部要素后按范围筛选。
+ * 需要引用sql.js（全局函数initSqlJs），或者通过options.initSqlJs、GeoPackageSource.initSqlJs指定。
+ * 投影坐标系的要素转换为经纬度，切片范围转换为要素表坐标系后查询R树，除Web墨卡托外需要proj4，参见Crs。
+ * @param {Object}options
+ * @param {String}[options.url] GeoPackage文件url
+ * @param {File|Blob}[options.file] 本地GeoPackage文件
+ * @param {String}[options.table] 要素表名称，不指定则使用第一个要素表，文件中的要素表见tables属性
+ * @param {String|Function}[options.filter] 属性筛选条件，SQL的WHERE子句（如"landuse = '住宅'"），或者以要素属性为参数、返回布尔值的函数
+ * @param {Number}[options.minimumLevel=0] 数据的最小级别，低于该级别时不读取数据
+ * @param {Array.<Number>}[options.bounds] 数据范围[west, south, east, north]，默认从gpkg_contents读取
+ * @param {Number}[options.cacheSize=10000] 缓存的已解析要素数
+ * @param {Object}[options.headers] 请求头
+ * @param {Function}[options.initSqlJs] sql.js的初始化函数
+ * @param {Object}[options.sqlJsConfig] 传给initSqlJs的参数，如{ locateFile: function (file) { return 'lib/sql.js/' + file; } }
+ * @constructor
+ * @private
+ */
+function GeoPackageSource(options) {
+    if (!defined(options.url) && !defined(options.file)) {
+        throw new Error("GeoPackage数据源需要指定url或file");
+    }
+    this._url = options.url;
+    this._file = options.file;
+    this._headers = options.headers;
+    this._filter = options.filter;
+    this.minimumLevel = defaultValue(options.minimumLevel, 0);
+    this.bounds = options.bounds;
+    this._features = new TileCache({ maximumCount: defaultValue(options.cacheSize, 10000) });
+    this._db = undefined;
+    this._allFeatures = undefined;
+    /**
+     * 文件中的要素表，readyPromise完成后有效
+     * @type {Array.<{name:String,identifier:String,description:String,geometryColumn:String,geometryType:String,srid:Number,definition:String,extent:Array.<Number>,bounds:Array.<Number>,hasSpatialIndex:Boolean}>}
+     */
+    this.tables = [];
+    /**
+     * 当前使用的要素表
+     * @type {Object}
+     */
+    this.table = undefined;
+
+    var init = options.initSqlJs || GeoPackageSource.initSqlJs;
+    if (typeof init != 'function' && typeof initSqlJs == 'function') {
+        init = initSqlJs;
+    }
+    if (typeof init != 'function') {
+        throw new Error('找不到initSqlJs()方法，请确认是否引用了sql.js');
+    }
+
+    var that = this;
+    var bufferPromise = defined(this._file) ? readAsArrayBuffer(this._file)
+        : Promise.resolve(Resource.fetchArrayBuffer({ url: this._url, headers: this._headers }));
+    this.readyPromise = Promise.all([init(options.sqlJsConfig), bufferPromise]).then(function (results) {
+        var SQL = results[0], buffer = results[1];
+        if (!buffer) {
+            throw new Error("读取GeoPackage文件失败");
+        }
+        that._db = new SQL.Database(new Uint8Array(buffer));
+        that.tables = that._readTables();
+        if (!that.tables.length) {
+            throw new Error("GeoPackage文件中没有要素表");
+        }
+        var table = defined(options.table) ? that.tables.filter(function (table) {
+            return table.name == options.table;
+        })[0] : that.tables[0];
+        if (!table) {
+            throw new Error("GeoPackage文件中找不到要素表" + options.table + "，可用的要素表：" + that.tables.map(function (table) {
+                return table.name;
+            }).join('、'));
+        }
+        //投影坐标系的要素坐标转换为经纬度，未知的坐标系或缺少proj4时抛出异常，参见Crs
+        that._crs = getTableCrs(table);
+        that._transform = Crs.createTransform(that._crs);
+        that.table = table;
+        that._primaryKey = that._getPrimaryKey(table.name);
+        if (!that.bounds && table.extent) {
+            that.bounds = Crs.bboxToLonLat(table.extent, that._crs);
+        }
+        return that;
+    });
+}
+
+/**
+ * 要素表的坐标系：EPSG代码可以转换时使用代码，否则使用gpkg_spatial_ref_sys中的WKT定义
+ * @private
+ */
+function getTableCrs(table) {
+    try {
+        Crs.createTransform(table.srid);
+        return table.srid;
+    } catch (err) {
+        if (table.definition) {
+            return table.definition;
+        }
+        throw err;
+    }
+}
+
+/**
+ * sql.js的初始化函数，未通过options.initSqlJs指定时使用
+ * @type {Function}
+ */
+GeoPackageSource.initSqlJs = undefined;
+
+GeoPackageSource.parseGeometry = parseGeometry;
+
+/**
+ * 读取gpkg_contents中的要素表及其几何列、坐标系和范围
+ * @private
+ */
+GeoPackageSource.prototype._readTables = function () {
+    var db = this._db;
+    if (!tableExists(db, 'gpkg_contents') || !tableExists(db, 'gpkg_geometry_columns')) {
+        throw new Error("不是有效的GeoPackage文件");
+    }
+    var rows = queryAll(db, "SELECT c.table_name, c.identifier, c.description, c.min_x, c.min_y, c.max_x, c.max_y,"
+        + " g.column_name, g.geometry_type_name, g.srs_id, s.organization, s.organization_coordsys_id, s.definition"
+        + " FROM gpkg_contents c JOIN gpkg_geometry_columns g ON c.table_name = g.table_name"
+        + " LEFT JOIN gpkg_spatial_ref_sys s ON g.srs_id = s.srs_id"
+        + " WHERE c.data_type = 'features'");
+    return rows.map(function (row) {
+        var srid = row.organization && row.organization.toUpperCase() == 'EPSG' ? row.organization_coordsys_id : row.srs_id;
+        //-1和0分别为未定义的笛卡尔坐标系和地理坐标系，按经纬度处理
+        if (srid === -1) srid = 0;
+        var extent, bounds;
+        if (defined(row.min_x) && defined(row.min_y) && defined(row.max_x) && defined(row.max_y)) {
+            extent = [row.min_x, row.min_y, row.max_x, row.max_y];
+            try {
+                bounds = Crs.bboxToLonLat(extent, srid);
+            } catch (err) {
+                //坐标系未知时不提供经纬度范围，选用该要素表时再报告错误
+                bounds = undefined;
+            }
+        }
+        return {
+            name: row.table_name,
+            identifier: row.identifier,
+            description: row.description,
+            geometryColumn: row.column_name,
+            geometryType: row.geometry_type_name,
+            srid: srid,
+            definition: row.definition && row.definition != 'undefined' ? row.definition : undefined,
+            extent: extent,
+            bounds: bounds,
+            hasSpatialIndex: tableExists(db, 'rtree_' + row.table_name + '_' + row.column_name + '_node')
+        };
+    });
+}
+
+GeoPackageSource.prototype._getPrimaryKey = function (tableName) {
+    var columns = queryAll(this._db, "PRAGMA table_info(" + quote(tableName) + ")");
+    for (var i = 0; i < columns.length; i++) {
+        if (columns[i].pk && /INT/i.test(columns[i].type)) {
+            return columns[i].name;
+        }
+    }
+    return 'rowid';
+}
+
+/**
+ * 将查询结果的一行转换为要素，几何为空或者不满足筛选函数时返回null
+ * @private
+ */
+GeoPackageSource.prototype._createFeature = function (row) {
+    var geometryColumn = this.table.geometryColumn;
+    var geometry = parseGeometry(row[geometryColumn]);
+    if (!geometry) {
+        return null;
+    }
+    if (this._transform) {
+        geometry = mapCoordinates(geometry, this._transform);
+    }
+    var properties = {};
+    for (var name in row) {
+        if (row.hasOwnProperty(name) && name !== geometryColumn) {
+            properties[name] = row[name];
+        }
+    }
+    if (typeof this._filter == 'function' && !this._filter(properties)) {
+        return null;
+    }
+    return {
+        type: 'Feature',
+        properties: properties,
+        geometry: geometry
+    };
+}
+
+GeoPackageSource.prototype._getWhereClause = function () {
+    return typeof this._filter == 'string' && this._filter.trim() ? " AND (" + this._filter + ")" : "";
+}
+
+/**
+ * 按id读取要素，已解析的要素（包括不满足筛选条件的要素）从缓存中获取
+ * @param {Array.<Number>}ids
+ * @return {Array.<turf.Feature>}
+ * @private
+ */
+GeoPackageSource.prototype._readFeatures = function (ids) {
+    var that = this;
+    var features = [];
+    var missing = [];
+    ids.forEach(function (id) {
+        var cached = that._features.get(id);
+        if (cached === undefined) {
+            missing.push(id);
+        } else if (cached) {
+            features.push(cached);
+        }
+    });
+    var primaryKey = this._primaryKey;
+    var sqlPrefix = "SELECT " + (primaryKey == 'rowid' ? "rowid AS __rowid, " : "") + "* FROM " + quote(this.table.name)
+        + " WHERE " + quote(primaryKey) + " IN (";
+    for (var i = 0; i < missing.length; i += QUERY_BATCH_SIZE) {
+        var batch = missing.slice(i, i + QUERY_BATCH_SIZE);
+        var placeholders = batch.map(function () {
+            return '?';
+        }).join(',');
+        var rows = queryAll(this._db, sqlPrefix + placeholders + ")" + this._getWhereClause(), batch);
+        var found = {};
+        rows.forEach(function (row) {
+            var id = primaryKey == 'rowid' ? row.__rowid : row[primaryKey];
+            delete row.__rowid;
+            var feature = that._createFeature(row);
+            found[id] = true;
+            that._features.set(id, feature);
+            if (feature) {
+                features.push(feature);
+            }
+        });
+        //不满足SQL筛选条件的要素也缓存，避免重复查询
+        batch.forEach(function (id) {
+            if (!found[id]) {
+                that._features.set(id, null);
+            }
+        });
+    }
+    return features;
+}
+
+/**
+ * 没有空间索引时读取全部要素，并计算各要素的范围
+ * @private
+ */
+GeoPackageSource.prototype._loadAllFeatures = function () {
+    if (!this._allFeatures) {
+        var that = this;
+        var rows = queryAll(this._db, "SELECT * FROM " + quote(this.table.name) + " WHERE 1=1" + this._getWhereClause());
+        this._allFeatures = [];
+        rows.forEach(function (row) {
+            var feature = that._createFeature(row);
+            if (feature) {
+                that._allFeatures.push({ bbox: turf.bbox(feature), feature: feature });
+            }
+        });
+    }
+    return this._allFeatures;
+}
+
+/**
+ * 获取与图层切片范围相交的要素
+ * @param {Number}x
+ * @param {Number}y
+ * @param {Number}level
+ * @param {Cesium.Rectangle}rectangle 图层切片的范围
+ * @return {Promise.<Array.<{features:Array.<turf.Feature>}>>}
+ */
+GeoPackageSource.prototype.requestTileData = function (x, y, level, rectangle) {
+    if (level < this.minimumLevel) {
+        return Promise.resolve([]);
+    }
+    var that = this;
+    return this.readyPromise.then(function () {
+        var bbox = [
+            CesiumMath.toDegrees(rectangle.west),
+            CesiumMath.toDegrees(rectangle.south),
+            CesiumMath.toDegrees(rectangle.east),
+            CesiumMath.toDegrees(rectangle.north)
+        ];
+        var features;
+        if (that.table.hasSpatialIndex) {
+            var table = that.table;
+            //切片范围转换为要素表坐标系中的范围后查询R树
+            var indexBBox = Crs.bboxFromLonLat(bbox, that._crs);
+            var ids = indexBBox ? searchRTree(that._db, 'rtree_' + table.name + '_' + table.geometryColumn + '_node', indexBBox) : [];
+            features = that._readFeatures(ids);
+        } else {
+            features = [];
+            that._loadAllFeatures().forEach(function (item) {
+                var b = item.bbox;
+                if (!(b[2] < bbox[0] || b[0] > bbox[2] || b[3] < bbox[1] || b[1] > bbox[3])) {
+                    features.push(item.feature);
+                }
+            });
+        }
+        return [{ features: features }];
+    });
+}
+
+/**
+ * 清空已解析要素的缓存
+ */
+GeoPackageSource.prototype.clearCache = function () {
+    this._features.clear();
+    this._allFeatures = undefined;
+}
+
+/**
+ * 关闭数据库，释放内存
+ */
+GeoPackageSource.prototype.destroy = function () {
+    if (this._db) {
+        this._db.close();
+        this._db = undefined;
+    }
+    this._features.clear();
+    this._allFeatures = undefined;
+}
+
+module.exports = GeoPackageSource;
@@ -0,0 +1,206 @@
+var defined = require('./cesium/Core/defined');
+var defaultValue = require('./cesium/Core/defaultValue');
+var WKT = require('./WKT');
+var WKB = require('./WKB');
+var Crs = require('./Crs');
+var EsriJSON = require('./EsriJSON');
+
+//未指定几何字段时按以下名称（不区分大小写）查找
+var GEOMETRY_NAMES = ['geometry', 'geom', 'the_geom', 'wkt', 'wkb', 'shape'];
+
+function isBinary(value) {
+    return value instanceof ArrayBuffer || value instanceof Uint8Array;
+}
+
+/**
+ * 判断是否为编码的几何（WKT、EWKT、十六进制WKB或二进制WKB）
+ * @private
+ */
+function isEncodedGeometry(value) {
+    return WKT.isWKT(value) || WKB.isHex(value) || isBinary(value);
+}
+
+function isGeoJSONGeometry(value) {
+    return value && typeof value == 'object' && typeof value.type == 'string'
+        && (Array.isArray(value.coordinates) || Array.isArray(value.geometries));
+}
+
+function findGeometryName(record, geometryPropertyName) {
+    if (defined(geometryPropertyName)) {
+        return geometryPropertyName in record ? geometryPropertyName : undefined;
+    }
+    for (var name in record) {
+        if (record.hasOwnProperty(name) && GEOMETRY_NAMES.indexOf(name.toLowerCase()) > -1) {
+            return name;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * WKT、WKB几何记录解析：将几何字段为WKT/EWKT、十六进制WKB、二进制WKB或Esri JSON几何的记录数组或要素集合转换为geojson要素集合，
+ * 几何带有SRID（或spatialReference）时，坐标转换为经纬度，参见Crs
+ * @memberof Cesium
+ * @namespace GeometryRecords
+ */
+var GeometryRecords = {
+    /**
+     * 判断是否为带几何字段的记录数组，如[{geometry:'POLYGON((...))',name:'a'}]
+     * @param {*}source
+     * @param {String}[geometryPropertyName] 几何字段名，默认查找geometry、geom、the_geom、wkt、wkb、shape等字段
+     * @return {Boolean}
+     */
+    isRecords: function (source, geometryPropertyName) {
+        if (!Array.isArray(source) || !source.length) {
+            return false;
+        }
+        var record = source[0];
+        if (!record || typeof record != 'object' || record.type == 'Feature'
+            || (typeof Blob !== 'undefined' && record instanceof Blob)) {
+            return false;
+        }
+        var name = findGeometryName(record, geometryPropertyName);
+        return defined(name) && (isEncodedGeometry(record[name]) || isGeoJSONGeometry(record[name]) || EsriJSON.isGeometry(record[name]));
+    },
+    /**
+     * 判断要素集合中是否有以WKT或WKB表示的几何
+     * @param {turf.FeatureCollection}geoJSON
+     * @return {Boolean}
+     */
+    hasEncodedGeometries: function (geoJSON) {
+        return !!geoJSON && Array.isArray(geoJSON.features) && geoJSON.features.some(function (feature) {
+            return feature && isEncodedGeometry(feature.geometry);
+        });
+    },
+    /**
+     * 解析WKT、EWKT、WKB或Esri JSON几何，坐标转换为经纬度
+     * @param {String|ArrayBuffer|Uint8Array|Object}value WKT文本、十六进制WKB、二进制WKB、Esri JSON几何或者geojson几何
+     * @return {Object} geojson几何
+     */
+    parseGeometry: function (value) {
+        if (isGeoJSONGeometry(value)) {
+            return value;
+        }
+        if (EsriJSON.isGeometry(value)) {
+            return EsriJSON.parseGeometry(value);
+        }
+        var result;
+        if (WKT.isWKT(value)) {
+            result = WKT.read(value);
+        } else if (WKB.isHex(value) || isBinary(value)) {
+            result = WKB.read(value);
+        } else {
+            throw new Error("无法识别的几何：" + String(value).substr(0, 32));
+        }
+        try {
+            return Crs.toLonLat(result.geometry, result.srid);
+        } catch (err) {
+            //坐标系无法转换（如缺少proj4或未注册的SRID），与几何无效区分
+            err.srid = defaultValue(result.srid, null);
+            throw err;
+        }
+    },
+    /**
+     * 生成要素，GeometryCollection拆分为多个要素（绘制时不支持GeometryCollection），空几何返回空数组
+     * @param {Object}geometry geojson几何
+     * @param {Object}properties
+     * @return {Array.<turf.Feature>}
+     */
+    createFeatures: function (geometry, properties) {
+        if (geometry.type == 'GeometryCollection') {
+            var features = [];
+            geometry.geometries.forEach(function (child, index) {
+                Array.prototype.push.apply(features, GeometryRecords.createFeatures(child, index == 0 ? properties : Object.assign({}, properties)));
+            });
+            return features;
+        }
+        if (!geometry.coordinates.length) {
+            return [];
+        }
+        return [{
+            type: 'Feature',
+            properties: properties,
+            geometry: geometry
+        }];
+    },
+    /**
+     * 将记录数组或者几何为WKT/WKB的要素集合转换为geojson要素集合，几何无效的记录将被忽略
+     * @param {Array.<Object>|turf.FeatureCollection}source
+     * @param {Object}[options]
+     * @param {String}[options.geometryPropertyName] 记录的几何字段名，默认查找geometry、geom、the_geom、wkt、wkb、shape等字段
+     * @return {turf.FeatureCollection}
+     */
+    toGeoJSON: function (source, options) {
+        options = defaultValue(options, {});
+        var features = [];
+        //按原因统计忽略的记录：缺少几何、空几何、无法解析的几何，以及坐标系无法转换的几何（按SRID）
+        var missing = 0, empty = 0, invalid = 0;
+        var sridErrors = {};
+        function add(geometry, properties) {
+            if (!defined(geometry)) {
+                missing++;
+                return;
+            }
+            var rowFeatures;
+            try {
+                rowFeatures = GeometryRecords.createFeatures(GeometryRecords.parseGeometry(geometry), properties);
+            } catch (e) {
+                if (defined(e.srid)) {
+                    var error = sridErrors[e.srid] = sridErrors[e.srid] || { count: 0, message: e.message };
+                    error.count++;
+                } else {
+                    invalid++;
+                }
+                return;
+            }
+            if (rowFeatures.length) {
+                Array.prototype.push.apply(features, rowFeatures);
+            } else {
+                empty++;
+            }
+        }
+
+        if (Array.isArray(source)) {
+            source.forEach(function (record) {
+                var name = findGeometryName(record, options.geometryPropertyName);
+                var properties = {};
+                for (var key in record) {
+                    if (record.hasOwnProperty(key) && key !== name) {
+                        properties[key] = record[key];
+                    }
+                }
+                add(defined(name) ? record[name] : undefined, properties);
+            });
+        } else {
+            source.features.forEach(function (feature) {
+                if (isEncodedGeometry(feature.geometry)) {
+                    add(feature.geometry, feature.properties || {});
+                } else if (feature.geometry) {
+                    features.push(feature);
+                } else {
+                    missing++;
+                }
+            });
+        }
+        for (var srid in sridErrors) {
+            if (sridErrors.hasOwnProperty(srid)) {
+                console.warn("有" + sridErrors[srid].count + "条记录的坐标系（SRID=" + srid + "）无法转换为经纬度，已忽略：" + sridErrors[srid].message);
+            }
+        }
+        if (invalid) {
+            console.warn("有" + invalid + "条记录的几何无法解析，已忽略");
+        }
+        if (empty) {
+            console.warn("有" + empty + "条记录的几何为空（EMPTY），已忽略");
+        }
+        if (missing) {
+            console.warn("有" + missing + "条记录缺少几何，已忽略");
+        }
+        return {
+            type: 'FeatureCollection',
+            features: features
+        };
+    }
+};
+
+module.exports = GeometryRecords;
@@ -0,0 +1,372 @@
+var JSZip = require('jszip');
+var Resource = require('./cesium/Core/Resource');
+var getAbsoluteUri = require('./cesium/Core/getAbsoluteUri');
+var defaultValue = require('./cesium/Core/defaultValue');
+var readAsArrayBuffer = require('./utils/readAsArrayBuffer');
+var decodeText = require('./utils/decodeText');
+var Xml = require('./utils/Xml');
+
+var getChildren = Xml.getChildren,
+    getChild = Xml.getChild,
+    getText = Xml.getText,
+    getElements = Xml.getElements;
+
+var IMAGE_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    bmp: 'image/bmp',
+    svg: 'image/svg+xml'
+};
+
+/**
+ * KML颜色（aabbggrr）转换为css颜色
+ * @param {String}color
+ * @return {String}
+ * @private
+ */
+function parseColor(color) {
+    if (!color) return undefined;
+    color = color.replace('#', '');
+    if (color.length !== 8) return undefined;
+    var a = parseInt(color.substr(0, 2), 16),
+        b = parseInt(color.substr(2, 2), 16),
+        g = parseInt(color.substr(4, 2), 16),
+        r = parseInt(color.substr(6, 2), 16);
+    return 'rgba(' + [r, g, b, Math.round(a / 255 * 100) / 100].join(',') + ')';
+}
+
+function parseBoolean(value) {
+    return value === '1' || value === 'true';
+}
+
+function parseCoordinates(text) {
+    var coordinates = [];
+    var tuples = (text || '').trim().split(/\s+/);
+    for (var i = 0; i < tuples.length; i++) {
+        var values = tuples[i].split(',');
+        if (values.length < 2) continue;
+        var coordinate = [parseFloat(values[0]), parseFloat(values[1])];
+        if (isNaN(coordinate[0]) || isNaN(coordinate[1])) continue;
+        if (values.length > 2 && values[2] !== '') {
+            coordinate.push(parseFloat(values[2]));
+        }
+        coordinates.push(coordinate);
+    }
+    return coordinates;
+}
+
+function closeRing(ring) {
+    var first = ring[0], last = ring[ring.length - 1];
+    if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+        ring.push(first.slice());
+    }
+    return ring;
+}
+
+/**
+ * 解析几何，MultiGeometry展开为多个简单几何
+ * @return {Array.<{type:String,coordinates:Array}>}
+ * @private
+ */
+function parseGeometries(node) {
+    var geometries = [];
+    for (var child = node.firstChild; child; child = child.nextSibling) {
+        if (child.nodeType !== 1) continue;
+        var coordinates;
+        switch (child.localName || child.nodeName) {
+            case 'Point':
+                coordinates = parseCoordinates(getText(child, 'coordinates'));
+                if (coordinates.length) {
+                    geometries.push({ type: 'Point', coordinates: coordinates[0] });
+                }
+                break;
+            case 'LineString':
+                coordinates = parseCoordinates(getText(child, 'coordinates'));
+                if (coordinates.length > 1) {
+                    geometries.push({ type: 'LineString', coordinates: coordinates });
+                }
+                break;
+            case 'LinearRing':
+                coordinates = closeRing(parseCoordinates(getText(child, 'coordinates')));
+                if (coordinates.length > 3) {
+                    geometries.push({ type: 'Polygon', coordinates: [coordinates] });
+                }
+                break;
+            case 'Polygon':
+                var rings = [];
+                var boundaries = getChildren(child, 'outerBoundaryIs').concat(getChildren(child, 'innerBoundaryIs'));
+                for (var i = 0; i < boundaries.length; i++) {
+                    var ring = closeRing(parseCoordinates(getText(getChild(boundaries[i], 'LinearRing'), 'coordinates')));
+                    if (ring.length > 3) {
+                        rings.push(ring);
+                    }
+                }
+                if (rings.length) {
+                    geometries.push({ type: 'Polygon', coordinates: rings });
+                }
+                break;
+            case 'MultiGeometry':
+                geometries = geometries.concat(parseGeometries(child));
+                break;
+        }
+    }
+    return geometries;
+}
+
+//同类几何合并为Multi*几何，不同类型的几何分为多个要素（绘制时不支持GeometryCollection）
+function groupGeometries(geometries) {
+    var groups = {};
+    var types = [];
+    geometries.forEach(function (geometry) {
+        if (!groups[geometry.type]) {
+            groups[geometry.type] = [];
+            types.push(geometry.type);
+        }
+        groups[geometry.type].push(geometry.coordinates);
+    });
+    return types.map(function (type) {
+        var coordinates = groups[type];
+        if (coordinates.length == 1) {
+            return { type: type, coordinates: coordinates[0] };
+        }
+        return { type: 'Multi' + type, coordinates: coordinates };
+    });
+}
+
+function parseExtendedData(node, properties) {
+    var extendedData = getChild(node, 'ExtendedData');
+    if (!extendedData) return;
+    var data = getElements(extendedData, 'Data');
+    for (var i = 0; i < data.length; i++) {
+        var name = data[i].getAttribute('name');
+        if (name) {
+            properties[name] = defaultValue(getText(data[i], 'value'), '');
+        }
+    }
+    var simpleData = getElements(extendedData, 'SimpleData');
+    for (var j = 0; j < simpleData.length; j++) {
+        var simpleName = simpleData[j].getAttribute('name');
+        if (simpleName) {
+            properties[simpleName] = simpleData[j].textContent.trim();
+        }
+    }
+}
+
+/**
+ * 将KML样式转换为VectorStyle参数
+ * @param {Element}node Style节点
+ * @param {Function}resolveHref 解析图标路径的函数
+ * @return {Object}
+ * @private
+ */
+function parseStyle(node, resolveHref) {
+    var style = {};
+    var lineStyle = getChild(node, 'LineStyle');
+    if (lineStyle) {
+        var lineColor = parseColor(getText(lineStyle, 'color'));
+        if (lineColor) style.outlineColor = lineColor;
+        var width = parseFloat(getText(lineStyle, 'width'));
+        if (!isNaN(width)) style.lineWidth = width;
+    }
+    var polyStyle = getChild(node, 'PolyStyle');
+    if (polyStyle) {
+        var fillColor = parseColor(getText(polyStyle, 'color'));
+        if (fillColor) style.fillColor = fillColor;
+        var fill = getText(polyStyle, 'fill');
+        if (fill !== undefined) style.fill = parseBoolean(fill);
+        var outline = getText(polyStyle, 'outline');
+        if (outline !== undefined) style.outline = parseBoolean(outline);
+    }
+    var iconStyle = getChild(node, 'IconStyle');
+    if (iconStyle) {
+        var iconColor = parseColor(getText(iconStyle, 'color'));
+        if (iconColor) style.pointColor = iconColor;
+        var href = getText(getChild(iconStyle, 'Icon'), 'href');
+        if (href) style.markerImage = resolveHref(href);
+    }
+    var labelStyle = getChild(node, 'LabelStyle');
+    if (labelStyle) {
+        var labelColor = parseColor(getText(labelStyle, 'color'));
+        if (labelColor) style.fontColor = labelColor;
+        var scale = parseFloat(getText(labelStyle, 'scale'));
+        if (!isNaN(scale)) {
+            style.fontSize = Math.round(16 * scale);
+            style.showLabel = scale > 0;
+        }
+    }
+    return style;
+}
+
+function getStyleId(styleUrl) {
+    //只支持文档内的样式（#id）
+    if (!styleUrl || styleUrl.indexOf('#') < 0) return undefined;
+    return styleUrl.substr(styleUrl.indexOf('#') + 1);
+}
+
+function parseStyles(doc, resolveHref) {
+    var styles = {};
+    var styleNodes = getElements(doc, 'Style');
+    for (var i = 0; i < styleNodes.length; i++) {
+        var id = styleNodes[i].getAttribute('id');
+        if (id) {
+            styles[id] = parseStyle(styleNodes[i], resolveHref);
+        }
+    }
+    //StyleMap取normal状态的样式
+    var styleMaps = getElements(doc, 'StyleMap');
+    for (var j = 0; j < styleMaps.length; j++) {
+        var mapId = styleMaps[j].getAttribute('id');
+        if (!mapId) continue;
+        var pairs = getChildren(styleMaps[j], 'Pair');
+        for (var k = 0; k < pairs.length; k++) {
+            if (getText(pairs[k], 'key') !== 'normal') continue;
+            var inlineStyle = getChild(pairs[k], 'Style');
+            if (inlineStyle) {
+                styles[mapId] = parseStyle(inlineStyle, resolveHref);
+            } else {
+                styles[mapId] = styles[getStyleId(getText(pairs[k], 'styleUrl'))];
+            }
+        }
+    }
+    return styles;
+}
+
+function isZip(bytes) {
+    return bytes.length > 3 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+}
+
+/**
+ * KML/KMZ解析：Placemark（包括MultiGeometry和ExtendedData属性）转换为geojson要素，
+ * Style/StyleMap中的线、面、图标和注记样式转换为VectorStyle参数，保存在要素属性中，绘制时覆盖默认样式
+ * @memberof Cesium
+ * @namespace KML
+ */
+var KML = {
+    /**
+     * 判断是否为KML或KMZ文件
+     * @param {String}fileName 文件名或url
+     * @return {Boolean}
+     */
+    isKml: function (fileName) {
+        return /\.km[lz]$/i.test(fileName.replace(/[?#].*$/, ''));
+    },
+    /**
+     * 将KML文档转换为geojson要素集合
+     * @param {String|Document}kml KML文本或已解析的xml文档
+     * @param {Object}[options]
+     * @param {String}[options.stylePropertyName='vectorStyle'] 样式写入要素属性时使用的属性名
+     * @param {Function}[options.resolveHref] 解析图标路径的函数，参数为KML中的图标路径，返回图片url
+     * @return {turf.FeatureCollection}
+     */
+    toGeoJSON: function (kml, options) {
+        options = defaultValue(options, {});
+        var stylePropertyName = defaultValue(options.stylePropertyName, 'vectorStyle');
+        var resolveHref = defaultValue(options.resolveHref, function (href) {
+            return href;
+        });
+        var doc = typeof kml == 'string' ? Xml.parse(kml) : kml;
+
+        var styles = parseStyles(doc, resolveHref);
+        var features = [];
+        var placemarks = getElements(doc, 'Placemark');
+        for (var i = 0; i < placemarks.length; i++) {
+            var placemark = placemarks[i];
+            var properties = {};
+            var name = getText(placemark, 'name');
+            if (name !== undefined) properties.name = name;
+            var description = getText(placemark, 'description');
+            if (description !== undefined) properties.description = description;
+            var when = getText(getChild(placemark, 'TimeStamp'), 'when');
+            if (when !== undefined) properties.timestamp = when;
+            var timeSpan = getChild(placemark, 'TimeSpan');
+            if (timeSpan) {
+                properties.begin = getText(timeSpan, 'begin');
+                properties.end = getText(timeSpan, 'end');
+            }
+            parseExtendedData(placemark, properties);
+
+            var style = styles[getStyleId(getText(placemark, 'styleUrl'))];
+            var inlineStyle = getChild(placemark, 'Style');
+            if (inlineStyle) {
+                style = Object.assign({}, style, parseStyle(inlineStyle, resolveHref));
+            }
+            if (style && Object.keys(style).length) {
+                properties[stylePropertyName] = style;
+            }
+
+            var geometries = groupGeometries(parseGeometries(placemark));
+            for (var j = 0; j < geometries.length; j++) {
+                features.push({
+                    type: 'Feature',
+                    properties: j == 0 ? properties : Object.assign({}, properties),
+                    geometry: geometries[j]
+                });
+            }
+        }
+        return {
+            type: 'FeatureCollection',
+            features: features
+        };
+    },
+    /**
+     * 解析KMZ：读取压缩包中的主KML文件（doc.kml或第一个kml文件），压缩包中的图标转换为blob url
+     * @param {ArrayBuffer}buffer
+     * @param {Object}[options] 参见KML.toGeoJSON
+     * @return {turf.FeatureCollection}
+     */
+    parseKmz: function (buffer, options) {
+        var zip = new JSZip(buffer);
+        var kmlFiles = zip.file(/\.kml$/i);
+        if (!kmlFiles.length) {
+            throw new Error("KMZ文件中没有kml文件");
+        }
+        var kmlFile = zip.file('doc.kml') || kmlFiles[0];
+        var dir = kmlFile.name.indexOf('/') > -1 ? kmlFile.name.substr(0, kmlFile.name.lastIndexOf('/') + 1) : '';
+        var baseResolveHref = options && options.resolveHref;
+        var urls = {};
+        return KML.toGeoJSON(decodeText(kmlFile.asArrayBuffer()), Object.assign({}, options, {
+            resolveHref: function (href) {
+                var entry = zip.file(dir + href) || zip.file(href);
+                if (!entry) {
+                    return baseResolveHref ? baseResolveHref(href) : href;
+                }
+                if (!urls[entry.name]) {
+                    var ext = entry.name.substr(entry.name.lastIndexOf('.') + 1).toLowerCase();
+                    var blob = new Blob([entry.asArrayBuffer()], { type: IMAGE_TYPES[ext] || 'application/octet-stream' });
+                    urls[entry.name] = URL.createObjectURL(blob);
+                }
+                return urls[entry.name];
+            }
+        }));
+    },
+    /**
+     * 加载KML或KMZ（根据文件头判断）
+     * @param {String|File|Blob}source 文件url或本地文件
+     * @param {Object}[options] 参见KML.toGeoJSON
+     * @return {Promise.<turf.FeatureCollection>}
+     */
+    load: function (source, options) {
+        var promise;
+        if (typeof source == 'string') {
+            //相对路径的图标以KML文件所在路径为基准
+            options = Object.assign({
+                resolveHref: function (href) {
+                    return getAbsoluteUri(href, getAbsoluteUri(source));
+                }
+            }, options);
+            promise = Promise.resolve(Resource.fetchArrayBuffer(source));
+        } else {
+            promise = readAsArrayBuffer(source);
+        }
+        return promise.then(function (buffer) {
+            if (isZip(new Uint8Array(buffer))) {
+                return KML.parseKmz(buffer, options);
+            }
+            return KML.toGeoJSON(decodeText(buffer), options);
+        });
+    }
+};
+
+module.exports = KML;
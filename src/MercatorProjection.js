@@ -0,0 +1,59 @@
+var LonLatProjection = require('./LonLatProjection');
+
+var MAXIMUM_LATITUDE = 85.05112877980659;
+
+function latitudeToMercatorY(lat) {
+    lat = Math.max(-MAXIMUM_LATITUDE, Math.min(MAXIMUM_LATITUDE, lat));
+    var sinLat = Math.sin(lat * Math.PI / 180);
+    return 0.5 * Math.log((1 + sinLat) / (1 - sinLat));
+}
+
+function mercatorYToLatitude(y) {
+    return (2 * Math.atan(Math.exp(y)) - Math.PI / 2) * 180 / Math.PI;
+}
+
+/**
+ * Web墨卡托（EPSG:3857）投影，与LonLatProjection接口一致，用于WebMercatorTilingScheme切片的绘制。
+ * 经度方向线性变换，纬度方向按墨卡托公式变换，boundingRect的单位仍为度
+ * @param {Number}width
+ * @param {Number}height
+ * @private
+ */
+function MercatorProjection(width, height) {
+    var imageSize = { width: width, height: height };
+    var lastBoundingRect = null, yNorth, ySouth;
+
+    function updateBoundingRect(boundingRect) {
+        if (lastBoundingRect !== boundingRect
+            || lastBoundingRect.yMax !== boundingRect.yMax
+            || lastBoundingRect.yMin !== boundingRect.yMin) {
+            lastBoundingRect = boundingRect;
+            yNorth = latitudeToMercatorY(boundingRect.yMax);
+            ySouth = latitudeToMercatorY(boundingRect.yMin);
+        }
+    }
+
+    function project(coordinate, boundingRect) {
+        updateBoundingRect(boundingRect);
+        var percentX = (coordinate[0] - boundingRect.xMin) / (boundingRect.xMax - boundingRect.xMin);
+        var percentY = (yNorth - latitudeToMercatorY(coordinate[1])) / (yNorth - ySouth);
+
+        return { x: percentX * imageSize.width, y: percentY * imageSize.height };
+    }
+
+    function unproject(pt, boundingRect) {
+        updateBoundingRect(boundingRect);
+        var lon = boundingRect.xMin + (pt.x / imageSize.width) * (boundingRect.xMax - boundingRect.xMin);
+        var lat = mercatorYToLatitude(yNorth - (pt.y / imageSize.height) * (yNorth - ySouth));
+        return [lon, lat];
+    }
+
+    this.project = project;
+    this.unproject = unproject;
+    this.getBoundingRect = new LonLatProjection(width, height).getBoundingRect;
+}
+
+MercatorProjection.MAXIMUM_LATITUDE = MAXIMUM_LATITUDE;
+MercatorProjection.mercatorYToLatitude = mercatorYToLatitude;
+
+module.exports = MercatorProjection;
@@ -0,0 +1,272 @@
+var VectorTile = require('@mapbox/vector-tile').VectorTile;
+var Pbf = require('pbf');
+var defined = require('./cesium/Core/defined');
+var defaultValue = require('./cesium/Core/defaultValue');
+var CesiumMath = require('./cesium/Core/Math');
+var Resource = require('./cesium/Core/Resource');
+var MercatorProjection = require('./MercatorProjection');
+var TileCache = require('./TileCache');
+var readAsArrayBuffer = require('./utils/readAsArrayBuffer');
+
+var MAXIMUM_LATITUDE = MercatorProjection.MAXIMUM_LATITUDE;
+
+function lonToTileX(lon, z) {
+    return Math.floor((lon + 180) / 360 * Math.pow(2, z));
+}
+
+function latToTileY(lat, z) {
+    lat = Math.max(-MAXIMUM_LATITUDE, Math.min(MAXIMUM_LATITUDE, lat));
+    var sinLat = Math.sin(lat * Math.PI / 180);
+    var y = 0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI);
+    return Math.floor(y * Math.pow(2, z));
+}
+
+function tileXToLon(x, z) {
+    return x / Math.pow(2, z) * 360 - 180;
+}
+
+function tileYToLat(y, z) {
+    var n = Math.PI - 2 * Math.PI * y / Math.pow(2, z);
+    return 180 / Math.PI * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n)));
+}
+
+/**
+ * 计算Web墨卡托切片的经纬度范围
+ * @param {Number}x
+ * @param {Number}y
+ * @param {Number}z
+ * @return {Array.<Number>} [west, south, east, north]，单位为度
+ * @private
+ */
+function getTileBBox(x, y, z) {
+    return [tileXToLon(x, z), tileYToLat(y + 1, z), tileXToLon(x + 1, z), tileYToLat(y, z)];
+}
+
+function isGzip(bytes) {
+    return bytes.length > 2 && bytes[0] === 0x1f && bytes[1] === 0x8b;
+}
+
+/**
+ * 解压gzip压缩的切片（部分切片服务直接输出压缩后的pbf文件且不设置Content-Encoding）
+ * @param {Uint8Array}bytes
+ * @return {Promise.<Uint8Array>}
+ * @private
+ */
+function gunzip(bytes) {
+    if (!isGzip(bytes)) {
+        return Promise.resolve(bytes);
+    }
+    if (typeof DecompressionStream == 'undefined') {
+        return Promise.reject(new Error("当前浏览器不支持DecompressionStream，无法解压gzip压缩的切片"));
+    }
+    var stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).arrayBuffer().then(function (buffer) {
+        return new Uint8Array(buffer);
+    });
+}
+
+function getTileFileKey(file) {
+    var path = (file.webkitRelativePath || file.name).replace(/\\/g, '/');
+    var match = /(\d+)\/(\d+)\/(\d+)\.(pbf|mvt)$/i.exec(path);
+    return match ? match[1] + "/" + match[2] + "/" + match[3] : undefined;
+}
+
+/**
+ * Mapbox矢量切片（MVT/PBF）数据源。按Web墨卡托切片读取pbf，解码为经纬度坐标的geojson要素，交给VectorTileImageryProvider绘制。
+ * 图层使用经纬度切片方案时，读取覆盖该切片的多个墨卡托切片；超过数据最大级别时读取上级切片。
+ * @param {Object}options
+ * @param {String}[options.url] 切片url模板，支持{z}、{x}、{y}、{-y}（TMS行号）和{s}
+ * @param {Array.<File>}[options.files] 本地切片目录中的文件（如通过&lt;input type="file" webkitdirectory&gt;选择），按z/x/y.pbf路径匹配切片
+ * @param {Array.<String>}[options.layers] 需要显示的图层名称，不指定则显示全部图层
+ * @param {Number}[options.minimumLevel=0] 数据的最小级别，低于该级别时不显示
+ * @param {Number}[options.maximumLevel=14] 数据的最大级别，超过时使用该级别的切片
+ * @param {Array.<String>|String}[options.subdomains] {s}占位符的取值
+ * @param {Object}[options.headers] 请求头
+ * @param {String}[options.layerPropertyName='layer'] 图层名称写入要素属性时使用的属性名，样式函数中可据此区分图层
+ * @param {Array.<Number>}[options.bounds] 数据范围[west, south, east, north]，单位为度
+ * @param {Number}[options.cacheSize=64] 缓存的已解码切片数
+ * @constructor
+ * @private
+ */
+function MvtSource(options) {
+    if (!defined(options.url) && !defined(options.files)) {
+        throw new Error("MVT数据源需要指定url或files");
+    }
+    this._initialize(options);
+    this._url = options.url;
+    this._subdomains = typeof options.subdomains == 'string' ? options.subdomains.split('') : options.subdomains;
+
+    if (defined(options.files)) {
+        var files = {};
+        for (var i = 0; i < options.files.length; i++) {
+            var key = getTileFileKey(options.files[i]);
+            if (key) {
+                files[key] = options.files[i];
+            }
+        }
+        this._files = files;
+    }
+}
+
+//初始化解码和缓存相关的参数，PMTiles等基于MVT的数据源共用
+MvtSource.prototype._initialize = function (options) {
+    this._headers = options.headers;
+    this._layers = options.layers;
+    this._layerPropertyName = defaultValue(options.layerPropertyName, 'layer');
+    this.minimumLevel = defaultValue(options.minimumLevel, 0);
+    this.maximumLevel = defaultValue(options.maximumLevel, 14);
+    this.bounds = options.bounds;
+    this._tiles = new TileCache({ maximumCount: defaultValue(options.cacheSize, 64) });
+    this._loading = {};
+}
+
+MvtSource.getTileBBox = getTileBBox;
+MvtSource.gunzip = gunzip;
+
+/**
+ * 读取切片的原始数据，切片不存在（404或204）时返回undefined，其他请求错误时reject
+ * @param {Number}x
+ * @param {Number}y
+ * @param {Number}z
+ * @return {Promise.<ArrayBuffer|Uint8Array|undefined>}
+ */
+MvtSource.prototype.fetchTile = function (x, y, z) {
+    if (this._files) {
+        var file = this._files[z + "/" + x + "/" + y];
+        return file ? readAsArrayBuffer(file) : Promise.resolve(undefined);
+    }
+    var url = this._url
+        .replace('{z}', z)
+        .replace('{x}', x)
+        .replace('{y}', y)
+        .replace('{-y}', Math.pow(2, z) - 1 - y);
+    if (this._subdomains && this._subdomains.length) {
+        url = url.replace('{s}', this._subdomains[(x + y + z) % this._subdomains.length]);
+    }
+    return Promise.resolve(Resource.fetchArrayBuffer({
+        url: url,
+        headers: this._headers
+    })).catch(function (err) {
+        //稀疏的切片集中不存在的切片一般返回404或204（204时Resource返回undefined），当作空切片。
+        //其他错误（网络错误、服务器错误等）不能当作空切片，否则空切片会被缓存
+        if (err && err.statusCode === 404) {
+            return undefined;
+        }
+        throw new Error("读取MVT切片失败：" + url + (err && err.statusCode ? "（" + err.statusCode + "）" : ""));
+    });
+}
+
+/**
+ * 解码切片为geojson要素
+ * @param {ArrayBuffer|Uint8Array}data
+ * @param {Number}x
+ * @param {Number}y
+ * @param {Number}z
+ * @return {Array.<turf.Feature>}
+ */
+MvtSource.prototype.decodeTile = function (data, x, y, z) {
+    var tile = new VectorTile(new Pbf(data));
+    var layerNames = this._layers || Object.keys(tile.layers);
+    var features = [];
+    for (var i = 0; i < layerNames.length; i++) {
+        var layer = tile.layers[layerNames[i]];
+        if (!layer) continue;
+        for (var j = 0; j < layer.length; j++) {
+            var feature = layer.feature(j).toGeoJSON(x, y, z);
+            feature.properties[this._layerPropertyName] = layerNames[i];
+            features.push(feature);
+        }
+    }
+    return features;
+}
+
+MvtSource.prototype._loadTile = function (x, y, z) {
+    var key = z + "/" + x + "/" + y;
+    var cached = this._tiles.get(key);
+    if (cached) {
+        return Promise.resolve(cached);
+    }
+    if (this._loading[key]) {
+        return this._loading[key];
+    }
+    var that = this;
+    var promise = this.fetchTile(x, y, z).then(function (data) {
+        if (!data || !data.byteLength) {
+            return [];
+        }
+        return gunzip(new Uint8Array(data)).then(function (bytes) {
+            return that.decodeTile(bytes, x, y, z);
+        });
+    }).then(function (features) {
+        var part = {
+            bbox: getTileBBox(x, y, z),
+            features: features
+        };
+        that._tiles.set(key, part);
+        delete that._loading[key];
+        return part;
+    }, function (err) {
+        delete that._loading[key];
+        throw err;
+    });
+    this._loading[key] = promise;
+    return promise;
+}
+
+/**
+ * 获取覆盖图层切片的数据，每个墨卡托切片为一部分，bbox为该部分数据的有效范围（不含切片缓冲区）
+ * @param {Number}x
+ * @param {Number}y
+ * @param {Number}level
+ * @param {Cesium.Rectangle}rectangle 图层切片的范围
+ * @param {Boolean}isWebMercator 图层是否使用Web墨卡托切片方案
+ * @return {Promise.<Array.<{bbox:Array.<Number>,features:Array.<turf.Feature>}>>}
+ */
+MvtSource.prototype.requestTileData = function (x, y, level, rectangle, isWebMercator) {
+    var z = isWebMercator ? level : level + 1;
+    if (z < this.minimumLevel) {
+        return Promise.resolve([]);
+    }
+    if (isWebMercator && z <= this.maximumLevel) {
+        return this._loadTile(x, y, z).then(function (part) {
+            return [part];
+        });
+    }
+
+    var west = CesiumMath.toDegrees(rectangle.west),
+        south = CesiumMath.toDegrees(rectangle.south),
+        east = CesiumMath.toDegrees(rectangle.east),
+        north = CesiumMath.toDegrees(rectangle.north);
+    if (north <= -MAXIMUM_LATITUDE || south >= MAXIMUM_LATITUDE) {
+        return Promise.resolve([]);
+    }
+    z = Math.min(z, this.maximumLevel);
+    var minX, maxX, minY, maxY;
+    //高纬度地区一个经纬度切片可能覆盖较多墨卡托切片，限制读取的切片数
+    do {
+        minX = lonToTileX(west, z);
+        maxX = Math.min(lonToTileX(east, z), Math.pow(2, z) - 1);
+        minY = latToTileY(north, z);
+        maxY = Math.min(latToTileY(south, z), Math.pow(2, z) - 1);
+        //切片边界恰好落在墨卡托切片的边界上时不读取相邻切片
+        if (maxX > minX && tileXToLon(maxX, z) >= east) maxX--;
+        if (maxY > minY && tileYToLat(maxY, z) <= south) maxY--;
+    } while ((maxX - minX + 1) * (maxY - minY + 1) > 16 && z-- > this.minimumLevel);
+
+    var promises = [];
+    for (var tx = minX; tx <= maxX; tx++) {
+        for (var ty = minY; ty <= maxY; ty++) {
+            promises.push(this._loadTile(tx, ty, z));
+        }
+    }
+    return Promise.all(promises);
+}
+
+/**
+ * 清空已解码切片的缓存
+ */
+MvtSource.prototype.clearCache = function () {
+    this._tiles.clear();
+}
+
+module.exports = MvtSource;
@@ -0,0 +1,40 @@
+var defined = require('./cesium/Core/defined');
+var FeatureServiceSource = require('./FeatureServiceSource');
+
+/**
+ * OGC API - Features数据源，请求要素集合的items，使用bbox参数按切片范围筛选、limit参数分页，
+ * 依次请求响应中rel为next的链接读取后续各页。坐标为默认的CRS84（经度在前）
+ * @param {Object}options 除以下参数外，parameters（如{ filter: "...", 'filter-lang': 'cql2-text' }）、headers、minimumLevel、maximumLevel、
+ * pageSize、maximumFeatures、bounds、cacheSize参数见FeatureServiceSource
+ * @param {String}options.url 要素集合的地址（如'.../collections/buildings'或'.../collections/buildings/items'），
+ * 指定collection时为服务的根地址
+ * @param {String}[options.collection] 要素集合的id
+ * @constructor
+ * @private
+ */
+function OgcFeaturesSource(options) {
+    this._initialize(options);
+    var url = this._url.replace(/\/+$/, '');
+    if (defined(options.collection)) {
+        url += '/collections/' + encodeURIComponent(options.collection);
+    }
+    //地址中可能已经带有查询参数
+    var index = url.indexOf('?');
+    var path = index < 0 ? url : url.substr(0, index);
+    if (!/\/items$/.test(path)) {
+        url = path + '/items' + (index < 0 ? '' : url.substr(index));
+    }
+    this._url = url;
+}
+
+OgcFeaturesSource.prototype = Object.create(FeatureServiceSource.prototype);
+OgcFeaturesSource.prototype.constructor = OgcFeaturesSource;
+
+OgcFeaturesSource.prototype._getItemsUrl = function (bbox) {
+    return FeatureServiceSource.appendQuery(this._url, Object.assign({
+        bbox: bbox.join(','),
+        limit: this.pageSize
+    }, this._parameters));
+}
+
+module.exports = OgcFeaturesSource;
@@ -0,0 +1,292 @@
+var defined = require('./cesium/Core/defined');
+var defaultValue = require('./cesium/Core/defaultValue');
+var MvtSource = require('./MvtSource');
+var TileCache = require('./TileCache');
+var readRange = require('./utils/readRange');
+
+var HEADER_LENGTH = 127;
+//首次读取的字节数，规范要求头和根目录位于文件的前16KB
+var INITIAL_READ_LENGTH = 16384;
+var MAXIMUM_DIRECTORY_DEPTH = 3;
+
+var Compression = {
+    UNKNOWN: 0,
+    NONE: 1,
+    GZIP: 2,
+    BROTLI: 3,
+    ZSTD: 4
+};
+
+var TileType = {
+    UNKNOWN: 0,
+    MVT: 1
+};
+
+function readUint64(view, offset) {
+    return view.getUint32(offset + 4, true) * 4294967296 + view.getUint32(offset, true);
+}
+
+function readVarint(buffer) {
+    var result = 0, shift = 1, byte;
+    do {
+        if (buffer.pos >= buffer.bytes.length) {
+            throw new Error("PMTiles目录数据不完整");
+        }
+        byte = buffer.bytes[buffer.pos++];
+        result += (byte & 0x7f) * shift;
+        shift *= 128;
+    } while (byte & 0x80);
+    return result;
+}
+
+function rotate(n, xy, rx, ry) {
+    if (ry === 0) {
+        if (rx === 1) {
+            xy[0] = n - 1 - xy[0];
+            xy[1] = n - 1 - xy[1];
+        }
+        var t = xy[0];
+        xy[0] = xy[1];
+        xy[1] = t;
+    }
+}
+
+/**
+ * 计算切片编号：低级别的切片数之和加上切片在该级别希尔伯特曲线上的序号
+ * @param {Number}z
+ * @param {Number}x
+ * @param {Number}y
+ * @return {Number}
+ * @private
+ */
+function zxyToTileId(z, x, y) {
+    var acc = (Math.pow(4, z) - 1) / 3;
+    var xy = [x, y];
+    var d = 0;
+    for (var s = Math.pow(2, z) / 2; s >= 1; s /= 2) {
+        var rx = (xy[0] & s) > 0 ? 1 : 0;
+        var ry = (xy[1] & s) > 0 ? 1 : 0;
+        d += s * s * ((3 * rx) ^ ry);
+        rotate(s, xy, rx, ry);
+    }
+    return acc + d;
+}
+
+function parseHeader(bytes) {
+    if (bytes.length < HEADER_LENGTH || String.fromCharCode.apply(null, bytes.subarray(0, 7)) !== "PMTiles") {
+        throw new Error("不是有效的PMTiles文件");
+    }
+    if (bytes[7] !== 3) {
+        throw new Error("不支持的PMTiles版本：" + bytes[7] + "，仅支持第3版");
+    }
+    var view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    return {
+        rootDirectoryOffset: readUint64(view, 8),
+        rootDirectoryLength: readUint64(view, 16),
+        metadataOffset: readUint64(view, 24),
+        metadataLength: readUint64(view, 32),
+        leafDirectoryOffset: readUint64(view, 40),
+        leafDirectoryLength: readUint64(view, 48),
+        tileDataOffset: readUint64(view, 56),
+        tileDataLength: readUint64(view, 64),
+        internalCompression: bytes[97],
+        tileCompression: bytes[98],
+        tileType: bytes[99],
+        minZoom: bytes[100],
+        maxZoom: bytes[101],
+        bounds: [
+            view.getInt32(102, true) / 1e7,
+            view.getInt32(106, true) / 1e7,
+            view.getInt32(110, true) / 1e7,
+            view.getInt32(114, true) / 1e7
+        ]
+    };
+}
+
+/**
+ * 解析目录，条目按切片编号排序，runLength为0的条目指向下级目录
+ * @param {Uint8Array}bytes
+ * @return {Array.<{tileId:Number,offset:Number,length:Number,runLength:Number}>}
+ * @private
+ */
+function parseDirectory(bytes) {
+    var buffer = { bytes: bytes, pos: 0 };
+    var count = readVarint(buffer);
+    var entries = new Array(count);
+    var i, tileId = 0;
+    for (i = 0; i < count; i++) {
+        tileId += readVarint(buffer);
+        entries[i] = { tileId: tileId, offset: 0, length: 0, runLength: 0 };
+    }
+    for (i = 0; i < count; i++) {
+        entries[i].runLength = readVarint(buffer);
+    }
+    for (i = 0; i < count; i++) {
+        entries[i].length = readVarint(buffer);
+    }
+    for (i = 0; i < count; i++) {
+        var offset = readVarint(buffer);
+        //偏移为0表示紧接上一条目的数据
+        entries[i].offset = offset === 0 && i > 0 ? entries[i - 1].offset + entries[i - 1].length : offset - 1;
+    }
+    return entries;
+}
+
+function findEntry(entries, tileId) {
+    var m = 0, n = entries.length - 1;
+    while (m <= n) {
+        var k = (m + n) >> 1;
+        var cmp = tileId - entries[k].tileId;
+        if (cmp > 0) {
+            m = k + 1;
+        } else if (cmp < 0) {
+            n = k - 1;
+        } else {
+            return entries[k];
+        }
+    }
+    if (n >= 0 && (entries[n].runLength === 0 || tileId - entries[n].tileId < entries[n].runLength)) {
+        return entries[n];
+    }
+    return undefined;
+}
+
+function decompress(bytes, compression) {
+    switch (compression) {
+        case Compression.UNKNOWN:
+        case Compression.NONE:
+        case Compression.GZIP:
+            //gunzip根据文件头判断是否需要解压
+            return MvtSource.gunzip(bytes);
+        default:
+            return Promise.reject(new Error("不支持的PMTiles压缩方式：" + compression));
+    }
+}
+
+/**
+ * PMTiles（第3版）矢量切片归档数据源。先读取文件头和根目录，之后每个切片只读取所需的字节范围（HTTP Range请求或Blob.slice），
+ * 解码方式与MvtSource相同。
+ * @param {Object}options 除以下参数外，layers、layerPropertyName、cacheSize等参数同MvtSource
+ * @param {String}[options.url] PMTiles文件url，服务器需要支持Range请求
+ * @param {File|Blob}[options.file] 本地PMTiles文件
+ * @param {Object}[options.headers] 请求头
+ * @param {Number}[options.minimumLevel] 数据的最小级别，默认从文件头读取
+ * @param {Number}[options.maximumLevel] 数据的最大级别，默认从文件头读取
+ * @param {Array.<Number>}[options.bounds] 数据范围[west, south, east, north]，默认从文件头读取
+ * @param {Number}[options.directoryCacheSize=64] 缓存的下级目录数
+ * @constructor
+ * @private
+ */
+function PMTilesSource(options) {
+    if (!defined(options.url) && !defined(options.file)) {
+        throw new Error("PMTiles数据源需要指定url或file");
+    }
+    this._initialize(options);
+    this._url = options.url;
+    this._file = options.file;
+    this._directories = new TileCache({ maximumCount: defaultValue(options.directoryCacheSize, 64) });
+    this.header = undefined;
+
+    var that = this;
+    this.readyPromise = this._readBytes(0, INITIAL_READ_LENGTH).then(function (bytes) {
+        var header = parseHeader(bytes);
+        if (header.tileType !== TileType.MVT && header.tileType !== TileType.UNKNOWN) {
+            throw new Error("PMTiles文件中不是矢量切片（tileType：" + header.tileType + "），无法绘制");
+        }
+        that.header = header;
+        that.minimumLevel = defaultValue(options.minimumLevel, header.minZoom);
+        that.maximumLevel = defaultValue(options.maximumLevel, header.maxZoom);
+        that.bounds = defaultValue(options.bounds, header.bounds);
+
+        var rootEnd = header.rootDirectoryOffset + header.rootDirectoryLength;
+        var rootBytes = rootEnd <= bytes.length ? bytes.subarray(header.rootDirectoryOffset, rootEnd) : undefined;
+        return that._readDirectory(header.rootDirectoryOffset, header.rootDirectoryLength, rootBytes);
+    }).then(function (entries) {
+        that._rootDirectory = entries;
+        return that;
+    });
+}
+
+PMTilesSource.prototype = Object.create(MvtSource.prototype);
+PMTilesSource.prototype.constructor = PMTilesSource;
+
+PMTilesSource.zxyToTileId = zxyToTileId;
+
+/**
+ * 读取指定字节范围的数据
+ * @param {Number}offset
+ * @param {Number}length
+ * @return {Promise.<Uint8Array>}
+ * @private
+ */
+PMTilesSource.prototype._readBytes = function (offset, length) {
+    return readRange({ url: this._url, file: this._file, headers: this._headers }, offset, length);
+}
+
+PMTilesSource.prototype._readDirectory = function (offset, length, bytes) {
+    var compression = this.header.internalCompression;
+    var promise = bytes ? Promise.resolve(bytes) : this._readBytes(offset, length);
+    return promise.then(function (bytes) {
+        return decompress(bytes, compression);
+    }).then(parseDirectory);
+}
+
+PMTilesSource.prototype._getLeafDirectory = function (offset, length) {
+    var key = offset + "," + length;
+    var entries = this._directories.get(key);
+    if (entries) {
+        return Promise.resolve(entries);
+    }
+    var that = this;
+    return this._readDirectory(this.header.leafDirectoryOffset + offset, length).then(function (entries) {
+        that._directories.set(key, entries);
+        return entries;
+    });
+}
+
+/**
+ * 在目录中查找切片并读取切片数据，切片不存在时返回undefined
+ * @param {Number}x
+ * @param {Number}y
+ * @param {Number}z
+ * @return {Promise.<Uint8Array|undefined>}
+ */
+PMTilesSource.prototype.fetchTile = function (x, y, z) {
+    var that = this;
+    var tileId = zxyToTileId(z, x, y);
+
+    function search(entries, depth) {
+        var entry = findEntry(entries, tileId);
+        if (!entry) {
+            return Promise.resolve(undefined);
+        }
+        if (entry.runLength > 0) {
+            return that._readBytes(that.header.tileDataOffset + entry.offset, entry.length);
+        }
+        if (depth >= MAXIMUM_DIRECTORY_DEPTH) {
+            return Promise.reject(new Error("PMTiles目录层级过深"));
+        }
+        return that._getLeafDirectory(entry.offset, entry.length).then(function (leaf) {
+            return search(leaf, depth + 1);
+        });
+    }
+
+    return this.readyPromise.then(function () {
+        return search(that._rootDirectory, 1);
+    }).then(function (bytes) {
+        if (bytes && that.header.tileCompression > Compression.GZIP) {
+            return decompress(bytes, that.header.tileCompression);
+        }
+        return bytes;
+    });
+}
+
+/**
+ * 清空已解码切片和目录的缓存
+ */
+PMTilesSource.prototype.clearCache = function () {
+    this._tiles.clear();
+    this._directories.clear();
+}
+
+module.exports = PMTilesSource;
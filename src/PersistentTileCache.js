@@ -0,0 +1,295 @@
+var defaultValue = require('./cesium/Core/defaultValue');
+
+var STORE_NAME = "tiles";
+
+function requestToPromise(request) {
+    return new Promise(function (resolve, reject) {
+        request.onsuccess = function () {
+            resolve(request.result);
+        };
+        request.onerror = function () {
+            reject(request.error);
+        };
+    });
+}
+
+function transactionToPromise(transaction) {
+    return new Promise(function (resolve, reject) {
+        transaction.oncomplete = function () {
+            resolve();
+        };
+        transaction.onerror = transaction.onabort = function () {
+            reject(transaction.error);
+        };
+    });
+}
+
+/**
+ * 字符串哈希（djb2），用于生成样式签名
+ * @param {String}str
+ * @return {String}
+ */
+function hashString(str) {
+    var hash = 5381;
+    for (var i = 0; i < str.length; i++) {
+        hash = ((hash << 5) + hash + str.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(16);
+}
+
+/**
+ * 将切片图片编码为png
+ * @param {HTMLCanvasElement|ImageBitmap}image
+ * @return {Promise.<Blob>}
+ */
+function encodeImage(image) {
+    var canvas = image;
+    if (!(typeof HTMLCanvasElement !== 'undefined' && image instanceof HTMLCanvasElement)) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            canvas = new OffscreenCanvas(image.width, image.height);
+        } else {
+            canvas = document.createElement("canvas");
+            canvas.width = image.width;
+            canvas.height = image.height;
+        }
+        canvas.getContext("2d").drawImage(image, 0, 0);
+    }
+    if (canvas.convertToBlob) {
+        return canvas.convertToBlob({ type: "image/png" });
+    }
+    return new Promise(function (resolve) {
+        canvas.toBlob(resolve, "image/png");
+    });
+}
+
+/**
+ * 将png解码为可直接交给Cesium的图片
+ * @param {Blob}blob
+ * @return {Promise.<ImageBitmap|HTMLImageElement>}
+ */
+function decodeImage(blob) {
+    if (typeof createImageBitmap !== 'undefined') {
+        return createImageBitmap(blob);
+    }
+    return new Promise(function (resolve, reject) {
+        var url = URL.createObjectURL(blob);
+        var image = new Image();
+        image.onload = function () {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = function (e) {
+            URL.revokeObjectURL(url);
+            reject(e);
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * 基于IndexedDB的持久化切片缓存，保存绘制好的切片（png），刷新页面后不需要重新裁剪和绘制。
+ * 切片以数据源标识、签名（样式哈希和数据版本）和切片行列号为键，同一数据源不同签名（如不同样式的图层）的切片互不覆盖，
+ * 总大小超过上限时按最近访问时间淘汰，不再使用的签名的切片随之淘汰。
+ * @param {Object}options
+ * @param {String}options.source 数据源标识，一般为数据的url
+ * @param {String}options.signature 签名，样式或数据变化时签名随之变化
+ * @param {String}[options.databaseName='CesiumVectorTile'] 数据库名称
+ * @param {Number}[options.maximumBytes=104857600] 缓存总大小上限（字节），默认100MB
+ * @constructor
+ * @private
+ */
+function PersistentTileCache(options) {
+    this._source = options.source;
+    this._signature = options.signature;
+    this._databaseName = defaultValue(options.databaseName, "CesiumVectorTile");
+    this.maximumBytes = defaultValue(options.maximumBytes, 100 * 1024 * 1024);
+    this._bytes = 0;
+    this._db = undefined;
+    this._readyPromise = undefined;
+}
+
+/**
+ * 当前环境是否支持IndexedDB
+ * @return {Boolean}
+ */
+PersistentTileCache.isSupported = function () {
+    return typeof indexedDB !== 'undefined';
+}
+
+PersistentTileCache.hashString = hashString;
+
+/**
+ * 打开数据库并统计缓存大小
+ * @return {Promise.<PersistentTileCache>}
+ */
+PersistentTileCache.prototype.open = function () {
+    if (this._readyPromise) {
+        return this._readyPromise;
+    }
+    var that = this;
+    var request = indexedDB.open(this._databaseName, 1);
+    request.onupgradeneeded = function () {
+        var store = request.result.createObjectStore(STORE_NAME, { keyPath: "key" });
+        store.createIndex("time", "time");
+    };
+    this._readyPromise = requestToPromise(request).then(function (db) {
+        that._db = db;
+        return that._computeBytes();
+    }).then(function () {
+        return that._trim();
+    }).then(function () {
+        return that;
+    });
+    return this._readyPromise;
+}
+
+PersistentTileCache.prototype._getKey = function (x, y, level) {
+    return this._source + "|" + this._signature + "|" + level + "/" + x + "/" + y;
+}
+
+//统计缓存大小
+PersistentTileCache.prototype._computeBytes = function () {
+    var that = this;
+    var transaction = this._db.transaction(STORE_NAME, "readonly");
+    var cursorRequest = transaction.objectStore(STORE_NAME).openCursor();
+    this._bytes = 0;
+    cursorRequest.onsuccess = function () {
+        var cursor = cursorRequest.result;
+        if (!cursor) {
+            return;
+        }
+        that._bytes += cursor.value.bytes;
+        cursor["continue"]();
+    };
+    return transactionToPromise(transaction);
+}
+
+//按最近访问时间淘汰，直到不超过大小上限
+PersistentTileCache.prototype._trim = function () {
+    if (this._bytes <= this.maximumBytes) {
+        return Promise.resolve();
+    }
+    var that = this;
+    var transaction = this._db.transaction(STORE_NAME, "readwrite");
+    var cursorRequest = transaction.objectStore(STORE_NAME).index("time").openCursor();
+    cursorRequest.onsuccess = function () {
+        var cursor = cursorRequest.result;
+        if (!cursor || that._bytes <= that.maximumBytes) {
+            return;
+        }
+        that._bytes -= cursor.value.bytes;
+        cursor["delete"]();
+        cursor["continue"]();
+    };
+    return transactionToPromise(transaction);
+}
+
+/**
+ * 更新签名（如运行时修改了样式），之后读写新签名的切片，原签名的切片保留，超过大小上限时淘汰
+ * @param {String}signature
+ */
+PersistentTileCache.prototype.setSignature = function (signature) {
+    this._signature = signature;
+}
+
+/**
+ * 读取切片，不存在时返回undefined
+ * @param {Number}x
+ * @param {Number}y
+ * @param {Number}level
+ * @return {Promise.<ImageBitmap|HTMLImageElement|undefined>}
+ */
+PersistentTileCache.prototype.get = function (x, y, level) {
+    var that = this;
+    return this.open().then(function () {
+        var transaction = that._db.transaction(STORE_NAME, "readwrite");
+        var store = transaction.objectStore(STORE_NAME);
+        return requestToPromise(store.get(that._getKey(x, y, level))).then(function (record) {
+            if (!record) {
+                return undefined;
+            }
+            //更新访问时间
+            record.time = Date.now();
+            store.put(record);
+            return decodeImage(record.blob);
+        });
+    });
+}
+
+/**
+ * 保存切片
+ * @param {Number}x
+ * @param {Number}y
+ * @param {Number}level
+ * @param {HTMLCanvasElement|ImageBitmap}image
+ * @return {Promise}
+ */
+PersistentTileCache.prototype.put = function (x, y, level, image) {
+    var that = this;
+    return Promise.all([this.open(), encodeImage(image)]).then(function (results) {
+        var blob = results[1];
+        if (!blob) {
+            return;
+        }
+        var transaction = that._db.transaction(STORE_NAME, "readwrite");
+        var store = transaction.objectStore(STORE_NAME);
+        var key = that._getKey(x, y, level);
+        //覆盖已有的切片时减去原切片的大小
+        var replacedBytes = 0;
+        var getRequest = store.get(key);
+        getRequest.onsuccess = function () {
+            if (getRequest.result) {
+                replacedBytes = getRequest.result.bytes;
+            }
+            store.put({
+                key: key,
+                source: that._source,
+                signature: that._signature,
+                blob: blob,
+                bytes: blob.size,
+                time: Date.now()
+            });
+        };
+        return transactionToPromise(transaction).then(function () {
+            that._bytes += blob.size - replacedBytes;
+            return that._trim();
+        });
+    });
+}
+
+/**
+ * 删除本数据源的所有切片
+ * @return {Promise}
+ */
+PersistentTileCache.prototype.clear = function () {
+    var that = this;
+    return this.open().then(function () {
+        var transaction = that._db.transaction(STORE_NAME, "readwrite");
+        var cursorRequest = transaction.objectStore(STORE_NAME).openCursor();
+        cursorRequest.onsuccess = function () {
+            var cursor = cursorRequest.result;
+            if (!cursor) {
+                return;
+            }
+            if (cursor.value.source === that._source) {
+                that._bytes -= cursor.value.bytes;
+                cursor["delete"]();
+            }
+            cursor["continue"]();
+        };
+        return transactionToPromise(transaction);
+    });
+}
+
+/**
+ * 关闭数据库
+ */
+PersistentTileCache.prototype.close = function () {
+    if (this._db) {
+        this._db.close();
+        this._db = undefined;
+    }
+    this._readyPromise = undefined;
+}
+
+module.exports = PersistentTileCache;
@@ -0,0 +1,356 @@
+var JSZip = require('jszip');
+var Resource = require('./cesium/Core/Resource');
+var defined = require('./cesium/Core/defined');
+var defaultValue = require('./cesium/Core/defaultValue');
+var readAsArrayBuffer = require('./utils/readAsArrayBuffer');
+var readAsText = require('./utils/readAsText');
+var mapCoordinates = require('./utils/mapCoordinates');
+var Crs = require('./Crs');
+
+//shapefile中需要读取的文件，.shp和.dbf为二进制，.prj和.cpg为文本
+var BINARY_EXTENSIONS = ['shp', 'dbf'];
+var TEXT_EXTENSIONS = ['prj', 'cpg'];
+
+//.cpg中的代码页与字符编码的对应关系
+var CODE_PAGES = {
+    '65001': 'utf-8',
+    'utf8': 'utf-8',
+    '936': 'gbk',
+    'gb2312': 'gbk',
+    '54936': 'gb18030',
+    '950': 'big5',
+    '932': 'shift_jis',
+    '949': 'euc-kr',
+    '1252': 'windows-1252',
+    '88591': 'iso-8859-1'
+};
+
+//dbf文件头第29字节（语言驱动标记）与字符编码的对应关系，0x57等表示系统默认代码页，无法确定编码
+var LANGUAGE_DRIVERS = {
+    0x4D: 'gbk',
+    0x4F: 'big5',
+    0x13: 'shift_jis',
+    0x4E: 'euc-kr'
+};
+
+//根据内容判断编码时最多检查的字节数
+var MAX_DETECT_BYTES = 1024 * 1024;
+
+function matchLayer(layer, names) {
+    for (var i = 0; i < names.length; i++) {
+        var name = String(names[i]).toLowerCase().replace(/\\/g, '/').replace(/\.shp$/, '');
+        if (name == layer.name.toLowerCase() || name == layer.path.toLowerCase()) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * 统计字节序列中有效和无效的UTF-8多字节字符数
+ * @private
+ */
+function scanUtf8(bytes, start, end) {
+    var valid = 0, invalid = 0, gb18030 = 0;
+    var i = start;
+    while (i < end) {
+        var b = bytes[i];
+        if (b < 0x80) {
+            i++;
+            continue;
+        }
+        //GB18030的四字节字符：第二、四字节为数字0~9
+        if (b >= 0x81 && b <= 0xFE && i + 3 < end && bytes[i + 1] >= 0x30 && bytes[i + 1] <= 0x39
+            && bytes[i + 2] >= 0x81 && bytes[i + 2] <= 0xFE && bytes[i + 3] >= 0x30 && bytes[i + 3] <= 0x39) {
+            gb18030++;
+        }
+        var length = b >= 0xC2 && b <= 0xDF ? 1 : b >= 0xE0 && b <= 0xEF ? 2 : b >= 0xF0 && b <= 0xF4 ? 3 : -1;
+        var ok = length > 0;
+        for (var k = 1; ok && k <= length; k++) {
+            ok = i + k < end && (bytes[i + k] & 0xC0) == 0x80;
+        }
+        if (ok) {
+            valid++;
+            i += length + 1;
+        } else {
+            invalid++;
+            i++;
+        }
+    }
+    return { valid: valid, invalid: invalid, gb18030: gb18030 };
+}
+
+function addScan(result, scan) {
+    result.valid += scan.valid;
+    result.invalid += scan.invalid;
+    result.gb18030 += scan.gb18030;
+}
+
+function sidecarUrl(url, extension) {
+    return url.replace(/\.shp(?=$|[?#])/i, '.' + extension);
+}
+
+function fetchOptional(url, text) {
+    var promise = Promise.resolve(text ? Resource.fetchText(url) : Resource.fetchArrayBuffer(url));
+    return promise.then(function (data) {
+        return defined(data) ? data : undefined;
+    }, function () {
+        return undefined;
+    });
+}
+
+function findFile(files, extension) {
+    for (var i = 0; i < files.length; i++) {
+        if (files[i].name && files[i].name.toLowerCase().endsWith('.' + extension)) {
+            return files[i];
+        }
+    }
+    return undefined;
+}
+
+/**
+ * shapefile解析：支持url、本地文件以及zip压缩包（包括子目录中的多个图层），读取.shp、.dbf以及可选的.prj、.cpg，
+ * 按.prj（或者指定的坐标系）将坐标转换为经纬度，缺少.prj时不进行坐标转换。属性的字符编码依次使用指定的编码、.cpg中的编码、dbf文件头的语言驱动标记，
+ * 都没有时根据dbf内容判断为UTF-8或GBK/GB18030。解析shp和dbf使用shpjs（全局shp或VectorTileImageryProvider.shp）
+ * @memberof Cesium
+ * @namespace Shapefile
+ */
+var Shapefile = {
+    /**
+     * 判断是否为zip文件
+     * @param {String}fileName 文件名或url
+     * @return {Boolean}
+     */
+    isZip: function (fileName) {
+        return /\.zip$/i.test(fileName.replace(/[?#].*$/, ''));
+    },
+    /**
+     * 将.cpg中的代码页转换为字符编码名称，如'65001'、'UTF-8'转换为'utf-8'，'936'、'ANSI 936'转换为'gbk'
+     * @param {String}cpg .cpg文件内容
+     * @return {String|undefined}
+     */
+    encodingFromCpg: function (cpg) {
+        if (!cpg || !cpg.trim()) return undefined;
+        var name = cpg.trim().toLowerCase();
+        var codePage = name.replace(/^(ansi|oem|cp|windows)[\s_-]*/, '').replace(/[\s_-]/g, '');
+        return CODE_PAGES[codePage] || CODE_PAGES[name.replace(/[\s_-]/g, '')] || name;
+    },
+    /**
+     * 确定dbf属性的字符编码：依次使用.cpg中的编码、dbf文件头的语言驱动标记，都没有时根据属性内容判断，
+     * 内容为有效的UTF-8时返回'utf-8'，否则返回'gbk'（含有GB18030四字节字符时返回'gb18030'）
+     * @param {ArrayBuffer|Uint8Array}dbf
+     * @param {String}[cpg] .cpg文件内容
+     * @return {String}
+     */
+    detectEncoding: function (dbf, cpg) {
+        var encoding = Shapefile.encodingFromCpg(cpg);
+        if (encoding) return encoding;
+
+        var bytes = dbf instanceof Uint8Array ? dbf : new Uint8Array(dbf);
+        if (bytes.length < 32) return 'utf-8';
+        encoding = LANGUAGE_DRIVERS[bytes[29]];
+        if (encoding) return encoding;
+
+        //字段描述中只有字段名（前11字节）是文本，字段长度等二进制字节（如254宽度的0xFE）不参与判断
+        var headerLength = bytes[8] | (bytes[9] << 8);
+        var result = { valid: 0, invalid: 0, gb18030: 0 };
+        for (var offset = 32; offset + 32 <= headerLength && bytes[offset] != 0x0D; offset += 32) {
+            addScan(result, scanUtf8(bytes, offset, offset + 11));
+        }
+        addScan(result, scanUtf8(bytes, Math.max(headerLength, 32), Math.min(bytes.length, MAX_DETECT_BYTES)));
+        //字段截断可能把UTF-8字符截成无效字节，少量无效字节不影响判断
+        if (result.invalid == 0 || result.valid > result.invalid * 10) {
+            return 'utf-8';
+        }
+        return result.gb18030 > 0 ? 'gb18030' : 'gbk';
+    },
+    /**
+     * 列出压缩包中的shapefile图层，没有.shp文件的文件组将被忽略
+     * @param {ArrayBuffer|Uint8Array}buffer
+     * @return {Array.<{name:String,path:String,shp:Uint8Array,dbf:Uint8Array|undefined,prj:String|undefined,cpg:String|undefined}>}
+     */
+    readZip: function (buffer) {
+        var zip = new JSZip(buffer);
+        var groups = {}, paths = [];
+        zip.file(/.+/).forEach(function (entry) {
+            var path = entry.name.replace(/\\/g, '/');
+            //跳过macOS压缩时生成的资源文件
+            if (entry.dir || /(^|\/)__MACOSX\//.test(path) || /(^|\/)\._/.test(path)) {
+                return;
+            }
+            var match = /^(.*)\.([^.\/]+)$/.exec(path);
+            if (!match) return;
+            var extension = match[2].toLowerCase();
+            var isBinary = BINARY_EXTENSIONS.indexOf(extension) > -1;
+            if (!isBinary && TEXT_EXTENSIONS.indexOf(extension) < 0) return;
+            //同一图层的文件扩展名大小写可能不一致，按不区分大小写的路径分组
+            var key = match[1].toLowerCase();
+            if (!groups[key]) {
+                groups[key] = { path: match[1] };
+                paths.push(key);
+            }
+            groups[key][extension] = isBinary ? entry.asUint8Array() : entry.asText().trim();
+        });
+        return paths.filter(function (key) {
+            return groups[key].shp;
+        }).map(function (key) {
+            var group = groups[key];
+            return {
+                name: group.path.substr(group.path.lastIndexOf('/') + 1),
+                path: group.path,
+                shp: group.shp,
+                dbf: group.dbf,
+                prj: group.prj || undefined,
+                cpg: group.cpg || undefined
+            };
+        });
+    },
+    /**
+     * 将shapefile图层转换为geojson要素集合，多个图层合并为一个要素集合，
+     * 要素集合的encoding属性为属性使用的字符编码（多个图层编码不同时以逗号分隔）
+     * @param {Array.<{name:String,path:String,shp:ArrayBuffer|Uint8Array,dbf:ArrayBuffer|Uint8Array|undefined,prj:String|undefined,cpg:String|undefined}>}layers
+     * @param {Object}parser shpjs，需要提供parseShp(shp, prj)和parseDbf(dbf, encoding)方法
+     * @param {Object}[options]
+     * @param {String|Array.<String>}[options.layers] 需要加载的图层名称（不含扩展名）或者路径，不指定则加载全部图层
+     * @param {String}[options.layerPropertyName] 图层名称写入要素属性时使用的属性名，要素已有同名属性时不写入，不指定则不写入
+     * @param {String}[options.encoding] 属性的字符编码，不指定则根据.cpg或者dbf内容确定，参见Shapefile.detectEncoding
+     * @param {Number|String}[options.sourceCrs] 坐标系，不指定则使用.prj，参见Crs
+     * @return {turf.FeatureCollection}
+     */
+    toGeoJSON: function (layers, parser, options) {
+        options = defaultValue(options, {});
+        var layerPropertyName = options.layerPropertyName;
+        if (defined(options.layers)) {
+            var names = Array.isArray(options.layers) ? options.layers : [options.layers];
+            var allLayers = layers;
+            layers = layers.filter(function (layer) {
+                return matchLayer(layer, names);
+            });
+            if (!layers.length) {
+                throw new Error("找不到图层" + names.join('、') + "，可用的图层：" + allLayers.map(function (layer) {
+                    return layer.path;
+                }).join('、'));
+            }
+        }
+
+        var features = [], encodings = [];
+        layers.forEach(function (layer) {
+            var transform, prj;
+            try {
+                transform = Crs.createTransform(defaultValue(options.sourceCrs, layer.prj));
+            } catch (err) {
+                if (defined(options.sourceCrs)) {
+                    throw err;
+                }
+                //没有proj4或者proj4无法解析.prj时交给shpjs处理
+                prj = layer.prj;
+            }
+            var geometries = parser.parseShp(layer.shp, prj);
+            if (transform) {
+                geometries = geometries.map(function (geometry) {
+                    return geometry ? mapCoordinates(geometry, transform) : geometry;
+                });
+            }
+            var records = [];
+            if (layer.dbf) {
+                var encoding = options.encoding || Shapefile.detectEncoding(layer.dbf, layer.cpg);
+                if (encodings.indexOf(encoding) < 0) {
+                    encodings.push(encoding);
+                }
+                records = parser.parseDbf(layer.dbf, encoding);
+            }
+            for (var i = 0; i < geometries.length; i++) {
+                var properties = records[i] || {};
+                if (layerPropertyName && !properties.hasOwnProperty(layerPropertyName)) {
+                    properties[layerPropertyName] = layer.name;
+                }
+                features.push({
+                    type: 'Feature',
+                    properties: properties,
+                    geometry: geometries[i]
+                });
+            }
+        });
+        return {
+            type: 'FeatureCollection',
+            features: features,
+            encoding: encodings.length ? encodings.join(',') : undefined
+        };
+    },
+    /**
+     * 加载zip压缩的shapefile，图层名称默认写入要素的layer属性
+     * @param {String|File|Blob}source 文件url或本地文件
+     * @param {Object}parser shpjs，参见Shapefile.toGeoJSON
+     * @param {Object}[options] 参见Shapefile.toGeoJSON
+     * @return {Promise.<turf.FeatureCollection>}
+     */
+    loadZip: function (source, parser, options) {
+        options = Object.assign({ layerPropertyName: 'layer' }, options);
+        var promise = typeof source == 'string' ? Promise.resolve(Resource.fetchArrayBuffer(source))
+            : readAsArrayBuffer(source);
+        return promise.then(function (buffer) {
+            var layers = Shapefile.readZip(buffer);
+            if (!layers.length) {
+                throw new Error("压缩包中没有shapefile文件");
+            }
+            return Shapefile.toGeoJSON(layers, parser, options);
+        });
+    },
+    /**
+     * 通过url加载shapefile，同时请求同名的.dbf、.prj和.cpg文件，.dbf、.prj和.cpg不存在时忽略
+     * @param {String}url .shp文件的url
+     * @param {Object}parser shpjs，参见Shapefile.toGeoJSON
+     * @param {Object}[options] 参见Shapefile.toGeoJSON
+     * @return {Promise.<turf.FeatureCollection>}
+     */
+    loadUrl: function (url, parser, options) {
+        return Promise.all([
+            Promise.resolve(Resource.fetchArrayBuffer(url)),
+            fetchOptional(sidecarUrl(url, 'dbf')),
+            fetchOptional(sidecarUrl(url, 'prj'), true),
+            fetchOptional(sidecarUrl(url, 'cpg'), true)
+        ]).then(function (results) {
+            var path = url.replace(/[?#].*$/, '').replace(/\.shp$/i, '');
+            return Shapefile.toGeoJSON([{
+                name: path.substr(path.lastIndexOf('/') + 1),
+                path: path,
+                shp: results[0],
+                dbf: results[1],
+                prj: results[2] ? results[2].trim() : undefined,
+                cpg: results[3]
+            }], parser, options);
+        });
+    },
+    /**
+     * 加载本地shapefile，文件中必须包含.shp和.dbf，.prj和.cpg可选
+     * @param {Array.<File>|FileList}files
+     * @param {Object}parser shpjs，参见Shapefile.toGeoJSON
+     * @param {Object}[options] 参见Shapefile.toGeoJSON
+     * @return {Promise.<turf.FeatureCollection>}
+     */
+    loadFiles: function (files, parser, options) {
+        var shpFile = findFile(files, 'shp'), dbfFile = findFile(files, 'dbf'),
+            prjFile = findFile(files, 'prj'), cpgFile = findFile(files, 'cpg');
+        if (!shpFile || !dbfFile) {
+            return Promise.reject(new Error("打开文件失败,请通过ctrl+同时选择shp、dbf以及prj、cpg（可选）文件"));
+        }
+        return Promise.all([
+            readAsArrayBuffer(shpFile),
+            readAsArrayBuffer(dbfFile),
+            prjFile ? readAsText(prjFile) : undefined,
+            cpgFile ? readAsText(cpgFile) : undefined
+        ]).then(function (results) {
+            var name = shpFile.name.replace(/\.shp$/i, '');
+            return Shapefile.toGeoJSON([{
+                name: name,
+                path: name,
+                shp: results[0],
+                dbf: results[1],
+                prj: results[2] ? results[2].trim() : undefined,
+                cpg: results[3]
+            }], parser, options);
+        });
+    }
+};
+
+module.exports = Shapefile;
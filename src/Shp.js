@@ -1,9 +1,17 @@
 ﻿
 var shp = require('shpjs/lib/index.js');
-var readAsArrayBuffer = require('./utils/readAsArrayBuffer');
-var readAsText = require('./utils/readAsText');
+var Shapefile = require('./Shapefile');
 var Path = require('./utils/Path');
 
+function findShpFile(files) {
+    for (var i = 0; i < files.length; i++) {
+        if (/\.shp$/i.test(files[i].name)) {
+            return files[i];
+        }
+    }
+    return undefined;
+}
+
 var Shp = Object.assign(shp, {
     groupFiles: function (files) {
         var group = {};
@@ -16,37 +24,20 @@ var Shp = Object.assign(shp, {
         }
         return group;
     },
+    /**
+     * 解析本地shapefile，文件中必须包含.shp和.dbf，.prj和.cpg可选
+     * @param {Array.<File>|FileList}files
+     * @param {String}[encoding] 属性的字符编码，不指定则根据.cpg或者dbf内容确定
+     * @return {Promise.<turf.FeatureCollection>}
+     */
     parseShpFiles: function (files, encoding) {
-        if (!files || files.length > 0) {
-            var shpFile, dbfFile, prjFile;
-            for (var i = 0; i < files.length; i++) {
-                if (files[i].name.toLocaleLowerCase().indexOf(".shp") > 0) {
-                    shpFile = files[i];
-                }
-                if (files[i].name.toLocaleLowerCase().indexOf(".prj") > 0) {
-                    prjFile = files[i];
-                }
-                if (files[i].name.toLocaleLowerCase().indexOf(".dbf") > 0) {
-                    dbfFile = files[i];
-                }
-            }
-            if (!shpFile || !prjFile || !dbfFile) {
-                // throw new Error("打开文件失败,请通过ctrl+同时选择shp、prj、dbf三个文件");
-                return Promise.reject(new Error("打开文件失败,请通过ctrl+同时选择shp、prj、dbf三个文件"));
-            }
-
-            return readAsArrayBuffer(shpFile).then(function (shpBuffer) {
-                return readAsText(prjFile).then(function (prjBuffer) {
-                    return readAsArrayBuffer(dbfFile).then(function (dbfBuffer) {
-                        var parsed = shp.combine([shp.parseShp(shpBuffer, prjBuffer), shp.parseDbf(dbfBuffer, encoding)]);
-                        parsed.fileName = shpFile.name.toLocaleLowerCase();
-                        return parsed;
-                    })
-                })
-            })
-        } else {
+        if (!files || !files.length) {
             return Promise.reject(new Error("文件列表不能为空"));
         }
+        return Shapefile.loadFiles(files, shp, { encoding: encoding }).then(function (parsed) {
+            parsed.fileName = findShpFile(files).name.toLocaleLowerCase();
+            return parsed;
+        });
     }
 });
 
@@ -0,0 +1,218 @@
+var defined = require('./cesium/Core/defined');
+var defaultValue = require('./cesium/Core/defaultValue');
+
+function getImageBytes(image) {
+    if (!image || !image.width || !image.height) {
+        return 0;
+    }
+    return image.width * image.height * 4;
+}
+
+//切片已经返回给Cesium或leaflet，淘汰时不能调用ImageBitmap的close()，由垃圾回收释放
+function releaseEntry(entry) {
+    if (entry.image) {
+        entry.image.srcJson = null;
+    }
+    entry.image = null;
+}
+
+/**
+ * 最近最少使用（LRU）切片缓存，超过数量上限或内存上限时逐个淘汰最久未使用的切片，被固定（pin）的切片不会被淘汰。
+ * 切片占用的内存按图片宽×高×4字节估算。
+ * @param {Object}[options]
+ * @param {Number}[options.maximumCount=200] 最大缓存切片数
+ * @param {Number}[options.maximumBytes] 最大缓存内存（字节），不指定则只按数量限制
+ * @constructor
+ * @private
+ */
+function TileCache(options) {
+    options = defaultValue(options, {});
+    this.maximumCount = defaultValue(options.maximumCount, 200);
+    this.maximumBytes = options.maximumBytes;
+    this._entries = {};
+    this._pinned = {};
+    //双向链表，head为最近使用，tail为最久未使用
+    this._head = null;
+    this._tail = null;
+    this._count = 0;
+    this._bytes = 0;
+}
+
+Object.defineProperties(TileCache.prototype, {
+    /**
+     * 当前缓存的切片数
+     * @memberof TileCache.prototype
+     * @type {Number}
+     */
+    count: {
+        get: function () {
+            return this._count;
+        }
+    },
+    /**
+     * 当前缓存切片估算占用的内存（字节）
+     * @memberof TileCache.prototype
+     * @type {Number}
+     */
+    bytes: {
+        get: function () {
+            return this._bytes;
+        }
+    }
+});
+
+TileCache.prototype._unlink = function (entry) {
+    if (entry.prev) {
+        entry.prev.next = entry.next;
+    } else {
+        this._head = entry.next;
+    }
+    if (entry.next) {
+        entry.next.prev = entry.prev;
+    } else {
+        this._tail = entry.prev;
+    }
+    entry.prev = entry.next = null;
+}
+
+TileCache.prototype._linkHead = function (entry) {
+    entry.prev = null;
+    entry.next = this._head;
+    if (this._head) {
+        this._head.prev = entry;
+    }
+    this._head = entry;
+    if (!this._tail) {
+        this._tail = entry;
+    }
+}
+
+/**
+ * 获取缓存的切片，并将其标记为最近使用
+ * @param {String}key
+ * @return {HTMLCanvasElement|ImageBitmap|undefined}
+ */
+TileCache.prototype.get = function (key) {
+    var entry = this._entries[key];
+    if (!entry) {
+        return undefined;
+    }
+    if (entry !== this._head) {
+        this._unlink(entry);
+        this._linkHead(entry);
+    }
+    return entry.image;
+}
+
+/**
+ * 缓存切片，超出上限时淘汰最久未使用的切片
+ * @param {String}key
+ * @param {HTMLCanvasElement|ImageBitmap}image
+ */
+TileCache.prototype.set = function (key, image) {
+    var entry = this._entries[key];
+    if (entry) {
+        if (entry.image !== image) {
+            this._bytes -= entry.bytes;
+            releaseEntry(entry);
+            entry.image = image;
+            entry.bytes = getImageBytes(image);
+            this._bytes += entry.bytes;
+        }
+        this._unlink(entry);
+    } else {
+        entry = {
+            key: key,
+            image: image,
+            bytes: getImageBytes(image),
+            prev: null,
+            next: null
+        };
+        this._entries[key] = entry;
+        this._count++;
+        this._bytes += entry.bytes;
+    }
+    this._linkHead(entry);
+    this.trim();
+}
+
+/**
+ * 移除缓存的切片
+ * @param {String}key
+ */
+TileCache.prototype.remove = function (key) {
+    var entry = this._entries[key];
+    if (!entry) {
+        return;
+    }
+    this._unlink(entry);
+    delete this._entries[key];
+    this._count--;
+    this._bytes -= entry.bytes;
+    releaseEntry(entry);
+}
+
+/**
+ * 从最久未使用的切片开始淘汰，直到数量和内存都不超过上限，跳过被固定的切片
+ */
+TileCache.prototype.trim = function () {
+    var entry = this._tail;
+    while (entry && (this._count > this.maximumCount
+        || (defined(this.maximumBytes) && this._bytes > this.maximumBytes))) {
+        var prev = entry.prev;
+        if (!this._pinned[entry.key]) {
+            this.remove(entry.key);
+        }
+        entry = prev;
+    }
+}
+
+/**
+ * 固定切片，固定的切片不会被淘汰。可以在切片缓存之前固定
+ * @param {String}key
+ */
+TileCache.prototype.pin = function (key) {
+    this._pinned[key] = true;
+}
+
+/**
+ * 取消固定切片
+ * @param {String}key
+ */
+TileCache.prototype.unpin = function (key) {
+    delete this._pinned[key];
+    this.trim();
+}
+
+/**
+ * 取消固定所有切片
+ */
+TileCache.prototype.unpinAll = function () {
+    this._pinned = {};
+    this.trim();
+}
+
+/**
+ * 获取所有缓存切片的键
+ * @return {Array.<String>}
+ */
+TileCache.prototype.keys = function () {
+    return Object.keys(this._entries);
+}
+
+/**
+ * 清空缓存，不影响切片的固定状态
+ */
+TileCache.prototype.clear = function () {
+    for (var key in this._entries) {
+        if (this._entries.hasOwnProperty(key)) {
+            releaseEntry(this._entries[key]);
+        }
+    }
+    this._entries = {};
+    this._head = this._tail = null;
+    this._count = 0;
+    this._bytes = 0;
+}
+
+module.exports = TileCache;
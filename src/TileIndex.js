@@ -0,0 +1,210 @@
+var defaultValue = require('./cesium/Core/defaultValue');
+var CesiumMath = require('./cesium/Core/Math');
+var turf = require('./turf-light');
+var TopologySimplifier = require('./TopologySimplifier');
+
+//要素的范围，不写入要素的bbox属性，以免修改数据源中的要素
+var featureBBoxes = new WeakMap();
+
+function getFeatureBBox(feature) {
+    var bbox = featureBBoxes.get(feature);
+    if (!bbox) {
+        bbox = turf.bbox(feature);
+        featureBBoxes.set(feature, bbox);
+    }
+    return bbox;
+}
+
+function clipFeatures(features, bbox) {
+    var clippedFeatures = [];
+    for (var i = 0; i < features.length; i++) {
+        var feature = features[i];
+        var featureBBox = getFeatureBBox(feature);
+        if (featureBBox[0] > bbox[2] || featureBBox[2] < bbox[0]
+            || featureBBox[1] > bbox[3] || featureBBox[3] < bbox[1]) {
+            continue;
+        }
+        var clipped;
+        try {
+            clipped = turf.bboxClip(feature, bbox);
+        } catch (e) {
+            //裁剪后环的顶点数不足时turf会抛出异常，忽略该要素
+            continue;
+        }
+        var coordinates = clipped.geometry.coordinates;
+        var empty = true;
+        for (var j = 0; j < coordinates.length; j++) {
+            if (coordinates[j].length > 0) {
+                empty = false;
+                break;
+            }
+        }
+        if (!empty) {
+            clippedFeatures.push(clipped);
+        }
+    }
+    return clippedFeatures;
+}
+
+function simplifyFeatures(simplifier, features, tolerance) {
+    return features.map(function (feature) {
+        return simplifier.simplify(feature, tolerance);
+    });
+}
+
+function getKey(x, y, z) {
+    return z + "/" + x + "/" + y;
+}
+
+/**
+ * 预处理四叉树切片索引（参考geojson-vt）。按需从最近的已切分祖先瓦片逐级裁剪出子瓦片，
+ * 每一级按该级别的像素分辨率简化，瓦片范围向外扩展buffer像素以避免线宽和符号在瓦片边缘被截断。
+ * 超过maxZoom的级别不再简化，直接从maxZoom瓦片的原始精度数据裁剪。
+ * 点要素不参与切分。
+ * @param {Object}options
+ * @param {Cesium.TilingScheme}options.tilingScheme 切片方案
+ * @param {Array.<turf.Feature>}[options.polygons] 面要素
+ * @param {Array.<turf.Feature>}[options.lines] 线要素
+ * @param {Array.<turf.Feature>}[options.outlines] 面要素的边界线
+ * @param {Number}[options.tileWidth=256] 瓦片宽度（像素）
+ * @param {Number}[options.buffer=64] 瓦片缓冲区大小（像素）
+ * @param {Number}[options.tolerance=1] 简化公差（像素）
+ * @param {Number}[options.maxZoom=14] 切分和简化的最大级别
+ * @constructor
+ * @private
+ */
+function TileIndex(options) {
+    this._tilingScheme = options.tilingScheme;
+    this._tileWidth = defaultValue(options.tileWidth, 256);
+    this._buffer = defaultValue(options.buffer, 64);
+    this._tolerance = defaultValue(options.tolerance, 1);
+    this._maxZoom = defaultValue(options.maxZoom, 14);
+    this._tiles = {};
+
+    var source = {
+        polygons: defaultValue(options.polygons, []),
+        lines: defaultValue(options.lines, []),
+        outlines: defaultValue(options.outlines, [])
+    };
+    var numberOfTilesX = this._tilingScheme.getNumberOfXTilesAtLevel(0);
+    var numberOfTilesY = this._tilingScheme.getNumberOfYTilesAtLevel(0);
+    for (var x = 0; x < numberOfTilesX; x++) {
+        for (var y = 0; y < numberOfTilesY; y++) {
+            this._createTile(source, x, y, 0);
+        }
+    }
+}
+
+/**
+ * 获取指定级别的简化公差（度）
+ * @param {Number}level
+ * @return {Number}
+ */
+TileIndex.prototype.getTolerance = function (level) {
+    var tileWidthInDegrees = 360.0 / this._tilingScheme.getNumberOfXTilesAtLevel(level);
+    return this._tolerance * tileWidthInDegrees / this._tileWidth;
+}
+
+TileIndex.prototype._getBufferedBBox = function (x, y, level) {
+    var rectangle = this._tilingScheme.tileXYToRectangle(x, y, level);
+    var west = CesiumMath.toDegrees(rectangle.west),
+        south = CesiumMath.toDegrees(rectangle.south),
+        east = CesiumMath.toDegrees(rectangle.east),
+        north = CesiumMath.toDegrees(rectangle.north);
+    var bufferX = (east - west) * this._buffer / this._tileWidth,
+        bufferY = (north - south) * this._buffer / this._tileWidth;
+    return [west - bufferX, south - bufferY, east + bufferX, north + bufferY];
+}
+
+TileIndex.prototype._createTile = function (source, x, y, z) {
+    var bbox = this._getBufferedBBox(x, y, z);
+    var clipped = {
+        polygons: clipFeatures(source.polygons, bbox),
+        lines: clipFeatures(source.lines, bbox),
+        outlines: clipFeatures(source.outlines, bbox)
+    };
+    if (!clipped.polygons.length && !clipped.lines.length && !clipped.outlines.length) {
+        return null;
+    }
+
+    var tile = { x: x, y: y, z: z };
+    if (z < this._maxZoom) {
+        //保留原始精度的数据，用于继续切分子瓦片
+        tile.source = clipped;
+        //瓦片内的面、线、边界线一起构建拓扑，共享的边界简化结果一致
+        var tolerance = this.getTolerance(z);
+        var simplifier = new TopologySimplifier(clipped.polygons.concat(clipped.lines, clipped.outlines));
+        tile.polygons = simplifyFeatures(simplifier, clipped.polygons, tolerance);
+        tile.lines = simplifyFeatures(simplifier, clipped.lines, tolerance);
+        tile.outlines = simplifyFeatures(simplifier, clipped.outlines, tolerance);
+    } else {
+        tile.source = null;
+        tile.polygons = clipped.polygons;
+        tile.lines = clipped.lines;
+        tile.outlines = clipped.outlines;
+    }
+    this._tiles[getKey(x, y, z)] = tile;
+    return tile;
+}
+
+//切分为4个子瓦片，切分后释放原始精度的数据
+TileIndex.prototype._splitTile = function (tile) {
+    var z = tile.z + 1;
+    for (var i = 0; i < 2; i++) {
+        for (var j = 0; j < 2; j++) {
+            this._createTile(tile.source, tile.x * 2 + i, tile.y * 2 + j, z);
+        }
+    }
+    tile.source = null;
+}
+
+/**
+ * 获取瓦片，不存在时从最近的祖先瓦片逐级切分得到。瓦片中没有要素时返回null
+ * @param {Number}x
+ * @param {Number}y
+ * @param {Number}level
+ * @return {Object|null} 包含polygons、lines、outlines三个要素数组
+ */
+TileIndex.prototype.getTile = function (x, y, level) {
+    var z = Math.min(level, this._maxZoom);
+    var dz = level - z;
+    var tileX = x >> dz, tileY = y >> dz;
+
+    var tile = this._tiles[getKey(tileX, tileY, z)];
+    if (!tile) {
+        var parent, parentZ = z;
+        while (!parent && parentZ > 0) {
+            parentZ--;
+            parent = this._tiles[getKey(tileX >> (z - parentZ), tileY >> (z - parentZ), parentZ)];
+        }
+        if (!parent || !parent.source) {
+            return null;
+        }
+        tile = parent;
+        while (tile && tile.z < z) {
+            this._splitTile(tile);
+            var childZ = tile.z + 1;
+            tile = this._tiles[getKey(tileX >> (z - childZ), tileY >> (z - childZ), childZ)];
+        }
+        if (!tile) {
+            return null;
+        }
+    }
+
+    if (dz > 0) {
+        //超过最大级别时，从最大级别瓦片的原始精度数据中裁剪，不缓存
+        var bbox = this._getBufferedBBox(x, y, level);
+        var clipped = {
+            polygons: clipFeatures(tile.polygons, bbox),
+            lines: clipFeatures(tile.lines, bbox),
+            outlines: clipFeatures(tile.outlines, bbox)
+        };
+        if (!clipped.polygons.length && !clipped.lines.length && !clipped.outlines.length) {
+            return null;
+        }
+        return clipped;
+    }
+    return tile;
+}
+
+module.exports = TileIndex;
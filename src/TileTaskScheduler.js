@@ -0,0 +1,289 @@
+var defined = require('./cesium/Core/defined');
+var defaultValue = require('./cesium/Core/defaultValue');
+var RequestState = require('./cesium/Core/RequestState');
+
+function getTime() {
+    return typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now();
+}
+
+//优先级数值越小越先执行：先比较距离（priority），再比较级别（低级别的切片先绘制，便于尽快显示概略图），最后按提交顺序
+function compareTask(a, b) {
+    if (a.priority !== b.priority) {
+        return a.priority - b.priority;
+    }
+    if (a.level !== b.level) {
+        return a.level - b.level;
+    }
+    return a.order - b.order;
+}
+
+function createCancelError() {
+    var error = new Error("切片任务已取消");
+    error.name = "CancelError";
+    return error;
+}
+
+/**
+ * 单个图层（VectorTileImageryProvider实例）的切片任务队列，由TileTaskScheduler创建
+ * @param {TileTaskScheduler}scheduler
+ * @param {Object}[options]
+ * @param {Number}[options.maximumActiveTasks=Number.POSITIVE_INFINITY] 该图层同时执行的最大任务数，实际还受全局任务数的限制
+ * @param {Number}[options.taskTimeout=5000] 任务等待执行的最长时间（毫秒），超时的任务视为过时并取消
+ * @constructor
+ * @private
+ */
+function TileTaskQueue(scheduler, options) {
+    options = defaultValue(options, {});
+    this.maximumActiveTasks = defaultValue(options.maximumActiveTasks, Number.POSITIVE_INFINITY);
+    this.taskTimeout = defaultValue(options.taskTimeout, 5000);
+    this._scheduler = scheduler;
+    this._pending = [];
+    this._activeCount = 0;
+    this._lastServed = 0;
+}
+
+Object.defineProperties(TileTaskQueue.prototype, {
+    /**
+     * 等待执行的任务数
+     * @memberof TileTaskQueue.prototype
+     * @type {Number}
+     */
+    pendingCount: {
+        get: function () {
+            return this._pending.length;
+        }
+    },
+    /**
+     * 正在执行的任务数
+     * @memberof TileTaskQueue.prototype
+     * @type {Number}
+     */
+    activeCount: {
+        get: function () {
+            return this._activeCount;
+        }
+    }
+});
+
+/**
+ * 提交切片任务
+ * @param {Object}options
+ * @param {Number}options.x
+ * @param {Number}options.y
+ * @param {Number}options.level
+ * @param {Number}[options.priority=0] 优先级，通常为切片到相机的距离，数值越小越先执行
+ * @param {Cesium.Request}[options.request] Cesium传入的请求对象，请求被取消（request.cancel()）后任务也随之取消
+ * @param {Function}options.execute 执行任务的函数，返回Promise
+ * @return {Promise}
+ */
+TileTaskQueue.prototype.add = function (options) {
+    var scheduler = this._scheduler;
+    var task = {
+        key: options.x + "," + options.y + "," + options.level,
+        level: options.level,
+        priority: defaultValue(options.priority, 0),
+        request: options.request,
+        execute: options.execute,
+        time: getTime(),
+        order: scheduler._nextOrder++
+    };
+    var promise = new Promise(function (resolve, reject) {
+        task.resolve = resolve;
+        task.reject = reject;
+    });
+    this._pending.push(task);
+    scheduler.update();
+    return promise;
+}
+
+TileTaskQueue.prototype._cancelTask = function (task) {
+    var request = task.request;
+    if (request && typeof request == 'object') {
+        //Cesium的ImageryLayer遇到CANCELLED状态的请求时会将切片重置为未加载，之后需要时重新请求
+        request.state = RequestState.CANCELLED;
+    }
+    task.reject(createCancelError());
+}
+
+TileTaskQueue.prototype._isObsolete = function (task, time) {
+    if (task.request && task.request.cancelled) {
+        return true;
+    }
+    return time - task.time > this.taskTimeout;
+}
+
+//取消过时的任务
+TileTaskQueue.prototype._removeObsolete = function (time) {
+    var pending = this._pending;
+    var kept = [];
+    for (var i = 0; i < pending.length; i++) {
+        if (this._isObsolete(pending[i], time)) {
+            this._cancelTask(pending[i]);
+        } else {
+            kept.push(pending[i]);
+        }
+    }
+    this._pending = kept;
+}
+
+TileTaskQueue.prototype._takeNext = function () {
+    var pending = this._pending;
+    var index = 0;
+    for (var i = 1; i < pending.length; i++) {
+        if (compareTask(pending[i], pending[index]) < 0) {
+            index = i;
+        }
+    }
+    return pending.splice(index, 1)[0];
+}
+
+/**
+ * 取消等待中的切片任务，正在执行的任务不会被中断
+ * @param {Number}x
+ * @param {Number}y
+ * @param {Number}level
+ * @return {Boolean} 是否取消了任务
+ */
+TileTaskQueue.prototype.cancel = function (x, y, level) {
+    var key = x + "," + y + "," + level;
+    var pending = this._pending;
+    for (var i = 0; i < pending.length; i++) {
+        if (pending[i].key === key) {
+            this._cancelTask(pending.splice(i, 1)[0]);
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * 取消所有等待中的切片任务
+ */
+TileTaskQueue.prototype.cancelAll = function () {
+    var pending = this._pending;
+    this._pending = [];
+    for (var i = 0; i < pending.length; i++) {
+        this._cancelTask(pending[i]);
+    }
+}
+
+/**
+ * 取消所有等待中的任务并从调度器中移除该队列
+ */
+TileTaskQueue.prototype.destroy = function () {
+    this.cancelAll();
+    this._scheduler._removeQueue(this);
+}
+
+/**
+ * 切片任务调度器。所有图层共享全局的最大并发任务数，每个图层有自己的任务队列：
+ * 有空闲名额时，优先分配给正在执行任务最少的图层（相同时分配给最久未被调度的图层），保证各图层公平分享；
+ * 图层内按距离和级别选择优先级最高的任务，等待超时或请求被取消的任务视为过时并取消。
+ * @param {Object}[options]
+ * @param {Number}[options.maximumActiveTasks=6] 全局同时执行的最大任务数
+ * @constructor
+ * @private
+ */
+function TileTaskScheduler(options) {
+    options = defaultValue(options, {});
+    this.maximumActiveTasks = defaultValue(options.maximumActiveTasks, 6);
+    this._queues = [];
+    this._activeCount = 0;
+    this._nextOrder = 0;
+    this._serveCount = 0;
+}
+
+Object.defineProperties(TileTaskScheduler.prototype, {
+    /**
+     * 全局正在执行的任务数
+     * @memberof TileTaskScheduler.prototype
+     * @type {Number}
+     */
+    activeCount: {
+        get: function () {
+            return this._activeCount;
+        }
+    }
+});
+
+/**
+ * 为图层创建任务队列
+ * @param {Object}[options] 参见TileTaskQueue
+ * @return {TileTaskQueue}
+ */
+TileTaskScheduler.prototype.createQueue = function (options) {
+    var queue = new TileTaskQueue(this, options);
+    this._queues.push(queue);
+    return queue;
+}
+
+TileTaskScheduler.prototype._removeQueue = function (queue) {
+    var index = this._queues.indexOf(queue);
+    if (index > -1) {
+        this._queues.splice(index, 1);
+    }
+}
+
+//选择正在执行任务最少的图层，相同时选择最久未被调度的图层
+TileTaskScheduler.prototype._selectQueue = function () {
+    var selected;
+    for (var i = 0; i < this._queues.length; i++) {
+        var queue = this._queues[i];
+        if (!queue._pending.length || queue._activeCount >= queue.maximumActiveTasks) {
+            continue;
+        }
+        if (!selected || queue._activeCount < selected._activeCount
+            || (queue._activeCount === selected._activeCount && queue._lastServed < selected._lastServed)) {
+            selected = queue;
+        }
+    }
+    return selected;
+}
+
+TileTaskScheduler.prototype._run = function (queue, task) {
+    var scheduler = this;
+    queue._activeCount++;
+    queue._lastServed = ++this._serveCount;
+    this._activeCount++;
+
+    function complete() {
+        queue._activeCount--;
+        scheduler._activeCount--;
+        scheduler.update();
+    }
+
+    var promise;
+    try {
+        promise = Promise.resolve(task.execute());
+    } catch (e) {
+        promise = Promise.reject(e);
+    }
+    promise.then(function (result) {
+        complete();
+        task.resolve(result);
+    }, function (err) {
+        complete();
+        task.reject(err);
+    });
+}
+
+/**
+ * 取消过时的任务并在有空闲名额时执行等待中的任务。提交任务和任务完成时会自动调用
+ */
+TileTaskScheduler.prototype.update = function () {
+    var time = getTime();
+    for (var i = 0; i < this._queues.length; i++) {
+        this._queues[i]._removeObsolete(time);
+    }
+    while (this._activeCount < this.maximumActiveTasks) {
+        var queue = this._selectQueue();
+        if (!defined(queue)) {
+            break;
+        }
+        this._run(queue, queue._takeNext());
+    }
+}
+
+TileTaskScheduler.TileTaskQueue = TileTaskQueue;
+
+module.exports = TileTaskScheduler;
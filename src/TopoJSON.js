@@ -0,0 +1,64 @@
+var topojson = require('topojson-client');
+
+/**
+ * TopoJSON解码：还原弧段（arcs）并反量化（transform），转换为geojson
+ * @memberof Cesium
+ * @namespace TopoJSON
+ */
+var TopoJSON = {
+    /**
+     * 判断是否为TopoJSON拓扑对象
+     * @param {Object}json
+     * @return {Boolean}
+     */
+    isTopology: function (json) {
+        return !!json && json.type == 'Topology' && typeof json.objects == 'object';
+    },
+    /**
+     * 获取拓扑对象中所有命名对象的名称
+     * @param {Object}topology
+     * @return {Array.<String>}
+     */
+    getObjectNames: function (topology) {
+        return Object.keys(topology.objects);
+    },
+    /**
+     * 将拓扑对象中指定的命名对象转换为geojson要素集合
+     * @param {Object}topology TopoJSON拓扑对象
+     * @param {String|Array.<String>}[objectNames] 需要转换的命名对象，不指定则转换全部对象
+     * @return {turf.FeatureCollection}
+     */
+    toGeoJSON: function (topology, objectNames) {
+        if (!objectNames) {
+            objectNames = TopoJSON.getObjectNames(topology);
+        } else if (!Array.isArray(objectNames)) {
+            objectNames = [objectNames];
+        }
+
+        var features = [];
+        for (var i = 0; i < objectNames.length; i++) {
+            var object = topology.objects[objectNames[i]];
+            if (!object) {
+                throw new Error("TopoJSON中不存在对象：" + objectNames[i]);
+            }
+            var geojson = topojson.feature(topology, object);
+            if (geojson.type == 'FeatureCollection') {
+                features = features.concat(geojson.features);
+            } else {
+                features.push(geojson);
+            }
+        }
+        features.forEach(function (feature) {
+            if (!feature.properties) {
+                feature.properties = {};
+            }
+        })
+
+        return {
+            type: 'FeatureCollection',
+            features: features
+        };
+    }
+};
+
+module.exports = TopoJSON;
@@ -0,0 +1,253 @@
+function getKey(coordinate) {
+    return coordinate[0] + "," + coordinate[1];
+}
+
+function compareCoordinates(a, b) {
+    return a[0] - b[0] || a[1] - b[1];
+}
+
+function isClosed(coordinates) {
+    var n = coordinates.length;
+    return n > 3 && coordinates[0][0] === coordinates[n - 1][0] && coordinates[0][1] === coordinates[n - 1][1];
+}
+
+function getParts(geometry) {
+    switch (geometry.type) {
+        case "LineString":
+            return [geometry.coordinates];
+        case "MultiLineString":
+        case "Polygon":
+            return geometry.coordinates;
+        case "MultiPolygon":
+            return [].concat.apply([], geometry.coordinates);
+        default:
+            return [];
+    }
+}
+
+//点到线段距离的平方
+function getSegmentDistanceSquared(p, p1, p2) {
+    var x = p1[0], y = p1[1],
+        dx = p2[0] - x, dy = p2[1] - y;
+    if (dx !== 0 || dy !== 0) {
+        var t = ((p[0] - x) * dx + (p[1] - y) * dy) / (dx * dx + dy * dy);
+        if (t > 1) {
+            x = p2[0];
+            y = p2[1];
+        } else if (t > 0) {
+            x += dx * t;
+            y += dy * t;
+        }
+    }
+    dx = p[0] - x;
+    dy = p[1] - y;
+    return dx * dx + dy * dy;
+}
+
+//Douglas-Peucker简化，始终保留首末点
+function douglasPeucker(points, sqTolerance) {
+    var last = points.length - 1;
+    if (last < 2) {
+        return points.slice();
+    }
+    var markers = new Uint8Array(points.length);
+    markers[0] = markers[last] = 1;
+    var stack = [0, last];
+    while (stack.length) {
+        var end = stack.pop(), start = stack.pop();
+        var maxSqDist = 0, index = 0;
+        for (var i = start + 1; i < end; i++) {
+            var sqDist = getSegmentDistanceSquared(points[i], points[start], points[end]);
+            if (sqDist > maxSqDist) {
+                index = i;
+                maxSqDist = sqDist;
+            }
+        }
+        if (maxSqDist > sqTolerance) {
+            markers[index] = 1;
+            stack.push(start, index, index, end);
+        }
+    }
+    var simplified = [];
+    for (var j = 0; j <= last; j++) {
+        if (markers[j]) {
+            simplified.push(points[j]);
+        }
+    }
+    return simplified;
+}
+
+//按统一的方向简化弧段，保证相邻要素共享的弧段无论走向如何，简化结果都相同
+function simplifyArc(arc, sqTolerance) {
+    var last = arc.length - 1;
+    var order = compareCoordinates(arc[0], arc[last]);
+    if (order === 0 && last > 1) {
+        order = compareCoordinates(arc[1], arc[last - 1]);
+    }
+    if (order > 0) {
+        return douglasPeucker(arc.slice().reverse(), sqTolerance).reverse();
+    }
+    return douglasPeucker(arc, sqTolerance);
+}
+
+/**
+ * 保持拓扑的简化：先找出要素之间共享边界的结点（邻接点多于两个的顶点、线的端点），
+ * 在结点处把环和线打断为弧段，再对每个弧段分别做Douglas-Peucker简化。
+ * 相邻多边形共享的边界被拆成相同的弧段，简化结果一致，不会在相邻多边形之间出现缝隙。
+ * 没有结点的环从最小的顶点开始，使完全重合的环（如飞地和所在多边形的洞）简化结果也一致。
+ * @param {Array.<turf.Feature>}features 参与拓扑构建的全部要素（面、线）
+ * @constructor
+ * @private
+ */
+function TopologySimplifier(features) {
+    var neighbors = {};
+
+    function addNeighbor(key, neighborKey) {
+        var list = neighbors[key];
+        if (list === true) {
+            return;
+        }
+        if (!list) {
+            neighbors[key] = [neighborKey];
+        } else if (list.indexOf(neighborKey) < 0) {
+            list.push(neighborKey);
+            if (list.length > 2) {
+                neighbors[key] = true;
+            }
+        }
+    }
+
+    for (var i = 0; i < features.length; i++) {
+        var geometry = features[i].geometry;
+        if (!geometry) continue;
+        var parts = getParts(geometry);
+        for (var j = 0; j < parts.length; j++) {
+            var part = parts[j];
+            if (part.length < 2) continue;
+            var keys = part.map(getKey);
+            if (isClosed(part)) {
+                var m = part.length - 1;
+                for (var k = 0; k < m; k++) {
+                    addNeighbor(keys[k], keys[(k + m - 1) % m]);
+                    addNeighbor(keys[k], keys[(k + 1) % m]);
+                }
+            } else {
+                neighbors[keys[0]] = true;
+                neighbors[keys[part.length - 1]] = true;
+                for (var k = 1; k < part.length - 1; k++) {
+                    addNeighbor(keys[k], keys[k - 1]);
+                    addNeighbor(keys[k], keys[k + 1]);
+                }
+            }
+        }
+    }
+
+    this._junctions = {};
+    for (var key in neighbors) {
+        if (neighbors.hasOwnProperty(key) && neighbors[key] === true) {
+            this._junctions[key] = true;
+        }
+    }
+}
+
+TopologySimplifier.prototype._simplifyPart = function (part, sqTolerance) {
+    var junctions = this._junctions;
+    var arcs = [];
+    var closed = isClosed(part);
+    var i, start;
+    if (closed) {
+        var ring = part.slice(0, part.length - 1);
+        start = -1;
+        for (i = 0; i < ring.length; i++) {
+            if (junctions[getKey(ring[i])]) {
+                start = i;
+                break;
+            }
+        }
+        if (start < 0) {
+            start = 0;
+            for (i = 1; i < ring.length; i++) {
+                if (compareCoordinates(ring[i], ring[start]) < 0) {
+                    start = i;
+                }
+            }
+        }
+        part = ring.slice(start).concat(ring.slice(0, start));
+        part.push(part[0]);
+    }
+
+    start = 0;
+    for (i = 1; i < part.length; i++) {
+        if (i === part.length - 1 || junctions[getKey(part[i])]) {
+            arcs.push(simplifyArc(part.slice(start, i + 1), sqTolerance));
+            start = i;
+        }
+    }
+
+    var simplified = arcs[0] || part;
+    for (i = 1; i < arcs.length; i++) {
+        simplified = simplified.concat(arcs[i].slice(1));
+    }
+    return simplified;
+}
+
+/**
+ * 按公差简化要素，返回新的要素，不修改原要素
+ * @param {turf.Feature}feature
+ * @param {Number}tolerance 简化公差，单位与坐标相同（度）
+ * @return {turf.Feature}
+ */
+TopologySimplifier.prototype.simplify = function (feature, tolerance) {
+    var geometry = feature.geometry;
+    if (!geometry) {
+        return feature;
+    }
+    var that = this;
+    var sqTolerance = tolerance * tolerance;
+
+    function simplifyLine(line) {
+        var simplified = that._simplifyPart(line, sqTolerance);
+        return simplified.length < 2 ? line : simplified;
+    }
+
+    function simplifyRing(ring) {
+        var simplified = that._simplifyPart(ring, sqTolerance);
+        //环退化时保留原始的环
+        return simplified.length < 4 ? ring : simplified;
+    }
+
+    function simplifyPolygon(rings) {
+        return rings.map(simplifyRing);
+    }
+
+    var coordinates;
+    switch (geometry.type) {
+        case "LineString":
+            coordinates = isClosed(geometry.coordinates) ? simplifyRing(geometry.coordinates)
+                : simplifyLine(geometry.coordinates);
+            break;
+        case "MultiLineString":
+            coordinates = geometry.coordinates.map(function (line) {
+                return isClosed(line) ? simplifyRing(line) : simplifyLine(line);
+            });
+            break;
+        case "Polygon":
+            coordinates = simplifyPolygon(geometry.coordinates);
+            break;
+        case "MultiPolygon":
+            coordinates = geometry.coordinates.map(simplifyPolygon);
+            break;
+        default:
+            return feature;
+    }
+    return {
+        type: "Feature",
+        properties: feature.properties,
+        geometry: {
+            type: geometry.type,
+            coordinates: coordinates
+        }
+    };
+}
+
+module.exports = TopologySimplifier;
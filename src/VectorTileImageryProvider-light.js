@@ -1,8 +1,34 @@
 //不支持shp格式，如果需要支持shp格式，请在页面引用shpjs
 //或者将入口改为VectorTileImageryProvider 
-var loadJson = require('./cesium/Core/Resource').fetchJson;
+var Resource = require('./cesium/Core/Resource');
+var loadJson = Resource.fetchJson;
 var LonLatProjection = require('./LonLatProjection');
+var MercatorProjection = require('./MercatorProjection');
 var Path = require('./utils/Path');
+var FeatureIndex = require('./FeatureIndex');
+var TileIndex = require('./TileIndex');
+var TopologySimplifier = require('./TopologySimplifier');
+var TileCache = require('./TileCache');
+var PersistentTileCache = require('./PersistentTileCache');
+var TileTaskScheduler = require('./TileTaskScheduler');
+var WorkerTaskProcessor = require('./WorkerTaskProcessor');
+var TopoJSON = require('./TopoJSON');
+var KML = require('./KML');
+var GPX = require('./GPX');
+var CSV = require('./CSV');
+var Shapefile = require('./Shapefile');
+var Crs = require('./Crs');
+var CoordinateSystem = require('./CoordinateSystem');
+var GeoJSONSeq = require('./GeoJSONSeq');
+var GeometryRecords = require('./GeometryRecords');
+var EsriJSON = require('./EsriJSON');
+var MvtSource = require('./MvtSource');
+var PMTilesSource = require('./PMTilesSource');
+var FlatGeobufSource = require('./FlatGeobufSource');
+var GeoPackageSource = require('./GeoPackageSource');
+var WfsSource = require('./WfsSource');
+var OgcFeaturesSource = require('./OgcFeaturesSource');
+var ArcGISFeatureServerSource = require('./ArcGISFeatureServerSource');
 var VectorStyle = require('./VectorStyle');
 var drawText = require('./utils/drawText');
 var defineProperties = require('./cesium/Core/defineProperties')
@@ -13,6 +39,10 @@ var CesiumMath = require('./cesium/Core/Math');
 
 var turf = require('./turf-light')
 var Rectangle = require('./cesium/Core/Rectangle');
+var Cartographic = require('./cesium/Core/Cartographic');
+var Cartesian3 = require('./cesium/Core/Cartesian3');
+var Ellipsoid = require('./cesium/Core/Ellipsoid');
+var WebMercatorTilingScheme = require('./cesium/Core/WebMercatorTilingScheme');
 if (typeof Cesium !== 'undefined') {
     //Rectangle = Cesium.Rectangle;
     if (Cesium.ImageryLayerCollection) {
@@ -82,47 +112,140 @@ if (typeof Cesium !== 'undefined') {
 // var defaultColor = new Cesium.Color(1.0, 1.0, 1.0, 0.4);
 // var defaultGlowColor = new Cesium.Color(0.0, 1.0, 0.0, 0.05);
 // var defaultBackgroundColor = new Cesium.Color(0.0, 0.5, 0.0, 0.2);
+//支持以url加载的文件类型
+var URL_FILE_EXTENSIONS = ['.shp', '.zip', '.json', '.geojson', '.topojson', '.kml', '.kmz', '.gpx', '.csv', '.tsv', '.geojsonl', '.geojsons', '.ndjson'];
+//支持以单个File加载的文件类型（.pmtiles、.fgb、.gpkg除外）
+var LOCAL_FILE_EXTENSIONS = ['.zip', '.kml', '.kmz', '.gpx', '.csv', '.tsv', '.geojsonl', '.geojsons', '.ndjson'];
+
+function getTiledSourceType(source) {
+    if (!source || typeof source.type != 'string') {
+        return undefined;
+    }
+    var type = source.type.toLowerCase();
+    return VectorTileImageryProvider.sourceTypes.hasOwnProperty(type) ? VectorTileImageryProvider.sourceTypes[type] : undefined;
+}
+
+//shp解析方法：全局的shp（shpjs）或者VectorTileImageryProvider.shp
+function getShpParser() {
+    if (typeof shp == 'function') {
+        return shp;
+    }
+    if (typeof VectorTileImageryProvider.shp == 'function') {
+        return VectorTileImageryProvider.shp;
+    }
+    throw new Error('找不到shp()方法，请确认是否引用了shpjs');
+}
+
 function isShpLocalFiles(files) {
-    var isFile = files.length >= 3;
+    //.prj和.cpg可选
+    var isFile = files.length >= 2;
     if (!isFile) return false;
-    var shpFile, dbfFile, prjFile;
+    var shpFile, dbfFile;
     for (var i = 0; i < files.length; i++) {
         var file = files[i];
         if (!(file instanceof File || (file instanceof Blob && file.name))) {
             return false;
         }
-        if (files[i].name.toLocaleLowerCase().indexOf(".shp") > 0) {
-            shpFile = files[i];
+        if (/\.shp$/i.test(file.name)) {
+            shpFile = file;
         }
-        if (files[i].name.toLocaleLowerCase().indexOf(".prj") > 0) {
-            prjFile = files[i];
-        }
-        if (files[i].name.toLocaleLowerCase().indexOf(".dbf") > 0) {
-            dbfFile = files[i];
+        if (/\.dbf$/i.test(file.name)) {
+            dbfFile = file;
         }
     }
-    if (!shpFile || !prjFile || !dbfFile) {
+    if (!shpFile || !dbfFile) {
         return false;
     }
     return true;
 }
 
+function isImageSource(image) {
+    return (typeof Image !== 'undefined' && image instanceof Image)
+        || (typeof HTMLCanvasElement !== 'undefined' && image instanceof HTMLCanvasElement)
+        || (typeof ImageBitmap !== 'undefined' && image instanceof ImageBitmap);
+}
+
+function isWebMercatorTilingScheme(tilingScheme) {
+    if (tilingScheme instanceof WebMercatorTilingScheme) {
+        return true;
+    }
+    return typeof Cesium !== 'undefined' && !!Cesium.WebMercatorTilingScheme
+        && tilingScheme instanceof Cesium.WebMercatorTilingScheme;
+}
+
 /**
 *动态矢量切片提供程序，支持esri shapefile(需要引用shpjs或者打包的时候加入shpjs)、geojson文件，也可以直接加载geojson对象
 *   <ul class="see-list">
 *       <li><a href="https://mikeswei.github.io/CesiumVectorTile/" target="_blank">VectorTileImageryProviderDemo</a></li>
 *  </ul>  
 *@param {Object}options 参数如下：
-*@param {String|turf.FeatureCollection|Object|Array<File>}options.source  矢量文件url、矢量文件列表或者geojson对象
+*@param {String|turf.FeatureCollection|Object|Array<File>}options.source  矢量文件url、矢量文件列表、geojson对象或者topojson对象，
+*KML/KMZ文件的url或File（KML中的样式转换为要素样式，参见Cesium.VectorTileImageryProvider.featureStylePropertyName），
+*zip压缩的shapefile的url或File（压缩包中可以有多个图层和子目录，参见options.shpLayers），GPX文件的url或File（航迹和路线转换为线，航点转换为点，各点的时间保存在times属性中，与原始坐标一一对应，拾取结果为未裁剪和简化的原始要素），CSV/TSV文件的url或File（参见options.csv），
+*换行分隔的geojson（.geojsonl、.geojsons、.ndjson）文件的url或File（边下载边解析，第一批要素加入索引后readyPromise即完成并开始绘制，
+*之后每批要素使相交的已缓存切片失效并触发tilesInvalidated事件，全部加载完成后loadCompletePromise完成），
+*几何为WKT/WKB或Esri JSON几何的记录数组（如[{ geometry: 'POLYGON((...))', name: '...' }]，参见options.geometryPropertyName）或要素集合，
+*也可以是PMTiles文件的url或File（Blob），以及切片数据源参数，如{ type: 'mvt', url: '.../{z}/{x}/{y}.pbf', layers: [...] }、
+*{ type: 'pmtiles', url: '...pmtiles', layers: [...] }，FlatGeobuf（.fgb）文件的url或File（按切片范围读取要素，适合大数据量），
+*以及{ type: 'flatgeobuf', url: '...fgb', minimumLevel: 10 }，GeoPackage（.gpkg）文件的url或File（需要引用sql.js），
+*指定要素表和属性筛选条件时使用{ type: 'geopackage', file: file, table: '...', filter: "landuse = '住宅'" }，
+*WFS 2.0和OGC API - Features要素服务按切片范围查询要素（自动请求后续分页，查询结果缓存），如{ type: 'wfs', url: '.../geoserver/wfs', typeNames: 'topp:states', minimumLevel: 8 }、
+*{ type: 'ogcfeatures', url: '.../collections/buildings', minimumLevel: 12 }，ArcGIS要素服务图层按切片范围查询要素（exceededTransferLimit时自动分页，字段别名见fieldAliases），
+*如{ type: 'arcgis', url: '.../FeatureServer/0', where: "TYPE = 1", minimumLevel: 12 }，参见Cesium.VectorTileImageryProvider.sourceTypes；
+*还可以是Esri JSON要素集（如ArcGIS REST服务query的结果，f=json）或其url，坐标按spatialReference转换为经纬度
+*@param {String|Array.<String>}[options.shpLayers] 数据为zip压缩的shapefile时需要加载的图层名称（不含扩展名）或者在压缩包中的路径，
+*不指定则加载全部图层，图层名称写入要素的layer属性
+*@param {String|Array.<String>}[options.topojsonObjects] 数据为topojson时需要显示的命名对象（topology.objects中的键），不指定则显示全部对象
+*@param {Object}[options.csv] 数据为CSV/TSV时的解析参数
+*@param {String}[options.csv.delimiter] 分隔符，不指定时根据首行自动判断（TSV文件默认为制表符）
+*@param {Boolean}[options.csv.header=true] 首行是否为列名，没有列名时坐标列需要用序号（从0开始）指定
+*@param {String|Number}[options.csv.longitudeColumn] 经度列的列名或者序号，默认查找lon、lng、longitude、x、经度等列
+*@param {String|Number}[options.csv.latitudeColumn] 纬度列的列名或者序号，默认查找lat、latitude、y、纬度等列
+*@param {String|Number}[options.csv.wktColumn] WKT（或十六进制WKB）几何列的列名或者序号，默认查找wkt、geom、geometry等列，找不到经纬度列时使用
+*@param {Boolean}[options.csv.inferTypes=true] 是否将数值文本转换为数值（以0开头的整数保留为文本）
+*@param {String}[options.encoding] 文本数据（如CSV）和shapefile属性的字符编码，如'gbk'。CSV默认为'utf-8'；
+*shapefile不指定时依次使用.cpg中的编码、dbf文件头的语言驱动标记，都没有时根据dbf内容判断为UTF-8或GBK/GB18030
+*@param {String}[options.geometryPropertyName] 数据为记录数组时的几何字段名，默认查找geometry、geom、the_geom、wkt、wkb、shape等字段。
+*几何可以是WKT、EWKT（如'SRID=3857;POINT(...)'）、十六进制或二进制WKB，也可以是Esri JSON几何（如{ x: ..., y: ..., spatialReference: { wkid: 3857 } }），带有SRID或spatialReference时坐标转换为经纬度
+*@param {Number|String}[options.sourceCrs] 数据的坐标系，EPSG代码（如4547、'EPSG:4547'）、proj字符串或WKT，加载时将坐标一次性转换为经纬度。
+*不指定时使用geojson的crs成员或者shapefile的.prj；投影坐标系需要proj4（完整版已包含），
+*除CGCS2000高斯-克吕格投影（EPSG:4491~4554）和WGS84 UTM投影外，其他EPSG代码需要先通过proj4.defs注册
+*@param {String}[options.coordinateSystem='WGS84'] 数据的经纬度坐标系：'WGS84'、'GCJ02'（高德、腾讯等地图）或'BD09'（百度地图），
+*加载时纠偏为WGS84，拾取的要素（ImageryLayerFeatureInfo.data）和toGeoJSON导出的数据转换回该坐标系。不适用于切片数据源
 *@param {Cesium.VectorStyle}[options.defaultStyle=Cesium.VectorStyle.Default] 默认样式 
+*@param {Cesium.GeographicTilingScheme|Cesium.WebMercatorTilingScheme}[options.tilingScheme=new Cesium.GeographicTilingScheme()] 切片方案，支持经纬度（EPSG:4326）和Web墨卡托（EPSG:3857）切片
 *@param {Boolean}[options.simplify=false] true则简化，默认不简化
 *@param {Boolean}[options.simplifyTolerance=0.01] 简化公差
+*@param {Boolean}[options.simplifyByLevel=false] 是否按级别简化：公差由切片的像素分辨率确定，各级别的简化结果分别缓存，
+*简化时保持拓扑，相邻多边形的共享边界之间不会出现缝隙。启用后options.simplify不再生效
+*@param {Number}[options.simplifyPixelTolerance=1] 按级别简化的公差，单位为像素
+*@param {Boolean}[options.tileIndex=false] 是否使用预处理四叉树切片索引（参考geojson-vt）：按需逐级切分数据，每一级按该级别的分辨率简化，
+*低级别只绘制简化后的数据，高级别保持原始精度。启用后options.simplify不再生效
+*@param {Number}[options.tileIndexBuffer=64] 切片索引中瓦片的缓冲区大小，单位为像素
+*@param {Number}[options.tileIndexTolerance=1] 切片索引中各级别的简化公差，单位为像素
+*@param {Number}[options.tileIndexMaxZoom=14] 切片索引切分和简化的最大级别，超过该级别时直接裁剪原始精度的数据
 *@param {Boolean}[options.minimumLevel=3] 最小级别
 *@param {Boolean}[options.maximumLevel=22] 最大级别
 *@param {Boolean}[options.showMaximumLevel=true] 当超出最大级别时是否继续显示
 *@param {Boolean}[options.removeDuplicate=true] 是否剔除重复的多边形
+*@param {Number}[options.tileCacheSize=200] 最大缓存切片数，超过时逐个淘汰最久未使用的切片
+*@param {Number}[options.tileCacheBytes] 切片缓存的内存上限（字节），按切片宽×高×4估算，不指定则只按切片数限制
+*@param {Boolean}[options.persistentCache=false] 是否将绘制好的切片保存到IndexedDB，刷新页面后直接读取，不再裁剪和绘制。适用于样式和数据都不常变化的图层
+*@param {String}[options.persistentCacheKey] 持久化缓存的数据源标识，默认为数据的url，数据不是url时需要指定。同一数据以不同样式加载的多个图层按样式签名分别缓存
+*@param {String}[options.persistentCacheVersion] 数据版本。不指定时按数据指纹（url响应头中的ETag或Last-Modified，以及要素数和范围）判断数据是否变化，
+*指定后只按该值判断，数据变化时修改该值使已缓存的切片失效。样式变化时已缓存的切片自动失效
+*@param {Number}[options.persistentCacheBytes=104857600] 持久化缓存的总大小上限（字节），超过时按最近访问时间淘汰
+*@param {Number}[options.maximumActiveTasks] 该图层同时裁剪绘制的最大切片数，不指定则只受全局任务数（Cesium.VectorTileImageryProvider.taskScheduler.maximumActiveTasks）限制
+*@param {Number}[options.taskTimeout=5000] 切片任务等待执行的最长时间（毫秒），超时的任务视为过时并取消，Cesium需要时会重新请求
+*@param {Cesium.Camera}[options.camera] 场景的相机（如viewer.camera），指定后按切片到相机的距离确定切片任务的优先级，近处的切片先绘制。
+*Cesium请求影像时不提供距离，不指定时同一图层的切片按级别和请求的先后顺序绘制
 *@param {Boolean}[options.allowPick=false] 是否支持要素查询，如果支持要素查询则保留原始的geojson，会多占用系统内存
 *@param {Cesium.VectorTileImageryProvider~clusteringCallback}[options.clustering] 聚类函数
+*@param {Boolean}[options.useWorker=false] 是否在Web Worker中用OffscreenCanvas裁剪和绘制切片，减少对主线程帧率的影响。
+*要素数据、样式（包括要素样式）和切片方案在加载完成后一次性传入worker，切片以ImageBitmap返回。以下情况仍在主线程绘制（控制台给出提示）：
+*数据源为切片数据源（MVT、PMTiles、FlatGeobuf、GeoPackage、WFS、OGC API - Features、ArcGIS要素服务）或流式加载的数据，指定了styleFilter或clustering函数，
+*浏览器不支持OffscreenCanvas，未设置workerUrl。readyPromise完成后可通过usingWorker判断是否实际使用了worker
+*@param {String}[options.workerUrl=Cesium.VectorTileImageryProvider.workerUrl] worker脚本地址，即打包后的CesiumVectorTile.js或CesiumVectorTile.min.js的地址
 * 
 *@param {Cesium.VectorTileImageryProvider~StyleFilterCallback}[options.styleFilter=undefined] 样式函数
 *@constructor 
@@ -165,6 +288,19 @@ function isShpLocalFiles(files) {
         },
             minimumLevel: 0
     }))
+
+    //Web墨卡托切片，与EPSG:3857底图叠加
+    viewer.imageryLayers.addImageryProvider(new VectorTileImageryProvider({
+        source: appConfig.BaseURL + "Assets/SampleData/simplestyles.geojson",
+        tilingScheme: new Cesium.WebMercatorTilingScheme()
+    }))
+
+    //在Web Worker中裁剪和绘制切片
+    Cesium.VectorTileImageryProvider.workerUrl = "./dist/CesiumVectorTile.min.js";
+    viewer.imageryLayers.addImageryProvider(new VectorTileImageryProvider({
+        source: appConfig.BaseURL + "Assets/VectorData/中国数据/县界.shp",
+        useWorker: true
+    }))
  
     5.使用样式函数（styleFilter）设置样式
      viewer.imageryLayers.addImageryProvider(new Cesium.VectorTileImageryProvider({
@@ -347,7 +483,7 @@ imageryProviderViewModels.push(new Cesium.ProviderViewModel({
  
  
 //leaflet中使用,必须先引用leafletjs文件后引用MeteoLibjs文件
-//VectorTileImageryLayer参数和MeteoLib.Scene.VectorTileImageryProvider的参数一样
+//VectorTileImageryLayer参数和MeteoLib.Scene.VectorTileImageryProvider的参数一样，地图坐标系支持L.CRS.EPSG4326和L.CRS.EPSG3857
  var map = L.map('map', {
             crs: L.CRS.EPSG4326
         })
@@ -375,11 +511,43 @@ function VectorTileImageryProvider(options) {
     if (typeof options.source == 'string') {
         var source = options.source.toLowerCase();
         ext = Path.GetExtension(source)
-        if (ext !== '.shp' && ext !== '.json' && ext !== '.geojson' && ext !== '.topojson') {
+        if (ext === '.pmtiles') {
+            ext = null;
+            this._tiledSource = new PMTilesSource({ url: options.source });
+        } else if (ext === '.fgb') {
+            ext = null;
+            this._tiledSource = new FlatGeobufSource({ url: options.source });
+        } else if (ext === '.gpkg') {
+            ext = null;
+            this._tiledSource = new GeoPackageSource({ url: options.source });
+        } else if (URL_FILE_EXTENSIONS.indexOf(ext) < 0) {
+            throw new Error("The data  options.source provider is not supported.");
+        }
+    } else if (typeof Blob !== 'undefined' && options.source instanceof Blob) {
+        var fileExtension = options.source.name ? Path.GetExtension(options.source.name.toLowerCase()) : '';
+        if (LOCAL_FILE_EXTENSIONS.indexOf(fileExtension) > -1) {
+            ext = fileExtension;
+        } else if (fileExtension === '.fgb') {
+            this._tiledSource = new FlatGeobufSource({ file: options.source });
+        } else if (fileExtension === '.gpkg') {
+            this._tiledSource = new GeoPackageSource({ file: options.source });
+        } else if (fileExtension === '.pmtiles' || !options.source.name) {
+            //本地PMTiles文件，没有文件名的Blob读取文件头时检查是否为PMTiles
+            this._tiledSource = new PMTilesSource({ file: options.source });
+        } else {
             throw new Error("The data  options.source provider is not supported.");
         }
     } else if (options.source.type && options.source.type == "FeatureCollection") {
 
+    } else if (TopoJSON.isTopology(options.source)) {
+
+    } else if (EsriJSON.isFeatureSet(options.source)) {
+
+    } else if (getTiledSourceType(options.source)) {
+        var TiledSource = getTiledSourceType(options.source);
+        this._tiledSource = new TiledSource(options.source);
+    } else if (GeometryRecords.isRecords(options.source, options.geometryPropertyName)) {
+
     } else if (isShpLocalFiles(options.source)) {
         isLocalShpFile = true;
     } else {
@@ -387,7 +555,9 @@ function VectorTileImageryProvider(options) {
     }
 
     this._rectangle = options.rectangle;
-    this._tilingScheme = new Cesium.GeographicTilingScheme({ ellipsoid: options.ellipsoid });
+    this._tilingScheme = defined(options.tilingScheme) ? options.tilingScheme
+        : new Cesium.GeographicTilingScheme({ ellipsoid: options.ellipsoid });
+    this._isWebMercator = isWebMercatorTilingScheme(this._tilingScheme);
     this._tileWidth = defaultValue(options.tileWidth, 256);
     this._tileHeight = defaultValue(options.tileHeight, 256);
 
@@ -398,12 +568,32 @@ function VectorTileImageryProvider(options) {
     this._url = options.source;
     //}
     this._fileExtension = ext;
+    this._topojsonObjects = options.topojsonObjects;
+    this._csvOptions = options.csv;
+    this._encoding = options.encoding;
+    this._geometryPropertyName = options.geometryPropertyName;
+    this._sourceCrs = options.sourceCrs;
+    this._fieldAliases = undefined;
+    this._coordinateSystem = CoordinateSystem.normalize(options.coordinateSystem);
 
 
     this._removeDuplicate = defaultValue(options.removeDuplicate, true);
     this._allowPick = defaultValue(options.allowPick, false);
     this._simplifyTolerance = defaultValue(options.simplifyTolerance, 0.01);
     this._simplify = defaultValue(options.simplify, false);
+    this._simplifyByLevel = defaultValue(options.simplifyByLevel, false);
+    this._simplifyPixelTolerance = defaultValue(options.simplifyPixelTolerance, 1);
+    if (this._simplifyByLevel) {
+        this._simplify = false;
+    }
+    if (options.tileIndex) {
+        this._simplify = false;
+        this._tileIndexOptions = {
+            buffer: defaultValue(options.tileIndexBuffer, 64),
+            tolerance: defaultValue(options.tileIndexTolerance, 1),
+            maxZoom: defaultValue(options.tileIndexMaxZoom, 14)
+        };
+    }
     //this._multipleTask = defaultValue(options.multipleTask, true);
     //this._taskWaitTime = defaultValue(options.taskWaitTime, 10);
     this._maximumLevel = defaultValue(options.maximumLevel, 22)
@@ -411,25 +601,52 @@ function VectorTileImageryProvider(options) {
     this._showMaximumLevel = defaultValue(options.showMaximumLevel, true)
     this._makerImage = options.markerImage;
     this._tileCacheSize = defaultValue(options.tileCacheSize, 200);
+    this._tileCache = new TileCache({
+        maximumCount: this._tileCacheSize,
+        maximumBytes: options.tileCacheBytes
+    });
+    var dataUrl = typeof options.source == 'string' ? options.source
+        : (typeof options.source.url == 'string' ? options.source.url : undefined);
+    this._persistentCacheOptions = options.persistentCache ? {
+        key: defaultValue(options.persistentCacheKey, dataUrl),
+        url: dataUrl,
+        version: options.persistentCacheVersion,
+        maximumBytes: options.persistentCacheBytes
+    } : undefined;
+    this._persistentCache = undefined;
+    this._taskQueue = VectorTileImageryProvider.taskScheduler.createQueue({
+        maximumActiveTasks: options.maximumActiveTasks,
+        taskTimeout: options.taskTimeout
+    });
+    this._camera = options.camera;
     if (typeof options.defaultStyle == 'object' && !(options.defaultStyle instanceof VectorStyle)) {
         options.defaultStyle = new VectorStyle(options.defaultStyle);
     }
     this._defaultStyle = defaultValue(options.defaultStyle, VectorStyle.Default.clone());
     this._styleFilter = typeof options.styleFilter == 'function' ? options.styleFilter : undefined;
     this.clustering = options.clustering
+    this._useWorker = defaultValue(options.useWorker, false);
+    this._workerUrl = options.workerUrl;
+    this._workerProcessor = undefined;
+    this._workerProviderId = undefined;
 
     this._errorEvent = new Event();
     this._featuresPicked = new Event();
+    this._tilesInvalidated = new Event();
 
     var readyDf = {};
     this._readyPromise = new Promise(function (resolve, reject) {
         readyDf.resolve = resolve
         readyDf.reject = reject
     });
+    this._loadCompletePromise = this._readyPromise;
+    //流式加载（换行分隔的geojson）尚未完成
+    this._streaming = false;
+    //数据版本，追加要素时递增，绘制期间数据变化的切片不缓存
+    this._dataVersion = 0;
     this._ready = false;
     this._state = VectorTileImageryProvider.State.READY;
 
-    this._cache = {};
     this._count = 0;
     this.zIndex = options.zIndex;
     this._bbox = null;
@@ -464,23 +681,14 @@ function VectorTileImageryProvider(options) {
     if (ext) {
         switch (ext) {
             case '.shp':
-
-                var url = this._url;
-                var ext = Path.GetExtension(url);
-                url = url.replace(ext, "");
-                if (typeof shp == 'function') {
-                    shp(url, undefined, "gbk").then(onSuccess, function (err) {
-                        console.log("load shp file error：" + err);
-                    });
-                } else {
-                    if (typeof VectorTileImageryProvider.shp == 'function') {
-                        VectorTileImageryProvider.shp(url, undefined, "gbk").then(onSuccess, function (err) {
+                try {
+                    Shapefile.loadUrl(this._url, getShpParser(), { encoding: this._encoding, sourceCrs: this._sourceCrs })
+                        .then(onShpSuccess).catch(function (err) {
                             console.log("load shp file error：" + err);
-                            readyDf.reject(err)
+                            readyDf.reject(err);
                         });
-                    } else {
-                        throw new Error('找不到shp()方法，请确认是否引用了shpjs')
-                    }
+                } catch (err) {
+                    readyDf.reject(err);
                 }
                 break;
             case '.json':
@@ -495,32 +703,78 @@ function VectorTileImageryProvider(options) {
                         console.log(err);
                     })
                 break;
+            case '.kml':
+            case '.kmz':
+                KML.load(this._url, {
+                    stylePropertyName: VectorTileImageryProvider.featureStylePropertyName
+                }).then(onSuccess).catch(function (err) {
+                    readyDf.reject(err);
+                });
+                break;
+            case '.zip':
+                try {
+                    Shapefile.loadZip(this._url, getShpParser(), {
+                        layers: options.shpLayers,
+                        encoding: this._encoding,
+                        sourceCrs: this._sourceCrs
+                    })
+                        .then(onShpSuccess).catch(function (err) {
+                            readyDf.reject(err);
+                        });
+                } catch (err) {
+                    readyDf.reject(err);
+                }
+                break;
+            case '.geojsonl':
+            case '.geojsons':
+            case '.ndjson':
+                this._streaming = true;
+                this._loadCompletePromise = loadGeoJSONSeq();
+                this._loadCompletePromise.catch(function (err) {
+                    readyDf.reject(err);
+                });
+                break;
+            case '.gpx':
+                GPX.load(this._url).then(onSuccess).catch(function (err) {
+                    readyDf.reject(err);
+                });
+                break;
+            case '.csv':
+            case '.tsv':
+                CSV.load(this._url, Object.assign({ encoding: this._encoding }, this._csvOptions))
+                    .then(onSuccess).catch(function (err) {
+                        readyDf.reject(err);
+                    });
+                break;
             default:
                 throw new Error("The file  options.source provider is not supported.");
         }
+    } else if (this._tiledSource) {
+        //切片数据源按需读取切片，不需要预先加载全部数据
+        Promise.resolve(this._tiledSource.readyPromise).then(function () {
+            var bounds = that._tiledSource.bounds;
+            if (bounds) {
+                that._bbox = Rectangle.fromDegrees(bounds[0], bounds[1], bounds[2], bounds[3]);
+                if (!that._rectangle) that._rectangle = that._bbox;
+            }
+            that._state = VectorTileImageryProvider.State.LOADED;
+            shpDf.resolve(that);
+        }).catch(function (err) {
+            readyDf.reject(err);
+        });
     } else {
         if (isLocalShpFile) {
-            var prms
-            if (typeof shp == 'function') {
-                prms = shp.parseShpFiles(that._url);
-            } else if (typeof VectorTileImageryProvider.shp == 'function') {
-                prms = VectorTileImageryProvider.shp.parseShpFiles(that._url);
-            } else {
-                throw new Error('找不到shp()方法，请确认是否引用了shpjs')
-            }
-
-            if (prms) {
-                prms.then(onSuccess).catch(function (err) {
-                    readyDf.reject(err);
-                    //console.log(err);
-                    //throw new Error("The file  options.source provider is not supported.");
-                });
-            } else {
-                readyDf.reject(new Error("The file  options.source provider is not supported."));
+            try {
+                Shapefile.loadFiles(that._url, getShpParser(), { encoding: that._encoding, sourceCrs: that._sourceCrs })
+                    .then(onShpSuccess).catch(function (err) {
+                        readyDf.reject(err);
+                    });
+            } catch (err) {
+                readyDf.reject(err);
             }
         } else {
             setTimeout(function () {
-                if (Array.isArray(that._url)) {
+                if (Array.isArray(that._url) && !GeometryRecords.isRecords(that._url, that._geometryPropertyName)) {
                     readyDf.reject(new Error("The data  options.source provide is not supported."));
                 } else {
                     onSuccess(that._url);
@@ -534,17 +788,116 @@ function VectorTileImageryProvider(options) {
     this._outlineGeoJSON = null;
     this._pointGeoJSON = null;
     this._polygonJSON = null;
+    this._polygonIndex = null;
+    this._lineIndex = null;
+    this._outlineIndex = null;
+    this._pointIndex = null;
+    this._tileIndex = null;
+    this._simplifier = null;
+    this._simplifiedLevels = null;
     this._onlyPoint = false;
     this._lineOnly = false;
     this._polygonOnly = false;
+    this._hasFeatureStyles = false;
+    this._featureStyleImages = {};
 
-    function onSuccess(geoJSON) {
+    //投影坐标系的数据在加载时一次性转换为经纬度，GCJ02、BD09坐标纠偏为WGS84（拾取和导出时再转换回原坐标系）
+    function toWGS84(geoJSON, isLonLat) {
+        var crs = isLonLat ? undefined : defaultValue(that._sourceCrs, Crs.fromGeoJSON(geoJSON));
+        if (defined(crs) && !Crs.isGeographic(crs)) {
+            geoJSON = Crs.transformGeoJSON(geoJSON, crs);
+        }
+        if (that._coordinateSystem != CoordinateSystem.WGS84) {
+            geoJSON = CoordinateSystem.transformGeoJSON(geoJSON, that._coordinateSystem, CoordinateSystem.WGS84);
+        }
+        return geoJSON;
+    }
+
+    //换行分隔的geojson边下载边解析：第一批要素加入索引后即可开始绘制，之后的每批要素加入索引并使相交的切片失效
+    function loadGeoJSONSeq() {
+        var started = false;
+        var appendPromise = Promise.resolve();
+        if (!that._rectangle) {
+            that._rectangle = that._tilingScheme.rectangle;
+        }
+        return GeoJSONSeq.load(that._url, {
+            encoding: that._encoding,
+            onFeatures: function (features) {
+                var geoJSON = toWGS84(turf.featureCollection(features));
+                appendPromise = appendPromise.then(function () {
+                    return that._loadFeatureStyleImages(geoJSON);
+                }).then(function () {
+                    that._appendFeatures(geoJSON);
+                    if (!started) {
+                        started = true;
+                        that._state = VectorTileImageryProvider.State.LOADED;
+                        shpDf.resolve(that);
+                    }
+                });
+            }
+        }).then(function () {
+            return appendPromise;
+        }).then(function () {
+            if (!started) {
+                throw new Error("数据中没有要素");
+            }
+            that._streaming = false;
+            //切片索引和按级别简化需要全部要素，加载完成后重新建立
+            if (that._tileIndexOptions || that._simplifyByLevel) {
+                that._buildFeatureIndex();
+                that._invalidateTiles();
+            }
+            return that._readyPromise;
+        });
+    }
+
+    //记录shapefile属性实际使用的字符编码，shapefile的坐标在解析时已转换为经纬度
+    function onShpSuccess(geoJSON) {
+        if (geoJSON.encoding) {
+            that._encoding = geoJSON.encoding;
+        }
+        onSuccess(geoJSON, true);
+    }
+
+    function onSuccess(geoJSON, isLonLat) {
+        if (TopoJSON.isTopology(geoJSON)) {
+            try {
+                geoJSON = TopoJSON.toGeoJSON(geoJSON, that._topojsonObjects);
+            } catch (err) {
+                readyDf.reject(err);
+                return;
+            }
+        }
+        //Esri JSON要素集，坐标按spatialReference（或options.sourceCrs）转换为经纬度，字段别名用于拾取结果
+        if (EsriJSON.isFeatureSet(geoJSON)) {
+            try {
+                that._fieldAliases = EsriJSON.getFieldAliases(geoJSON);
+                geoJSON = EsriJSON.toGeoJSON(geoJSON, { sourceCrs: that._sourceCrs });
+                isLonLat = true;
+            } catch (err) {
+                readyDf.reject(err);
+                return;
+            }
+        }
+        //WKT、WKB几何记录或要素集合，在拆分面、线、点之前解析为geojson几何
+        if (GeometryRecords.isRecords(geoJSON, that._geometryPropertyName) || GeometryRecords.hasEncodedGeometries(geoJSON)) {
+            try {
+                geoJSON = GeometryRecords.toGeoJSON(geoJSON, { geometryPropertyName: that._geometryPropertyName });
+            } catch (err) {
+                readyDf.reject(err);
+                return;
+            }
+        }
+        try {
+            geoJSON = toWGS84(geoJSON, isLonLat);
+        } catch (err) {
+            readyDf.reject(err);
+            return;
+        }
         if (that._allowPick)
             that._geoJSON = geoJSON;
-        var tolerance = that._simplifyTolerance;
-        var lines = [], outlines = [], points = [], polygons = [];
-        var onlyPoint = true, lineOnly = true, polygonOnly = true;
-        var simplified;
+        var featureStyleImagesPromise = that._loadFeatureStyleImages(geoJSON);
+        var points = [];
 
         function groupByCenterLabelPropertyName(geoJSON, centerLabelPropertyName) {
             var dic = {};
@@ -586,94 +939,8 @@ function VectorTileImageryProvider(options) {
             groupByCenterLabelPropertyName(geoJSON, that._defaultStyle.centerLabelPropertyName);
         }
 
-        turf.featureEach(geoJSON, function (fc) {
-            var geometry = fc.geometry;
-            if (!geometry) return;
-            if (geometry.type == 'MultiPolygon') {
-                var polygonCoords = turf.getCoords(fc);
-                polygonCoords.forEach(function (coords) {
-                    geoJSON.features.push(turf.polygon(coords, fc.properties));
-                })
-                polygonCoords = [];
-            }
-        })
-
-        for (var i = 0; i < geoJSON.features.length; i++) {
-            var feature = geoJSON.features[i]
-            if (!feature) continue;
-            var geometry = feature.geometry
-            if (!geometry) continue
-            if (geometry.type == 'MultiPolygon') {
-                geoJSON.features.splice(i, 1)
-            }
-        }
-        if (that._removeDuplicate) {
-            geoJSON = turf.removeDuplicate(geoJSON);
-        }
-
-
-        turf.featureEach(geoJSON, function (feature, index) {
-            var geometry = feature.geometry
-            if (!geometry) return
-            if (geometry.type == "Point"
-                || geometry.type == "MultiPoint") {
-                points.push(feature);
-                lineOnly = false;
-                polygonOnly = false;
-            } else if (that._defaultStyle.showCenterLabel
-                && that._defaultStyle.centerLabelPropertyName
-                && geometry.type !== "Polygon"
-                && geometry.type !== "MultiPolygon") {
-                that._defaultStyle.showLabel = true;
-                that._defaultStyle.labelPropertyName = that._defaultStyle.centerLabelPropertyName;
-                var center = turf.centerOfMass(feature)
-                points.push(center);
-                center.properties = feature.properties;
-            }
-
-            if (geometry.type == "Polygon"
-                || geometry.type == "MultiPolygon") {
-                var lineString = turf.polygonToLineString(feature);
-                if (lineString) {
-                    if (lineString.type == 'FeatureCollection') {
-                        outlines = outlines.concat(lineString.features);
-                    } else if (lineString.type == 'Feature') {
-                        outlines = outlines.concat(lineString);
-                    }
-                }
-
-                onlyPoint = false;
-                lineOnly = false;
-
-                if (that._simplify) {
-                    simplified = turf.simplify(feature, {
-                        tolerance: tolerance, highQuality: false
-                    });
-                    polygons.push(simplified);
-
-                    simplified = null;
-                } else {
-                    polygons.push(feature);
-
-                }
-            }
-            if (geometry.type == "MultiLineString"
-                || geometry.type == "LineString") {
-
-                if (that._simplify) {
-                    simplified = turf.simplify(feature, { tolerance: tolerance, highQuality: false });
-                    lines.push(simplified);
-
-                    simplified = null;
-
-                } else {
-                    lines.push(feature);
-
-                }
-                onlyPoint = false;
-                polygonOnly = false;
-            }
-        })
+        var split = that._splitFeatures(geoJSON, points);
+        var lines = split.lines, outlines = split.outlines, polygons = split.polygons;
 
         if (lines.length > 0) {
             that._lineGeoJSON = turf.featureCollection(lines);
@@ -698,9 +965,11 @@ function VectorTileImageryProvider(options) {
             polygons = null;
         }
 
-        that._lineOnly = lineOnly;
-        that._polygonOnly = polygonOnly;
-        that._onlyPoint = onlyPoint;
+        that._buildFeatureIndex();
+
+        that._lineOnly = split.lineOnly;
+        that._polygonOnly = split.polygonOnly;
+        that._onlyPoint = split.onlyPoint;
         that._state = VectorTileImageryProvider.State.LOADED;
         var bbox = turf.bbox(geoJSON);
         if (bbox[0] == bbox[2]) {
@@ -715,13 +984,19 @@ function VectorTileImageryProvider(options) {
         that._bbox = Rectangle.fromDegrees(bbox[0], bbox[1], bbox[2], bbox[3]);
         if (!that._rectangle) that._rectangle = that._bbox;
         geoJSON = null;
-        shpDf.resolve(that);
+        featureStyleImagesPromise.then(function () {
+            shpDf.resolve(that);
+        });
     }
 
     Promise.all(promises).then(function () {
         that._ready = that._state == VectorTileImageryProvider.State.LOADED;
         that._createCanvas();
         VectorTileImageryProvider.instanceCount++;
+        return that._initWorker();
+    }).then(function () {
+        return that._initPersistentCache();
+    }).then(function () {
         readyDf.resolve(true);
         that._state = VectorTileImageryProvider.State.COMPELTED;
     }).catch(function (err) {
@@ -750,12 +1025,60 @@ function VectorTileImageryProvider(options) {
 *@param {Number}x
 *@param {Number}y
 *@param {Number}level
+*@param {LonLatProjection|MercatorProjection}projection 当前切片方案对应的投影，可用于计算要素在切片中的像素坐标
 */
 
 
 VectorTileImageryProvider.instanceCount = 0;
-VectorTileImageryProvider._currentTaskCount = 0;
-VectorTileImageryProvider._maxTaskCount = 3;
+/**
+ * 默认的worker脚本地址（打包后的CesiumVectorTile.js），options.useWorker为true且未指定options.workerUrl时使用
+ * @type {String}
+ */
+VectorTileImageryProvider.workerUrl = undefined;
+VectorTileImageryProvider._workerProcessors = {};
+VectorTileImageryProvider._nextWorkerProviderId = 0;
+/**
+ * 全局切片任务调度器，所有图层公平分享最大并发任务数，可通过maximumActiveTasks属性调整，默认为6
+ * @type {TileTaskScheduler}
+ */
+VectorTileImageryProvider.taskScheduler = new TileTaskScheduler();
+/**
+ * 切片数据源类型，options.source.type为其中的键时按切片读取数据。可以注册自定义的数据源，
+ * 数据源需要实现requestTileData(x, y, level, rectangle, isWebMercator)方法，返回Promise，结果为数组，
+ * 每一项为{ bbox: [west, south, east, north], features: [...] }，bbox为该部分数据的有效范围（可选，超出部分将被裁掉）。
+ * 可选实现readyPromise、bounds和destroy()
+ * @type {Object}
+ */
+VectorTileImageryProvider.sourceTypes = {
+    mvt: MvtSource,
+    pmtiles: PMTilesSource,
+    flatgeobuf: FlatGeobufSource,
+    geopackage: GeoPackageSource,
+    wfs: WfsSource,
+    ogcfeatures: OgcFeaturesSource,
+    arcgis: ArcGISFeatureServerSource
+};
+/**
+ * 要素属性中保存样式的属性名，该属性为VectorStyle参数对象时，绘制该要素时覆盖默认样式（在styleFilter之前应用）。
+ * KML/KMZ中的Style和StyleMap转换后保存在该属性中
+ * @type {String}
+ */
+VectorTileImageryProvider.featureStylePropertyName = 'vectorStyle';
+/**
+ * GCJ02、BD09与WGS84坐标转换
+ * @type {Cesium.CoordinateSystem}
+ */
+VectorTileImageryProvider.CoordinateSystem = CoordinateSystem;
+/**
+ * 坐标系转换，投影坐标系使用proj4转换，light版本需要引用proj4或者设置VectorTileImageryProvider.Crs.proj4
+ * @type {Cesium.Crs}
+ */
+VectorTileImageryProvider.Crs = Crs;
+/**
+ * 按级别简化（options.simplifyByLevel）时缓存简化结果的级别数
+ * @type {Number}
+ */
+VectorTileImageryProvider.maximumSimplifiedLevels = 4;
 VectorTileImageryProvider.State = {
     READY: 0,
     SHPLOADING: 1,
@@ -775,6 +1098,9 @@ defineProperties(VectorTileImageryProvider.prototype, {
         },
         set: function (val) {
             this._styleFilter = val;
+            if (this._persistentCache) {
+                this._persistentCache.setSignature(this._getPersistentCacheSignature());
+            }
         }
     },
     /**
@@ -944,6 +1270,97 @@ defineProperties(VectorTileImageryProvider.prototype, {
         }
     },
 
+    /**
+     * 全部数据加载完成后resolve。流式加载（换行分隔的geojson）时readyPromise在第一批要素加载后即完成，
+     * 该Promise在全部要素加载后完成；其他数据与readyPromise相同
+     * @memberof Cesium.VectorTileImageryProvider.prototype
+     * @type {Promise.<Boolean>}
+     * @readonly
+     */
+    loadCompletePromise: {
+        get: function () {
+            return this._loadCompletePromise;
+        }
+    },
+
+    /**
+     * 切片失效事件，流式加载时追加的要素使已绘制的切片失效后触发，参数为(provider, rectangle)，rectangle为失效的范围。
+     * L.VectorTileImageryLayer会自动重新绘制受影响的切片；Cesium的ImageryLayer不会重新请求已加载的切片，
+     * 需要在该事件中将图层移除后重新加入（见示例），未失效的切片从缓存读取，不会重新绘制。每批要素都会触发该事件，
+     * 数据量较大时应合并多次刷新
+     * @example
+     * provider.readyPromise.then(function () {
+     *     var layer = viewer.imageryLayers.addImageryProvider(provider);
+     *     var refreshTimer;
+     *     provider.tilesInvalidated.addEventListener(function () {
+     *         clearTimeout(refreshTimer);
+     *         refreshTimer = setTimeout(function () {
+     *             var index = viewer.imageryLayers.indexOf(layer);
+     *             viewer.imageryLayers.remove(layer, false);
+     *             viewer.imageryLayers.add(layer, index);
+     *         }, 500);
+     *     });
+     * });
+     * @memberof Cesium.VectorTileImageryProvider.prototype
+     * @type {Cesium.Event}
+     * @readonly
+     */
+    tilesInvalidated: {
+        get: function () {
+            return this._tilesInvalidated;
+        }
+    },
+
+    /**
+     * 切片数据源（options.source为切片数据源时有效），如GeoPackage数据源可以通过tables属性获取文件中的要素表
+     * @memberof Cesium.VectorTileImageryProvider.prototype
+     * @type {Object}
+     * @readonly
+     */
+    tiledSource: {
+        get: function () {
+            return this._tiledSource;
+        }
+    },
+
+    /**
+     * 属性的字符编码。数据为shapefile时，readyPromise完成后为实际使用的编码：options.encoding、.cpg中的编码，
+     * 或者根据dbf内容检测的编码（如'utf-8'、'gbk'），多个图层编码不同时以逗号分隔
+     * @memberof Cesium.VectorTileImageryProvider.prototype
+     * @type {String}
+     * @readonly
+     */
+    encoding: {
+        get: function () {
+            return this._encoding;
+        }
+    },
+
+    /**
+     * 是否实际在Web Worker中绘制切片（readyPromise完成后可用）。options.useWorker为true，但数据源或选项不支持worker模式时为false，参见options.useWorker
+     * @memberof Cesium.VectorTileImageryProvider.prototype
+     * @type {Boolean}
+     * @readonly
+     */
+    usingWorker: {
+        get: function () {
+            return !!this._workerProcessor;
+        }
+    },
+
+    /**
+     * 字段别名，字段名到别名的映射（数据为Esri JSON要素集或ArcGIS要素服务时有效，readyPromise完成后可用）。
+     * 拾取结果的描述（ImageryLayerFeatureInfo.description）中使用别名，data中的属性保持原字段名
+     * @memberof Cesium.VectorTileImageryProvider.prototype
+     * @type {Object|undefined}
+     * @readonly
+     */
+    fieldAliases: {
+        get: function () {
+            return this._tiledSource ? this._tiledSource.fieldAliases : this._fieldAliases;
+        }
+    },
+
     /**
      * Gets the credit to display when this imagery provider is active.  Typically this is used to credit
      * the source of the imagery.  This function should not be called before {@link Cesium.VectorTileImageryProvider#ready} returns true.
@@ -988,23 +1405,657 @@ VectorTileImageryProvider.prototype._createCanvas = function () {
         this._context.fillRect(0, 0, this._canvas.width, this._canvas.height);
     }
 
-    this._context.lineWidth = this._defaultStyle.lineWidth;
-    if (this._defaultStyle.outlineColor instanceof Cesium.Color) {
-        this._context.strokeStyle = this._defaultStyle.outlineColor.toCssColorString();// "rgb(255,255,0)";
+    this._context.lineWidth = this._defaultStyle.lineWidth;
+    if (this._defaultStyle.outlineColor instanceof Cesium.Color) {
+        this._context.strokeStyle = this._defaultStyle.outlineColor.toCssColorString();// "rgb(255,255,0)";
+    } else {
+        this._context.strokeStyle = this._defaultStyle.outlineColor;// "rgb(255,255,0)";
+    }
+
+    if (this._defaultStyle.fillColor instanceof Cesium.Color) {
+        this._context.fillStyle = this._defaultStyle.fillColor.toCssColorString();// "rgba(0,255,255,0.0)";
+    } else {
+        this._context.fillStyle = this._defaultStyle.fillColor;// "rgba(0,255,255,0.0)";
+    }
+}
+
+//样式中的颜色转为css字符串，剔除函数和图片等无法传入worker的属性
+function serializeStyle(style) {
+    var plain = {};
+    for (var key in style) {
+        if (!style.hasOwnProperty(key)) continue;
+        var value = style[key];
+        if (typeof value == 'function' || (value && typeof value.then == 'function') || isImageSource(value)) {
+            continue;
+        }
+        if (value instanceof Cesium.Color) {
+            value = value.toCssColorString();
+        }
+        plain[key] = value;
+    }
+    return plain;
+}
+
+//切片方案的参数（范围、第0级切片数和椭球体），worker中按参数重新创建切片方案
+function serializeTilingScheme(tilingScheme) {
+    var radii = tilingScheme.ellipsoid.radii;
+    var parameters = {
+        isWebMercator: isWebMercatorTilingScheme(tilingScheme),
+        ellipsoidRadii: [radii.x, radii.y, radii.z],
+        numberOfLevelZeroTilesX: tilingScheme.getNumberOfXTilesAtLevel(0),
+        numberOfLevelZeroTilesY: tilingScheme.getNumberOfYTilesAtLevel(0)
+    };
+    if (parameters.isWebMercator) {
+        var southwest = tilingScheme.rectangleSouthwestInMeters;
+        var northeast = tilingScheme.rectangleNortheastInMeters;
+        parameters.rectangleSouthwestInMeters = [southwest.x, southwest.y];
+        parameters.rectangleNortheastInMeters = [northeast.x, northeast.y];
+    } else {
+        var rectangle = tilingScheme.rectangle;
+        parameters.rectangle = [rectangle.west, rectangle.south, rectangle.east, rectangle.north];
+    }
+    return parameters;
+}
+
+/**
+ * 启用worker时，将要素数据、样式（包括要素样式中的图标）和切片方案一次性传入worker。
+ * 切片数据源、流式加载、styleFilter和clustering函数无法传入worker，此时以及worker不可用时在主线程绘制
+ * @return {Promise}
+ * @private
+ */
+VectorTileImageryProvider.prototype._initWorker = function () {
+    if (!this._useWorker) {
+        return Promise.resolve();
+    }
+    if (typeof Worker == 'undefined' || typeof OffscreenCanvas == 'undefined' || typeof createImageBitmap == 'undefined') {
+        console.warn("当前浏览器不支持OffscreenCanvas，将在主线程绘制矢量切片");
+        return Promise.resolve();
+    }
+    if (this._tiledSource) {
+        console.warn("切片数据源不支持worker模式，将在主线程绘制矢量切片");
+        return Promise.resolve();
+    }
+    if (this._streaming) {
+        console.warn("流式加载的数据不支持worker模式，将在主线程绘制矢量切片");
+        return Promise.resolve();
+    }
+    if (this._styleFilter || typeof this.clustering == 'function') {
+        console.warn("worker模式不支持styleFilter和clustering函数，将在主线程绘制矢量切片");
+        return Promise.resolve();
+    }
+    var workerUrl = defaultValue(this._workerUrl, VectorTileImageryProvider.workerUrl);
+    if (!workerUrl) {
+        console.warn("未设置workerUrl，将在主线程绘制矢量切片");
+        return Promise.resolve();
+    }
+
+    var processors = VectorTileImageryProvider._workerProcessors;
+    if (!processors[workerUrl]) {
+        processors[workerUrl] = new WorkerTaskProcessor(workerUrl);
+    }
+    var processor = processors[workerUrl];
+    var providerId = VectorTileImageryProvider._nextWorkerProviderId++;
+
+    var that = this;
+    var style = serializeStyle(this._defaultStyle);
+    var markerImage = this._defaultStyle.markerImageEl;
+    var markerPromise = isImageSource(markerImage) ? createImageBitmap(markerImage) : Promise.resolve(undefined);
+    //要素样式中的图标转为ImageBitmap传入worker
+    var imageUrls = Object.keys(this._featureStyleImages);
+    var imagesPromise = Promise.all(imageUrls.map(function (url) {
+        return createImageBitmap(that._featureStyleImages[url]);
+    }));
+
+    return Promise.all([markerPromise, imagesPromise]).then(function (results) {
+        var markerBitmap = results[0];
+        var featureStyleImages = {};
+        var transferableObjects = results[1].slice();
+        imageUrls.forEach(function (url, i) {
+            featureStyleImages[url] = results[1][i];
+        });
+        if (markerBitmap) {
+            transferableObjects.push(markerBitmap);
+        }
+        style.markerImageEl = markerBitmap;
+        return processor.executeTask({
+            type: 'init',
+            providerId: providerId,
+            tileWidth: that._tileWidth,
+            tileHeight: that._tileHeight,
+            tilingScheme: serializeTilingScheme(that._tilingScheme),
+            tileIndexOptions: that._tileIndexOptions,
+            simplifyByLevel: that._simplifyByLevel,
+            simplifyPixelTolerance: that._simplifyPixelTolerance,
+            onlyPoint: that._onlyPoint,
+            style: style,
+            hasFeatureStyles: that._hasFeatureStyles,
+            featureStyleImages: featureStyleImages,
+            polygonJSON: that._polygonJSON,
+            lineGeoJSON: that._lineGeoJSON,
+            outlineGeoJSON: that._outlineGeoJSON,
+            pointGeoJSON: that._pointGeoJSON
+        }, transferableObjects);
+    }).then(function () {
+        that._workerProcessor = processor;
+        that._workerProviderId = providerId;
+    }).catch(function (err) {
+        console.warn("初始化worker失败，将在主线程绘制矢量切片", err);
+    });
+}
+
+/**
+ * 数据指纹：数据为url时使用响应头中的ETag或Last-Modified，同时包含已加载的要素数和范围，数据变化时使已缓存的切片失效。
+ * 指定了persistentCacheVersion时只使用该版本
+ * @return {Promise.<String>}
+ * @private
+ */
+VectorTileImageryProvider.prototype._getDataFingerprint = function () {
+    var options = this._persistentCacheOptions;
+    if (defined(options.version)) {
+        return Promise.resolve(undefined);
+    }
+    var featureCount = 0;
+    [this._polygonJSON, this._lineGeoJSON, this._pointGeoJSON].forEach(function (featureCollection) {
+        if (featureCollection) featureCount += featureCollection.features.length;
+    });
+    var bbox = this._bbox;
+    var fingerprint = {
+        featureCount: featureCount,
+        bbox: bbox ? [bbox.west, bbox.south, bbox.east, bbox.north] : null
+    };
+    if (!options.url) {
+        return Promise.resolve(JSON.stringify(fingerprint));
+    }
+    return Promise.resolve(Resource.head({ url: options.url })).then(function (headers) {
+        for (var name in headers) {
+            var lowerName = name.toLowerCase();
+            if (lowerName == 'etag' || lowerName == 'last-modified') {
+                fingerprint[lowerName] = headers[name];
+            }
+        }
+        return JSON.stringify(fingerprint);
+    }, function () {
+        //服务不支持HEAD请求时只使用要素数和范围
+        return JSON.stringify(fingerprint);
+    });
+}
+
+/**
+ * 持久化缓存的签名，由样式、样式函数、切片参数和数据版本（或数据指纹）计算，任何一项变化都会使已缓存的切片失效
+ * @return {String}
+ * @private
+ */
+VectorTileImageryProvider.prototype._getPersistentCacheSignature = function () {
+    return PersistentTileCache.hashString(JSON.stringify({
+        style: serializeStyle(this._defaultStyle),
+        styleFilter: this._styleFilter ? this._styleFilter.toString() : null,
+        clustering: typeof this.clustering == 'function' ? this.clustering.toString() : null,
+        tileWidth: this._tileWidth,
+        tileHeight: this._tileHeight,
+        isWebMercator: this._isWebMercator,
+        simplify: [this._simplify, this._simplifyTolerance, this._simplifyByLevel, this._simplifyPixelTolerance],
+        tileIndex: this._tileIndexOptions || null,
+        version: defaultValue(this._persistentCacheOptions.version, this._dataFingerprint)
+    }));
+}
+
+/**
+ * 打开持久化切片缓存，浏览器不支持IndexedDB或打开失败时不使用持久化缓存
+ * @return {Promise}
+ * @private
+ */
+VectorTileImageryProvider.prototype._initPersistentCache = function () {
+    var options = this._persistentCacheOptions;
+    if (!options) {
+        return Promise.resolve();
+    }
+    if (!PersistentTileCache.isSupported()) {
+        console.warn("当前浏览器不支持IndexedDB，不使用持久化切片缓存");
+        return Promise.resolve();
+    }
+    if (!options.key) {
+        console.warn("数据不是url时需要指定persistentCacheKey，不使用持久化切片缓存");
+        return Promise.resolve();
+    }
+    if (this._streaming) {
+        console.warn("流式加载的数据不使用持久化切片缓存");
+        return Promise.resolve();
+    }
+    var that = this;
+    var persistentCache;
+    return this._getDataFingerprint().then(function (fingerprint) {
+        that._dataFingerprint = fingerprint;
+        persistentCache = new PersistentTileCache({
+            source: options.key,
+            signature: that._getPersistentCacheSignature(),
+            maximumBytes: options.maximumBytes
+        });
+        return persistentCache.open();
+    }).then(function () {
+        that._persistentCache = persistentCache;
+    }).catch(function (err) {
+        console.warn("打开持久化切片缓存失败", err);
+    });
+}
+
+/**
+ * 删除持久化缓存中本图层的所有切片
+ * @return {Promise}
+ */
+VectorTileImageryProvider.prototype.clearPersistentCache = function () {
+    if (!this._persistentCache) {
+        return Promise.resolve();
+    }
+    return this._persistentCache.clear();
+}
+
+/**
+ * 在worker中裁剪并绘制切片，并发数由切片任务调度器控制
+ * @return {Promise.<ImageBitmap>}
+ * @private
+ */
+VectorTileImageryProvider.prototype._requestTileImageFromWorker = function (x, y, level, rectangle) {
+    var that = this;
+    var cacheId = x + "," + y + "," + level;
+    return this._workerProcessor.executeTask({
+        type: 'render',
+        providerId: this._workerProviderId,
+        x: x,
+        y: y,
+        level: level,
+        rectangle: {
+            west: rectangle.west,
+            south: rectangle.south,
+            east: rectangle.east,
+            north: rectangle.north
+        }
+    }).then(function (image) {
+        if (!image) {
+            return that._onlyPoint ? getEmpty(that._defaultStyle.backgroundColor) : undefined;
+        }
+        if (that._tileCache) {
+            that._tileCache.set(cacheId, image);
+        }
+        return image;
+    });
+}
+
+function clipToBBox(feature, bbox) {
+    if (!bbox) {
+        return feature;
+    }
+    var clipped;
+    try {
+        clipped = turf.bboxClip(feature, bbox);
+    } catch (e) {
+        return null;
+    }
+    var coordinates = clipped.geometry.coordinates;
+    for (var i = 0; i < coordinates.length; i++) {
+        if (coordinates[i].length > 0) {
+            return clipped;
+        }
+    }
+    return null;
+}
+
+function pointInBBox(coordinate, bbox) {
+    return !bbox || (coordinate[0] >= bbox[0] && coordinate[0] < bbox[2]
+        && coordinate[1] > bbox[1] && coordinate[1] <= bbox[3]);
+}
+
+/**
+ * 读取切片数据源中覆盖该切片的数据，裁掉各部分有效范围之外的数据（如MVT切片的缓冲区），生成面、边界线、线、点要素
+ * @return {Promise.<turf.FeatureCollection|null>}
+ * @private
+ */
+VectorTileImageryProvider.prototype._requestTileGeojson = function (x, y, level, rectangle) {
+    var that = this;
+    var style = this._defaultStyle;
+    var showCenterLabel = style.showCenterLabel && style.centerLabelPropertyName;
+    if (showCenterLabel) {
+        style.showLabel = true;
+        style.labelPropertyName = style.centerLabelPropertyName;
+    }
+    return this._tiledSource.requestTileData(x, y, level, rectangle, this._isWebMercator).then(function (parts) {
+        var polygons = [], lines = [], outlines = [], points = [];
+        parts.forEach(function (part) {
+            var bbox = part.bbox;
+            part.features.forEach(function (feature) {
+                var geometry = feature.geometry;
+                if (!geometry) return;
+                var clipped;
+                if (geometry.type == "Polygon" || geometry.type == "MultiPolygon") {
+                    clipped = clipToBBox(feature, bbox);
+                    if (!clipped) return;
+                    polygons.push(clipped);
+                    //边界线由完整的多边形生成后再裁剪，避免把裁剪产生的边画出来
+                    var lineString = turf.polygonToLineString(feature);
+                    var lineStrings = lineString.type == 'FeatureCollection' ? lineString.features : [lineString];
+                    lineStrings.forEach(function (outline) {
+                        outline.properties = Object.assign({}, feature.properties, { isOutline: true });
+                        outline = clipToBBox(outline, bbox);
+                        if (outline) outlines.push(outline);
+                    });
+                    if (showCenterLabel && feature.properties.hasOwnProperty(style.centerLabelPropertyName)) {
+                        var center = turf.center(clipped);
+                        center.properties = feature.properties;
+                        points.push(center);
+                    }
+                } else if (geometry.type == "LineString" || geometry.type == "MultiLineString") {
+                    clipped = clipToBBox(feature, bbox);
+                    if (clipped) lines.push(clipped);
+                } else if (geometry.type == "Point") {
+                    if (pointInBBox(geometry.coordinates, bbox)) points.push(feature);
+                } else if (geometry.type == "MultiPoint") {
+                    var coordinates = geometry.coordinates.filter(function (coordinate) {
+                        return pointInBBox(coordinate, bbox);
+                    });
+                    if (coordinates.length) points.push(turf.multiPoint(coordinates, feature.properties));
+                }
+            });
+        });
+        var features = polygons.concat(lines, outlines, points);
+        return features.length ? turf.featureCollection(features) : null;
+    });
+}
+
+/**
+ * 根据切片方案创建绘制用的投影
+ * @param {Number}width
+ * @param {Number}height
+ * @return {LonLatProjection|MercatorProjection}
+ * @private
+ */
+VectorTileImageryProvider.prototype._createProjection = function (width, height) {
+    if (this._isWebMercator) {
+        return new MercatorProjection(width, height);
+    }
+    return new LonLatProjection(width, height);
+}
+
+/**
+ * 拆分多面，并按几何类型将要素分为面、面的边界线、线和点，需要时简化面和线
+ * @param {turf.FeatureCollection}geoJSON 其中的多面要素会被拆分为多个面
+ * @param {Array.<turf.Feature>}points 点要素追加到该数组
+ * @return {{polygons:Array,outlines:Array,lines:Array,points:Array,onlyPoint:Boolean,lineOnly:Boolean,polygonOnly:Boolean}}
+ * @private
+ */
+VectorTileImageryProvider.prototype._splitFeatures = function (geoJSON, points) {
+    var that = this;
+    var tolerance = this._simplifyTolerance;
+    var lines = [], outlines = [], polygons = [];
+    var onlyPoint = true, lineOnly = true, polygonOnly = true;
+    var simplified;
+
+    turf.featureEach(geoJSON, function (fc) {
+        var geometry = fc.geometry;
+        if (!geometry) return;
+        if (geometry.type == 'MultiPolygon') {
+            var polygonCoords = turf.getCoords(fc);
+            polygonCoords.forEach(function (coords) {
+                geoJSON.features.push(turf.polygon(coords, fc.properties));
+            })
+            polygonCoords = [];
+        }
+    })
+
+    for (var i = 0; i < geoJSON.features.length; i++) {
+        var feature = geoJSON.features[i]
+        if (!feature) continue;
+        var geometry = feature.geometry
+        if (!geometry) continue
+        if (geometry.type == 'MultiPolygon') {
+            geoJSON.features.splice(i, 1)
+        }
+    }
+    if (that._removeDuplicate) {
+        geoJSON = turf.removeDuplicate(geoJSON);
+    }
+
+
+    turf.featureEach(geoJSON, function (feature, index) {
+        var geometry = feature.geometry
+        if (!geometry) return
+        if (geometry.type == "Point"
+            || geometry.type == "MultiPoint") {
+            points.push(feature);
+            lineOnly = false;
+            polygonOnly = false;
+        } else if (that._defaultStyle.showCenterLabel
+            && that._defaultStyle.centerLabelPropertyName
+            && geometry.type !== "Polygon"
+            && geometry.type !== "MultiPolygon") {
+            that._defaultStyle.showLabel = true;
+            that._defaultStyle.labelPropertyName = that._defaultStyle.centerLabelPropertyName;
+            var center = turf.centerOfMass(feature)
+            points.push(center);
+            center.properties = feature.properties;
+        }
+
+        if (geometry.type == "Polygon"
+            || geometry.type == "MultiPolygon") {
+            var lineString = turf.polygonToLineString(feature);
+            if (lineString) {
+                if (lineString.type == 'FeatureCollection') {
+                    outlines = outlines.concat(lineString.features);
+                } else if (lineString.type == 'Feature') {
+                    outlines = outlines.concat(lineString);
+                }
+            }
+
+            onlyPoint = false;
+            lineOnly = false;
+
+            if (that._simplify) {
+                simplified = turf.simplify(feature, {
+                    tolerance: tolerance, highQuality: false
+                });
+                polygons.push(simplified);
+
+                simplified = null;
+            } else {
+                polygons.push(feature);
+
+            }
+        }
+        if (geometry.type == "MultiLineString"
+            || geometry.type == "LineString") {
+
+            if (that._simplify) {
+                simplified = turf.simplify(feature, { tolerance: tolerance, highQuality: false });
+                lines.push(simplified);
+
+                simplified = null;
+
+            } else {
+                lines.push(feature);
+
+            }
+            onlyPoint = false;
+            polygonOnly = false;
+        }
+    })
+
+    return {
+        polygons: polygons,
+        outlines: outlines,
+        lines: lines,
+        points: points,
+        onlyPoint: onlyPoint,
+        lineOnly: lineOnly,
+        polygonOnly: polygonOnly
+    };
+}
+
+function appendToCollection(featureCollection, features) {
+    if (!featureCollection) {
+        return features.length ? turf.featureCollection(features) : null;
+    }
+    Array.prototype.push.apply(featureCollection.features, features);
+    return featureCollection;
+}
+
+function appendToIndex(index, features) {
+    if (!features.length) {
+        return index;
+    }
+    if (!index) {
+        return new FeatureIndex(features);
+    }
+    index.load(features);
+    return index;
+}
+
+/**
+ * 追加要素（流式加载时每批调用一次）：加入各类要素集合和空间索引，使与新要素相交的已缓存切片失效
+ * @param {turf.FeatureCollection}geoJSON
+ * @private
+ */
+VectorTileImageryProvider.prototype._appendFeatures = function (geoJSON) {
+    var bbox = turf.bbox(geoJSON);
+    if (!isFinite(bbox[0])) {
+        return;
+    }
+    var isFirst = !this._bbox;
+    if (this._allowPick) {
+        this._geoJSON = appendToCollection(this._geoJSON, geoJSON.features);
+    }
+    var split = this._splitFeatures(geoJSON, []);
+    split.outlines.forEach(function (outline) {
+        outline.properties.isOutline = true;
+    });
+    this._polygonJSON = appendToCollection(this._polygonJSON, split.polygons);
+    this._lineGeoJSON = appendToCollection(this._lineGeoJSON, split.lines);
+    this._outlineGeoJSON = appendToCollection(this._outlineGeoJSON, split.outlines);
+    this._pointGeoJSON = appendToCollection(this._pointGeoJSON, split.points);
+    this._polygonIndex = appendToIndex(this._polygonIndex, split.polygons);
+    this._lineIndex = appendToIndex(this._lineIndex, split.lines);
+    this._outlineIndex = appendToIndex(this._outlineIndex, split.outlines);
+    this._pointIndex = appendToIndex(this._pointIndex, split.points);
+
+    this._onlyPoint = (isFirst || this._onlyPoint) && split.onlyPoint;
+    this._lineOnly = (isFirst || this._lineOnly) && split.lineOnly;
+    this._polygonOnly = (isFirst || this._polygonOnly) && split.polygonOnly;
+    var rectangle = Rectangle.fromDegrees(bbox[0], bbox[1], bbox[2], bbox[3]);
+    this._bbox = isFirst ? rectangle : Rectangle.union(this._bbox, rectangle, this._bbox);
+    if (!isFirst) {
+        this._invalidateTiles(bbox);
+    }
+}
+
+/**
+ * 判断切片是否受失效范围影响，点符号和注记可能超出要素范围，判断相交时切片范围向外扩展1/4
+ * @private
+ */
+function isTileInvalidated(tilingScheme, x, y, level, rectangle) {
+    var tile = tilingScheme.tileXYToRectangle(x, y, level);
+    var bufferX = tile.width / 4, bufferY = tile.height / 4;
+    return tile.west - bufferX <= rectangle.east && tile.east + bufferX >= rectangle.west
+        && tile.south - bufferY <= rectangle.north && tile.north + bufferY >= rectangle.south;
+}
+
+/**
+ * 使与bbox相交的已缓存切片失效（不指定bbox时全部失效），并触发tilesInvalidated事件
+ * @param {Array.<Number>}[bbox] [west, south, east, north]，单位为度
+ * @private
+ */
+VectorTileImageryProvider.prototype._invalidateTiles = function (bbox) {
+    this._dataVersion++;
+    var rectangle;
+    if (bbox) {
+        rectangle = Rectangle.fromDegrees(bbox[0], bbox[1], bbox[2], bbox[3]);
+        var tilingScheme = this._tilingScheme, tileCache = this._tileCache;
+        tileCache.keys().forEach(function (key) {
+            var xyz = key.split(',');
+            if (isTileInvalidated(tilingScheme, +xyz[0], +xyz[1], +xyz[2], rectangle)) {
+                tileCache.remove(key);
+            }
+        });
     } else {
-        this._context.strokeStyle = this._defaultStyle.outlineColor;// "rgb(255,255,0)";
+        this._tileCache.clear();
+        rectangle = this._rectangle;
     }
+    this._tilesInvalidated.raiseEvent(this, rectangle);
+}
 
-    if (this._defaultStyle.fillColor instanceof Cesium.Color) {
-        this._context.fillStyle = this._defaultStyle.fillColor.toCssColorString();// "rgba(0,255,255,0.0)";
-    } else {
-        this._context.fillStyle = this._defaultStyle.fillColor;// "rgba(0,255,255,0.0)";
+/**
+ * 建立要素空间索引，数据加载完成后调用一次，切片时只裁剪外包矩形与切片相交的要素
+ * @private
+ */
+VectorTileImageryProvider.prototype._buildFeatureIndex = function () {
+    this._polygonIndex = this._polygonJSON ? new FeatureIndex(this._polygonJSON) : null;
+    this._lineIndex = this._lineGeoJSON ? new FeatureIndex(this._lineGeoJSON) : null;
+    this._outlineIndex = this._outlineGeoJSON ? new FeatureIndex(this._outlineGeoJSON) : null;
+    this._pointIndex = this._pointGeoJSON ? new FeatureIndex(this._pointGeoJSON) : null;
+    if (this._tileIndexOptions) {
+        this._tileIndex = new TileIndex({
+            tilingScheme: this._tilingScheme,
+            tileWidth: this._tileWidth,
+            buffer: this._tileIndexOptions.buffer,
+            tolerance: this._tileIndexOptions.tolerance,
+            maxZoom: this._tileIndexOptions.maxZoom,
+            polygons: this._polygonJSON ? this._polygonJSON.features : [],
+            lines: this._lineGeoJSON ? this._lineGeoJSON.features : [],
+            outlines: this._outlineGeoJSON ? this._outlineGeoJSON.features : []
+        });
+    } else if (this._simplifyByLevel) {
+        var features = [];
+        [this._polygonJSON, this._lineGeoJSON, this._outlineGeoJSON].forEach(function (fc) {
+            if (fc) {
+                features = features.concat(fc.features);
+            }
+        });
+        this._simplifier = new TopologySimplifier(features);
+        this._simplifiedLevels = [];
+    }
+}
+
+/**
+ * 获取要素在指定级别的简化结果，公差由该级别切片的像素分辨率确定，按级别缓存，只保留最近使用的几个级别
+ * @param {Array.<turf.Feature>}features
+ * @param {Number}level
+ * @return {Array.<turf.Feature>}
+ * @private
+ */
+VectorTileImageryProvider.prototype._getSimplifiedFeatures = function (features, level) {
+    var levels = this._simplifiedLevels;
+    var cache;
+    for (var i = 0; i < levels.length; i++) {
+        if (levels[i].level === level) {
+            cache = levels.splice(i, 1)[0];
+            break;
+        }
+    }
+    if (!cache) {
+        var rectangle = this._tilingScheme.rectangle;
+        var degreesPerPixel = CesiumMath.toDegrees(rectangle.east - rectangle.west)
+            / this._tilingScheme.getNumberOfXTilesAtLevel(level) / this._tileWidth;
+        cache = {
+            level: level,
+            tolerance: this._simplifyPixelTolerance * degreesPerPixel,
+            features: new Map()
+        };
+        if (levels.length >= VectorTileImageryProvider.maximumSimplifiedLevels) {
+            levels.pop();
+        }
     }
+    levels.unshift(cache);
+
+    var simplifier = this._simplifier;
+    return features.map(function (feature) {
+        var simplified = cache.features.get(feature);
+        if (!simplified) {
+            simplified = simplifier.simplify(feature, cache.tolerance);
+            cache.features.set(feature, simplified);
+        }
+        return simplified;
+    });
 }
 
 var isWorking = false;
 //用当前瓦片（Tile）矩形裁剪geojson并返回裁剪结果
-VectorTileImageryProvider.prototype._clipGeojson = function (rectangle) {
+VectorTileImageryProvider.prototype._clipGeojson = function (rectangle, x, y, level) {
     var that = this;
     var bbox = [CesiumMath.toDegrees(rectangle.west),
     CesiumMath.toDegrees(rectangle.south),
@@ -1033,30 +2084,37 @@ VectorTileImageryProvider.prototype._clipGeojson = function (rectangle) {
 
 
     var features = [];
-    if (this._pointGeoJSON) {
+    if (this._pointIndex) {
         //为了避免出现在边界的文字只画到一半，同时把周边切片包含的点也放在本切片绘制
         var lonW = (bbox[2] - bbox[0]) / 2, latH = (bbox[3] - bbox[1]) / 2;
-        var polygonBBox4Points = turf.bboxPolygon([
+        var pts = this._pointIndex.search([
             bbox[0] - lonW,
             bbox[1] - latH,
             bbox[2] + lonW,
             bbox[3] + latH,
         ]);
-        var fcBBox = turf.featureCollection([polygonBBox4Points]);
-        var pts = turf.within(this._pointGeoJSON, fcBBox);
-        features = features.concat(pts.features);
+        features = features.concat(pts);
+    }
+    if (this._tileIndex && defined(level)) {
+        //切片索引中的要素已经按瓦片（含缓冲区）裁剪和简化
+        var tile = this._tileIndex.getTile(x, y, level);
+        if (tile) {
+            features = features.concat(tile.polygons, tile.lines, tile.outlines);
+        }
+        return features.length > 0 ? turf.featureCollection(features) : null;
     }
-    var canClipGeojsons = [];
 
+    var canClipGeojsons = [];
 
-    if (this._polygonJSON) {
-        canClipGeojsons.push(this._polygonJSON);
-    }
-    if (this._lineGeoJSON) {
-        canClipGeojsons.push(this._lineGeoJSON);
-    }
-    if (this._outlineGeoJSON) {
-        canClipGeojsons.push(this._outlineGeoJSON);
+    //通过空间索引筛选外包矩形与切片相交的要素，不再逐个裁剪全部要素
+    var indices = [this._polygonIndex, this._lineIndex, this._outlineIndex];
+    for (var i = 0; i < indices.length; i++) {
+        if (!indices[i]) continue;
+        var intersected = indices[i].search(bbox);
+        if (this._simplifier && defined(level)) {
+            intersected = this._getSimplifiedFeatures(intersected, level);
+        }
+        canClipGeojsons.push(turf.featureCollection(intersected));
     }
 
     var clipped;
@@ -1208,94 +2266,59 @@ VectorTileImageryProvider.prototype._clipGeojson = function (rectangle) {
     return null;
 }
 
-/**
-    * 挖孔
-    * @param {any} context
-    * @param {any} projection
-    * @param {any} boundingRect
-    * @param {any} x
-    * @param {any} y
-    * @param {any} holes
-    */
-function createHoles(context, projection, boundingRect, x, y, holes) {
-    var tileCanvas = context.canvas;
-    var imgData = context.getImageData(0, 0, tileCanvas.width, tileCanvas.height);
-
-    var holeMaskCanvas = document.createElement("canvas");
-    holeMaskCanvas.width = tileCanvas.width;
-    holeMaskCanvas.height = tileCanvas.height;
-    var holeMaskCtx = holeMaskCanvas.getContext("2d");
-
-    var mask = [];
-    holes.map(function (hole) {
-        holeMaskCtx.clearRect(0, 0, holeMaskCanvas.width, holeMaskCanvas.height);
-        holeMaskCtx.beginPath();
+//绘制多边形（面或线）。填充时外环和内环（洞）作为同一路径按奇偶规则填充，洞只影响所在的多边形
+function drawContours(context, projection, boundingRect, x, y, contours, fill, stroke, style) {
+
+    if (fill) {
+        context.beginPath();
+    }
+    contours.map(function (contour) {
         var pointIndex = 0;
-        hole.map(function (coordinate) {
+        if (!fill) {
+            context.beginPath();
+        }
+        contour.map(function (coordinate) {
             var pt = projection.project(coordinate, boundingRect)
             if (pointIndex == 0) {
-                holeMaskCtx.moveTo(x + pt.x, y + pt.y);
+                context.moveTo(x + pt.x, y + pt.y);
             } else {
-                holeMaskCtx.lineTo(x + pt.x, y + pt.y);
+                context.lineTo(x + pt.x, y + pt.y);
             }
             pointIndex++;
         })
-        holeMaskCtx.closePath();
-
-
-        holeMaskCtx.fillStyle = "rgba(255,255,255,1)";
-        holeMaskCtx.fill();
-        mask = holeMaskCtx.getImageData(0, 0, holeMaskCanvas.width, holeMaskCanvas.height).data;
-        for (var i = 3; i < mask.length; i += 4) {
-            if (mask[i] > 0) {
-                imgData.data[i] = 0;
-            }
-        }
-
-    });
-    context.putImageData(imgData, 0, 0);
-}
-
-//绘制多边形（面或线）
-function drawContours(context, projection, boundingRect, x, y, contours, fill, stroke, style) {
-
-    var count = 0;
-    var holes = [];
-    contours.map(function (contour) {
-        if (!fill || count <= 0) {
-            var pointIndex = 0;
-            context.beginPath();
-            contour.map(function (coordinate) {
-                var pt = projection.project(coordinate, boundingRect)
-                if (pointIndex == 0) {
-                    context.moveTo(x + pt.x, y + pt.y);
-                } else {
-                    context.lineTo(x + pt.x, y + pt.y);
-                }
-                pointIndex++;
-            })
-
-            if (fill) {
-                context.closePath();
-                context.fill(); //context.stroke();
-            }
-            if (stroke) {
-                context.stroke();
-            }
 
-        } else {
-            holes.push(contour);
+        if (fill) {
+            context.closePath();
+        } else if (stroke) {
+            context.stroke();
         }
-        count++;
     })
     if (fill) {
-        return holes;
-    } else {
-        holes = null;
+        context.fill('evenodd');
+        if (stroke) {
+            context.stroke();
+        }
     }
 }
 
 
+//直接绘制注记文本（以x,y为中心）
+function drawLabel(context, text, x, y, style) {
+    context.save();
+    context.font = style.fontSize + 'px ' + style.fontFamily;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+    if (style.labelStroke) {
+        context.lineWidth = style.labelStrokeWidth;
+        context.strokeStyle = typeof style.labelStrokeColor == 'string' ?
+            style.labelStrokeColor : style.labelStrokeColor.toCssColorString();
+        context.strokeText(text, x, y);
+    }
+    context.fillStyle = style.color;
+    context.fillText(text, x, y);
+    context.restore();
+}
+
 //画点
 function drawMarker(context, projection, boundingRect, x, y, pointFeature, fill, stroke, labelPropertyName, makerStyle) {
     if (typeof labelPropertyName == 'undefined') {
@@ -1322,18 +2345,14 @@ function drawMarker(context, projection, boundingRect, x, y, pointFeature, fill,
 
     var coordinate = pointFeature.geometry.coordinates
 
-    var percentX = (coordinate[0] - boundingRect.xMin) / (boundingRect.xMax - boundingRect.xMin);
-    var percentY = (coordinate[1] - boundingRect.yMax) / (boundingRect.yMin - boundingRect.yMax);
-
-    var pt = { x: percentX * context.canvas.width, y: percentY * context.canvas.height };
+    var pt = projection.project(coordinate, boundingRect);
 
     if (style.showMarker || style.showMarker) {
 
         var px = pt.x + x,
             py = pt.y + y;
 
-        if (style.markerSymbol && (style.markerSymbol instanceof Image
-            || style.markerSymbol instanceof HTMLCanvasElement)) {
+        if (style.markerSymbol && isImageSource(style.markerSymbol)) {
 
 
             var textHeight = style.markerSymbol.height;
@@ -1379,29 +2398,97 @@ function drawMarker(context, projection, boundingRect, x, y, pointFeature, fill,
             py = pt.y + y + style.labelOffsetY;// + style.fontSize / 2;
 
             text = text.trim();
-            var textImg = drawText(text, {
-                fill: true,
-                font: style.fontSize + 'px ' + style.fontFamily,
-                stroke: style.labelStroke,
-                strokeWidth: style.labelStrokeWidth,
-                strokeColor:
-                    typeof style.labelStrokeColor == 'string' ?
-                        Cesium.Color.fromCssColorString(style.labelStrokeColor) :
-                        style.labelStrokeColor,
-                fillColor: Cesium.Color.fromCssColorString(style.color)
-            })
+            if (typeof document == 'undefined') {
+                //worker中无法使用drawText，直接在切片上绘制文本
+                drawLabel(context, text, px - style.pointSize, py - style.pointSize, style);
+            } else {
+                var textImg = drawText(text, {
+                    fill: true,
+                    font: style.fontSize + 'px ' + style.fontFamily,
+                    stroke: style.labelStroke,
+                    strokeWidth: style.labelStrokeWidth,
+                    strokeColor:
+                        typeof style.labelStrokeColor == 'string' ?
+                            Cesium.Color.fromCssColorString(style.labelStrokeColor) :
+                            style.labelStrokeColor,
+                    fillColor: Cesium.Color.fromCssColorString(style.color)
+                })
 
-            var textHeight = textImg.height;
-            var textWidth = textImg.width;
-            px -= textWidth / 2 + style.pointSize;
-            py -= textHeight / 2 + style.pointSize;
-            if (textImg.width && textImg.height)
-                context.drawImage(textImg, px, py)
+                var textHeight = textImg.height;
+                var textWidth = textImg.width;
+                px -= textWidth / 2 + style.pointSize;
+                py -= textHeight / 2 + style.pointSize;
+                if (textImg.width && textImg.height)
+                    context.drawImage(textImg, px, py)
+            }
         }
     }
     context.restore();
 }
 
+/**
+ * 检查要素是否带有样式（属性VectorTileImageryProvider.featureStylePropertyName），并加载样式中的图标
+ * @param {turf.FeatureCollection}geoJSON
+ * @return {Promise}
+ * @private
+ */
+VectorTileImageryProvider.prototype._loadFeatureStyleImages = function (geoJSON) {
+    var that = this;
+    var stylePropertyName = VectorTileImageryProvider.featureStylePropertyName;
+    var urls = {};
+    turf.featureEach(geoJSON, function (feature) {
+        var style = feature.properties ? feature.properties[stylePropertyName] : undefined;
+        if (style) {
+            that._hasFeatureStyles = true;
+            if (typeof style.markerImage == 'string') {
+                urls[style.markerImage] = true;
+            }
+        }
+    });
+    return Promise.all(Object.keys(urls).map(function (url) {
+        return new Promise(function (resolve) {
+            var image = new Image();
+            image.onload = function () {
+                that._featureStyleImages[url] = this;
+                resolve();
+            }
+            image.onerror = function () {
+                //图标加载失败时按点样式绘制
+                console.warn("加载图标失败：" + url);
+                resolve();
+            }
+            image.src = url;
+        });
+    }));
+}
+
+/**
+ * 获取要素的样式：默认样式依次应用要素自身的样式和styleFilter
+ * @param {turf.Feature}feature
+ * @return {Cesium.VectorStyle}
+ * @private
+ */
+VectorTileImageryProvider.prototype._getFeatureStyle = function (feature, x, y, level) {
+    //worker中的默认样式为普通对象
+    var style = typeof this._defaultStyle.clone == 'function' ? this._defaultStyle.clone() : Object.assign({}, this._defaultStyle);
+    var featureStyle = this._hasFeatureStyles && feature.properties
+        ? feature.properties[VectorTileImageryProvider.featureStylePropertyName] : undefined;
+    if (featureStyle) {
+        for (var name in featureStyle) {
+            if (featureStyle.hasOwnProperty(name)) {
+                style[name] = featureStyle[name];
+            }
+        }
+        if (typeof featureStyle.markerImage == 'string') {
+            style.markerImageEl = this._featureStyleImages[featureStyle.markerImage];
+        }
+    }
+    if (this._styleFilter) {
+        this._styleFilter(feature, style, x, y, level);
+    }
+    return style;
+}
+
 /**
  * 
  *@param {Number}x
@@ -1432,7 +2519,7 @@ VectorTileImageryProvider.prototype._drawGeojson = function (context, x, y, geoj
         height = context.canvas.height - y;
     }
 
-    var projection = new LonLatProjection(width, height);
+    var projection = this._createProjection(width, height);
 
     var style = this._defaultStyle;
 
@@ -1452,18 +2539,12 @@ VectorTileImageryProvider.prototype._drawGeojson = function (context, x, y, geoj
         showLabel: style.showLabel,
         labelOffsetX: style.labelOffsetX,
         labelOffsetY: style.labelOffsetY,
-        markerSymbol: (style.markerImage instanceof Image
-            || style.markerImage instanceof HTMLCanvasElement
-        ) ? style.markerImage : style.markerImageEl
+        markerSymbol: isImageSource(style.markerImage) ? style.markerImage : style.markerImageEl
     };
-    var holes = [];
-    if (that._styleFilter) {
+    var useFeatureStyle = that._styleFilter || that._hasFeatureStyles;
+    if (useFeatureStyle) {
         turf.featureEach(geojson, function (currentFeature, currentFeatureIndex) {
-            if (that._styleFilter) {
-                style = that._defaultStyle.clone();
-                that._styleFilter(currentFeature, style, row, col, level);
-                currentFeature.style = style;
-            }
+            currentFeature.style = that._getFeatureStyle(currentFeature, row, col, level);
         });
         geojson.features.sort(function (a, b) {
             if (a.style && a.style.lineDash) {
@@ -1478,7 +2559,7 @@ VectorTileImageryProvider.prototype._drawGeojson = function (context, x, y, geoj
 
     function drawFeature(currentFeature, currentFeatureIndex) {
 
-        if (that._styleFilter) {
+        if (useFeatureStyle) {
             style = currentFeature.style;
             if (style.show == false) {
                 return;
@@ -1500,7 +2581,7 @@ VectorTileImageryProvider.prototype._drawGeojson = function (context, x, y, geoj
                 showLabel: style.showLabel,
                 labelOffsetX: style.labelOffsetX,
                 labelOffsetY: style.labelOffsetY,
-                markerSymbol: (style.markerImage instanceof Image || style.markerImage instanceof HTMLCanvasElement) ? style.markerImage : style.markerImageEl
+                markerSymbol: isImageSource(style.markerImage) ? style.markerImage : style.markerImageEl
             };
         } else {
             style = that._defaultStyle;
@@ -1544,28 +2625,14 @@ VectorTileImageryProvider.prototype._drawGeojson = function (context, x, y, geoj
         else if (geometry.type == "Polygon" && style.fill) {
 
             var contours = turf.getCoords(currentFeature);
-            var tempHoles = drawContours(context, projection, boundingRect, x, y, contours, true, false, style);
-            if (tempHoles) {
-                tempHoles.map(function (hole) {
-                    hole.style = style;
-                    holes.push(hole);
-                })
-            }
-            //drawContours(context, projection, boundingRect, x, y, contours, true, false, style);
+            drawContours(context, projection, boundingRect, x, y, contours, true, false, style);
         } else if (geometry.type == "MultiPolygon" && style.fill) {
             var polygons;
             try {
 
                 polygons = turf.getCoords(currentFeature);
                 polygons.map(function (contours) {
-                    var tempHoles = drawContours(context, projection, boundingRect, x, y, contours, true, false, style);
-                    if (tempHoles) {
-                        tempHoles.map(function (hole) {
-                            hole.style = style;
-                            holes.push(hole);
-                        })
-
-                    }
+                    drawContours(context, projection, boundingRect, x, y, contours, true, false, style);
                 })
 
             } catch (e) {
@@ -1603,9 +2670,6 @@ VectorTileImageryProvider.prototype._drawGeojson = function (context, x, y, geoj
             drawFeature(fc, idx)
         }
     })
-    if (holes && holes.length) {
-        createHoles(context, projection, boundingRect, x, y, holes)
-    }
     turf.featureEach(geojson, function (fc, idx) {
         var geometry = fc.geometry
         if (!geometry) return;
@@ -1630,7 +2694,7 @@ VectorTileImageryProvider.prototype._drawGeojson = function (context, x, y, geoj
         boundingRect.xMin, boundingRect.yMin, boundingRect.xMax, boundingRect.yMax
     ]
     if (typeof that.clustering == 'function') {
-        pointFcs = that.clustering(pointFcs, context, tileBBox, row, col, level)
+        pointFcs = that.clustering(pointFcs, context, tileBBox, row, col, level, projection)
     }
     if (pointFcs && pointFcs.length) {
         pointFcs.forEach(function (fc, idx) {
@@ -1645,20 +2709,24 @@ VectorTileImageryProvider.prototype._drawGeojson = function (context, x, y, geoj
  * @param {Array.<Number>}tileBBox
  * @param {Feature.<Point|MultiPoint>}pointFeature
  * @param {Array.<Number>}outDrawBBox
+ * @param {LonLatProjection|MercatorProjection}[projection] 切片投影，默认按经纬度线性计算像素坐标
  * @return {Boolean}
  */
-VectorTileImageryProvider.pointIsCrossTile = function pointIsCrossTile(context, tileBBox, pointFeature, outDrawBBox) {
+VectorTileImageryProvider.pointIsCrossTile = function pointIsCrossTile(context, tileBBox, pointFeature, outDrawBBox, projection) {
     if (outDrawBBox) outDrawBBox.splice(0, outDrawBBox.length)
     if (!pointFeature.properties) return true;
     if (!pointFeature.properties.symbol) return true;
     var symbol = pointFeature.properties.symbol;
     var coordinate = pointFeature.geometry.coordinates
 
-    var percentX = (coordinate[0] - tileBBox[0]) / (tileBBox[2] - tileBBox[0]);
-    var percentY = (coordinate[1] - tileBBox[3]) / (tileBBox[1] - tileBBox[3]);
-
-    var x = percentX * context.canvas.width,
-        y = percentY * context.canvas.height;
+    if (!projection) {
+        projection = new LonLatProjection(context.canvas.width, context.canvas.height);
+    }
+    var pt = projection.project(coordinate, {
+        xMin: tileBBox[0], yMin: tileBBox[1], xMax: tileBBox[2], yMax: tileBBox[3]
+    });
+    var x = pt.x,
+        y = pt.y;
     var minX = x - symbol.width / 2.0, maxX = x + symbol.width / 2.0;
     var minY = y - symbol.height / 2.0, maxY = y + symbol.height / 2.0;
     if (minX < 0 || maxX > context.canvas.width) return true;
@@ -1680,8 +2748,13 @@ VectorTileImageryProvider.prototype.requestImageSync = function (x, y, level) {
     var that = this;
     var cacheId = x + "," + y + "," + level;
 
-    if (that.cache && that.cache[cacheId]) {
-        return that.cache[cacheId];
+    var cachedImage = that._tileCache.get(cacheId);
+    if (cachedImage) {
+        return cachedImage;
+    }
+    //切片数据源需要异步读取数据，只能返回已缓存的切片
+    if (that._tiledSource) {
+        return undefined;
     }
     var rectangle = this._tilingScheme.tileXYToRectangle(x, y, level);
     var boundingRect = {
@@ -1691,7 +2764,7 @@ VectorTileImageryProvider.prototype.requestImageSync = function (x, y, level) {
         yMax: CesiumMath.toDegrees(rectangle.north)
     };
 
-    var clippedGeojson = that._clipGeojson(rectangle);
+    var clippedGeojson = that._clipGeojson(rectangle, x, y, level);
 
     if (!clippedGeojson) {
         if (that._onlyPoint || (that._polygonOnly && that._defaultStyle.fill)) {
@@ -1709,10 +2782,11 @@ VectorTileImageryProvider.prototype.requestImageSync = function (x, y, level) {
         return that._canvas;
     }
 }
-VectorTileImageryProvider.prototype._createTileImage = function (x, y, level, rectangle, defer) {
+VectorTileImageryProvider.prototype._createTileImage = function (x, y, level, rectangle, defer, tileGeojson) {
 
     var that = this;
     var cacheId = x + "," + y + "," + level;
+    var dataVersion = this._dataVersion;
 
     var boundingRect = {
         xMin: CesiumMath.toDegrees(rectangle.west),
@@ -1720,9 +2794,17 @@ VectorTileImageryProvider.prototype._createTileImage = function (x, y, level, re
         xMax: CesiumMath.toDegrees(rectangle.east),
         yMax: CesiumMath.toDegrees(rectangle.north)
     };
-    this._state = VectorTileImageryProvider.State.CLIPPING;
     requestAnimationFrame(function () {
-        var clippedGeojson = that._clipGeojson(rectangle);
+        var clippedGeojson = tileGeojson;
+        try {
+            if (!that._tiledSource) {
+                clippedGeojson = that._clipGeojson(rectangle, x, y, level);
+            }
+        } catch (e) {
+            //出错时也要结束任务，避免占用调度器的并发名额
+            defer.reject(e);
+            return;
+        }
 
         if (!clippedGeojson) {
             if (that._onlyPoint) {
@@ -1731,39 +2813,37 @@ VectorTileImageryProvider.prototype._createTileImage = function (x, y, level, re
             else {
                 defer.resolve(undefined);
             }
-            that._state = VectorTileImageryProvider.State.COMPELTED;
-            VectorTileImageryProvider._currentTaskCount--;
         } else {
 
             requestAnimationFrame(function () {
-                that._state = VectorTileImageryProvider.State.GEOJSONDRAWING;
-                that._createCanvas();
-                if (!that._defaultStyle.backgroundColor) {
-                    that._context.clearRect(0, 0, that._canvas.width, that._canvas.height);
-                }
+                try {
+                    that._createCanvas();
+                    if (!that._defaultStyle.backgroundColor) {
+                        that._context.clearRect(0, 0, that._canvas.width, that._canvas.height);
+                    }
 
-                //if (level < 8) {
-                //    var v = 1.5 / Math.pow(2, (level + 0));
-                //    try {
-                //        clippedGeojson = turf.simplify(clippedGeojson, v);
-                //    } catch (e) {
+                    //if (level < 8) {
+                    //    var v = 1.5 / Math.pow(2, (level + 0));
+                    //    try {
+                    //        clippedGeojson = turf.simplify(clippedGeojson, v);
+                    //    } catch (e) {
 
-                //    }
+                    //    }
 
-                //}
+                    //}
 
-                that._drawGeojson(that._context, 0, 0, clippedGeojson, boundingRect, that._tileWidth, that._tileHeight, that._fill, that._outline, x, y, level);
+                    that._drawGeojson(that._context, 0, 0, clippedGeojson, boundingRect, that._tileWidth, that._tileHeight, that._fill, that._outline, x, y, level);
+                } catch (e) {
+                    defer.reject(e);
+                    return;
+                }
 
-                that.cache[cacheId] = that._canvas;
-                that.cache[cacheId].srcJson = clippedGeojson;
-                that.cacheCount++;
-                VectorTileImageryProvider._currentTaskCount--;
+                that._canvas.srcJson = clippedGeojson;
+                if (that._tileCache && dataVersion === that._dataVersion) {
+                    that._tileCache.set(cacheId, that._canvas);
+                }
 
                 defer.resolve(that._canvas);
-
-                requestAnimationFrame(function () {
-                    that._state = VectorTileImageryProvider.State.COMPELTED;
-                });
             });
 
         }
@@ -1771,60 +2851,190 @@ VectorTileImageryProvider.prototype._createTileImage = function (x, y, level, re
 }
 
 /**
-*
+*清空切片缓存，不影响切片的固定状态
 */
 VectorTileImageryProvider.prototype.clearCache = function () {
-    var provider = this;
-    for (var cacheId in provider.cache) {
-        if (provider.cache.hasOwnProperty(cacheId)) {
-            provider.cache[cacheId].srcJson = null;
-            delete provider.cache[cacheId];
+    this._tileCache.clear();
+}
+
+/**
+*固定切片，固定的切片不会从缓存中淘汰，可以在切片绘制之前固定
+*@param {Number}x
+*@param {Number}y
+*@param {Number}level
+*/
+VectorTileImageryProvider.prototype.pinTile = function (x, y, level) {
+    this._tileCache.pin(x + "," + y + "," + level);
+}
+
+/**
+*取消固定切片
+*@param {Number}x
+*@param {Number}y
+*@param {Number}level
+*/
+VectorTileImageryProvider.prototype.unpinTile = function (x, y, level) {
+    this._tileCache.unpin(x + "," + y + "," + level);
+}
+
+/**
+*固定指定级别下与矩形范围相交的所有切片，例如固定相机视野范围（camera.computeViewRectangle()）内的切片
+*@param {Cesium.Rectangle}rectangle
+*@param {Number}level
+*@return {Array.<Object>} 固定的切片，{x,y,level}，可用于之后取消固定
+*/
+VectorTileImageryProvider.prototype.pinTiles = function (rectangle, level) {
+    var tilingScheme = this.tilingScheme;
+    var nw = tilingScheme.positionToTileXY(Rectangle.northwest(rectangle), level);
+    var se = tilingScheme.positionToTileXY(Rectangle.southeast(rectangle), level);
+    var tiles = [];
+    if (!nw || !se) {
+        return tiles;
+    }
+    var columns = [];
+    if (nw.x <= se.x) {
+        for (var x = nw.x; x <= se.x; x++) {
+            columns.push(x);
+        }
+    } else {
+        //范围跨越180°经线时，西侧的列到最后一列，再从第0列到东侧的列
+        var numberOfXTiles = tilingScheme.getNumberOfXTilesAtLevel(level);
+        for (x = nw.x; x < numberOfXTiles; x++) {
+            columns.push(x);
+        }
+        for (x = 0; x <= se.x; x++) {
+            columns.push(x);
+        }
+    }
+    for (var i = 0; i < columns.length; i++) {
+        for (var y = nw.y; y <= se.y; y++) {
+            this.pinTile(columns[i], y, level);
+            tiles.push({ x: columns[i], y: y, level: level });
         }
     }
-    provider.cache = {};
-    provider.cacheCount = 0;
+    return tiles;
+}
+
+/**
+*取消固定所有切片
+*/
+VectorTileImageryProvider.prototype.unpinAllTiles = function () {
+    this._tileCache.unpinAll();
+}
+
+/**
+*取消等待绘制的切片任务，例如切片已移出视野时。正在绘制的切片不会被中断
+*@param {Number}x
+*@param {Number}y
+*@param {Number}level
+*@return {Boolean} 是否取消了任务
+*/
+VectorTileImageryProvider.prototype.cancelTile = function (x, y, level) {
+    return this._taskQueue.cancel(x, y, level);
+}
+
+/**
+*取消所有等待绘制的切片任务
+*/
+VectorTileImageryProvider.prototype.cancelAllTiles = function () {
+    this._taskQueue.cancelAll();
 }
 
-VectorTileImageryProvider.prototype._getTileImage = function (x, y, level, rectangle) {
+VectorTileImageryProvider.prototype._getTileImage = function (x, y, level, rectangle, request) {
 
     var that = this;
 
     //从缓存中查询
     var cacheId = x + "," + y + "," + level;
-    if (!that.cacheCount) {
-        that.cacheCount = 0;
+    var cachedImage = that._tileCache.get(cacheId);
+    if (cachedImage) {
+        return Promise.resolve(cachedImage)
     }
-    if (!that.cache || that.cacheCount > that._tileCacheSize) {
-        for (var cacheId in that.cache) {
-            if (that.cache.hasOwnProperty(cacheId)) {
-                that.cache[cacheId].srcJson = null;
-                delete that.cache[cacheId];
+
+    //先从持久化缓存中查询，没有时再裁剪和绘制
+    var persistentCache = that._persistentCache;
+    if (persistentCache) {
+        return persistentCache.get(x, y, level).catch(function (err) {
+            console.warn(err);
+        }).then(function (image) {
+            if (image) {
+                that._tileCache.set(cacheId, image);
+                return image;
             }
-        }
-        that.cache = {};
-        that.cacheCount = 0;
-    }
-    if (that.cache[cacheId]) {
-        return Promise.resolve(that.cache[cacheId])
+            return that._addTileTask(x, y, level, rectangle, request).then(function (image) {
+                if (image && image !== emptycv) {
+                    persistentCache.put(x, y, level, image).catch(function (err) {
+                        console.warn(err);
+                    });
+                }
+                return image;
+            });
+        });
     }
+    return that._addTileTask(x, y, level, rectangle, request);
+}
 
-    //处理并发
-    if (VectorTileImageryProvider._maxTaskCount < VectorTileImageryProvider._currentTaskCount) {
-        return undefined;
-    }
+var scratchCartographic = new Cartographic();
+var scratchCartesian = new Cartesian3();
 
-    var defer = {};
-    defer.promise = new Promise(function (resolve, reject) {
-        defer.resolve = resolve
-        defer.reject = reject
-    })
+/**
+ * 计算相机到切片范围内最近点（地面）的距离，单位为米
+ * @private
+ */
+function getTileDistance(camera, rectangle) {
+    var position = camera.positionCartographic;
+    scratchCartographic.longitude = CesiumMath.clamp(position.longitude, rectangle.west, rectangle.east);
+    scratchCartographic.latitude = CesiumMath.clamp(position.latitude, rectangle.south, rectangle.north);
+    scratchCartographic.height = 0;
+    var point = Cartographic.toCartesian(scratchCartographic, Ellipsoid.WGS84, scratchCartesian);
+    return Cartesian3.distance(point, camera.positionWC);
+}
 
-    VectorTileImageryProvider._currentTaskCount++;
-    that._state = VectorTileImageryProvider.State.READY;
-    setTimeout(function () {
-        return that._createTileImage(x, y, level, rectangle, defer)
-    }, 1);
-    return defer.promise;
+/**
+ * 加入切片任务队列，由调度器按优先级和各图层的并发名额执行。
+ * 优先级依次取request（数值时为距离）、相机到切片的距离（指定了options.camera时）
+ * @private
+ */
+VectorTileImageryProvider.prototype._addTileTask = function (x, y, level, rectangle, request) {
+    var that = this;
+    var cacheId = x + "," + y + "," + level;
+    var priority = 0;
+    if (typeof request == 'number') {
+        priority = request;
+        request = undefined;
+    } else if (that._camera) {
+        priority = getTileDistance(that._camera, rectangle);
+    }
+    return that._taskQueue.add({
+        x: x,
+        y: y,
+        level: level,
+        priority: priority,
+        request: request,
+        execute: function () {
+            //等待期间可能已被其他任务绘制并缓存
+            var cachedImage = that._tileCache.get(cacheId);
+            if (cachedImage) {
+                return cachedImage;
+            }
+            if (that._workerProcessor) {
+                return that._requestTileImageFromWorker(x, y, level, rectangle);
+            }
+            var defer = {};
+            defer.promise = new Promise(function (resolve, reject) {
+                defer.resolve = resolve
+                defer.reject = reject
+            })
+            if (that._tiledSource) {
+                that._requestTileGeojson(x, y, level, rectangle).then(function (tileGeojson) {
+                    that._createTileImage(x, y, level, rectangle, defer, tileGeojson);
+                }).catch(defer.reject);
+            } else {
+                that._createTileImage(x, y, level, rectangle, defer);
+            }
+            return defer.promise;
+        }
+    });
 }
 
 var emptycv;
@@ -1857,7 +3067,15 @@ var scratchRectangleIntersection;
 if (typeof Rectangle !== 'undefined') {
     scratchRectangleIntersection = new Rectangle();
 }
-VectorTileImageryProvider.prototype.requestImage = function (x, y, level, distance) {
+/**
+*请求切片
+*@param {Number}x
+*@param {Number}y
+*@param {Number}level
+*@param {Cesium.Request|Number}[request] Cesium传入的请求对象（请求被取消时切片任务随之取消），或者切片到相机的距离（用于确定切片任务的优先级，参见options.camera）
+*@return {Promise.<HTMLCanvasElement|ImageBitmap>|undefined}
+*/
+VectorTileImageryProvider.prototype.requestImage = function (x, y, level, request) {
     if (!this._ready || this._state != VectorTileImageryProvider.State.COMPELTED) {
         return undefined;
     }
@@ -1869,7 +3087,7 @@ VectorTileImageryProvider.prototype.requestImage = function (x, y, level, distan
         return Promise.resolve(getEmpty(this._defaultStyle.backgroundColor))
     }
     var rectangle = this.tilingScheme.tileXYToRectangle(x, y, level);
-    return this._getTileImage(x, y, level, rectangle);
+    return this._getTileImage(x, y, level, rectangle, request);
 }
 VectorTileImageryProvider.prototype.pickFeatures = function (x, y, level, longitude, latitude) {
     //alert(longitude+","+ latitude);
@@ -1901,7 +3119,9 @@ VectorTileImageryProvider.compose = function (
         return a.zIndex - b.zIndex;
     })
 
-    var tilingScheme = new Cesium.GeographicTilingScheme();
+    //各图层需使用相同的切片方案，以第一个图层的切片方案为准
+    var tilingScheme = vectorTileImageryProviders.length ? vectorTileImageryProviders[0].tilingScheme
+        : new Cesium.GeographicTilingScheme();
 
     var nw = Rectangle.northwest(rectangle);
     var se = Rectangle.southeast(rectangle);
@@ -1961,10 +3181,68 @@ VectorTileImageryProvider.prototype.prepareFeatureInfo = function (feature, x, y
  */
 VectorTileImageryProvider.prototype.pickFeatures = function (x, y, level, longitude, latitude) {
     var that = this;
+    if (this._allowPick && this._tiledSource) {
+        //切片数据源从该切片的数据中查询，数据一般已在绘制时缓存
+        var rectangle = this.tilingScheme.tileXYToRectangle(x, y, level);
+        return this._tiledSource.requestTileData(x, y, level, rectangle, this._isWebMercator).then(function (parts) {
+            var features = [];
+            parts.forEach(function (part) {
+                features = features.concat(part.features);
+            });
+            return that._pickFeatures(turf.featureCollection(features), x, y, level, longitude, latitude);
+        });
+    }
     if (!this._allowPick || !this._geoJSON) {
         that._featuresPicked.raiseEvent(that, undefined);
         return undefined;
     }
+    return this._pickFeatures(this._geoJSON, x, y, level, longitude, latitude);
+}
+
+/**
+ * 将纠偏后的要素转换回options.coordinateSystem指定的坐标系，切片数据源的要素不转换
+ * @private
+ */
+VectorTileImageryProvider.prototype._toSourceCoordinates = function (feature) {
+    if (this._coordinateSystem == CoordinateSystem.WGS84 || this._tiledSource) {
+        return feature;
+    }
+    return CoordinateSystem.transformGeoJSON(feature, CoordinateSystem.WGS84, this._coordinateSystem).features[0];
+}
+
+/**
+ * 导出加载的数据（需要allowPick为true，切片数据源不支持），坐标转换回options.coordinateSystem指定的坐标系，
+ * 投影坐标系（options.sourceCrs）的数据导出为经纬度
+ * @return {turf.FeatureCollection|undefined}
+ */
+VectorTileImageryProvider.prototype.toGeoJSON = function () {
+    if (!this._geoJSON) {
+        return undefined;
+    }
+    return CoordinateSystem.transformGeoJSON(this._geoJSON, CoordinateSystem.WGS84, this._coordinateSystem);
+}
+
+//拾取结果的描述中以字段别名代替字段名
+function applyFieldAliases(properties, fieldAliases) {
+    if (!fieldAliases) {
+        return properties;
+    }
+    var result = {};
+    for (var name in properties) {
+        if (properties.hasOwnProperty(name)) {
+            result[fieldAliases[name] || name] = properties[name];
+        }
+    }
+    return result;
+}
+
+/**
+ * 从geojson中查询拾取位置的要素。非切片数据源从原始数据（_geoJSON）中查询，返回未裁剪和简化的要素，
+ * 要素属性中与坐标一一对应的数组（如GPX的times）与返回的几何保持一致
+ * @private
+ */
+VectorTileImageryProvider.prototype._pickFeatures = function (geoJSON, x, y, level, longitude, latitude) {
+    var that = this;
     this.tilingScheme.tileXYToRectangle(x, y, level, scratchRect);
     var res = turf.radiansToLength(scratchRect.width / 256, 'kilometers');//分辨率，单位公里，即当前视图下一个像素点边长所表示距离
 
@@ -1973,7 +3251,7 @@ VectorTileImageryProvider.prototype.pickFeatures = function (x, y, level, longit
     var pickedFeatures = [];
     var style = this.defaultStyle;
 
-    turf.featureEach(this._geoJSON, function (fc) {
+    turf.featureEach(geoJSON, function (fc) {
         var srcFc = fc;
         var found = false;
         var geometry = fc.geometry
@@ -2006,6 +3284,7 @@ VectorTileImageryProvider.prototype.pickFeatures = function (x, y, level, longit
         }
 
         if (found) {//查找成功
+            srcFc = that._toSourceCoordinates(fc);
             var fcInfo;
             if (typeof that.prepareFeatureInfo == 'function') {
                 fcInfo = that.prepareFeatureInfo(srcFc, x, y, level, longitude, latitude)
@@ -2013,7 +3292,7 @@ VectorTileImageryProvider.prototype.pickFeatures = function (x, y, level, longit
             if (!fcInfo) {
                 var fcInfo = new Cesium.ImageryLayerFeatureInfo();
                 fcInfo.data = srcFc;
-                fcInfo.description = JSON.stringify(srcFc.properties, null, 2);
+                fcInfo.description = JSON.stringify(applyFieldAliases(srcFc.properties, that.fieldAliases), null, 2);
                 if (style.labelPropertyName) {
                     fcInfo.name = srcFc.properties[style.labelPropertyName]
                 }
@@ -2025,7 +3304,7 @@ VectorTileImageryProvider.prototype.pickFeatures = function (x, y, level, longit
                 if (srcGeometry.type == 'Point' || srcGeometry.type == 'MultiPoint') {
                     fcInfo.position = new Cesium.Cartographic(longitude, latitude)
                 } else {
-                    var centroidPt = turf.centroid(srcFc);
+                    var centroidPt = turf.centroid(fc);
                     var coord = turf.getCoords(centroidPt);
                     fcInfo.position = Cesium.Cartographic.fromDegrees(coord[0], coord[1])
                 }
@@ -2071,6 +3350,22 @@ VectorTileImageryProvider.prototype.pickFeatures = function (x, y, level, longit
  * 
  */
 VectorTileImageryProvider.prototype.destroy = function () {
+    this._tileCache.clear();
+    this._taskQueue.destroy();
+    if (this._persistentCache) {
+        this._persistentCache.close();
+    }
+    if (this._tiledSource && typeof this._tiledSource.destroy == 'function') {
+        this._tiledSource.destroy();
+    }
+    if (this._workerProcessor) {
+        this._workerProcessor.executeTask({
+            type: 'release',
+            providerId: this._workerProviderId
+        }).catch(function (err) {
+            console.error(err);
+        });
+    }
     for (var key in this) {
         if (this.hasOwnProperty(key)) {
             delete this[key];
@@ -2079,7 +3374,8 @@ VectorTileImageryProvider.prototype.destroy = function () {
 }
 
 //支持leaflet
-//leaflet图层,仅支持L.CRS.EPSG4326坐标系，使用MeteoLib中的VectorTileImageryProvider动态生成矢量瓦片
+//leaflet图层,支持L.CRS.EPSG4326和L.CRS.EPSG3857坐标系，使用MeteoLib中的VectorTileImageryProvider动态生成矢量瓦片
+//创建图层时按options.crs创建tileProvider，添加到坐标系不同的地图时重新创建；从地图移除时保留tileProvider，调用destroy销毁
 
 if (typeof L != 'undefined' && L.GridLayer && L.GridLayer.extend) {
 
@@ -2089,40 +3385,116 @@ if (typeof L != 'undefined' && L.GridLayer && L.GridLayer.extend) {
             defaultZIndex: 1
         },
         initialize: function (options) {
-            options.tileCacheSize = options.tileCacheSize ? options.tileCacheSize : 20,
-                this.tileProvider = new VectorTileImageryProvider(options)
+            options.tileCacheSize = options.tileCacheSize ? options.tileCacheSize : 20;
+            this._providerOptions = options;
             this.options.defaultZIndex = options.zIndex;
+            this._setTileProvider(options.crs || this.options.crs);
+        },
+        _createTileProvider: function (crs) {
+            if (crs !== L.CRS.EPSG4326 && crs !== L.CRS.EPSG3857) {
+                throw new Error("VectorTileImageryLayer仅支持L.CRS.EPSG4326和L.CRS.EPSG3857坐标系");
+            }
+            var providerOptions = Object.assign({}, this._providerOptions);
+            delete providerOptions.crs;
+            if (crs === L.CRS.EPSG3857) {
+                providerOptions.tilingScheme = new WebMercatorTilingScheme();
+            }
+            this._crs = crs;
+            return new VectorTileImageryProvider(providerOptions);
         },
         clearCache: function () {
             if (this.tileProvider) this.tileProvider.clearCache()
         },
+        _setTileProvider: function (crs) {
+            this.tileProvider = this._createTileProvider(crs);
+            //未指定source时tileProvider为空对象
+            if (this.tileProvider.tilesInvalidated) {
+                this.tileProvider.tilesInvalidated.addEventListener(this._onTilesInvalidated, this);
+            }
+        },
         onAdd: function (map) {
+            //地图坐标系与创建tileProvider时的坐标系不同，重新创建
+            if (!this.tileProvider || map.options.crs !== this._crs) {
+                this._destroyTileProvider();
+                this._setTileProvider(map.options.crs);
+            }
             this.setZIndex(this.options.defaultZIndex)
             L.GridLayer.prototype.onAdd.call(this, map);
         },
+        /**
+         * 销毁tileProvider，销毁后图层不能再添加到地图
+         */
+        destroy: function () {
+            if (this._map) {
+                this._map.removeLayer(this);
+            }
+            this._destroyTileProvider();
+        },
+        _destroyTileProvider: function () {
+            if (this.tileProvider) {
+                //切片数据源异步读取时可能还有未完成的任务，销毁后任务队列从调度器中移除
+                this.tileProvider.destroy();
+                this.tileProvider = null;
+                this._crs = undefined;
+            }
+        },
+        //流式加载时追加的要素使切片失效，重新绘制受影响的切片
+        _onTilesInvalidated: function (provider, rectangle) {
+            var that = this;
+            for (var key in this._tiles) {
+                if (!this._tiles.hasOwnProperty(key)) continue;
+                var tile = this._tiles[key];
+                var coords = tile.coords;
+                if (rectangle && !isTileInvalidated(provider.tilingScheme, coords.x, coords.y, coords.z, rectangle)) {
+                    continue;
+                }
+                this._drawTile(tile.el, coords, function (err, el) {
+                    if (err) {
+                        that.fire('tileerror', { error: err, tile: el });
+                    }
+                });
+            }
+        },
         createTile: function (coords, done) {
 
             var tile = L.DomUtil.create('canvas', 'leaflet-tile');
             var size = this.getTileSize();
             tile.width = size.x;
             tile.height = size.y;
+            this._drawTile(tile, coords, done);
+            return tile;
+        },
+        _drawTile: function (tile, coords, done) {
             var ctx = tile.getContext('2d');
-            var invertedY = this._globalTileRange.max.y - coords.y;
             var vecImgPrvd = this.tileProvider
-            if (!vecImgPrvd.ready) {
+            function draw(img) {
+                ctx.clearRect(0, 0, tile.width, tile.height);
+                if (img) ctx.drawImage(img, 0, 0)
+            }
+            if (vecImgPrvd._tiledSource) {
+                //切片数据源需要异步读取数据
                 vecImgPrvd.readyPromise.then(function () {
-                    var img = vecImgPrvd.requestImageSync(coords.x, coords.y, coords.z);
-                    if (img) ctx.drawImage(img, 0, 0)
+                    var rectangle = vecImgPrvd.tilingScheme.tileXYToRectangle(coords.x, coords.y, coords.z);
+                    return vecImgPrvd._getTileImage(coords.x, coords.y, coords.z, rectangle);
+                }).then(function (img) {
+                    draw(img);
                     done(null, tile);
+                }).catch(function (err) {
+                    done(err, tile);
+                })
+            } else if (!vecImgPrvd.ready) {
+                vecImgPrvd.readyPromise.then(function () {
+                    draw(vecImgPrvd.requestImageSync(coords.x, coords.y, coords.z));
+                    done(null, tile);
+                }).catch(function (err) {
+                    done(err, tile);
                 })
             } else {
                 requestAnimationFrame(function () {
-                    var img = vecImgPrvd.requestImageSync(coords.x, coords.y, coords.z);
-                    if (img) ctx.drawImage(img, 0, 0)
+                    draw(vecImgPrvd.requestImageSync(coords.x, coords.y, coords.z));
                     done(null, tile)
                 });
             }
-            return tile;
         }
     });
 }
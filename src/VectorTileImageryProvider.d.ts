@@ -1,4 +1,281 @@
 import VectorStyle from "./VectorStyle";
+
+/**
+ * Mapbox矢量切片（MVT/PBF）数据源参数
+ */
+interface MvtSourceOptions {
+    type: 'mvt'
+    /**
+     * 切片url模板，支持{z}、{x}、{y}、{-y}（TMS行号）和{s}
+     */
+    url?: string
+    /**
+     * 本地切片目录中的文件，按z/x/y.pbf路径匹配切片
+     */
+    files?: File[]
+    /**
+     * 需要显示的图层名称，不指定则显示全部图层
+     */
+    layers?: string[]
+    /**
+     * 数据的最小级别，默认为0
+     */
+    minimumLevel?: number
+    /**
+     * 数据的最大级别，超过时使用该级别的切片，默认为14
+     */
+    maximumLevel?: number
+    subdomains?: string | string[]
+    headers?: { [name: string]: string }
+    /**
+     * 图层名称写入要素属性时使用的属性名，默认为'layer'
+     */
+    layerPropertyName?: string
+    /**
+     * 数据范围[west, south, east, north]，单位为度
+     */
+    bounds?: number[]
+    /**
+     * 缓存的已解码切片数，默认为64
+     */
+    cacheSize?: number
+}
+
+/**
+ * PMTiles（第3版）矢量切片归档数据源参数，layers、layerPropertyName、cacheSize等参数同MvtSourceOptions
+ */
+interface PMTilesSourceOptions extends Pick<MvtSourceOptions, 'layers' | 'headers' | 'layerPropertyName' | 'cacheSize'> {
+    type: 'pmtiles'
+    /**
+     * PMTiles文件url，服务器需要支持Range请求
+     */
+    url?: string
+    /**
+     * 本地PMTiles文件
+     */
+    file?: File | Blob
+    /**
+     * 数据的最小级别，默认从文件头读取
+     */
+    minimumLevel?: number
+    /**
+     * 数据的最大级别，默认从文件头读取
+     */
+    maximumLevel?: number
+    /**
+     * 数据范围[west, south, east, north]，默认从文件头读取
+     */
+    bounds?: number[]
+    /**
+     * 缓存的下级目录数，默认为64
+     */
+    directoryCacheSize?: number
+}
+
+/**
+ * FlatGeobuf数据源参数，利用文件中的空间索引按切片范围读取要素，文件需要包含空间索引。
+ * 投影坐标系的要素转换为经纬度，除Web墨卡托外需要proj4
+ */
+interface FlatGeobufSourceOptions {
+    type: 'flatgeobuf'
+    /**
+     * FlatGeobuf文件url，服务器需要支持Range请求
+     */
+    url?: string
+    /**
+     * 本地FlatGeobuf文件
+     */
+    file?: File | Blob
+    /**
+     * 请求头
+     */
+    headers?: { [name: string]: string }
+    /**
+     * 数据的最小级别，低于该级别时不读取数据，默认为0，数据量较大时应适当提高
+     */
+    minimumLevel?: number
+    /**
+     * 数据范围[west, south, east, north]，默认从文件头读取
+     */
+    bounds?: number[]
+    /**
+     * 缓存的已解析要素数，默认为10000
+     */
+    cacheSize?: number
+    /**
+     * 缓存的索引节点块数，默认为512
+     */
+    nodeCacheSize?: number
+}
+
+/**
+ * GeoPackage数据源参数，使用sql.js读取文件（需要引用sql.js或指定initSqlJs），要素表有R树空间索引时按切片范围查询要素，
+ * 投影坐标系的要素转换为经纬度（使用EPSG代码或gpkg_spatial_ref_sys中的WKT定义），除Web墨卡托外需要proj4
+ */
+interface GeoPackageSourceOptions {
+    type: 'geopackage'
+    /**
+     * GeoPackage文件url
+     */
+    url?: string
+    /**
+     * 本地GeoPackage文件
+     */
+    file?: File | Blob
+    /**
+     * 要素表名称，不指定则使用第一个要素表
+     */
+    table?: string
+    /**
+     * 属性筛选条件，SQL的WHERE子句（如"landuse = '住宅'"），或者以要素属性为参数、返回布尔值的函数
+     */
+    filter?: string | ((properties: { [name: string]: any }) => boolean)
+    /**
+     * 数据的最小级别，低于该级别时不读取数据，默认为0
+     */
+    minimumLevel?: number
+    /**
+     * 数据范围[west, south, east, north]，默认从gpkg_contents读取
+     */
+    bounds?: number[]
+    /**
+     * 缓存的已解析要素数，默认为10000
+     */
+    cacheSize?: number
+    /**
+     * 请求头
+     */
+    headers?: { [name: string]: string }
+    /**
+     * sql.js的初始化函数，默认使用全局的initSqlJs
+     */
+    initSqlJs?: (config?: any) => Promise<any>
+    /**
+     * 传给initSqlJs的参数，如{ locateFile: file => 'lib/sql.js/' + file }
+     */
+    sqlJsConfig?: any
+}
+
+/**
+ * 要素服务数据源的公共参数，按切片范围（超过maximumLevel时按该级别的块）查询要素，自动请求后续分页，查询结果缓存
+ */
+interface FeatureServiceSourceOptions {
+    /**
+     * 服务地址
+     */
+    url: string
+    /**
+     * 附加的查询参数，如属性筛选条件
+     */
+    parameters?: { [name: string]: string | number }
+    /**
+     * 请求头
+     */
+    headers?: { [name: string]: string }
+    /**
+     * 数据的最小级别，低于该级别时不请求数据，默认为0，数据量较大时应适当提高
+     */
+    minimumLevel?: number
+    /**
+     * 按切片范围查询的最大级别，超过该级别时使用该级别的块查询，默认为16
+     */
+    maximumLevel?: number
+    /**
+     * 每页的要素数，默认为1000
+     */
+    pageSize?: number
+    /**
+     * 每块最多读取的要素数，默认为20000
+     */
+    maximumFeatures?: number
+    /**
+     * 数据范围[west, south, east, north]，范围外不请求数据
+     */
+    bounds?: number[]
+    /**
+     * 缓存的块数，默认为256
+     */
+    cacheSize?: number
+}
+
+/**
+ * WFS 2.0数据源参数，GetFeature请求使用BBOX参数筛选、STARTINDEX和COUNT参数分页，输出格式为geojson。
+ * GeoServer中BBOX参数不能与CQL_FILTER同时使用，需要属性筛选时在parameters中使用FILTER参数
+ */
+interface WfsSourceOptions extends FeatureServiceSourceOptions {
+    type: 'wfs'
+    /**
+     * 要素类型名称，如'topp:states'
+     */
+    typeNames: string | string[]
+    /**
+     * WFS版本，默认为'2.0.0'
+     */
+    version?: string
+    /**
+     * 输出格式，默认为'application/json'
+     */
+    outputFormat?: string
+}
+
+/**
+ * OGC API - Features数据源参数，请求要素集合的items，使用bbox参数筛选、limit参数分页，依次请求rel为next的链接
+ */
+interface OgcFeaturesSourceOptions extends FeatureServiceSourceOptions {
+    type: 'ogcfeatures'
+    /**
+     * 要素集合的id，指定时url为服务的根地址，否则url为要素集合（或其items）的地址
+     */
+    collection?: string
+}
+
+/**
+ * ArcGIS要素服务图层数据源参数，按切片范围发送query请求（f=json），exceededTransferLimit为true时以resultOffset分页，
+ * 加载时读取图层的字段别名、maxRecordCount和范围
+ */
+interface ArcGISFeatureServerSourceOptions extends FeatureServiceSourceOptions {
+    type: 'arcgis'
+    /**
+     * 图层地址，如'https://.../arcgis/rest/services/Buildings/FeatureServer/0'
+     */
+    url: string
+    /**
+     * 属性筛选条件，默认为'1=1'
+     */
+    where?: string
+    /**
+     * 返回的字段，默认为'*'
+     */
+    outFields?: string | string[]
+}
+
+/**
+ * GeoPackage文件中的要素表
+ */
+interface GeoPackageTable {
+    name: string
+    identifier: string
+    description: string
+    geometryColumn: string
+    geometryType: string
+    srid: number
+    /**
+     * gpkg_spatial_ref_sys中坐标系的WKT定义
+     */
+    definition?: string
+    /**
+     * 要素表坐标系中的范围[minX, minY, maxX, maxY]
+     */
+    extent?: number[]
+    /**
+     * 经纬度范围[west, south, east, north]，坐标系无法转换时为undefined
+     */
+    bounds: number[]
+    /**
+     * 是否有R树空间索引
+     */
+    hasSpatialIndex: boolean
+}
  
 /**
  * 
@@ -473,13 +750,79 @@ export default class VectorTileImageryProvider {
     */
     constructor(options: {
         /**
-         *  Cesium.Util.Contour.PolyLine及MeteoLib.Util.Contour.Polygon数组、矢量文件url、矢量文件列表或者geojson对象
+         *  Cesium.Util.Contour.PolyLine及MeteoLib.Util.Contour.Polygon数组、矢量文件url、矢量文件列表或者geojson对象，
+         *  KML/KMZ文件的url或File（KML中的样式转换为要素样式，参见featureStylePropertyName），zip压缩的shapefile的url或File，GPX文件的url或File，CSV/TSV文件的url或File，
+         *  换行分隔的geojson（.geojsonl、.geojsons、.ndjson）文件的url或File（边下载边解析，第一批要素加载后即开始绘制，参见loadCompletePromise和tilesInvalidated），
+         *  几何为WKT/WKB或Esri JSON几何的记录数组（如[{ geometry: 'POLYGON((...))', name: '...' }]）或要素集合，
+         *  也可以是PMTiles文件、FlatGeobuf（.fgb）文件、GeoPackage（.gpkg，需要引用sql.js）文件的url或File（Blob），WFS、OGC API - Features、ArcGIS要素服务，Esri JSON要素集或其url，以及切片数据源参数（type为VectorTileImageryProvider.sourceTypes中的键）
+         */
+        source: String | turf.FeatureCollection | Object | Array<Cesium.Util.Contour.PolyLine | Cesium.Util.Contour.Polygon | File | Object> | File | Blob | MvtSourceOptions | PMTilesSourceOptions | FlatGeobufSourceOptions | GeoPackageSourceOptions | WfsSourceOptions | OgcFeaturesSourceOptions | ArcGISFeatureServerSourceOptions
+        /**
+         * 数据为topojson时需要显示的命名对象（topology.objects中的键），不指定则显示全部对象
          */
-        source: String | turf.FeatureCollection | Object | Array<Cesium.Util.Contour.PolyLine | Cesium.Util.Contour.Polygon | File>
+        topojsonObjects?: string | string[];
+        /**
+         * 数据为zip压缩的shapefile时需要加载的图层名称（不含扩展名）或者在压缩包中的路径，不指定则加载全部图层，图层名称写入要素的layer属性
+         */
+        shpLayers?: string | string[];
+        /**
+         * 数据为CSV/TSV时的解析参数
+         */
+        csv?: {
+            /**
+             * 分隔符，不指定时根据首行自动判断（TSV文件默认为制表符）
+             */
+            delimiter?: string
+            /**
+             * 首行是否为列名，默认为true
+             */
+            header?: boolean
+            /**
+             * 经度列的列名或者序号，默认查找lon、lng、longitude、x、经度等列
+             */
+            longitudeColumn?: string | number
+            /**
+             * 纬度列的列名或者序号，默认查找lat、latitude、y、纬度等列
+             */
+            latitudeColumn?: string | number
+            /**
+             * WKT（或十六进制WKB）几何列的列名或者序号，默认查找wkt、geom、geometry等列，找不到经纬度列时使用
+             */
+            wktColumn?: string | number
+            /**
+             * 是否将数值文本转换为数值，默认为true
+             */
+            inferTypes?: boolean
+        };
+        /**
+         * 文本数据（如CSV）和shapefile属性的字符编码，如'gbk'。CSV默认为'utf-8'；
+         * shapefile不指定时依次使用.cpg中的编码、dbf文件头的语言驱动标记，都没有时根据dbf内容判断为UTF-8或GBK/GB18030
+         */
+        encoding?: string;
+        /**
+         * 数据为记录数组时的几何字段名，默认查找geometry、geom、the_geom、wkt、wkb、shape等字段。
+         * 几何可以是WKT、EWKT（如'SRID=3857;POINT(...)'）、十六进制或二进制WKB，也可以是Esri JSON几何（如{ x: ..., y: ..., spatialReference: { wkid: 3857 } }），带有SRID或spatialReference时坐标转换为经纬度
+         */
+        geometryPropertyName?: string;
+        /**
+         * 数据的坐标系，EPSG代码（如4547、'EPSG:4547'）、proj字符串或WKT，加载时将坐标一次性转换为经纬度。
+         * 不指定时使用geojson的crs成员或者shapefile的.prj；投影坐标系需要proj4（完整版已包含），
+         * 除CGCS2000高斯-克吕格投影（EPSG:4491~4554）和WGS84 UTM投影外，其他EPSG代码需要先通过proj4.defs注册
+         */
+        sourceCrs?: number | string;
+        /**
+         * 数据的经纬度坐标系：'WGS84'（默认）、'GCJ02'（高德、腾讯等地图）或'BD09'（百度地图），
+         * 加载时纠偏为WGS84，拾取的要素（ImageryLayerFeatureInfo.data）和toGeoJSON导出的数据转换回该坐标系。不适用于切片数据源
+         */
+        coordinateSystem?: 'WGS84' | 'GCJ02' | 'BD09';
         /**
          * 默认样式 
          */
         defaultStyle?: VectorStyle;
+        /**
+         * 切片方案，支持经纬度（EPSG:4326）和Web墨卡托（EPSG:3857）切片，默认为Cesium.GeographicTilingScheme
+         */
+        tilingScheme?: Cesium.GeographicTilingScheme | Cesium.WebMercatorTilingScheme;
         /**
          * true则简化，默认不简化
          */
@@ -488,6 +831,30 @@ export default class VectorTileImageryProvider {
          * 简化公差
          */
         simplifyTolerance: number;
+        /**
+         * 是否按级别简化，公差由切片的像素分辨率确定，简化时保持拓扑，相邻多边形之间不会出现缝隙，启用时忽略simplify
+         */
+        simplifyByLevel?: boolean;
+        /**
+         * 按级别简化的公差，单位为像素，默认为1
+         */
+        simplifyPixelTolerance?: number;
+        /**
+         * 是否使用预处理四叉树切片索引（参考geojson-vt），每一级按该级别的分辨率简化，启用时忽略simplify
+         */
+        tileIndex?: boolean;
+        /**
+         * 切片索引中瓦片的缓冲区大小，单位为像素，默认为64
+         */
+        tileIndexBuffer?: number;
+        /**
+         * 切片索引中各级别的简化公差，单位为像素，默认为1
+         */
+        tileIndexTolerance?: number;
+        /**
+         * 切片索引切分和简化的最大级别，默认为14
+         */
+        tileIndexMaxZoom?: number;
         /**
          * 最小级别
          */
@@ -504,11 +871,59 @@ export default class VectorTileImageryProvider {
          *  是否剔除重复的多边形
          */
         removeDuplicate?: boolean;
+        /**
+         *  最大缓存切片数，超过时逐个淘汰最久未使用的切片，默认为200
+         */
+        tileCacheSize?: number;
+        /**
+         *  切片缓存的内存上限（字节），按切片宽×高×4估算，不指定则只按切片数限制
+         */
+        tileCacheBytes?: number;
+        /**
+         *  是否将绘制好的切片保存到IndexedDB，刷新页面后直接读取，不再裁剪和绘制
+         */
+        persistentCache?: boolean;
+        /**
+         *  持久化缓存的数据源标识，默认为数据的url，数据不是url时需要指定。同一数据以不同样式加载的多个图层按样式签名分别缓存
+         */
+        persistentCacheKey?: string;
+        /**
+         *  数据版本。不指定时按数据指纹（url响应头中的ETag或Last-Modified，以及要素数和范围）判断数据是否变化，
+         *  指定后只按该值判断，数据变化时修改该值使已缓存的切片失效。样式变化时已缓存的切片自动失效
+         */
+        persistentCacheVersion?: string;
+        /**
+         *  持久化缓存的总大小上限（字节），默认为100MB
+         */
+        persistentCacheBytes?: number;
+        /**
+         *  该图层同时裁剪绘制的最大切片数，不指定则只受全局任务数限制
+         */
+        maximumActiveTasks?: number;
+        /**
+         *  切片任务等待执行的最长时间（毫秒），超时的任务视为过时并取消，默认为5000
+         */
+        taskTimeout?: number;
+        /**
+         *  场景的相机（如viewer.camera），指定后按切片到相机的距离确定切片任务的优先级，近处的切片先绘制
+         */
+        camera?: Cesium.Camera;
         /**
          *  是否支持要素查询，如果支持要素查询则保留原始的geojson，会多占用系统内存
          */
         allowPick?: boolean;
 
+        /**
+         * 是否在Web Worker中用OffscreenCanvas裁剪和绘制切片，要素数据、样式（包括要素样式）和切片方案一次性传入worker。
+         * 以下情况仍在主线程绘制：数据源为切片数据源（MVT、PMTiles、FlatGeobuf、GeoPackage、WFS、OGC API - Features、ArcGIS要素服务）或流式加载的数据，
+         * 指定了styleFilter或clustering函数，浏览器不支持OffscreenCanvas，未设置workerUrl。readyPromise完成后可通过usingWorker判断是否实际使用了worker
+         */
+        useWorker?: boolean;
+        /**
+         * worker脚本地址，即打包后的CesiumVectorTile.js或CesiumVectorTile.min.js的地址，默认为VectorTileImageryProvider.workerUrl
+         */
+        workerUrl?: string;
+
         /**
          * 样式函数
          */
@@ -529,8 +944,138 @@ export default class VectorTileImageryProvider {
         ) => VectorStyle
     })
     readyPromise:Promise<this>
+    /**
+     * 全部数据加载完成后resolve。流式加载（换行分隔的geojson）时readyPromise在第一批要素加载后即完成，该Promise在全部要素加载后完成
+     */
+    readonly loadCompletePromise: Promise<boolean>
+    /**
+     * 切片失效事件，流式加载时追加的要素使已绘制的切片失效后触发，参数为(provider, rectangle)。
+     * L.VectorTileImageryLayer会自动重新绘制受影响的切片；Cesium的ImageryLayer不会重新请求已加载的切片，需要在该事件中将图层移除后重新加入
+     * @example
+     * var layer = viewer.imageryLayers.addImageryProvider(provider);
+     * var refreshTimer;
+     * provider.tilesInvalidated.addEventListener(function () {
+     *     clearTimeout(refreshTimer);
+     *     refreshTimer = setTimeout(function () {
+     *         var index = viewer.imageryLayers.indexOf(layer);
+     *         viewer.imageryLayers.remove(layer, false);
+     *         viewer.imageryLayers.add(layer, index);
+     *     }, 500);
+     * });
+     */
+    readonly tilesInvalidated: Cesium.Event
+    /**
+     * 切片数据源（options.source为切片数据源时有效），如GeoPackage数据源可以通过tables属性获取文件中的要素表
+     */
+    readonly tiledSource: {
+        readyPromise?: Promise<any>
+        bounds?: number[]
+        tables?: GeoPackageTable[]
+        [name: string]: any
+    }
+    /**
+     * 属性的字符编码。数据为shapefile时，readyPromise完成后为实际使用的编码：options.encoding、.cpg中的编码，
+     * 或者根据dbf内容检测的编码（如'utf-8'、'gbk'），多个图层编码不同时以逗号分隔
+     */
+    readonly encoding: string
+    /**
+     * 是否实际在Web Worker中绘制切片（readyPromise完成后可用），options.useWorker为true但数据源或选项不支持worker模式时为false
+     */
+    readonly usingWorker: boolean
+    /**
+     * 字段别名，字段名到别名的映射（数据为Esri JSON要素集或ArcGIS要素服务时有效），拾取结果的描述中使用别名
+     */
+    readonly fieldAliases: { [name: string]: string } | undefined
+    /**
+     * 默认的worker脚本地址（打包后的CesiumVectorTile.js），useWorker为true且未指定workerUrl时使用
+     */
+    static workerUrl: string
+    /**
+     * 全局切片任务调度器，所有图层公平分享最大并发任务数（maximumActiveTasks，默认为6）
+     */
+    static taskScheduler: {
+        maximumActiveTasks: number
+        readonly activeCount: number
+    }
+    /**
+     * 要素属性中保存样式的属性名，默认为'vectorStyle'。该属性为VectorStyle参数对象时，绘制该要素时覆盖默认样式（在styleFilter之前应用）
+     */
+    static featureStylePropertyName: string
+    /**
+     * GCJ02、BD09与WGS84坐标转换
+     */
+    static CoordinateSystem: {
+        normalize(name?: string): 'WGS84' | 'GCJ02' | 'BD09'
+        wgs84ToGcj02(coordinate: number[]): number[]
+        gcj02ToWgs84(coordinate: number[]): number[]
+        gcj02ToBd09(coordinate: number[]): number[]
+        bd09ToGcj02(coordinate: number[]): number[]
+        wgs84ToBd09(coordinate: number[]): number[]
+        bd09ToWgs84(coordinate: number[]): number[]
+        getTransform(from: string, to: string): ((coordinate: number[]) => number[]) | undefined
+        transformGeometry(geometry: any, from: string, to: string): any
+        transformGeoJSON(geoJSON: turf.FeatureCollection | turf.Feature, from: string, to: string): turf.FeatureCollection
+    }
+    /**
+     * 坐标系转换，投影坐标系使用proj4转换，light版本需要引用proj4或者设置Crs.proj4
+     */
+    static Crs: {
+        proj4: any
+        parse(crs: number | string): { code?: number, definition?: string }
+        fromGeoJSON(geoJSON: any): number | string | undefined
+        isGeographic(crs: number | string): boolean
+        createTransform(crs: number | string): ((coordinate: number[]) => number[]) | undefined
+        toLonLat(geometry: any, crs?: number | string): any
+        transformGeoJSON(geoJSON: turf.FeatureCollection | turf.Feature, crs: number | string): turf.FeatureCollection
+    }
+    /**
+     * 切片数据源类型，可以注册自定义的数据源（需要实现requestTileData方法）
+     */
+    static sourceTypes: {
+        [type: string]: new (options: any) => {
+            requestTileData(x: number, y: number, level: number, rectangle: Cesium.Rectangle, isWebMercator: boolean): Promise<Array<{ bbox?: number[], features: turf.Feature[] }>>
+            readyPromise?: Promise<any>
+            bounds?: number[]
+            destroy?(): void
+        }
+    }
+    /**
+     * 导出加载的数据（需要allowPick为true，切片数据源不支持），坐标转换回options.coordinateSystem指定的坐标系
+     */
+    toGeoJSON(): turf.FeatureCollection | undefined
+    /**
+     * 取消等待绘制的切片任务，正在绘制的切片不会被中断
+     */
+    cancelTile(x: number, y: number, level: number): boolean
+    /**
+     * 取消所有等待绘制的切片任务
+     */
+    cancelAllTiles(): void
+    /**
+     * 清空切片缓存，不影响切片的固定状态
+     */
     clearCache(): void
-    requestImage(x: number, y: number, level: number, distance: number): Promise<HTMLImageElement | HTMLCanvasElement>
+    /**
+     * 删除持久化缓存（IndexedDB）中本图层的所有切片
+     */
+    clearPersistentCache(): Promise<void>
+    /**
+     * 固定切片，固定的切片不会从缓存中淘汰
+     */
+    pinTile(x: number, y: number, level: number): void
+    /**
+     * 取消固定切片
+     */
+    unpinTile(x: number, y: number, level: number): void
+    /**
+     * 固定指定级别下与矩形范围相交的所有切片，例如相机视野范围内的切片
+     */
+    pinTiles(rectangle: Cesium.Rectangle, level: number): { x: number; y: number; level: number }[]
+    /**
+     * 取消固定所有切片
+     */
+    unpinAllTiles(): void
+    requestImage(x: number, y: number, level: number, request?: Cesium.Request | number): Promise<HTMLImageElement | HTMLCanvasElement> | undefined
 
     /**
     *同步导出瓦片 
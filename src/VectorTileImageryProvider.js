@@ -7,4 +7,6 @@
    
 var VectorTileImageryProvider = require('./VectorTileImageryProvider-light');
 VectorTileImageryProvider.shp = require('./Shp')
+VectorTileImageryProvider.Crs.proj4 = require('proj4')
+//sql.js不打包（依赖wasm文件），GeoPackage数据源使用页面引用的sql.js（全局initSqlJs）或者options.initSqlJs
 module.exports = VectorTileImageryProvider;
\ No newline at end of file
@@ -0,0 +1,148 @@
+var VectorTileImageryProvider = require('./VectorTileImageryProvider-light');
+var GeographicTilingScheme = require('./cesium/Core/GeographicTilingScheme');
+var WebMercatorTilingScheme = require('./cesium/Core/WebMercatorTilingScheme');
+var Ellipsoid = require('./cesium/Core/Ellipsoid');
+var Rectangle = require('./cesium/Core/Rectangle');
+var Cartesian2 = require('./cesium/Core/Cartesian2');
+var Color = require('./cesium/Core/Color');
+
+/**
+ * 在Web Worker中裁剪并绘制矢量切片（OffscreenCanvas），绘制结果以ImageBitmap返回主线程。
+ * 每个启用worker的VectorTileImageryProvider实例在worker中对应一个渲染器，要素数据在初始化时一次性传入。
+ * @private
+ */
+var renderers = {};
+
+//按主线程切片方案的参数创建切片方案
+function createTilingScheme(parameters) {
+    var radii = parameters.ellipsoidRadii;
+    var options = {
+        ellipsoid: new Ellipsoid(radii[0], radii[1], radii[2]),
+        numberOfLevelZeroTilesX: parameters.numberOfLevelZeroTilesX,
+        numberOfLevelZeroTilesY: parameters.numberOfLevelZeroTilesY
+    };
+    if (parameters.isWebMercator) {
+        options.rectangleSouthwestInMeters = new Cartesian2(parameters.rectangleSouthwestInMeters[0], parameters.rectangleSouthwestInMeters[1]);
+        options.rectangleNortheastInMeters = new Cartesian2(parameters.rectangleNortheastInMeters[0], parameters.rectangleNortheastInMeters[1]);
+        return new WebMercatorTilingScheme(options);
+    }
+    var rectangle = parameters.rectangle;
+    options.rectangle = new Rectangle(rectangle[0], rectangle[1], rectangle[2], rectangle[3]);
+    return new GeographicTilingScheme(options);
+}
+
+//要素样式中的Cesium.Color传入worker后成为普通对象，恢复为Cesium.Color
+function restoreFeatureStyles(featureCollection) {
+    var stylePropertyName = VectorTileImageryProvider.featureStylePropertyName;
+    if (!featureCollection) return;
+    featureCollection.features.forEach(function (feature) {
+        var style = feature.properties ? feature.properties[stylePropertyName] : undefined;
+        if (!style) return;
+        for (var name in style) {
+            var value = style[name];
+            if (style.hasOwnProperty(name) && value && typeof value == 'object' && 'red' in value && 'alpha' in value) {
+                style[name] = new Color(value.red, value.green, value.blue, value.alpha);
+            }
+        }
+    });
+}
+
+function createRenderer(parameters) {
+    var renderer = Object.create(VectorTileImageryProvider.prototype);
+    renderer._tileWidth = parameters.tileWidth;
+    renderer._tileHeight = parameters.tileHeight;
+    renderer._isWebMercator = parameters.tilingScheme.isWebMercator;
+    renderer._tilingScheme = createTilingScheme(parameters.tilingScheme);
+    renderer._tileIndexOptions = parameters.tileIndexOptions;
+    renderer._simplifyByLevel = parameters.simplifyByLevel;
+    renderer._simplifyPixelTolerance = parameters.simplifyPixelTolerance;
+    renderer._onlyPoint = parameters.onlyPoint;
+    renderer._defaultStyle = parameters.style;
+    renderer._hasFeatureStyles = parameters.hasFeatureStyles;
+    renderer._featureStyleImages = parameters.featureStyleImages;
+    renderer._styleFilter = undefined;
+    renderer.clustering = undefined;
+    renderer._polygonJSON = parameters.polygonJSON;
+    renderer._lineGeoJSON = parameters.lineGeoJSON;
+    renderer._outlineGeoJSON = parameters.outlineGeoJSON;
+    renderer._pointGeoJSON = parameters.pointGeoJSON;
+    if (renderer._hasFeatureStyles) {
+        [renderer._polygonJSON, renderer._lineGeoJSON, renderer._outlineGeoJSON, renderer._pointGeoJSON].forEach(restoreFeatureStyles);
+    }
+    renderer._buildFeatureIndex();
+    return renderer;
+}
+
+function renderTile(renderer, parameters) {
+    var rectangle = parameters.rectangle;
+    var clippedGeojson = renderer._clipGeojson(rectangle, parameters.x, parameters.y, parameters.level);
+    if (!clippedGeojson) {
+        return null;
+    }
+    var boundingRect = {
+        xMin: rectangle.west * 180 / Math.PI,
+        yMin: rectangle.south * 180 / Math.PI,
+        xMax: rectangle.east * 180 / Math.PI,
+        yMax: rectangle.north * 180 / Math.PI
+    };
+
+    var canvas = new OffscreenCanvas(renderer._tileWidth, renderer._tileHeight);
+    var context = canvas.getContext('2d');
+    var style = renderer._defaultStyle;
+    if (style.backgroundColor) {
+        context.fillStyle = style.backgroundColor;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    renderer._drawGeojson(context, 0, 0, clippedGeojson, boundingRect, renderer._tileWidth, renderer._tileHeight,
+        undefined, undefined, parameters.x, parameters.y, parameters.level);
+    return canvas.transferToImageBitmap();
+}
+
+var handlers = {
+    init: function (parameters) {
+        renderers[parameters.providerId] = createRenderer(parameters);
+        return true;
+    },
+    render: function (parameters, transferableObjects) {
+        var renderer = renderers[parameters.providerId];
+        if (!renderer) {
+            throw new Error("矢量切片渲染器未初始化：" + parameters.providerId);
+        }
+        var image = renderTile(renderer, parameters);
+        if (image) {
+            transferableObjects.push(image);
+        }
+        return image;
+    },
+    release: function (parameters) {
+        delete renderers[parameters.providerId];
+        return true;
+    }
+};
+
+function onMessage(event) {
+    var data = event.data;
+    var transferableObjects = [];
+    try {
+        var handler = handlers[data.parameters.type];
+        if (!handler) {
+            throw new Error("不支持的worker任务类型：" + data.parameters.type);
+        }
+        var result = handler(data.parameters, transferableObjects);
+        self.postMessage({ id: data.id, result: result }, transferableObjects);
+    } catch (e) {
+        self.postMessage({
+            id: data.id,
+            error: { name: e.name, message: e.message, stack: e.stack }
+        });
+    }
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.onmessage = onMessage;
+}
+
+module.exports = {
+    handlers: handlers,
+    onMessage: onMessage
+};
@@ -0,0 +1,173 @@
+var GEOMETRY_TYPES = {
+    1: 'Point',
+    2: 'LineString',
+    3: 'Polygon',
+    4: 'MultiPoint',
+    5: 'MultiLineString',
+    6: 'MultiPolygon',
+    7: 'GeometryCollection'
+};
+
+//EWKB（PostGIS）类型标志位
+var EWKB_Z = 0x80000000;
+var EWKB_M = 0x40000000;
+var EWKB_SRID = 0x20000000;
+
+function hexToBytes(hex) {
+    var bytes = new Uint8Array(hex.length / 2);
+    for (var i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+function Reader(bytes) {
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.pos = 0;
+    this.littleEndian = false;
+}
+
+Reader.prototype.readUint8 = function () {
+    return this.view.getUint8(this.pos++);
+}
+
+Reader.prototype.readUint32 = function () {
+    var value = this.view.getUint32(this.pos, this.littleEndian);
+    this.pos += 4;
+    return value;
+}
+
+Reader.prototype.readDouble = function () {
+    var value = this.view.getFloat64(this.pos, this.littleEndian);
+    this.pos += 8;
+    return value;
+}
+
+Reader.prototype.readCoordinate = function (hasZ, hasM) {
+    var coordinate = [this.readDouble(), this.readDouble()];
+    if (hasZ) {
+        coordinate.push(this.readDouble());
+    }
+    if (hasM) {
+        this.readDouble();
+    }
+    return coordinate;
+}
+
+Reader.prototype.readCoordinates = function (hasZ, hasM) {
+    var count = this.readUint32();
+    var coordinates = new Array(count);
+    for (var i = 0; i < count; i++) {
+        coordinates[i] = this.readCoordinate(hasZ, hasM);
+    }
+    return coordinates;
+}
+
+/**
+ * 读取几何，返回geojson几何和EWKB中的SRID
+ * @return {{geometry:Object,srid:Number|undefined}}
+ * @private
+ */
+Reader.prototype.readGeometry = function () {
+    this.littleEndian = this.readUint8() === 1;
+    var typeCode = this.readUint32();
+    var hasZ = (typeCode & EWKB_Z) !== 0,
+        hasM = (typeCode & EWKB_M) !== 0,
+        srid;
+    if (typeCode & EWKB_SRID) {
+        srid = this.readUint32();
+    }
+    typeCode = typeCode & 0x0fffffff;
+    //ISO WKB：1000+为Z，2000+为M，3000+为ZM
+    var dimension = Math.floor(typeCode / 1000);
+    if (dimension === 1 || dimension === 3) hasZ = true;
+    if (dimension === 2 || dimension === 3) hasM = true;
+    var type = GEOMETRY_TYPES[typeCode % 1000];
+    if (!type) {
+        throw new Error("不支持的WKB几何类型：" + typeCode);
+    }
+
+    var geometry, i, count;
+    switch (type) {
+        case 'Point':
+            var coordinate = this.readCoordinate(hasZ, hasM);
+            //空点以NaN表示
+            geometry = { type: type, coordinates: isNaN(coordinate[0]) ? [] : coordinate };
+            break;
+        case 'LineString':
+            geometry = { type: type, coordinates: this.readCoordinates(hasZ, hasM) };
+            break;
+        case 'Polygon':
+            count = this.readUint32();
+            var rings = [];
+            for (i = 0; i < count; i++) {
+                rings.push(this.readCoordinates(hasZ, hasM));
+            }
+            geometry = { type: type, coordinates: rings };
+            break;
+        case 'GeometryCollection':
+            count = this.readUint32();
+            var geometries = [];
+            for (i = 0; i < count; i++) {
+                geometries.push(this.readGeometry().geometry);
+            }
+            geometry = { type: type, geometries: geometries };
+            break;
+        default:
+            //Multi*几何的每个部分都是完整的WKB几何
+            count = this.readUint32();
+            var parts = [];
+            for (i = 0; i < count; i++) {
+                var part = this.readGeometry().geometry;
+                if (part.coordinates.length) {
+                    parts.push(part.coordinates);
+                }
+            }
+            geometry = { type: type, coordinates: parts };
+            break;
+    }
+    return { geometry: geometry, srid: srid };
+}
+
+/**
+ * WKB（Well-known binary）解析，支持ISO WKB和PostGIS的EWKB（包括SRID、Z、M标志），以及十六进制字符串
+ * @memberof Cesium
+ * @namespace WKB
+ */
+var WKB = {
+    /**
+     * 判断字符串是否为十六进制编码的WKB
+     * @param {String}text
+     * @return {Boolean}
+     */
+    isHex: function (text) {
+        return typeof text == 'string' && text.length >= 18 && text.length % 2 === 0
+            && /^0[01][0-9a-fA-F]+$/.test(text);
+    },
+    /**
+     * 解析WKB，返回geojson几何和SRID（仅EWKB中有SRID）
+     * @param {String|ArrayBuffer|Uint8Array}wkb 二进制数据或十六进制字符串
+     * @return {{geometry:Object,srid:Number|undefined}}
+     */
+    read: function (wkb) {
+        var bytes;
+        if (typeof wkb == 'string') {
+            bytes = hexToBytes(wkb);
+        } else if (wkb instanceof ArrayBuffer) {
+            bytes = new Uint8Array(wkb);
+        } else {
+            bytes = wkb;
+        }
+        return new Reader(bytes).readGeometry();
+    },
+    /**
+     * 解析WKB为geojson几何
+     * @param {String|ArrayBuffer|Uint8Array}wkb 二进制数据或十六进制字符串
+     * @return {Object}
+     */
+    parse: function (wkb) {
+        return WKB.read(wkb).geometry;
+    }
+};
+
+module.exports = WKB;
@@ -0,0 +1,190 @@
+var GEOMETRY_TYPES = {
+    POINT: 'Point',
+    LINESTRING: 'LineString',
+    POLYGON: 'Polygon',
+    MULTIPOINT: 'MultiPoint',
+    MULTILINESTRING: 'MultiLineString',
+    MULTIPOLYGON: 'MultiPolygon',
+    GEOMETRYCOLLECTION: 'GeometryCollection'
+};
+
+function Parser(text) {
+    this.text = text;
+    this.pos = 0;
+}
+
+Parser.prototype.error = function (message) {
+    throw new Error("WKT格式错误：" + message + "（位置" + this.pos + "）");
+}
+
+Parser.prototype.skipWhitespace = function () {
+    while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) {
+        this.pos++;
+    }
+}
+
+Parser.prototype.peek = function () {
+    this.skipWhitespace();
+    return this.text[this.pos];
+}
+
+Parser.prototype.expect = function (ch) {
+    if (this.peek() !== ch) {
+        this.error("缺少" + ch);
+    }
+    this.pos++;
+}
+
+Parser.prototype.readWord = function () {
+    this.skipWhitespace();
+    var match = /^[A-Za-z]+/.exec(this.text.substr(this.pos));
+    if (!match) {
+        return undefined;
+    }
+    this.pos += match[0].length;
+    return match[0].toUpperCase();
+}
+
+Parser.prototype.readNumber = function () {
+    this.skipWhitespace();
+    var match = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/.exec(this.text.substr(this.pos));
+    if (!match) {
+        this.error("缺少数值");
+    }
+    this.pos += match[0].length;
+    return parseFloat(match[0]);
+}
+
+Parser.prototype.readCoordinate = function (dimension) {
+    var coordinate = [];
+    //坐标维数未声明（如POINT(1 2 3)）时按实际数值个数读取
+    while (/[-+.\d]/.test(this.peek() || '')) {
+        coordinate.push(this.readNumber());
+    }
+    if (coordinate.length < 2) {
+        this.error("坐标至少需要两个数值");
+    }
+    if (dimension === 'M') {
+        return coordinate.slice(0, 2);
+    }
+    return coordinate.slice(0, 3);
+}
+
+//读取括号中以逗号分隔的列表
+Parser.prototype.readList = function (readItem) {
+    this.expect('(');
+    var items = [readItem.call(this)];
+    while (this.peek() === ',') {
+        this.pos++;
+        items.push(readItem.call(this));
+    }
+    this.expect(')');
+    return items;
+}
+
+Parser.prototype.readGeometry = function () {
+    var word = this.readWord();
+    var type = GEOMETRY_TYPES[word];
+    var dimension;
+    //维数标识可以与类型名连写，如POINTZ
+    var match = !type && word ? /^(\w+?)(ZM|Z|M)$/.exec(word) : undefined;
+    if (match && GEOMETRY_TYPES[match[1]]) {
+        type = GEOMETRY_TYPES[match[1]];
+        dimension = match[2];
+    }
+    if (!type) {
+        this.error("不支持的几何类型" + (word || ''));
+    }
+    var next = this.readWord();
+    if (!dimension && (next === 'Z' || next === 'M' || next === 'ZM')) {
+        dimension = next;
+        next = this.readWord();
+    }
+    if (next === 'EMPTY') {
+        return type == 'GeometryCollection' ? { type: type, geometries: [] } : { type: type, coordinates: [] };
+    }
+    if (next) {
+        this.error("未知的关键字" + next);
+    }
+
+    var that = this;
+    function coordinate() {
+        return that.readCoordinate(dimension);
+    }
+    function line() {
+        return that.readList(coordinate);
+    }
+    function polygon() {
+        return that.readList(line);
+    }
+    //MULTIPOINT中的点可以带括号也可以不带
+    function point() {
+        if (that.peek() === '(') {
+            return that.readList(coordinate)[0];
+        }
+        return coordinate();
+    }
+
+    switch (type) {
+        case 'Point':
+            return { type: type, coordinates: this.readList(coordinate)[0] };
+        case 'LineString':
+            return { type: type, coordinates: line() };
+        case 'Polygon':
+            return { type: type, coordinates: polygon() };
+        case 'MultiPoint':
+            return { type: type, coordinates: this.readList(point) };
+        case 'MultiLineString':
+            return { type: type, coordinates: this.readList(line) };
+        case 'MultiPolygon':
+            return { type: type, coordinates: this.readList(polygon) };
+        case 'GeometryCollection':
+            return { type: type, geometries: this.readList(this.readGeometry) };
+    }
+}
+
+/**
+ * WKT（Well-known text）解析，支持Point、LineString、Polygon、MultiPoint、MultiLineString、MultiPolygon和GeometryCollection，
+ * 以及Z、M、ZM坐标（只保留x、y和z）和EMPTY几何
+ * @memberof Cesium
+ * @namespace WKT
+ */
+var WKT = {
+    /**
+     * 判断文本是否为WKT
+     * @param {String}text
+     * @return {Boolean}
+     */
+    isWKT: function (text) {
+        return typeof text == 'string' && /^\s*(SRID=\d+\s*;\s*)?(POINT|LINESTRING|POLYGON|MULTIPOINT|MULTILINESTRING|MULTIPOLYGON|GEOMETRYCOLLECTION)\s*(ZM|Z|M)?\s*(\(|EMPTY)/i.test(text);
+    },
+    /**
+     * 解析WKT，支持PostGIS的EWKT（如SRID=3857;POINT(...)），返回geojson几何和SRID
+     * @param {String}text
+     * @return {{geometry:Object,srid:Number|undefined}}
+     */
+    read: function (text) {
+        var srid;
+        var match = /^\s*SRID=(\d+)\s*;/i.exec(text);
+        if (match) {
+            srid = parseInt(match[1]);
+            text = text.substr(match[0].length);
+        }
+        var parser = new Parser(text);
+        var geometry = parser.readGeometry();
+        if (parser.peek() !== undefined) {
+            parser.error("多余的字符");
+        }
+        return { geometry: geometry, srid: srid };
+    },
+    /**
+     * 将WKT解析为geojson几何
+     * @param {String}text
+     * @return {Object} geojson几何
+     */
+    parse: function (text) {
+        return WKT.read(text).geometry;
+    }
+};
+
+module.exports = WKT;
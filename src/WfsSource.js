@@ -0,0 +1,67 @@
+var defined = require('./cesium/Core/defined');
+var defaultValue = require('./cesium/Core/defaultValue');
+var FeatureServiceSource = require('./FeatureServiceSource');
+
+/**
+ * WFS 2.0数据源，以GetFeature请求（outputFormat为geojson）按切片范围查询要素，使用BBOX参数筛选，
+ * STARTINDEX和COUNT参数分页。坐标使用经度在前的EPSG:4326。
+ * GeoServer中BBOX参数不能与CQL_FILTER同时使用，需要属性筛选时使用FILTER参数（OGC Filter编码）
+ * @param {Object}options 除以下参数外，parameters、headers、minimumLevel、maximumLevel、pageSize、maximumFeatures、bounds、cacheSize参数见FeatureServiceSource
+ * @param {String}options.url WFS服务地址，如'http://localhost:8080/geoserver/wfs'
+ * @param {String|Array.<String>}options.typeNames 要素类型名称，如'topp:states'
+ * @param {String}[options.version='2.0.0'] WFS版本
+ * @param {String}[options.outputFormat='application/json'] 输出格式，需要为geojson
+ * @constructor
+ * @private
+ */
+function WfsSource(options) {
+    if (!defined(options.typeNames)) {
+        throw new Error("WFS数据源需要指定typeNames");
+    }
+    this._initialize(options);
+    this._typeNames = Array.isArray(options.typeNames) ? options.typeNames.join(',') : options.typeNames;
+    this._version = defaultValue(options.version, '2.0.0');
+    this._outputFormat = defaultValue(options.outputFormat, 'application/json');
+}
+
+WfsSource.prototype = Object.create(FeatureServiceSource.prototype);
+WfsSource.prototype.constructor = WfsSource;
+
+WfsSource.prototype._getItemsUrl = function (bbox) {
+    var isVersion1 = /^1\./.test(this._version);
+    var params = {
+        SERVICE: 'WFS',
+        VERSION: this._version,
+        REQUEST: 'GetFeature',
+        OUTPUTFORMAT: this._outputFormat,
+        SRSNAME: 'EPSG:4326',
+        BBOX: bbox.join(',') + ',EPSG:4326'
+    };
+    //WFS 1.x的参数名为TYPENAME和MAXFEATURES
+    params[isVersion1 ? 'TYPENAME' : 'TYPENAMES'] = this._typeNames;
+    params[isVersion1 ? 'MAXFEATURES' : 'COUNT'] = this.pageSize;
+    params.STARTINDEX = 0;
+    return FeatureServiceSource.appendQuery(this._url, Object.assign(params, this._parameters));
+}
+
+/**
+ * 下一页的地址：优先使用响应中的next链接，没有时根据numberMatched（或者本页要素数是否达到pageSize）计算STARTINDEX
+ * @private
+ */
+WfsSource.prototype._getNextUrl = function (json, url, count) {
+    var nextUrl = FeatureServiceSource.prototype._getNextUrl.call(this, json, url, count);
+    if (nextUrl) {
+        return nextUrl;
+    }
+    var numberReturned = defaultValue(json.numberReturned, json.features.length);
+    var numberMatched = json.numberMatched || json.totalFeatures;
+    var hasMore = typeof numberMatched == 'number' ? count < numberMatched : numberReturned >= this.pageSize;
+    if (!hasMore) {
+        return undefined;
+    }
+    var match = /[?&]STARTINDEX=(\d+)/i.exec(url);
+    var startIndex = (match ? parseInt(match[1]) : 0) + numberReturned;
+    return url.replace(/([?&]STARTINDEX=)\d+/i, '$1' + startIndex);
+}
+
+module.exports = WfsSource;
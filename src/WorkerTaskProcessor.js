@@ -0,0 +1,94 @@
+var defined = require('./cesium/Core/defined');
+var defaultValue = require('./cesium/Core/defaultValue');
+var isCrossOriginUrl = require('./cesium/Core/isCrossOriginUrl');
+
+function getWorkerUrl(url) {
+    if (isCrossOriginUrl(url)) {
+        //跨域时通过blob url创建一个代理worker
+        var script = 'importScripts("' + url + '");';
+        var blob = new Blob([script], {
+            type: 'application/javascript'
+        });
+        url = URL.createObjectURL(blob);
+    }
+    return url;
+}
+
+/**
+ * Web Worker任务处理器。消息格式与Cesium.TaskProcessor一致：发送{id, parameters}，接收{id, result, error}，
+ * 区别在于直接加载完整的worker脚本（打包后的CesiumVectorTile.js），不依赖Cesium的Workers目录和cesiumWorkerBootstrapper。
+ * @param {String}workerUrl worker脚本地址
+ * @constructor
+ * @private
+ */
+function WorkerTaskProcessor(workerUrl) {
+    this._workerUrl = workerUrl;
+    this._deferreds = {};
+    this._nextID = 0;
+    this._worker = undefined;
+}
+
+WorkerTaskProcessor.prototype._createWorker = function () {
+    var processor = this;
+    var worker = new Worker(getWorkerUrl(this._workerUrl));
+    worker.onmessage = function (event) {
+        var data = event.data;
+        var deferred = processor._deferreds[data.id];
+        if (!deferred) {
+            return;
+        }
+        delete processor._deferreds[data.id];
+        if (defined(data.error)) {
+            var error = new Error(data.error.message);
+            error.name = data.error.name;
+            error.stack = data.error.stack;
+            deferred.reject(error);
+        } else {
+            deferred.resolve(data.result);
+        }
+    };
+    worker.onerror = function (event) {
+        var error = new Error(event.message || "Web Worker加载或运行失败：" + processor._workerUrl);
+        for (var id in processor._deferreds) {
+            if (processor._deferreds.hasOwnProperty(id)) {
+                processor._deferreds[id].reject(error);
+            }
+        }
+        processor._deferreds = {};
+    };
+    return worker;
+}
+
+/**
+ * 提交任务，并发数由调用者（切片任务调度器）控制
+ * @param {Object}parameters
+ * @param {Array.<Transferable>}[transferableObjects]
+ * @return {Promise}
+ */
+WorkerTaskProcessor.prototype.executeTask = function (parameters, transferableObjects) {
+    if (!defined(this._worker)) {
+        this._worker = this._createWorker();
+    }
+    var id = this._nextID++;
+    var deferred = {};
+    var promise = new Promise(function (resolve, reject) {
+        deferred.resolve = resolve;
+        deferred.reject = reject;
+    });
+    this._deferreds[id] = deferred;
+    this._worker.postMessage({
+        id: id,
+        parameters: parameters
+    }, defaultValue(transferableObjects, []));
+    return promise;
+}
+
+WorkerTaskProcessor.prototype.destroy = function () {
+    if (defined(this._worker)) {
+        this._worker.terminate();
+        this._worker = undefined;
+    }
+    this._deferreds = {};
+}
+
+module.exports = WorkerTaskProcessor;
@@ -1,8 +1,10 @@
 
-var g = typeof window != "undefined" ? window : global;
+var g = typeof window != "undefined" ? window : (typeof self != "undefined" ? self : global);
 if (typeof g.Cesium == 'undefined') {
     g.Cesium = require('./cesium-core');
 }
 g.Cesium.VectorTileImageryProvider = require('./VectorTileImageryProvider');
 g.Cesium.proj4=require('proj4');
+//在Web Worker中加载时注册切片绘制任务（options.useWorker）
+require('./VectorTileWorker');
 module.exports = g.Cesium;
\ No newline at end of file
@@ -0,0 +1,63 @@
+var MercatorProjection = require('../MercatorProjection');
+var mapCoordinates = require('./mapCoordinates');
+
+//经纬度坐标系，坐标不需要转换
+var GEOGRAPHIC_SRIDS = [0, 4326, 4490, 4269];
+//Web墨卡托坐标系
+var WEB_MERCATOR_SRIDS = [3857, 900913, 102100, 102113, 3785];
+
+var EARTH_RADIUS = 6378137;
+
+/**
+ * 按SRID（EPSG代码）进行坐标转换，支持经纬度坐标系和Web墨卡托坐标系
+ * @private
+ */
+var Srid = {
+    isGeographic: function (srid) {
+        return srid === undefined || srid === null || GEOGRAPHIC_SRIDS.indexOf(srid) > -1;
+    },
+    isWebMercator: function (srid) {
+        return WEB_MERCATOR_SRIDS.indexOf(srid) > -1;
+    },
+    /**
+     * Web墨卡托坐标转经纬度
+     * @param {Array.<Number>}coordinate
+     * @return {Array.<Number>}
+     */
+    mercatorToLonLat: function (coordinate) {
+        var lonLat = [
+            coordinate[0] / EARTH_RADIUS * 180 / Math.PI,
+            MercatorProjection.mercatorYToLatitude(coordinate[1] / EARTH_RADIUS)
+        ];
+        return coordinate.length > 2 ? lonLat.concat(coordinate.slice(2)) : lonLat;
+    },
+    /**
+     * 经纬度转Web墨卡托坐标，纬度限制在墨卡托投影的有效范围内
+     * @param {Array.<Number>}coordinate
+     * @return {Array.<Number>}
+     */
+    lonLatToMercator: function (coordinate) {
+        var maxLat = MercatorProjection.MAXIMUM_LATITUDE;
+        var lat = Math.max(-maxLat, Math.min(maxLat, coordinate[1])) * Math.PI / 180;
+        return [
+            coordinate[0] * Math.PI / 180 * EARTH_RADIUS,
+            Math.log(Math.tan(Math.PI / 4 + lat / 2)) * EARTH_RADIUS
+        ];
+    },
+    /**
+     * 将几何坐标转换为经纬度，不支持的坐标系抛出异常
+     * @param {Object}geometry geojson几何
+     * @param {Number}[srid]
+     * @return {Object}
+     */
+    toLonLat: function (geometry, srid) {
+        if (Srid.isGeographic(srid)) {
+            return geometry;
+        }
+        if (Srid.isWebMercator(srid)) {
+            return mapCoordinates(geometry, Srid.mercatorToLonLat);
+        }
+        throw new Error("不支持SRID为" + srid + "的坐标系，请先转换为经纬度坐标（EPSG:4326）");
+    }
+};
+module.exports = Srid;
@@ -0,0 +1,74 @@
+/**
+*xml解析和读取节点的工具函数，节点名称按localName匹配，忽略命名空间前缀
+*@class
+*@private
+*/
+function Xml() { }
+
+/**
+*
+*解析xml文本
+*@param {String}text
+*@return {Document}
+*/
+Xml.parse = function (text) {
+    var doc = new DOMParser().parseFromString(text, 'text/xml');
+    if (Xml.getElements(doc, 'parsererror').length) {
+        throw new Error("xml格式错误");
+    }
+    return doc;
+}
+
+/**
+*
+*获取所有指定名称的后代节点
+*@param {Element|Document}node
+*@param {String}localName
+*@return {NodeList}
+*/
+Xml.getElements = function (node, localName) {
+    return node.getElementsByTagNameNS ? node.getElementsByTagNameNS('*', localName)
+        : node.getElementsByTagName(localName);
+}
+
+/**
+*
+*获取指定名称的子节点
+*@param {Element}node
+*@param {String}localName
+*@return {Array.<Element>}
+*/
+Xml.getChildren = function (node, localName) {
+    var children = [];
+    for (var child = node.firstChild; child; child = child.nextSibling) {
+        if (child.nodeType === 1 && (child.localName || child.nodeName) === localName) {
+            children.push(child);
+        }
+    }
+    return children;
+}
+
+/**
+*
+*获取第一个指定名称的子节点
+*@param {Element}[node]
+*@param {String}localName
+*@return {Element|undefined}
+*/
+Xml.getChild = function (node, localName) {
+    return node ? Xml.getChildren(node, localName)[0] : undefined;
+}
+
+/**
+*
+*获取子节点的文本，子节点不存在时返回undefined
+*@param {Element}[node]
+*@param {String}localName
+*@return {String|undefined}
+*/
+Xml.getText = function (node, localName) {
+    var child = Xml.getChild(node, localName);
+    return child ? child.textContent.trim() : undefined;
+}
+
+module.exports = Xml;
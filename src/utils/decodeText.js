@@ -0,0 +1,19 @@
+/**
+ * 将二进制数据解码为文本
+ * @param {ArrayBuffer|Uint8Array}buffer
+ * @param {String}[encoding='utf-8'] 字符编码
+ * @return {String}
+ */
+function decodeText(buffer, encoding) {
+    encoding = encoding || 'utf-8';
+    if (typeof TextDecoder !== 'undefined') {
+        return new TextDecoder(encoding).decode(buffer);
+    }
+    var bytes = new Uint8Array(buffer);
+    var text = '';
+    for (var i = 0; i < bytes.length; i++) {
+        text += String.fromCharCode(bytes[i]);
+    }
+    return decodeURIComponent(escape(text));
+}
+module.exports = decodeText;
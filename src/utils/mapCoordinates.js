@@ -0,0 +1,30 @@
+/**
+ * 对geojson几何的每个坐标执行转换，返回新的几何，不修改原几何
+ * @param {Object}geometry geojson几何
+ * @param {Function}transform 坐标转换函数，参数和返回值均为坐标数组[x,y]或[x,y,z]
+ * @return {Object}
+ */
+function mapCoordinates(geometry, transform) {
+    if (!geometry) {
+        return geometry;
+    }
+    if (geometry.type == 'GeometryCollection') {
+        return {
+            type: geometry.type,
+            geometries: geometry.geometries.map(function (child) {
+                return mapCoordinates(child, transform);
+            })
+        };
+    }
+    function map(coordinates) {
+        if (typeof coordinates[0] == 'number') {
+            return transform(coordinates);
+        }
+        return coordinates.map(map);
+    }
+    return {
+        type: geometry.type,
+        coordinates: geometry.coordinates.length ? map(geometry.coordinates) : []
+    };
+}
+module.exports = mapCoordinates;
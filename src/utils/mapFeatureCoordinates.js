@@ -0,0 +1,23 @@
+var mapCoordinates = require('./mapCoordinates');
+
+/**
+ * 对要素集合（或单个要素）中每个要素的几何执行坐标转换，返回新的要素集合（不含crs和bbox成员），不修改原要素
+ * @param {Object}geoJSON geojson要素集合或要素
+ * @param {Function}[transform] 坐标转换函数，参见mapCoordinates，不指定则只复制要素
+ * @return {Object}
+ */
+function mapFeatureCoordinates(geoJSON, transform) {
+    var features = geoJSON.type == 'Feature' ? [geoJSON] : geoJSON.features;
+    return {
+        type: 'FeatureCollection',
+        features: features.map(function (feature) {
+            var result = Object.assign({}, feature);
+            delete result.bbox;
+            if (transform && feature.geometry) {
+                result.geometry = mapCoordinates(feature.geometry, transform);
+            }
+            return result;
+        })
+    };
+}
+module.exports = mapFeatureCoordinates;
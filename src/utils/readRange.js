@@ -0,0 +1,38 @@
+var Resource = require('../cesium/Core/Resource');
+var readAsArrayBuffer = require('./readAsArrayBuffer');
+
+/**
+ * 读取文件指定字节范围的数据，本地文件使用Blob.slice，url使用HTTP Range请求
+ * @param {Object}source
+ * @param {String}[source.url] 文件url，服务器需要支持Range请求
+ * @param {File|Blob}[source.file] 本地文件
+ * @param {Object}[source.headers] 请求头
+ * @param {Number}offset
+ * @param {Number}length
+ * @return {Promise.<Uint8Array>}
+ */
+function readRange(source, offset, length) {
+    if (source.file) {
+        return readAsArrayBuffer(source.file.slice(offset, offset + length)).then(function (buffer) {
+            return new Uint8Array(buffer);
+        });
+    }
+    var headers = Object.assign({}, source.headers, {
+        Range: "bytes=" + offset + "-" + (offset + length - 1)
+    });
+    return Promise.resolve(Resource.fetchArrayBuffer({
+        url: source.url,
+        headers: headers
+    })).then(function (buffer) {
+        if (!buffer) {
+            throw new Error("读取文件失败：" + source.url);
+        }
+        var bytes = new Uint8Array(buffer);
+        //服务器忽略Range请求头时返回整个文件，大文件不能每次都完整下载
+        if (bytes.length > length) {
+            throw new Error("服务器不支持HTTP Range请求，无法按字节范围读取文件：" + source.url);
+        }
+        return bytes;
+    });
+}
+module.exports = readRange;
@@ -0,0 +1,132 @@
+/**
+ * CSV解析的检查：验证双引号字段、分隔符判断，以及按经纬度列或WKT列生成要素。
+ * 运行：npm test
+ */
+var assert = require('assert');
+var CSV = require('../src/CSV');
+
+function captureWarnings(callback) {
+    var warnings = [];
+    var warn = console.warn;
+    console.warn = function (message) {
+        warnings.push(message);
+    };
+    try {
+        callback();
+    } finally {
+        console.warn = warn;
+    }
+    return warnings;
+}
+
+function checkQuotes() {
+    //字段中包含分隔符、换行和转义的双引号，行尾为\r\n，中间有空行
+    var text = 'name,remark,x\r\n'
+        + '"北京, 海淀","第一行\n第二行",1\r\n'
+        + '\r\n'
+        + '"他说""你好""",,2\r\n'
+        + 'a"b,"",3';
+    assert.deepStrictEqual(CSV.parseRows(text), [
+        ['name', 'remark', 'x'],
+        ['北京, 海淀', '第一行\n第二行', '1'],
+        ['他说"你好"', '', '2'],
+        //不在字段开头的双引号按普通字符处理
+        ['a"b', '', '3']
+    ]);
+    //结尾的换行不产生空行，结尾的空字段保留
+    assert.deepStrictEqual(CSV.parseRows('a,b\n1,\n'), [['a', 'b'], ['1', '']]);
+}
+
+function checkDelimiter() {
+    //按首行中出现最多的分隔符
+    assert.deepStrictEqual(CSV.parseRows('a\tb\tc,d\n1\t2\t3,4'), [['a', 'b', 'c,d'], ['1', '2', '3,4']]);
+    assert.deepStrictEqual(CSV.parseRows('a;b;c\n1;2;3'), [['a', 'b', 'c'], ['1', '2', '3']]);
+    assert.deepStrictEqual(CSV.parseRows('a|b\n1|2'), [['a', 'b'], ['1', '2']]);
+    //只有一列时按逗号分隔
+    assert.deepStrictEqual(CSV.parseRows('a\n1'), [['a'], ['1']]);
+    //指定分隔符
+    assert.deepStrictEqual(CSV.parseRows('a,b;c', ';'), [['a,b', 'c']]);
+
+    assert.ok(CSV.isCsv('data/points.CSV'));
+    assert.ok(CSV.isCsv('http://localhost/points.tsv?v=1#a'));
+    assert.ok(!CSV.isCsv('points.csv.json'));
+}
+
+function checkCoordinateColumns() {
+    var text = '名称,经度,纬度,站号,高程\n'
+        + '站点1,116.4,39.9,001,43.5\n'
+        + '站点2,,39.9,002,1e3\n'
+        + '"站点3",121.47,31.23,003,abc\n';
+    var geoJSON;
+    var warnings = captureWarnings(function () {
+        geoJSON = CSV.toGeoJSON(text);
+    });
+    assert.strictEqual(geoJSON.features.length, 2);
+    assert.deepStrictEqual(geoJSON.features[0].geometry, { type: 'Point', coordinates: [116.4, 39.9] });
+    //以0开头的整数保留为文本
+    assert.deepStrictEqual(geoJSON.features[0].properties, { '名称': '站点1', '经度': 116.4, '纬度': 39.9, '站号': '001', '高程': 43.5 });
+    assert.strictEqual(geoJSON.features[1].properties['高程'], 'abc');
+    assert.deepStrictEqual(warnings, ['CSV中有1行缺少有效的坐标或几何，已忽略']);
+
+    //不推断类型
+    captureWarnings(function () {
+        geoJSON = CSV.toGeoJSON(text, { inferTypes: false });
+    });
+    assert.strictEqual(geoJSON.features[0].properties['经度'], '116.4');
+
+    //没有列名时用序号指定坐标列
+    geoJSON = CSV.toGeoJSON('116.4;39.9;a\n121.47;31.23;b', { header: false, longitudeColumn: 0, latitudeColumn: 1 });
+    assert.strictEqual(geoJSON.features.length, 2);
+    assert.deepStrictEqual(geoJSON.features[1].properties, { field1: 121.47, field2: 31.23, field3: 'b' });
+
+    //按列名指定坐标列
+    geoJSON = CSV.toGeoJSON('a,b\n1,2', { longitudeColumn: 'b', latitudeColumn: 'a' });
+    assert.deepStrictEqual(geoJSON.features[0].geometry.coordinates, [2, 1]);
+
+    assert.throws(function () {
+        CSV.toGeoJSON('a,b\n1,2');
+    }, /找不到经纬度列或WKT列/);
+}
+
+function checkWktColumn() {
+    var text = 'id\tWKT\n'
+        + '1\tPOINT (116.4 39.9)\n'
+        + '2\t"POLYGON ((0 0, 1 0, 1 1, 0 0))"\n'
+        + '3\tGEOMETRYCOLLECTION (POINT (1 2), LINESTRING (0 0, 1 1))\n'
+        + '4\tPOINT EMPTY\n'
+        + '5\tnot a geometry\n';
+    var geoJSON;
+    var warnings = captureWarnings(function () {
+        geoJSON = CSV.toGeoJSON(text);
+    });
+    //GeometryCollection拆分为多个要素，WKT列不作为属性
+    assert.deepStrictEqual(geoJSON.features.map(function (feature) {
+        return feature.properties.id + ':' + feature.geometry.type;
+    }), ['1:Point', '2:Polygon', '3:Point', '3:LineString']);
+    assert.deepStrictEqual(geoJSON.features[1].properties, { id: 2 });
+    assert.deepStrictEqual(geoJSON.features[1].geometry.coordinates, [[[0, 0], [1, 0], [1, 1], [0, 0]]]);
+    assert.deepStrictEqual(warnings, ['CSV中有2行缺少有效的坐标或几何，已忽略']);
+
+    //同时有经纬度列时，指定wktColumn才使用WKT列
+    text = 'lon,lat,shape\n1,2,POINT (3 4)';
+    assert.deepStrictEqual(CSV.toGeoJSON(text).features[0].geometry.coordinates, [1, 2]);
+    assert.deepStrictEqual(CSV.toGeoJSON(text, { wktColumn: 'shape' }).features[0].geometry.coordinates, [3, 4]);
+
+    //EWKT的Web墨卡托坐标转换为经纬度
+    var coordinates = CSV.toGeoJSON('wkt\nSRID=3857;POINT (0 0)').features[0].geometry.coordinates;
+    assert.ok(Math.abs(coordinates[0]) < 1e-9 && Math.abs(coordinates[1]) < 1e-9);
+}
+
+try {
+    checkQuotes();
+    console.log('CSV quotes: ok');
+    checkDelimiter();
+    console.log('CSV delimiter: ok');
+    checkCoordinateColumns();
+    console.log('CSV coordinate columns: ok');
+    checkWktColumn();
+    console.log('CSV wkt column: ok');
+} catch (err) {
+    console.error(err);
+    process.exitCode = 1;
+}
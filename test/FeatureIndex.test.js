@@ -0,0 +1,84 @@
+/**
+ * 要素空间索引的检查：验证按范围检索的结果与逐个比较外包矩形一致，并保持要素加入索引的先后顺序。
+ * 运行：npm test
+ */
+var assert = require('assert');
+var FeatureIndex = require('../src/FeatureIndex');
+
+function createPoint(id, lon, lat) {
+    return { type: 'Feature', properties: { id: id }, geometry: { type: 'Point', coordinates: [lon, lat] } };
+}
+
+function createLine(id, coordinates) {
+    return { type: 'Feature', properties: { id: id }, geometry: { type: 'LineString', coordinates: coordinates } };
+}
+
+function getIds(features) {
+    return features.map(function (feature) {
+        return feature.properties.id;
+    });
+}
+
+//伪随机数，保证每次运行的数据相同
+var seed = 1;
+function random() {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+}
+
+function checkSearch() {
+    var features = [];
+    for (var i = 0; i < 2000; i++) {
+        var lon = 100 + random() * 20, lat = 20 + random() * 20;
+        features.push(i % 2 ? createPoint(i, lon, lat) : createLine(i, [[lon, lat], [lon + random(), lat + random()]]));
+    }
+    var index = new FeatureIndex({ type: 'FeatureCollection', features: features });
+
+    var found = 0;
+    for (var k = 0; k < 20; k++) {
+        var west = 100 + random() * 18, south = 20 + random() * 18;
+        var bbox = [west, south, west + random() * 3, south + random() * 3];
+        var expected = features.filter(function (feature) {
+            var coordinates = feature.geometry.type == 'Point' ? [feature.geometry.coordinates] : feature.geometry.coordinates;
+            var xs = coordinates.map(function (c) {
+                return c[0];
+            }), ys = coordinates.map(function (c) {
+                return c[1];
+            });
+            return !(Math.max.apply(null, xs) < bbox[0] || Math.min.apply(null, xs) > bbox[2]
+                || Math.max.apply(null, ys) < bbox[1] || Math.min.apply(null, ys) > bbox[3]);
+        });
+        //结果按加入索引的先后顺序排列
+        assert.deepStrictEqual(getIds(index.search(bbox)), getIds(expected));
+        found += expected.length;
+    }
+    assert.ok(found > 100);
+}
+
+function checkLoad() {
+    var index = new FeatureIndex();
+    assert.deepStrictEqual(index.search([-180, -90, 180, 90]), []);
+
+    //分批加入时保持整体的先后顺序，忽略没有几何和空几何的要素
+    index.load([createPoint(0, 10, 10), { type: 'Feature', properties: { id: 1 }, geometry: null }, null]);
+    index.load([createLine(2, [[0, 0], [20, 20]]), createLine(3, []), createPoint(4, 5, 5)]);
+    assert.deepStrictEqual(getIds(index.search([-180, -90, 180, 90])), [0, 2, 4]);
+    assert.deepStrictEqual(getIds(index.search([4, 4, 6, 6])), [2, 4]);
+    //外包矩形的边界相接也算相交
+    assert.deepStrictEqual(getIds(index.search([10, 10, 11, 11])), [0, 2]);
+
+    index.clear();
+    assert.deepStrictEqual(index.search([-180, -90, 180, 90]), []);
+    index.load([createPoint(5, 0, 0)]);
+    assert.deepStrictEqual(getIds(index.search([-1, -1, 1, 1])), [5]);
+}
+
+try {
+    checkSearch();
+    console.log('FeatureIndex search: ok');
+    checkLoad();
+    console.log('FeatureIndex load: ok');
+} catch (err) {
+    console.error(err);
+    process.exitCode = 1;
+}
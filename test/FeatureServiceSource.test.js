@@ -0,0 +1,178 @@
+/**
+ * WFS和OGC API - Features数据源的检查：在本地启动模拟的要素服务，验证范围参数、分页和块缓存。
+ * 运行：npm test
+ */
+//Cesium的Resource在node中通过全局的require加载http模块
+global.require = require;
+
+var assert = require('assert');
+var http = require('http');
+var url = require('url');
+var Rectangle = require('../src/cesium/Core/Rectangle');
+var WfsSource = require('../src/WfsSource');
+var OgcFeaturesSource = require('../src/OgcFeaturesSource');
+
+//100°E~105°E、30°N~32.5°N范围内的250个点
+var features = [];
+for (var i = 0; i < 250; i++) {
+    features.push({
+        type: 'Feature',
+        id: 'pts.' + i,
+        properties: { id: i },
+        geometry: { type: 'Point', coordinates: [100 + (i % 50) * 0.1, 30 + Math.floor(i / 50) * 0.5] }
+    });
+}
+
+function inBBox(feature, bbox) {
+    var coordinates = feature.geometry.coordinates;
+    return coordinates[0] >= bbox[0] && coordinates[0] <= bbox[2] && coordinates[1] >= bbox[1] && coordinates[1] <= bbox[3];
+}
+
+var requests = [];
+
+var server = http.createServer(function (req, res) {
+    var parsed = url.parse(req.url, true);
+    var query = parsed.query;
+    requests.push(parsed);
+    res.setHeader('Content-Type', 'application/json');
+    var bbox, matched, start, count, page;
+    if (parsed.pathname == '/wfs') {
+        bbox = query.BBOX.split(',').slice(0, 4).map(Number);
+        matched = features.filter(function (feature) {
+            return inBBox(feature, bbox);
+        });
+        start = +query.STARTINDEX;
+        count = +query.COUNT;
+        page = matched.slice(start, start + count);
+        res.end(JSON.stringify({
+            type: 'FeatureCollection',
+            numberMatched: matched.length,
+            numberReturned: page.length,
+            features: page
+        }));
+    } else if (parsed.pathname == '/ogc/collections/pts/items') {
+        bbox = query.bbox.split(',').map(Number);
+        matched = features.filter(function (feature) {
+            return inBBox(feature, bbox);
+        });
+        start = +(query.offset || 0);
+        count = +query.limit;
+        page = matched.slice(start, start + count);
+        var links = [];
+        if (start + count < matched.length) {
+            //相对地址的next链接
+            links.push({ rel: 'next', href: 'items?bbox=' + query.bbox + '&limit=' + count + '&offset=' + (start + count) });
+        }
+        res.end(JSON.stringify({
+            type: 'FeatureCollection',
+            features: page,
+            links: links
+        }));
+    } else {
+        res.statusCode = 404;
+        res.end('{}');
+    }
+});
+
+function checkWfs(baseUrl) {
+    requests = [];
+    var source = new WfsSource({ url: baseUrl + '/wfs', typeNames: 'test:pts', pageSize: 60 });
+    //经纬度切片方案第2级的切片(6, 1)：90°E~135°E、0°~45°N，块与切片一致
+    var rectangle = Rectangle.fromDegrees(90, 0, 135, 45);
+    return source.requestTileData(6, 1, 2, rectangle).then(function (parts) {
+        assert.strictEqual(parts.length, 1);
+        assert.deepStrictEqual(parts[0].bbox, [90, 0, 135, 45]);
+        assert.strictEqual(parts[0].features.length, 250);
+
+        //250个要素每页60个，STARTINDEX依次为0、60、120、180、240
+        assert.deepStrictEqual(requests.map(function (request) {
+            return +request.query.STARTINDEX;
+        }), [0, 60, 120, 180, 240]);
+        requests.forEach(function (request) {
+            assert.strictEqual(request.query.BBOX, '90,0,135,45,EPSG:4326');
+            assert.strictEqual(request.query.TYPENAMES, 'test:pts');
+            assert.strictEqual(request.query.COUNT, '60');
+            assert.strictEqual(request.query.SRSNAME, 'EPSG:4326');
+        });
+
+        //同一块的结果从缓存读取
+        requests = [];
+        return source.requestTileData(6, 1, 2, rectangle);
+    }).then(function (parts) {
+        assert.strictEqual(parts[0].features.length, 250);
+        assert.strictEqual(requests.length, 0);
+
+        //清空缓存后重新请求
+        source.clearCache();
+        return source.requestTileData(6, 1, 2, rectangle);
+    }).then(function () {
+        assert.strictEqual(requests.length, 5);
+    });
+}
+
+function checkOgcFeatures(baseUrl) {
+    requests = [];
+    var source = new OgcFeaturesSource({ url: baseUrl + '/ogc', collection: 'pts', pageSize: 100, maximumLevel: 3 });
+    //第5级的两个相邻切片超过maximumLevel，共用第3级的块(12, 2)：90°E~112.5°E、22.5°N~45°N
+    var rectangle1 = Rectangle.fromDegrees(101.25, 39.375, 106.875, 45);
+    var rectangle2 = Rectangle.fromDegrees(106.875, 39.375, 112.5, 45);
+    return Promise.all([
+        source.requestTileData(50, 8, 5, rectangle1),
+        source.requestTileData(51, 8, 5, rectangle2)
+    ]).then(function (results) {
+        var expected = features.filter(function (feature) {
+            return inBBox(feature, [90, 22.5, 112.5, 45]);
+        }).length;
+        results.forEach(function (parts) {
+            assert.strictEqual(parts.length, 1);
+            assert.deepStrictEqual(parts[0].bbox, [90, 22.5, 112.5, 45]);
+            assert.strictEqual(parts[0].features.length, expected);
+        });
+
+        //两个切片只查询一次，按next链接依次读取各页
+        var pageCount = Math.ceil(expected / 100);
+        assert.strictEqual(requests.length, pageCount);
+        requests.forEach(function (request, index) {
+            assert.strictEqual(request.pathname, '/ogc/collections/pts/items');
+            assert.strictEqual(request.query.bbox, '90,22.5,112.5,45');
+            assert.strictEqual(request.query.limit, '100');
+            assert.strictEqual(+(request.query.offset || 0), index * 100);
+        });
+
+        //同一块内的其他切片从缓存读取
+        requests = [];
+        return source.requestTileData(49, 9, 5, Rectangle.fromDegrees(95.625, 33.75, 101.25, 39.375));
+    }).then(function (parts) {
+        assert.strictEqual(parts.length, 1);
+        assert.strictEqual(requests.length, 0);
+    });
+}
+
+function checkError(baseUrl) {
+    var source = new WfsSource({ url: baseUrl + '/missing', typeNames: 'test:pts' });
+    var rectangle = Rectangle.fromDegrees(90, 0, 135, 45);
+    return source.requestTileData(6, 1, 2, rectangle).then(function () {
+        assert.fail('请求失败时应reject');
+    }, function () {
+        //失败的块不缓存
+        assert.strictEqual(source._blocks.count, 0);
+    });
+}
+
+server.listen(0, '127.0.0.1', function () {
+    var baseUrl = 'http://127.0.0.1:' + server.address().port;
+    checkWfs(baseUrl).then(function () {
+        console.log('WfsSource: ok');
+        return checkOgcFeatures(baseUrl);
+    }).then(function () {
+        console.log('OgcFeaturesSource: ok');
+        return checkError(baseUrl);
+    }).then(function () {
+        console.log('error handling: ok');
+        server.close();
+    }).catch(function (err) {
+        console.error(err);
+        process.exitCode = 1;
+        server.close();
+    });
+});
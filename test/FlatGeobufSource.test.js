@@ -0,0 +1,205 @@
+/**
+ * FlatGeobuf数据源的检查：在本地启动支持Range请求的文件服务，验证文件头、多层空间索引的读取和按切片范围读取要素。
+ * 测试数据data/grid-3857.fgb：Web墨卡托坐标系（EPSG:3857）的64个0.4°×0.4°方格，
+ * 左下角从(100°E, 30°N)开始每隔0.5°排列为8行8列，属性为id、name、area、even，索引节点大小为4；
+ * data/grid-4547.fgb：CGCS2000 3度带（EPSG:4547，中央经线114°E）的16个方格，左下角从(113°E, 30°N)开始排列为4行4列，属性为id。
+ * 运行：npm test
+ */
+//Cesium的Resource在node中通过全局的require加载http模块
+global.require = require;
+
+var assert = require('assert');
+var fs = require('fs');
+var http = require('http');
+var path = require('path');
+var Rectangle = require('../src/cesium/Core/Rectangle');
+var Crs = require('../src/Crs');
+var FlatGeobufSource = require('../src/FlatGeobufSource');
+
+var files = {
+    '/grid-3857.fgb': fs.readFileSync(path.join(__dirname, 'data/grid-3857.fgb')),
+    '/grid-4547.fgb': fs.readFileSync(path.join(__dirname, 'data/grid-4547.fgb'))
+};
+var data = files['/grid-3857.fgb'];
+var ranges = [];
+var ignoreRange = false;
+
+var server = http.createServer(function (req, res) {
+    var file = files[req.url];
+    if (!file) {
+        res.statusCode = 404;
+        res.end();
+        return;
+    }
+    var match = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range || '');
+    if (!match || ignoreRange) {
+        res.end(file);
+        return;
+    }
+    var start = +match[1], end = Math.min(+match[2], file.length - 1);
+    ranges.push([start, end]);
+    res.statusCode = 206;
+    res.setHeader('Content-Range', 'bytes ' + start + '-' + end + '/' + file.length);
+    res.end(file.subarray(start, end + 1));
+});
+
+function getReadLength() {
+    return ranges.reduce(function (length, range) {
+        return length + range[1] - range[0] + 1;
+    }, 0);
+}
+
+function sortById(features) {
+    return features.map(function (feature) {
+        return feature.properties.id;
+    }).sort(function (a, b) {
+        return a - b;
+    });
+}
+
+function checkHeader(baseUrl) {
+    var source = new FlatGeobufSource({ url: baseUrl + '/grid-3857.fgb' });
+    return source.readyPromise.then(function () {
+        var header = source.header;
+        assert.strictEqual(header.featuresCount, 64);
+        assert.strictEqual(header.indexNodeSize, 4);
+        assert.strictEqual(header.srid, 3857);
+        assert.strictEqual(header.geometryType, 3);
+        assert.deepStrictEqual(header.columns.map(function (column) {
+            return column.name;
+        }), ['id', 'name', 'area', 'even']);
+        //64个叶子节点，各层节点数为64、16、4、1，从根节点开始存储
+        assert.deepStrictEqual(source._levelBounds, [[21, 85], [5, 21], [1, 5], [0, 1]]);
+        assert.strictEqual(source._featuresOffset - source._indexOffset, 85 * 40);
+        return source;
+    });
+}
+
+function checkTile(baseUrl) {
+    var source = new FlatGeobufSource({ url: baseUrl + '/grid-3857.fgb' });
+    return source.readyPromise.then(function () {
+        ranges = [];
+        //只与第3行第3列的方格（id为18）相交
+        return source.requestTileData(0, 0, 10, Rectangle.fromDegrees(101.1, 31.1, 101.3, 31.3));
+    }).then(function (parts) {
+        assert.strictEqual(parts.length, 1);
+        var features = parts[0].features;
+        assert.deepStrictEqual(sortById(features), [18]);
+        var feature = features[0];
+        assert.deepStrictEqual(feature.properties, { id: 18, name: '地块18', area: 0.16 * 18, even: true });
+        //坐标转换为经纬度
+        var ring = feature.geometry.coordinates[0];
+        assert.strictEqual(feature.geometry.type, 'Polygon');
+        assert.strictEqual(ring.length, 5);
+        assert.ok(Math.abs(ring[0][0] - 101) < 1e-9 && Math.abs(ring[0][1] - 31) < 1e-9);
+        assert.ok(Math.abs(ring[2][0] - 101.4) < 1e-9 && Math.abs(ring[2][1] - 31.4) < 1e-9);
+        //只读取了经过的索引节点和一个要素
+        assert.ok(getReadLength() < data.length / 4);
+
+        //同一范围从缓存读取
+        ranges = [];
+        return source.requestTileData(0, 0, 10, Rectangle.fromDegrees(101.1, 31.1, 101.3, 31.3));
+    }).then(function (parts) {
+        assert.deepStrictEqual(sortById(parts[0].features), [18]);
+        assert.strictEqual(ranges.length, 0);
+
+        //覆盖两行两列，包含文件中最后一个要素（长度未知，先读取长度）
+        return source.requestTileData(0, 0, 10, Rectangle.fromDegrees(103.3, 33.3, 104, 34));
+    }).then(function (parts) {
+        assert.deepStrictEqual(sortById(parts[0].features), [54, 55, 62, 63]);
+
+        //与数据不相交的范围
+        return source.requestTileData(0, 0, 10, Rectangle.fromDegrees(110, 10, 111, 11));
+    }).then(function (parts) {
+        assert.strictEqual(parts[0].features.length, 0);
+
+        //覆盖全部数据
+        source.clearCache();
+        return source.requestTileData(0, 0, 1, Rectangle.fromDegrees(90, 0, 135, 45));
+    }).then(function (parts) {
+        var ids = [];
+        for (var i = 0; i < 64; i++) {
+            ids.push(i);
+        }
+        assert.deepStrictEqual(sortById(parts[0].features), ids);
+    });
+}
+
+function checkProjected(baseUrl) {
+    //没有proj4时无法转换投影坐标系
+    Crs.proj4 = undefined;
+    var source = new FlatGeobufSource({ url: baseUrl + '/grid-4547.fgb' });
+    return source.readyPromise.then(function () {
+        assert.fail('缺少proj4时应reject');
+    }, function (err) {
+        assert.ok(/proj4/.test(err.message), err.message);
+
+        Crs.proj4 = require('proj4');
+        source = new FlatGeobufSource({ url: baseUrl + '/grid-4547.fgb' });
+        return source.readyPromise;
+    }).then(function () {
+        assert.strictEqual(source.header.srid, 4547);
+        //切片范围转换为投影坐标后查询索引，只与第2行第2列的方格（id为5）相交
+        return source.requestTileData(0, 0, 10, Rectangle.fromDegrees(113.6, 30.6, 113.8, 30.8));
+    }).then(function (parts) {
+        assert.deepStrictEqual(sortById(parts[0].features), [5]);
+        var ring = parts[0].features[0].geometry.coordinates[0];
+        assert.ok(Math.abs(ring[0][0] - 113.5) < 1e-7 && Math.abs(ring[0][1] - 30.5) < 1e-7);
+        assert.ok(Math.abs(ring[2][0] - 113.9) < 1e-7 && Math.abs(ring[2][1] - 30.9) < 1e-7);
+        Crs.proj4 = undefined;
+    }, function (err) {
+        Crs.proj4 = undefined;
+        throw err;
+    });
+}
+
+function checkMinimumLevel(baseUrl) {
+    var source = new FlatGeobufSource({ url: baseUrl + '/grid-3857.fgb', minimumLevel: 8 });
+    return source.readyPromise.then(function () {
+        ranges = [];
+        return source.requestTileData(0, 0, 7, Rectangle.fromDegrees(90, 0, 135, 45));
+    }).then(function (parts) {
+        assert.deepStrictEqual(parts, []);
+        assert.strictEqual(ranges.length, 0);
+    });
+}
+
+function checkError(baseUrl) {
+    //服务器忽略Range请求头时返回整个文件，测试文件小于首次读取的长度，读取索引时出错
+    ignoreRange = true;
+    var source = new FlatGeobufSource({ url: baseUrl + '/grid-3857.fgb' });
+    return source.requestTileData(0, 0, 10, Rectangle.fromDegrees(101.1, 31.1, 101.3, 31.3)).then(function () {
+        assert.fail('不支持Range请求时应reject');
+    }, function (err) {
+        assert.ok(/Range/.test(err.message));
+    }).then(function () {
+        ignoreRange = false;
+        assert.throws(function () {
+            new FlatGeobufSource({});
+        }, /需要指定url或file/);
+    });
+}
+
+server.listen(0, '127.0.0.1', function () {
+    var baseUrl = 'http://127.0.0.1:' + server.address().port;
+    checkHeader(baseUrl).then(function () {
+        console.log('FlatGeobufSource header: ok');
+        return checkTile(baseUrl);
+    }).then(function () {
+        console.log('FlatGeobufSource index: ok');
+        return checkProjected(baseUrl);
+    }).then(function () {
+        console.log('FlatGeobufSource projected crs: ok');
+        return checkMinimumLevel(baseUrl);
+    }).then(function () {
+        console.log('FlatGeobufSource minimumLevel: ok');
+        return checkError(baseUrl);
+    }).then(function () {
+        console.log('FlatGeobufSource error handling: ok');
+        server.close();
+    }).catch(function (err) {
+        console.error(err);
+        process.exitCode = 1;
+        server.close();
+    });
+});
@@ -0,0 +1,212 @@
+/**
+ * GeoPackage数据源的检查：验证GeoPackage二进制几何头的解析、R树节点表的查询、属性筛选和没有空间索引的要素表。
+ * 测试数据data/grid.gpkg（页大小1024字节，R树有两层节点）：
+ * parcels表为Web墨卡托坐标系（EPSG:3857）的100个0.4°×0.4°方格，左下角从(100°E, 30°N)开始每隔0.5°排列为10行10列，
+ * 属性为id、name、landuse（偶数为住宅，奇数为商业），有R树空间索引，奇数方格的几何头带有包络矩形；
+ * roads表为经纬度坐标系的两条线（其中一条为大端序WKB）和一条空几何，没有空间索引。
+ * 运行：npm test
+ */
+//Cesium的Resource在node中通过全局的require加载http模块
+global.require = require;
+
+var assert = require('assert');
+var fs = require('fs');
+var http = require('http');
+var path = require('path');
+var initSqlJs = require('sql.js');
+var Rectangle = require('../src/cesium/Core/Rectangle');
+var GeoPackageSource = require('../src/GeoPackageSource');
+
+var data = fs.readFileSync(path.join(__dirname, 'data/grid.gpkg'));
+
+var server = http.createServer(function (req, res) {
+    if (req.url != '/grid.gpkg') {
+        res.statusCode = 404;
+        res.end();
+        return;
+    }
+    res.end(data);
+});
+
+/**
+ * 构造GeoPackage二进制几何：点(1, 2)的WKB，envelopeType为包络矩形类型（0~4），empty为空几何标志
+ */
+function createGeometry(envelopeType, empty) {
+    var envelopeLength = [0, 32, 48, 48, 64][envelopeType] || 0;
+    var bytes = new Uint8Array(8 + envelopeLength + 21);
+    var view = new DataView(bytes.buffer);
+    bytes[0] = 0x47;
+    bytes[1] = 0x50;
+    bytes[3] = (envelopeType << 1) | (empty ? 0x10 : 0) | 1;
+    view.setInt32(4, 4326, true);
+    for (var i = 0; i < envelopeLength / 8; i++) {
+        view.setFloat64(8 + i * 8, 99, true);
+    }
+    var offset = 8 + envelopeLength;
+    bytes[offset] = 1;
+    view.setUint32(offset + 1, 1, true);
+    view.setFloat64(offset + 5, 1, true);
+    view.setFloat64(offset + 13, 2, true);
+    return bytes;
+}
+
+function sortById(features) {
+    return features.map(function (feature) {
+        return feature.properties.id;
+    }).sort(function (a, b) {
+        return a - b;
+    });
+}
+
+function getCells(west, south, east, north) {
+    var ids = [];
+    for (var row = south; row <= north; row++) {
+        for (var column = west; column <= east; column++) {
+            ids.push(row * 10 + column);
+        }
+    }
+    return ids;
+}
+
+function checkGeometryHeader() {
+    var point = { type: 'Point', coordinates: [1, 2] };
+    //没有包络矩形，以及XY、XYZ、XYM、XYZM的包络矩形
+    for (var envelopeType = 0; envelopeType <= 4; envelopeType++) {
+        assert.deepStrictEqual(GeoPackageSource.parseGeometry(createGeometry(envelopeType)), point);
+    }
+    //空几何标志
+    assert.strictEqual(GeoPackageSource.parseGeometry(createGeometry(0, true)), null);
+    //没有GP头的WKB
+    assert.deepStrictEqual(GeoPackageSource.parseGeometry(createGeometry(0).subarray(8)), point);
+    assert.strictEqual(GeoPackageSource.parseGeometry(null), null);
+    assert.strictEqual(GeoPackageSource.parseGeometry(new Uint8Array(4)), null);
+    //无效的包络矩形类型
+    var invalid = createGeometry(0);
+    invalid[3] = (5 << 1) | 1;
+    assert.throws(function () {
+        GeoPackageSource.parseGeometry(invalid);
+    }, /几何头无效/);
+}
+
+function checkSpatialIndex(baseUrl) {
+    var source = new GeoPackageSource({ url: baseUrl + '/grid.gpkg', initSqlJs: initSqlJs });
+    return source.readyPromise.then(function () {
+        assert.deepStrictEqual(source.tables.map(function (table) {
+            return [table.name, table.identifier, table.geometryColumn, table.geometryType, table.srid, table.hasSpatialIndex];
+        }), [
+            ['parcels', '地块', 'geom', 'POLYGON', 3857, true],
+            ['roads', '道路', 'geom', 'LINESTRING', 4326, false]
+        ]);
+        //默认使用第一个要素表，范围从gpkg_contents读取并转换为经纬度
+        assert.strictEqual(source.table.name, 'parcels');
+        [100, 30, 104.9, 34.9].forEach(function (value, index) {
+            assert.ok(Math.abs(source.bounds[index] - value) < 1e-9);
+        });
+
+        //只与第3行第3列的方格（id为22）相交
+        return source.requestTileData(0, 0, 10, Rectangle.fromDegrees(101.1, 31.1, 101.3, 31.3));
+    }).then(function (parts) {
+        assert.strictEqual(parts.length, 1);
+        var feature = parts[0].features[0];
+        assert.strictEqual(parts[0].features.length, 1);
+        assert.deepStrictEqual(feature.properties, { fid: 23, id: 22, name: '地块22', landuse: '住宅' });
+        var ring = feature.geometry.coordinates[0];
+        assert.ok(Math.abs(ring[0][0] - 101) < 1e-9 && Math.abs(ring[0][1] - 31) < 1e-9);
+        assert.ok(Math.abs(ring[2][0] - 101.4) < 1e-9 && Math.abs(ring[2][1] - 31.4) < 1e-9);
+
+        //跨越多个叶子节点的范围：第5~8行、第4~8列
+        return source.requestTileData(0, 0, 10, Rectangle.fromDegrees(101.7, 32.2, 103.7, 33.7));
+    }).then(function (parts) {
+        assert.deepStrictEqual(sortById(parts[0].features), getCells(3, 4, 7, 7));
+
+        //覆盖全部数据，几何头带包络矩形的方格也能解析
+        return source.requestTileData(0, 0, 1, Rectangle.fromDegrees(90, 0, 135, 45));
+    }).then(function (parts) {
+        assert.deepStrictEqual(sortById(parts[0].features), getCells(0, 0, 9, 9));
+        source.destroy();
+    });
+}
+
+function checkFilter(baseUrl) {
+    //第1行的前4个方格
+    var rectangle = Rectangle.fromDegrees(100, 30, 101.9, 30.3);
+    //SQL筛选条件
+    var source = new GeoPackageSource({ url: baseUrl + '/grid.gpkg', initSqlJs: initSqlJs, filter: "landuse = '住宅'" });
+    return source.requestTileData(0, 0, 10, rectangle).then(function (parts) {
+        assert.deepStrictEqual(sortById(parts[0].features), [0, 2]);
+        //不满足条件的要素也缓存
+        assert.strictEqual(source._features.count, 4);
+        source.destroy();
+
+        //筛选函数
+        source = new GeoPackageSource({
+            url: baseUrl + '/grid.gpkg', initSqlJs: initSqlJs, filter: function (properties) {
+                return properties.id > 1;
+            }
+        });
+        return source.requestTileData(0, 0, 10, rectangle);
+    }).then(function (parts) {
+        assert.deepStrictEqual(sortById(parts[0].features), [2, 3]);
+        source.destroy();
+    });
+}
+
+function checkWithoutSpatialIndex(baseUrl) {
+    var source = new GeoPackageSource({ url: baseUrl + '/grid.gpkg', initSqlJs: initSqlJs, table: 'roads' });
+    return source.requestTileData(0, 0, 10, Rectangle.fromDegrees(100.5, 30.5, 102, 32)).then(function (parts) {
+        assert.deepStrictEqual(parts[0].features.map(function (feature) {
+            return feature.properties.name;
+        }), ['a']);
+        assert.deepStrictEqual(parts[0].features[0].geometry, { type: 'LineString', coordinates: [[100, 30], [101, 31]] });
+        return source.requestTileData(0, 0, 1, Rectangle.fromDegrees(90, 0, 135, 45));
+    }).then(function (parts) {
+        //空几何的要素被忽略，大端序的WKB
+        assert.deepStrictEqual(parts[0].features.map(function (feature) {
+            return feature.properties.name;
+        }), ['a', 'b']);
+        assert.deepStrictEqual(parts[0].features[1].geometry.coordinates, [[104, 34], [105, 35]]);
+        source.destroy();
+    });
+}
+
+function checkError(baseUrl) {
+    assert.throws(function () {
+        new GeoPackageSource({ url: baseUrl + '/grid.gpkg' });
+    }, /initSqlJs/);
+    var source = new GeoPackageSource({ url: baseUrl + '/grid.gpkg', initSqlJs: initSqlJs, table: 'buildings' });
+    return source.readyPromise.then(function () {
+        assert.fail('要素表不存在时应reject');
+    }, function (err) {
+        assert.ok(/找不到要素表buildings/.test(err.message));
+        assert.ok(/parcels、roads/.test(err.message));
+    });
+}
+
+try {
+    checkGeometryHeader();
+    console.log('GeoPackageSource geometry header: ok');
+} catch (err) {
+    console.error(err);
+    process.exitCode = 1;
+}
+
+server.listen(0, '127.0.0.1', function () {
+    var baseUrl = 'http://127.0.0.1:' + server.address().port;
+    checkSpatialIndex(baseUrl).then(function () {
+        console.log('GeoPackageSource R-tree: ok');
+        return checkFilter(baseUrl);
+    }).then(function () {
+        console.log('GeoPackageSource filter: ok');
+        return checkWithoutSpatialIndex(baseUrl);
+    }).then(function () {
+        console.log('GeoPackageSource without spatial index: ok');
+        return checkError(baseUrl);
+    }).then(function () {
+        console.log('GeoPackageSource error handling: ok');
+        server.close();
+    }).catch(function (err) {
+        console.error(err);
+        process.exitCode = 1;
+        server.close();
+    });
+});
@@ -0,0 +1,174 @@
+/**
+ * WKT、WKB（包括EWKT、EWKB）解析和几何记录转换的检查，包括无法转换的SRID和空几何的提示。
+ * 运行：npm test
+ */
+var assert = require('assert');
+var WKT = require('../src/WKT');
+var WKB = require('../src/WKB');
+var Crs = require('../src/Crs');
+var GeometryRecords = require('../src/GeometryRecords');
+
+/**
+ * 构造点或线的WKB：littleEndian为字节序，srid不为空时写入EWKB的SRID标志
+ */
+function createWkb(type, coordinates, littleEndian, srid, hasZ) {
+    var isPoint = type == 1;
+    var points = isPoint ? [coordinates] : coordinates;
+    var dimension = hasZ ? 3 : 2;
+    var length = 1 + 4 + (srid !== undefined ? 4 : 0) + (isPoint ? 0 : 4) + points.length * dimension * 8;
+    var view = new DataView(new ArrayBuffer(length));
+    var offset = 0;
+    view.setUint8(offset, littleEndian ? 1 : 0);
+    offset += 1;
+    var typeCode = type;
+    if (srid !== undefined) typeCode |= 0x20000000;
+    if (hasZ) typeCode |= 0x80000000;
+    view.setUint32(offset, typeCode >>> 0, littleEndian);
+    offset += 4;
+    if (srid !== undefined) {
+        view.setUint32(offset, srid, littleEndian);
+        offset += 4;
+    }
+    if (!isPoint) {
+        view.setUint32(offset, points.length, littleEndian);
+        offset += 4;
+    }
+    points.forEach(function (point) {
+        for (var i = 0; i < dimension; i++) {
+            view.setFloat64(offset, point[i], littleEndian);
+            offset += 8;
+        }
+    });
+    return new Uint8Array(view.buffer);
+}
+
+function toHex(bytes) {
+    return Array.prototype.map.call(bytes, function (b) {
+        return (b < 16 ? '0' : '') + b.toString(16);
+    }).join('').toUpperCase();
+}
+
+//记录console.warn的输出
+function captureWarnings(fn) {
+    var warnings = [];
+    var warn = console.warn;
+    console.warn = function (message) {
+        warnings.push(message);
+    };
+    try {
+        return { result: fn(), warnings: warnings };
+    } finally {
+        console.warn = warn;
+    }
+}
+
+function checkWkt() {
+    assert.deepStrictEqual(WKT.parse('POINT (1 2)'), { type: 'Point', coordinates: [1, 2] });
+    assert.deepStrictEqual(WKT.parse('POINT Z (1 2 3)'), { type: 'Point', coordinates: [1, 2, 3] });
+    assert.deepStrictEqual(WKT.parse('LINESTRING(0 0, 1 1)'), { type: 'LineString', coordinates: [[0, 0], [1, 1]] });
+    assert.deepStrictEqual(WKT.parse('POLYGON((0 0,4 0,4 4,0 0),(1 1,2 1,2 2,1 1))').coordinates.length, 2);
+    //MULTIPOINT中的点可以带括号也可以不带
+    assert.deepStrictEqual(WKT.parse('MULTIPOINT(1 2, 3 4)'), WKT.parse('MULTIPOINT((1 2), (3 4))'));
+    assert.deepStrictEqual(WKT.parse('MULTIPOLYGON(((0 0,1 0,1 1,0 0)),((2 2,3 2,3 3,2 2)))').coordinates.length, 2);
+    assert.deepStrictEqual(WKT.parse('POINT EMPTY'), { type: 'Point', coordinates: [] });
+    assert.strictEqual(WKT.parse('GEOMETRYCOLLECTION(POINT(1 2),LINESTRING(0 0,1 1))').geometries.length, 2);
+
+    var ewkt = WKT.read('SRID=3857;POINT(0 0)');
+    assert.strictEqual(ewkt.srid, 3857);
+    assert.deepStrictEqual(ewkt.geometry, { type: 'Point', coordinates: [0, 0] });
+
+    assert.strictEqual(WKT.isWKT('srid=4326;point(1 2)'), true);
+    assert.strictEqual(WKT.isWKT('北京市'), false);
+    assert.throws(function () {
+        WKT.parse('POINT(1 2');
+    });
+    assert.throws(function () {
+        WKT.parse('POINT(1 2) x');
+    });
+}
+
+function checkWkb() {
+    var little = createWkb(1, [116.4, 39.9], true);
+    var big = createWkb(1, [116.4, 39.9], false);
+    assert.deepStrictEqual(WKB.parse(little), { type: 'Point', coordinates: [116.4, 39.9] });
+    assert.deepStrictEqual(WKB.parse(big), { type: 'Point', coordinates: [116.4, 39.9] });
+    assert.deepStrictEqual(WKB.parse(little.buffer), WKB.parse(little));
+    //十六进制字符串
+    var hex = toHex(createWkb(2, [[0, 0], [1, 1]], true));
+    assert.strictEqual(WKB.isHex(hex), true);
+    assert.deepStrictEqual(WKB.parse(hex), { type: 'LineString', coordinates: [[0, 0], [1, 1]] });
+
+    //EWKB：SRID和Z标志
+    var ewkb = WKB.read(createWkb(1, [1, 2, 3], true, 4326, true));
+    assert.strictEqual(ewkb.srid, 4326);
+    assert.deepStrictEqual(ewkb.geometry, { type: 'Point', coordinates: [1, 2, 3] });
+    assert.strictEqual(WKB.read(little).srid, undefined);
+}
+
+function checkRecords() {
+    //Web墨卡托不需要proj4
+    var mercator = GeometryRecords.parseGeometry('SRID=3857;POINT(0 0)');
+    assert.deepStrictEqual(mercator.coordinates.map(Math.round), [0, 0]);
+
+    var records = [
+        { name: 'wkt', geometry: 'POINT(1 2)' },
+        { name: 'wkb', geometry: toHex(createWkb(1, [3, 4], true)) },
+        { name: 'gk', geometry: 'SRID=4547;POINT(500000 3000000)' },
+        { name: 'gk', geometry: 'SRID=4547;POINT(500000 3100000)' },
+        { name: 'empty', geometry: 'POINT EMPTY' },
+        { name: 'invalid', geometry: 'POINT(1' },
+        { name: 'missing', geometry: null }
+    ];
+
+    //没有proj4时，SRID无法转换的记录单独提示并给出SRID
+    Crs.proj4 = undefined;
+    var captured = captureWarnings(function () {
+        return GeometryRecords.toGeoJSON(records);
+    });
+    assert.deepStrictEqual(captured.result.features.map(function (feature) {
+        return feature.properties.name;
+    }), ['wkt', 'wkb']);
+    assert.strictEqual(captured.warnings.length, 4);
+    assert.ok(/^有2条记录的坐标系（SRID=4547）无法转换为经纬度/.test(captured.warnings[0]), captured.warnings[0]);
+    assert.ok(/proj4/.test(captured.warnings[0]));
+    assert.ok(/^有1条记录的几何无法解析/.test(captured.warnings[1]));
+    assert.ok(/^有1条记录的几何为空（EMPTY）/.test(captured.warnings[2]));
+    assert.ok(/^有1条记录缺少几何/.test(captured.warnings[3]));
+
+    //有proj4时转换为经纬度（CGCS2000 3度带中央经线114°E）
+    Crs.proj4 = require('proj4');
+    try {
+        var features = captureWarnings(function () {
+            return GeometryRecords.toGeoJSON(records.slice(2, 4));
+        }).result.features;
+        assert.strictEqual(features.length, 2);
+        assert.ok(Math.abs(features[0].geometry.coordinates[0] - 114) < 1e-9);
+        assert.ok(Math.abs(features[0].geometry.coordinates[1] - 27.1116) < 1e-3);
+    } finally {
+        Crs.proj4 = undefined;
+    }
+
+    //要素集合中的WKT几何，GeometryCollection拆分为多个要素
+    var collection = GeometryRecords.toGeoJSON({
+        type: 'FeatureCollection',
+        features: [
+            { type: 'Feature', properties: { id: 1 }, geometry: 'GEOMETRYCOLLECTION(POINT(1 2),LINESTRING(0 0,1 1))' },
+            { type: 'Feature', properties: { id: 2 }, geometry: { type: 'Point', coordinates: [5, 6] } }
+        ]
+    });
+    assert.deepStrictEqual(collection.features.map(function (feature) {
+        return feature.geometry.type;
+    }), ['Point', 'LineString', 'Point']);
+}
+
+try {
+    checkWkt();
+    console.log('WKT: ok');
+    checkWkb();
+    console.log('WKB: ok');
+    checkRecords();
+    console.log('GeometryRecords: ok');
+} catch (err) {
+    console.error(err);
+    process.exitCode = 1;
+}
@@ -0,0 +1,81 @@
+/**
+ * shapefile属性编码判断的检查：构造没有.cpg和语言驱动标记的dbf，验证根据内容判断的编码。
+ * 运行：npm test
+ */
+var assert = require('assert');
+var Shapefile = require('../src/Shapefile');
+
+//"北京市"的UTF-8和GBK编码
+var UTF8 = Array.prototype.slice.call(Buffer.from('北京市'));
+var GBK = [0xB1, 0xB1, 0xBE, 0xA9, 0xCA, 0xD0];
+
+/**
+ * 构造dbf：fieldCount个宽度为width的文本字段，两条记录的每个字段都写入value
+ */
+function createDbf(fieldCount, width, value, languageDriver) {
+    var headerLength = 32 + 32 * fieldCount + 1;
+    var recordLength = 1 + width * fieldCount;
+    var bytes = new Uint8Array(headerLength + recordLength * 2 + 1);
+    var view = new DataView(bytes.buffer);
+    bytes[0] = 0x03;
+    view.setUint32(4, 2, true);
+    view.setUint16(8, headerLength, true);
+    view.setUint16(10, recordLength, true);
+    bytes[29] = languageDriver || 0;
+    for (var i = 0; i < fieldCount; i++) {
+        var offset = 32 + i * 32;
+        var name = 'NAME' + i;
+        for (var k = 0; k < name.length; k++) {
+            bytes[offset + k] = name.charCodeAt(k);
+        }
+        bytes[offset + 11] = 'C'.charCodeAt(0);
+        bytes[offset + 16] = width;
+    }
+    bytes[headerLength - 1] = 0x0D;
+    for (var r = 0; r < 2; r++) {
+        var recordOffset = headerLength + r * recordLength;
+        bytes[recordOffset] = 0x20;
+        for (i = 0; i < fieldCount; i++) {
+            var fieldOffset = recordOffset + 1 + i * width;
+            bytes.fill(0x20, fieldOffset, fieldOffset + width);
+            bytes.set(value, fieldOffset);
+        }
+    }
+    bytes[bytes.length - 1] = 0x1A;
+    return bytes;
+}
+
+function checkContent() {
+    assert.strictEqual(Shapefile.detectEncoding(createDbf(2, 80, UTF8)), 'utf-8');
+    assert.strictEqual(Shapefile.detectEncoding(createDbf(2, 80, GBK)), 'gbk');
+    //254宽度（ArcGIS默认）的字段长度字节为0xFE，不能当作无效的UTF-8
+    assert.strictEqual(Shapefile.detectEncoding(createDbf(2, 254, UTF8)), 'utf-8');
+    assert.strictEqual(Shapefile.detectEncoding(createDbf(12, 254, UTF8)), 'utf-8');
+    assert.strictEqual(Shapefile.detectEncoding(createDbf(12, 254, GBK)), 'gbk');
+    //GB18030四字节字符
+    assert.strictEqual(Shapefile.detectEncoding(createDbf(2, 80, [0x81, 0x30, 0x81, 0x30])), 'gb18030');
+}
+
+function checkCpgAndLanguageDriver() {
+    var dbf = createDbf(2, 254, GBK);
+    assert.strictEqual(Shapefile.detectEncoding(dbf, '65001'), 'utf-8');
+    assert.strictEqual(Shapefile.detectEncoding(createDbf(2, 80, UTF8), 'ANSI 936'), 'gbk');
+    assert.strictEqual(Shapefile.detectEncoding(createDbf(2, 80, UTF8, 0x4D)), 'gbk');
+    //.cpg为空时使用dbf内容判断
+    assert.strictEqual(Shapefile.detectEncoding(dbf, ' '), 'gbk');
+
+    assert.strictEqual(Shapefile.encodingFromCpg('UTF-8'), 'utf-8');
+    assert.strictEqual(Shapefile.encodingFromCpg('cp936'), 'gbk');
+    assert.strictEqual(Shapefile.encodingFromCpg('GB2312'), 'gbk');
+    assert.strictEqual(Shapefile.encodingFromCpg(''), undefined);
+}
+
+try {
+    checkContent();
+    console.log('Shapefile.detectEncoding: ok');
+    checkCpgAndLanguageDriver();
+    console.log('Shapefile.encodingFromCpg: ok');
+} catch (err) {
+    console.error(err);
+    process.exitCode = 1;
+}
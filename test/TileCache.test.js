@@ -0,0 +1,113 @@
+/**
+ * 切片缓存的检查：验证LRU淘汰顺序、按数量和内存的上限，以及固定（pin）的切片不被淘汰。
+ * 运行：npm test
+ */
+var assert = require('assert');
+var TileCache = require('../src/TileCache');
+
+//按宽×高×4字节估算，256×256的切片占用262144字节
+function createImage(size) {
+    return { width: size || 256, height: size || 256 };
+}
+
+function checkLru() {
+    var cache = new TileCache({ maximumCount: 3 });
+    cache.set('a', createImage());
+    cache.set('b', createImage());
+    cache.set('c', createImage());
+    //访问a后b成为最久未使用的切片
+    assert.ok(cache.get('a'));
+    cache.set('d', createImage());
+    assert.deepStrictEqual(cache.keys().sort(), ['a', 'c', 'd']);
+    assert.strictEqual(cache.get('b'), undefined);
+    assert.strictEqual(cache.count, 3);
+
+    //重复设置同一个键不增加数量，并标记为最近使用
+    cache.set('c', createImage(128));
+    cache.set('e', createImage());
+    assert.deepStrictEqual(cache.keys().sort(), ['c', 'd', 'e']);
+    assert.strictEqual(cache.bytes, 128 * 128 * 4 + 2 * 256 * 256 * 4);
+
+    //淘汰的切片释放srcJson
+    var image = createImage();
+    image.srcJson = {};
+    cache.set('f', image);
+    cache.set('g', createImage());
+    cache.set('h', createImage());
+    cache.set('i', createImage());
+    assert.strictEqual(image.srcJson, null);
+
+    cache.remove('i');
+    assert.strictEqual(cache.count, 2);
+    cache.clear();
+    assert.strictEqual(cache.count, 0);
+    assert.strictEqual(cache.bytes, 0);
+    assert.deepStrictEqual(cache.keys(), []);
+}
+
+function checkMaximumBytes() {
+    var cache = new TileCache({ maximumCount: 100, maximumBytes: 4 * 256 * 256 * 4 });
+    cache.set('a', createImage());
+    cache.set('b', createImage());
+    cache.set('c', createImage());
+    assert.strictEqual(cache.count, 3);
+    //512×512的切片相当于4个256×256的切片，淘汰后只剩下它自己
+    cache.set('d', createImage(512));
+    assert.deepStrictEqual(cache.keys(), ['d']);
+    assert.strictEqual(cache.bytes, 512 * 512 * 4);
+    //超过内存上限的切片本身也被淘汰
+    cache.set('e', createImage(1024));
+    assert.strictEqual(cache.count, 0);
+    assert.strictEqual(cache.bytes, 0);
+
+    //没有宽高的图片按0字节计算
+    cache = new TileCache({ maximumCount: 100, maximumBytes: 1 });
+    cache.set('a', {});
+    cache.set('b', undefined);
+    assert.strictEqual(cache.count, 2);
+    assert.strictEqual(cache.bytes, 0);
+}
+
+function checkPin() {
+    var cache = new TileCache({ maximumCount: 2 });
+    //可以在切片缓存之前固定
+    cache.pin('a');
+    cache.set('a', createImage());
+    cache.set('b', createImage());
+    cache.set('c', createImage());
+    cache.set('d', createImage());
+    assert.deepStrictEqual(cache.keys().sort(), ['a', 'd']);
+
+    //全部固定时允许超过上限
+    cache.pin('d');
+    cache.pin('e');
+    cache.set('e', createImage());
+    assert.deepStrictEqual(cache.keys().sort(), ['a', 'd', 'e']);
+
+    //取消固定后立即淘汰超出上限的切片
+    cache.unpin('a');
+    assert.deepStrictEqual(cache.keys().sort(), ['d', 'e']);
+    cache.unpinAll();
+    cache.set('f', createImage());
+    assert.deepStrictEqual(cache.keys().sort(), ['e', 'f']);
+
+    //清空缓存不影响固定状态
+    cache.pin('g');
+    cache.clear();
+    cache.set('g', createImage());
+    cache.set('h', createImage());
+    cache.set('i', createImage());
+    assert.deepStrictEqual(cache.keys().sort(), ['g', 'i']);
+}
+
+try {
+    checkLru();
+    console.log('TileCache LRU: ok');
+    checkMaximumBytes();
+    console.log('TileCache maximumBytes: ok');
+    checkPin();
+    console.log('TileCache pin: ok');
+} catch (err) {
+    console.error(err);
+    process.exitCode = 1;
+}
@@ -0,0 +1,114 @@
+/**
+ * 切片索引的检查：验证按级别裁剪和简化、超过最大级别时的裁剪、空瓦片，以及不修改数据源中的要素。
+ * 运行：npm test
+ */
+var assert = require('assert');
+var GeographicTilingScheme = require('../src/cesium/Core/GeographicTilingScheme');
+var TileIndex = require('../src/TileIndex');
+
+//以(100°E, 30°N)为中心、半径5°的圆，720个顶点
+function createCircle() {
+    var ring = [];
+    for (var i = 0; i < 720; i++) {
+        var angle = i * Math.PI / 360;
+        ring.push([100 + 5 * Math.cos(angle), 30 + 5 * Math.sin(angle)]);
+    }
+    ring.push(ring[0]);
+    return ring;
+}
+
+function countVertices(features) {
+    return features.reduce(function (count, feature) {
+        var coordinates = feature.geometry.coordinates;
+        if (feature.geometry.type == 'Polygon') {
+            coordinates = [].concat.apply([], coordinates);
+        }
+        return count + coordinates.length;
+    }, 0);
+}
+
+function inBBox(features, bbox) {
+    return features.every(function (feature) {
+        var coordinates = feature.geometry.type == 'Polygon' ? [].concat.apply([], feature.geometry.coordinates) : feature.geometry.coordinates;
+        return coordinates.every(function (c) {
+            return c[0] >= bbox[0] - 1e-9 && c[0] <= bbox[2] + 1e-9 && c[1] >= bbox[1] - 1e-9 && c[1] <= bbox[3] + 1e-9;
+        });
+    });
+}
+
+function createIndex() {
+    var ring = createCircle();
+    var polygon = { type: 'Feature', properties: { name: 'circle' }, geometry: { type: 'Polygon', coordinates: [ring] } };
+    var outline = { type: 'Feature', properties: { name: 'circle' }, geometry: { type: 'LineString', coordinates: ring.slice() } };
+    var line = { type: 'Feature', properties: { name: 'line' }, geometry: { type: 'LineString', coordinates: ring.slice(0, 361) } };
+    return {
+        polygon: polygon,
+        index: new TileIndex({
+            tilingScheme: new GeographicTilingScheme(),
+            polygons: [polygon],
+            lines: [line],
+            outlines: [outline],
+            maxZoom: 6
+        })
+    };
+}
+
+function checkLevels() {
+    var created = createIndex();
+    var index = created.index;
+
+    //第0级：东半球的瓦片，简化公差约0.7°
+    assert.ok(Math.abs(index.getTolerance(0) - 180 / 256) < 1e-12);
+    var tile = index.getTile(1, 0, 0);
+    assert.strictEqual(tile.polygons.length, 1);
+    assert.strictEqual(tile.lines.length, 1);
+    assert.strictEqual(tile.outlines.length, 1);
+    assert.ok(countVertices(tile.polygons) < 50);
+    //面和边界线一起构建拓扑，简化后的边界与面的边界一致
+    assert.deepStrictEqual(tile.outlines[0].geometry.coordinates.map(String).sort(),
+        tile.polygons[0].geometry.coordinates[0].map(String).sort());
+    assert.strictEqual(index.getTile(0, 0, 0), null);
+
+    //第6级（最大级别）：瓦片大小2.8125°，只包含圆的一部分，几乎不简化
+    //(95.63°E~98.44°E, 33.75°N~36.56°N)包含圆的左上边缘
+    tile = index.getTile(98, 19, 6);
+    var bbox = index._getBufferedBBox(98, 19, 6);
+    assert.ok(inBBox(tile.polygons, bbox));
+    assert.ok(countVertices(tile.outlines) > 30);
+    //切分后释放祖先瓦片的原始精度数据
+    assert.strictEqual(index._tiles['0/1/0'].source, null);
+    assert.strictEqual(index._tiles['6/98/19'].source, null);
+
+    //圆内部、不与边界相交的瓦片只有面
+    tile = index.getTile(99, 21, 6);
+    assert.strictEqual(tile.polygons.length, 1);
+    assert.strictEqual(tile.outlines.length, 0);
+    //圆外的瓦片为空
+    assert.strictEqual(index.getTile(80, 21, 6), null);
+
+    //不修改数据源中的要素
+    assert.strictEqual(created.polygon.bbox, undefined);
+    assert.strictEqual(created.polygon.geometry.coordinates[0].length, 721);
+}
+
+function checkOverzoom() {
+    var index = createIndex().index;
+    //超过最大级别时从第6级瓦片裁剪，不缓存
+    var tile = index.getTile(98 * 4 + 1, 19 * 4 + 3, 8);
+    var bbox = index._getBufferedBBox(98 * 4 + 1, 19 * 4 + 3, 8);
+    assert.ok(tile.polygons.length > 0);
+    assert.ok(inBBox(tile.polygons, bbox));
+    assert.strictEqual(index._tiles['8/393/79'], undefined);
+    //所在的第6级瓦片内、与要素不相交的子瓦片为空
+    assert.strictEqual(index.getTile(98 * 4, 19 * 4, 8), null);
+}
+
+try {
+    checkLevels();
+    console.log('TileIndex levels: ok');
+    checkOverzoom();
+    console.log('TileIndex overzoom: ok');
+} catch (err) {
+    console.error(err);
+    process.exitCode = 1;
+}
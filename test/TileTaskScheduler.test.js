@@ -0,0 +1,234 @@
+/**
+ * 切片任务调度的检查：验证图层内按优先级和级别执行、取消与过时任务的处理，以及多个图层公平分享并发名额。
+ * 运行：npm test
+ */
+var assert = require('assert');
+var RequestState = require('../src/cesium/Core/RequestState');
+var TileTaskScheduler = require('../src/TileTaskScheduler');
+
+/**
+ * 创建手动完成的任务，执行时记录到executed
+ */
+function createTask(executed, name) {
+    var task = {};
+    task.promise = new Promise(function (resolve) {
+        task.finish = function () {
+            resolve(name);
+            //等待调度器在then回调中执行下一个任务
+            return new Promise(function (next) {
+                setTimeout(next, 0);
+            });
+        };
+    });
+    task.execute = function () {
+        executed.push(name);
+        return task.promise;
+    };
+    return task;
+}
+
+function isCancelError(err) {
+    return err && err.name === 'CancelError';
+}
+
+function checkPriority() {
+    var scheduler = new TileTaskScheduler({ maximumActiveTasks: 1 });
+    var queue = scheduler.createQueue();
+    var executed = [];
+    var first = createTask(executed, 'first');
+    queue.add({ x: 0, y: 0, level: 0, execute: first.execute });
+
+    //先按priority，再按级别，最后按提交顺序
+    var tasks = {};
+    [
+        ['far', 100, 3],
+        ['nearLevel5', 10, 5],
+        ['nearLevel2', 10, 2],
+        ['nearLevel2Later', 10, 2],
+        ['default', undefined, 8]
+    ].forEach(function (item, index) {
+        var task = tasks[item[0]] = createTask(executed, item[0]);
+        queue.add({ x: index + 1, y: 0, level: item[2], priority: item[1], execute: task.execute });
+    });
+    assert.strictEqual(queue.pendingCount, 5);
+    assert.strictEqual(scheduler.activeCount, 1);
+
+    return first.finish().then(function () {
+        return tasks['default'].finish();
+    }).then(function () {
+        return tasks.nearLevel2.finish();
+    }).then(function () {
+        return tasks.nearLevel2Later.finish();
+    }).then(function () {
+        return tasks.nearLevel5.finish();
+    }).then(function () {
+        return tasks.far.finish();
+    }).then(function () {
+        assert.deepStrictEqual(executed, ['first', 'default', 'nearLevel2', 'nearLevel2Later', 'nearLevel5', 'far']);
+        assert.strictEqual(queue.pendingCount, 0);
+        assert.strictEqual(scheduler.activeCount, 0);
+    });
+}
+
+function checkCancel() {
+    var scheduler = new TileTaskScheduler({ maximumActiveTasks: 1 });
+    var queue = scheduler.createQueue();
+    var executed = [];
+    var first = createTask(executed, 'first');
+    var firstPromise = queue.add({ x: 0, y: 0, level: 1, execute: first.execute });
+
+    var request = { cancelled: false, state: RequestState.UNISSUED };
+    var promises = [
+        queue.add({ x: 1, y: 0, level: 1, execute: createTask(executed, 'cancel').execute }),
+        queue.add({ x: 2, y: 0, level: 1, request: request, execute: createTask(executed, 'requestCancelled').execute }),
+        queue.add({ x: 3, y: 0, level: 1, execute: createTask(executed, 'cancelAll').execute })
+    ];
+
+    //正在执行的任务不能取消
+    assert.strictEqual(queue.cancel(0, 0, 1), false);
+    assert.strictEqual(queue.cancel(1, 0, 1), true);
+    assert.strictEqual(queue.cancel(1, 0, 1), false);
+
+    //Cesium取消请求后，任务在下次调度时取消，请求标记为CANCELLED
+    request.cancelled = true;
+    scheduler.update();
+    assert.strictEqual(request.state, RequestState.CANCELLED);
+    assert.strictEqual(queue.pendingCount, 1);
+
+    queue.cancelAll();
+    assert.strictEqual(queue.pendingCount, 0);
+
+    return Promise.all(promises.map(function (promise) {
+        return promise.then(function () {
+            assert.fail('取消的任务应reject');
+        }, function (err) {
+            assert.ok(isCancelError(err));
+        });
+    })).then(function () {
+        return first.finish();
+    }).then(function () {
+        return firstPromise;
+    }).then(function (result) {
+        assert.strictEqual(result, 'first');
+        assert.deepStrictEqual(executed, ['first']);
+    });
+}
+
+function checkTimeout() {
+    var scheduler = new TileTaskScheduler({ maximumActiveTasks: 1 });
+    var queue = scheduler.createQueue({ taskTimeout: 20 });
+    var executed = [];
+    var first = createTask(executed, 'first');
+    queue.add({ x: 0, y: 0, level: 0, execute: first.execute });
+    var timeoutPromise = queue.add({ x: 1, y: 0, level: 0, execute: createTask(executed, 'timeout').execute }).then(function () {
+        assert.fail('超时的任务应reject');
+    }, function (err) {
+        assert.ok(isCancelError(err));
+    });
+
+    return new Promise(function (resolve) {
+        setTimeout(resolve, 40);
+    }).then(function () {
+        //任务完成后调度器取消等待超时的任务
+        return first.finish();
+    }).then(function () {
+        return timeoutPromise;
+    }).then(function () {
+        assert.deepStrictEqual(executed, ['first']);
+    });
+}
+
+function checkError() {
+    var scheduler = new TileTaskScheduler({ maximumActiveTasks: 1 });
+    var queue = scheduler.createQueue();
+    var executed = [];
+    var next = createTask(executed, 'next');
+    var failed = queue.add({
+        x: 0, y: 0, level: 0, execute: function () {
+            throw new Error('failed');
+        }
+    });
+    queue.add({ x: 1, y: 0, level: 0, execute: next.execute });
+    return failed.then(function () {
+        assert.fail('执行出错的任务应reject');
+    }, function (err) {
+        assert.strictEqual(err.message, 'failed');
+        //出错后释放名额，继续执行下一个任务
+        assert.deepStrictEqual(executed, ['next']);
+        return next.finish();
+    });
+}
+
+function checkFairness() {
+    var scheduler = new TileTaskScheduler({ maximumActiveTasks: 4 });
+    var queueA = scheduler.createQueue();
+    var queueB = scheduler.createQueue();
+    var queueC = scheduler.createQueue({ maximumActiveTasks: 1 });
+    var executed = [];
+    var tasks = [];
+    var cancelled = 0;
+
+    function onCancel(err) {
+        assert.ok(isCancelError(err));
+        cancelled++;
+    }
+
+    //图层A先提交了很多任务，占满全局名额
+    for (var i = 0; i < 6; i++) {
+        tasks.push(createTask(executed, 'a' + i));
+        queueA.add({ x: i, y: 0, level: 0, execute: tasks[tasks.length - 1].execute });
+    }
+    for (i = 0; i < 3; i++) {
+        tasks.push(createTask(executed, 'b' + i));
+        queueB.add({ x: i, y: 0, level: 0, execute: tasks[tasks.length - 1].execute }).catch(onCancel);
+        tasks.push(createTask(executed, 'c' + i));
+        queueC.add({ x: i, y: 0, level: 0, execute: tasks[tasks.length - 1].execute });
+    }
+    assert.deepStrictEqual(executed, ['a0', 'a1', 'a2', 'a3']);
+
+    //空出的名额依次分给正在执行任务最少的图层B和C
+    return tasks[0].finish().then(function () {
+        return tasks[1].finish();
+    }).then(function () {
+        assert.deepStrictEqual(executed.slice(4), ['b0', 'c0']);
+        assert.strictEqual(queueA.activeCount, 2);
+        assert.strictEqual(queueB.activeCount, 1);
+        assert.strictEqual(queueC.activeCount, 1);
+        return tasks[2].finish();
+    }).then(function () {
+        //图层C已达到自己的并发上限，A、B正在执行的任务数相同，名额分给最久未被调度的图层A
+        assert.deepStrictEqual(executed.slice(6), ['a4']);
+        return tasks[3].finish();
+    }).then(function () {
+        assert.deepStrictEqual(executed.slice(7), ['b1']);
+
+        //移除的队列取消等待中的任务，不再参与调度
+        queueB.destroy();
+        assert.strictEqual(queueB.pendingCount, 0);
+        //b0完成后名额分给图层A
+        return tasks[6].finish();
+    }).then(function () {
+        assert.deepStrictEqual(executed.slice(8), ['a5']);
+        assert.strictEqual(scheduler.activeCount, 4);
+        assert.strictEqual(cancelled, 1);
+    });
+}
+
+checkPriority().then(function () {
+    console.log('TileTaskScheduler priority: ok');
+    return checkCancel();
+}).then(function () {
+    console.log('TileTaskScheduler cancel: ok');
+    return checkTimeout();
+}).then(function () {
+    console.log('TileTaskScheduler timeout: ok');
+    return checkError();
+}).then(function () {
+    console.log('TileTaskScheduler error: ok');
+    return checkFairness();
+}).then(function () {
+    console.log('TileTaskScheduler fairness: ok');
+}).catch(function (err) {
+    console.error(err);
+    process.exitCode = 1;
+});
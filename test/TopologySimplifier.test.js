@@ -0,0 +1,104 @@
+/**
+ * 保持拓扑的简化的检查：验证相邻多边形共享的边界、飞地和所在多边形的洞简化后仍然完全重合。
+ * 运行：npm test
+ */
+var assert = require('assert');
+var TopologySimplifier = require('../src/TopologySimplifier');
+
+function createPolygon(rings) {
+    return { type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: rings } };
+}
+
+function getKey(coordinate) {
+    return coordinate[0] + ',' + coordinate[1];
+}
+
+//(1,0)~(1,1)附近弯曲的边界，带有小于公差的抖动
+var border = [];
+for (var i = 0; i <= 40; i++) {
+    border.push([1 + 0.05 * Math.sin(i * Math.PI * 3 / 40) + 0.002 * ((i * 7) % 3 - 1), i / 40]);
+}
+
+//环上位于边界的顶点（去掉重复的闭合点）
+function getBorderKeys(ring) {
+    var keys = ring.slice(0, ring.length - 1).filter(function (coordinate) {
+        return coordinate[0] > 0.9 && coordinate[0] < 1.1;
+    }).map(getKey);
+    return keys.sort();
+}
+
+function checkSharedBorder() {
+    var left = createPolygon([[[0, 0]].concat(border, [[0, 1], [0, 0]])]);
+    var right = createPolygon([[border[0], [2, 0], [2, 1]].concat(border.slice().reverse())]);
+    var simplifier = new TopologySimplifier([left, right]);
+    var simplifiedLeft = simplifier.simplify(left, 0.01);
+    var simplifiedRight = simplifier.simplify(right, 0.01);
+
+    //右侧多边形的边界方向相反，简化后保留的顶点相同
+    var leftBorder = getBorderKeys(simplifiedLeft.geometry.coordinates[0]);
+    var rightBorder = getBorderKeys(simplifiedRight.geometry.coordinates[0]);
+    assert.ok(leftBorder.length > 2 && leftBorder.length < border.length);
+    assert.deepStrictEqual(leftBorder, rightBorder);
+
+    //不修改原要素
+    assert.strictEqual(left.geometry.coordinates[0].length, border.length + 3);
+    assert.notStrictEqual(simplifiedLeft, left);
+    assert.strictEqual(simplifiedLeft.properties, left.properties);
+}
+
+function checkEnclave() {
+    //没有结点的环：洞和飞地的起点、方向都不同
+    var ring = [];
+    for (var i = 0; i < 60; i++) {
+        var angle = i * Math.PI * 2 / 60;
+        ring.push([5 + Math.cos(angle) * (1 + 0.003 * (i % 2)), 5 + Math.sin(angle)]);
+    }
+    var hole = ring.concat([ring[0]]);
+    var island = ring.slice(17).concat(ring.slice(0, 17)).reverse();
+    island.push(island[0]);
+
+    var outer = createPolygon([[[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]], hole]);
+    var enclave = createPolygon([island]);
+    var simplifier = new TopologySimplifier([outer, enclave]);
+    var simplifiedHole = simplifier.simplify(outer, 0.05).geometry.coordinates[1];
+    var simplifiedIsland = simplifier.simplify(enclave, 0.05).geometry.coordinates[0];
+
+    assert.ok(simplifiedHole.length < hole.length);
+    assert.deepStrictEqual(simplifiedHole.map(getKey).sort(), simplifiedIsland.map(getKey).sort());
+}
+
+function checkLines() {
+    var line = { type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: border } };
+    //线的端点是结点，与线相交的多边形顶点也是结点
+    var polygon = createPolygon([[[0, 0.5], border[20], [2, 0.5], [1, 2], [0, 0.5]]]);
+    var simplifier = new TopologySimplifier([line, polygon]);
+    var coordinates = simplifier.simplify(line, 0.01).geometry.coordinates;
+    assert.deepStrictEqual(coordinates[0], border[0]);
+    assert.deepStrictEqual(coordinates[coordinates.length - 1], border[40]);
+    assert.ok(coordinates.some(function (coordinate) {
+        return coordinate === border[20];
+    }));
+
+    //点要素和没有几何的要素原样返回
+    var point = { type: 'Feature', properties: {}, geometry: { type: 'Point', coordinates: [0, 0] } };
+    assert.strictEqual(simplifier.simplify(point, 0.01), point);
+    var empty = { type: 'Feature', properties: {}, geometry: null };
+    assert.strictEqual(simplifier.simplify(empty, 0.01), empty);
+
+    //环退化时保留原始的环
+    var small = createPolygon([[[0, 0], [0.001, 0], [0.001, 0.001], [0, 0]]]);
+    simplifier = new TopologySimplifier([small]);
+    assert.deepStrictEqual(simplifier.simplify(small, 1).geometry.coordinates, small.geometry.coordinates);
+}
+
+try {
+    checkSharedBorder();
+    console.log('TopologySimplifier shared border: ok');
+    checkEnclave();
+    console.log('TopologySimplifier enclave: ok');
+    checkLines();
+    console.log('TopologySimplifier lines: ok');
+} catch (err) {
+    console.error(err);
+    process.exitCode = 1;
+}
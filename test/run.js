@@ -0,0 +1,23 @@
+/**
+ * 依次运行test目录下的*.test.js，任一文件失败时退出码为1
+ * 运行：npm test
+ */
+var fs = require('fs');
+var path = require('path');
+var childProcess = require('child_process');
+
+var failed = [];
+fs.readdirSync(__dirname).filter(function (name) {
+    return /\.test\.js$/.test(name);
+}).sort().forEach(function (name) {
+    console.log('# ' + name);
+    var result = childProcess.spawnSync(process.execPath, [path.join(__dirname, name)], { stdio: 'inherit' });
+    if (result.status !== 0) {
+        failed.push(name);
+    }
+});
+
+if (failed.length) {
+    console.error('失败：' + failed.join('、'));
+    process.exitCode = 1;
+}